@@ -0,0 +1,128 @@
+/**
+ * File: admin.js
+ * Description: Bot administration commands (administrators only)
+ * Author: gl0bal01
+ *
+ * Subcommand groups:
+ * - policy show: display the effective permission rules and cooldown for a
+ *   command in this server — per subcommand and per option value that has
+ *   rules of its own — as evaluated by utils/permissions.js and
+ *   utils/ratelimit.js
+ *
+ * Usage: /bob-admin policy show command:bob-sherlock
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, ApplicationCommandOptionType } = require('discord.js');
+const { resolveRule, builtInRule } = require('../utils/permissions');
+const { resolveCooldown, COMMAND_CATEGORIES, BUILTIN_COOLDOWN_RULES } = require('../utils/ratelimit');
+const { getPolicyStatus, listOptionTargets } = require('../utils/policy');
+const { capField } = require('../utils/embed');
+
+const MAX_FIELDS = 25;
+
+// Subcommand keys as used in policy files: `sub` or `group sub`.
+function subcommandKeys(commandData) {
+    const keys = [];
+    for (const opt of commandData?.options ?? []) {
+        const json = typeof opt.toJSON === 'function' ? opt.toJSON() : opt;
+        if (json.type === ApplicationCommandOptionType.Subcommand) keys.push(json.name);
+        if (json.type === ApplicationCommandOptionType.SubcommandGroup) {
+            for (const sub of json.options ?? []) keys.push(`${json.name} ${sub.name}`);
+        }
+    }
+    return keys;
+}
+
+function formatIds(list) {
+    const parts = [
+        ...list.roles.map(id => `<@&${id}>`),
+        ...list.users.map(id => `<@${id}>`),
+    ];
+    return parts.length ? parts.join(', ') : '—';
+}
+
+function formatTarget(target) {
+    const rule = resolveRule(target);
+    const cooldown = resolveCooldown(target);
+    return capField([
+        `**Requires:** ${rule.permission ?? 'nothing (public)'}`,
+        `**Allow:** ${formatIds(rule.allow)}`,
+        `**Deny:** ${formatIds(rule.deny)}`,
+        `**Cooldown:** ${Math.round(cooldown.cooldownMs / 1000)}s (keyed on \`${cooldown.scope}\`)`,
+        `**From:** ${rule.sources.length ? rule.sources.join(' → ') : 'default (public)'}`,
+    ].join('\n'));
+}
+
+// Option values with rules of their own, in the permission or cooldown trees.
+function optionTargets(guildId, command, subcommand) {
+    const cooldownTree = { cooldown: COMMAND_CATEGORIES[command], ...BUILTIN_COOLDOWN_RULES[command] };
+    const seen = new Map();
+    for (const builtIn of [builtInRule(command), cooldownTree]) {
+        for (const t of listOptionTargets(builtIn, { guildId, command, subcommand })) seen.set(`${t.option}=${t.value}`, t);
+    }
+    return [...seen.values()];
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bob-admin')
+        .setDescription('Bot administration (administrators only)')
+        .addSubcommandGroup(group =>
+            group
+                .setName('policy')
+                .setDescription('Permission policy')
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('show')
+                        .setDescription('Show the effective permission rules for a command in this server')
+                        .addStringOption(option =>
+                            option.setName('command')
+                                .setDescription('Command name (e.g. bob-sherlock)')
+                                .setRequired(true)
+                                .setMaxLength(32)))),
+
+    async execute(interaction) {
+        const group = interaction.options.getSubcommandGroup();
+        const subcommand = interaction.options.getSubcommand();
+        if (group !== 'policy' || subcommand !== 'show') {
+            return interaction.reply({ content: '❌ Unknown subcommand.', flags: MessageFlags.Ephemeral });
+        }
+
+        const name = interaction.options.getString('command').trim().replace(/^\//, '').toLowerCase();
+        const command = interaction.client.commands?.get(name);
+        if (!command) {
+            return interaction.reply({ content: `❌ No command named \`${name.replace(/`/g, '')}\`.`, flags: MessageFlags.Ephemeral });
+        }
+
+        const guildId = interaction.guildId ?? null;
+        const targets = [];
+        for (const subcommand of [null, ...subcommandKeys(command.data)]) {
+            const label = subcommand ? `/${name} ${subcommand}` : 'Command';
+            targets.push({ label, target: { guildId, command: name, subcommand, options: {} } });
+            for (const { option, value } of optionTargets(guildId, name, subcommand)) {
+                targets.push({
+                    label: `${subcommand ? `/${name} ${subcommand}` : `/${name}`} ${option}:${value}`,
+                    target: { guildId, command: name, subcommand, options: { [option]: value } }
+                });
+            }
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0x3498db)
+            .setTitle(`🔐 Effective policy: /${name}`);
+        for (const { label, target } of targets.slice(0, MAX_FIELDS)) {
+            embed.addFields({ name: label, value: formatTarget(target) });
+        }
+
+        const status = getPolicyStatus();
+        const policyState = status.error
+            ? 'last reload failed — previous rules in effect, see bot logs'
+            : status.loaded ? `loaded ${status.loadedAt}` : 'no policy file, built-in defaults only';
+        const extraRoles = process.env.OSINT_ALLOWED_ROLES ? ' · OSINT_ALLOWED_ROLES also bypasses "Requires"' : '';
+        embed.setFooter({ text: `Policy: ${policyState}${extraRoles}` });
+
+        return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+};
+
+module.exports._internal = { subcommandKeys };
@@ -0,0 +1,149 @@
+/**
+ * File: audit.js
+ * Description: Search and verify the command audit log (administrators only)
+ * Author: gl0bal01
+ *
+ * Every command invocation routed by index.js is appended to a hash-chained
+ * JSONL log (see utils/audit.js). This command reads it back, always scoped
+ * to the current server.
+ *
+ * Subcommands:
+ * - search: filter by user, command and/or UTC date range; newest first
+ * - verify: walk the hash chain and report the first tampered entry
+ *
+ * Usage: /bob-audit search user:@someone command:bob-dns since:2026-01-01
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, MessageFlags } = require('discord.js');
+const { searchAudit, verifyAuditLog } = require('../utils/audit');
+const { capField, DESCRIPTION_LIMIT } = require('../utils/embed');
+const logger = require('../utils/logger');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const EMBED_LINES = 20;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a `since`/`until` option. A bare date means the start of that UTC day
+ * for `since` and the end of it for `until`.
+ * @returns {Date|null|undefined} undefined when absent, null when invalid
+ */
+function parseBound(value, { endOfDay = false } = {}) {
+    if (!value) return undefined;
+    const trimmed = value.trim();
+    const isDate = DATE_ONLY.test(trimmed);
+    const ms = Date.parse(isDate ? `${trimmed}T00:00:00Z` : trimmed);
+    if (Number.isNaN(ms)) return null;
+    return new Date(isDate && endOfDay ? ms + DAY_MS : ms);
+}
+
+function formatEntry(entry) {
+    const cmd = entry.subcommand ? `/${entry.command} ${entry.subcommand}` : `/${entry.command}`;
+    const duration = entry.durationMs != null ? ` (${entry.durationMs} ms)` : '';
+    return `\`${entry.ts}\` ${cmd} by <@${entry.userId}> — ${entry.outcome}${duration}`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bob-audit')
+        .setDescription('Search the command audit log (administrators only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('search')
+                .setDescription('Search command invocations in this server')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Only invocations by this user')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('command')
+                        .setDescription('Only this command (e.g. bob-dns)')
+                        .setRequired(false)
+                        .setMaxLength(32))
+                .addStringOption(option =>
+                    option.setName('since')
+                        .setDescription('From this UTC date or ISO timestamp (e.g. 2026-01-01)')
+                        .setRequired(false)
+                        .setMaxLength(40))
+                .addStringOption(option =>
+                    option.setName('until')
+                        .setDescription('Up to this UTC date (inclusive) or ISO timestamp')
+                        .setRequired(false)
+                        .setMaxLength(40))
+                .addIntegerOption(option =>
+                    option.setName('limit')
+                        .setDescription(`Maximum entries to return (default: ${DEFAULT_LIMIT})`)
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(MAX_LIMIT)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('verify')
+                .setDescription('Verify the audit log hash chain')),
+
+    async execute(interaction) {
+        if (!interaction.guildId) {
+            return interaction.reply({ content: 'The audit log can only be searched from a server.', flags: MessageFlags.Ephemeral });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'verify') {
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+            let result;
+            try {
+                result = await verifyAuditLog();
+            } catch (err) {
+                logger.error({ err }, 'audit verify failed');
+                return interaction.editReply({ content: '❌ The audit log could not be read. Check the bot logs.' });
+            }
+            const embed = new EmbedBuilder()
+                .setColor(result.ok ? 0x2ecc71 : 0xe74c3c)
+                .setTitle(result.ok ? '✅ Audit log chain intact' : '⚠️ Audit log chain broken')
+                .addFields({ name: 'Verified entries', value: String(result.entries), inline: true });
+            if (!result.ok) {
+                embed.addFields(
+                    { name: 'First bad line', value: String(result.brokenAt), inline: true },
+                    { name: 'Reason', value: result.reason }
+                );
+            }
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        const since = parseBound(interaction.options.getString('since'));
+        const until = parseBound(interaction.options.getString('until'), { endOfDay: true });
+        if (since === null || until === null) {
+            return interaction.reply({ content: '❌ Invalid date. Use `YYYY-MM-DD` or an ISO 8601 timestamp.', flags: MessageFlags.Ephemeral });
+        }
+        const user = interaction.options.getUser('user');
+        const command = interaction.options.getString('command')?.trim().replace(/^\//, '').toLowerCase() || undefined;
+        const limit = interaction.options.getInteger('limit') ?? DEFAULT_LIMIT;
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        let result;
+        try {
+            result = await searchAudit({ guildId: interaction.guildId, userId: user?.id, command, since, until, limit });
+        } catch (err) {
+            logger.error({ err }, 'audit search failed');
+            return interaction.editReply({ content: '❌ The audit log could not be read. Check the bot logs.' });
+        }
+
+        const { entries, total } = result;
+        const lines = entries.slice(0, EMBED_LINES).map(formatEntry);
+        const more = entries.length > EMBED_LINES ? `\n… ${entries.length - EMBED_LINES} more in the attached file` : '';
+        const embed = new EmbedBuilder()
+            .setColor(0x3498db)
+            .setTitle('📜 Audit log')
+            .setDescription(capField(lines.length ? lines.join('\n') + more : 'No matching entries.', DESCRIPTION_LIMIT))
+            .setFooter({ text: `${total} matching entries${total > entries.length ? `, newest ${entries.length} returned` : ''}` });
+
+        if (!entries.length) return interaction.editReply({ embeds: [embed] });
+        const jsonl = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+        const file = new AttachmentBuilder(Buffer.from(jsonl, 'utf8'), { name: 'audit-search.jsonl' });
+        return interaction.editReply({ embeds: [embed], files: [file] });
+    },
+};
+
+module.exports._internal = { parseBound };
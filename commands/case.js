@@ -0,0 +1,277 @@
+/**
+ * File: case.js
+ * Description: Case workspaces — group an investigation's reports under one case ID
+ * Author: gl0bal01
+ *
+ * While a case is active in a channel, every report a command archives from
+ * that channel is tagged with the case ID and recorded as a case artifact
+ * (see utils/cases.js and utils/reports.js).
+ *
+ * Subcommands:
+ * - open:       open a new case and make it active in this channel
+ * - switch:     make another open case of this server active in this channel
+ * - list:       list a case's artifacts (or your open cases in this server)
+ * - close:      close a case; it stops collecting artifacts everywhere
+ * - export:     package every artifact with a hashed manifest (utils/case-export.js)
+ * - add-member: give another user access to a case
+ *
+ * Only case members (or server managers) can switch to, list or export a
+ * case; only the opener (or a server manager) can close it or add members.
+ * The export bundle is sent ephemerally, to the requester only.
+ */
+
+const path = require('path');
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, MessageFlags, PermissionFlagsBits } = require('discord.js');
+const {
+    openCase, getCase, getActiveCaseId, switchCase, closeCase, listCases, isCaseMember, addMember, isValidCaseId, MAX_TITLE_LENGTH
+} = require('../utils/cases');
+const { sanitizeInput } = require('../utils/validation');
+const { capField, DESCRIPTION_LIMIT } = require('../utils/embed');
+const { exportCase } = require('../utils/case-export');
+const { SIZE_25MB } = require('../utils/ssrf');
+const logger = require('../utils/logger');
+
+const LIST_LIMIT = 25;
+
+function caseSummaryEmbed(entry, title) {
+    return new EmbedBuilder()
+        .setColor(entry.status === 'open' ? 0x2ecc71 : 0x95a5a6)
+        .setTitle(title)
+        .addFields(
+            { name: 'Case ID', value: `\`${entry.id}\``, inline: true },
+            { name: 'Status', value: entry.status, inline: true },
+            { name: 'Artifacts', value: String(entry.artifacts.length), inline: true },
+            { name: 'Title', value: capField(entry.title || '(untitled)') },
+            { name: 'Members', value: capField(entry.members.map(id => `<@${id}>`).join(', ') || '—') }
+        )
+        .setFooter({ text: `Opened ${entry.createdAt}` });
+}
+
+function isManager(interaction) {
+    return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+function canAccess(interaction, entry) {
+    return isCaseMember(entry, interaction.user.id) || isManager(interaction);
+}
+
+function canManage(interaction, entry) {
+    return entry.openedBy === interaction.user.id || isManager(interaction);
+}
+
+function artifactLines(entry) {
+    return entry.artifacts.slice(-LIST_LIMIT).reverse().map(a => {
+        const cmd = a.subcommand ? `/${a.command} ${a.subcommand}` : `/${a.command}`;
+        return `\`${a.file}\` — ${cmd} by <@${a.userId}> at ${a.archivedAt}`;
+    });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bob-case')
+        .setDescription('Manage investigation case workspaces')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('open')
+                .setDescription('Open a new case and make it active in this channel')
+                .addStringOption(option =>
+                    option.setName('title')
+                        .setDescription('Short case title')
+                        .setRequired(true)
+                        .setMaxLength(MAX_TITLE_LENGTH)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('switch')
+                .setDescription('Make an existing open case active in this channel')
+                .addStringOption(option =>
+                    option.setName('case-id')
+                        .setDescription('Case ID (e.g. CASE-20260101-a1b2c3)')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List the artifacts of a case (default: active case)')
+                .addStringOption(option =>
+                    option.setName('case-id')
+                        .setDescription('Case ID (default: the case active in this channel)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('close')
+                .setDescription('Close a case (default: active case)')
+                .addStringOption(option =>
+                    option.setName('case-id')
+                        .setDescription('Case ID (default: the case active in this channel)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('export')
+                .setDescription('Export every artifact with a SHA-256 manifest (default: active case)')
+                .addStringOption(option =>
+                    option.setName('case-id')
+                        .setDescription('Case ID (default: the case active in this channel)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add-member')
+                .setDescription('Give a user access to a case (default: active case)')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to add')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('case-id')
+                        .setDescription('Case ID (default: the case active in this channel)')
+                        .setRequired(false))),
+
+    async execute(interaction) {
+        if (!interaction.guildId || !interaction.channelId) {
+            return interaction.reply({ content: 'Cases can only be used in a server channel.', flags: MessageFlags.Ephemeral });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+        const channelId = interaction.channelId;
+        const userId = interaction.user.id;
+
+        const requestedId = interaction.options.getString('case-id');
+        if (requestedId && !isValidCaseId(requestedId)) {
+            return interaction.reply({ content: '❌ Invalid case ID format.', flags: MessageFlags.Ephemeral });
+        }
+
+        switch (subcommand) {
+            case 'open': {
+                const title = sanitizeInput(interaction.options.getString('title'));
+                const entry = openCase({ title, guildId, channelId, userId });
+                if (!entry) {
+                    return interaction.reply({ content: '❌ The case could not be saved. Please try again later.', flags: MessageFlags.Ephemeral });
+                }
+                const embed = caseSummaryEmbed(entry, '📂 Case opened')
+                    .setDescription('Reports archived from this channel are now tagged with this case.');
+                return interaction.reply({ embeds: [embed] });
+            }
+
+            case 'switch': {
+                const existing = getCase(requestedId);
+                if (!existing || existing.guildId !== guildId || existing.status !== 'open') {
+                    return interaction.reply({ content: '❌ No open case with that ID in this server.', flags: MessageFlags.Ephemeral });
+                }
+                if (!canAccess(interaction, existing)) {
+                    return interaction.reply({ content: '❌ Only case members or a server manager can switch to this case.', flags: MessageFlags.Ephemeral });
+                }
+                const entry = switchCase({ caseId: requestedId, guildId, channelId });
+                if (!entry) {
+                    return interaction.reply({ content: '❌ The case could not be saved. Please try again later.', flags: MessageFlags.Ephemeral });
+                }
+                const embed = caseSummaryEmbed(entry, '🔀 Active case switched')
+                    .setDescription('Reports archived from this channel are now tagged with this case.');
+                return interaction.reply({ embeds: [embed] });
+            }
+
+            case 'list': {
+                const caseId = requestedId || getActiveCaseId(channelId);
+                if (!caseId) {
+                    const open = listCases(guildId, { status: 'open' })
+                        .filter(c => canAccess(interaction, c))
+                        .slice(0, LIST_LIMIT);
+                    const description = open.length
+                        ? open.map(c => `\`${c.id}\` — ${c.title} (${c.artifacts.length} artifacts)`).join('\n')
+                        : 'No open cases you are a member of in this server. Use `/bob-case open` to start one.';
+                    const embed = new EmbedBuilder()
+                        .setColor(0x3498db)
+                        .setTitle('Open cases')
+                        .setDescription(capField(description, DESCRIPTION_LIMIT));
+                    return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+                }
+
+                const entry = getCase(caseId);
+                if (!entry || entry.guildId !== guildId) {
+                    return interaction.reply({ content: '❌ No case with that ID in this server.', flags: MessageFlags.Ephemeral });
+                }
+                if (!canAccess(interaction, entry)) {
+                    return interaction.reply({ content: '❌ Only case members or a server manager can list this case.', flags: MessageFlags.Ephemeral });
+                }
+                const lines = artifactLines(entry);
+                const more = entry.artifacts.length > LIST_LIMIT ? `\n… and ${entry.artifacts.length - LIST_LIMIT} older artifacts` : '';
+                const embed = caseSummaryEmbed(entry, `🗂️ ${entry.id}`)
+                    .setDescription(capField(lines.length ? lines.join('\n') + more : 'No artifacts yet.', DESCRIPTION_LIMIT));
+                return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+            }
+
+            case 'close': {
+                const caseId = requestedId || getActiveCaseId(channelId);
+                const entry = caseId ? getCase(caseId) : null;
+                if (!entry || entry.guildId !== guildId) {
+                    return interaction.reply({ content: '❌ No case to close here. Pass a `case-id` or open one first.', flags: MessageFlags.Ephemeral });
+                }
+                if (!canManage(interaction, entry)) {
+                    return interaction.reply({ content: '❌ Only the case opener or a server manager can close this case.', flags: MessageFlags.Ephemeral });
+                }
+                const closed = closeCase({ caseId, guildId });
+                if (!closed) {
+                    return interaction.reply({ content: '❌ The case could not be saved. Please try again later.', flags: MessageFlags.Ephemeral });
+                }
+                return interaction.reply({ embeds: [caseSummaryEmbed(closed, '🔒 Case closed')] });
+            }
+
+            case 'export': {
+                const caseId = requestedId || getActiveCaseId(channelId);
+                const entry = caseId ? getCase(caseId) : null;
+                if (!entry || entry.guildId !== guildId) {
+                    return interaction.reply({ content: '❌ No case to export here. Pass a `case-id` or open one first.', flags: MessageFlags.Ephemeral });
+                }
+                if (!canAccess(interaction, entry)) {
+                    return interaction.reply({ content: '❌ Only case members or a server manager can export this case.', flags: MessageFlags.Ephemeral });
+                }
+
+                // Only the requester sees the bundle: the channel may hold
+                // people who are not members of the case.
+                await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+                let result;
+                try {
+                    result = await exportCase(caseId, { exportedBy: userId });
+                } catch (err) {
+                    logger.error({ err, caseId }, 'case export failed');
+                    return interaction.editReply({ content: '❌ The case could not be exported. It may exceed the export size limit; check the bot logs.' });
+                }
+
+                const { manifest } = result;
+                const bundleName = path.basename(result.path);
+                const embed = new EmbedBuilder()
+                    .setColor(manifest.modifiedCount ? 0xe74c3c : 0x2ecc71)
+                    .setTitle(`📦 ${entry.id} exported`)
+                    .addFields(
+                        { name: 'Artifacts', value: String(manifest.artifactCount - manifest.missingCount), inline: true },
+                        { name: 'Missing (pruned)', value: String(manifest.missingCount), inline: true },
+                        { name: 'Modified since archive', value: String(manifest.modifiedCount), inline: true },
+                        { name: 'Bundle SHA-256', value: `\`${result.sha256}\`` },
+                        { name: 'Exported at (UTC)', value: manifest.exportedAt }
+                    )
+                    .setFooter({ text: 'Verify with: sha256sum <bundle>; then tar xzf and sha256sum -c SHA256SUMS' });
+
+                if (result.size > SIZE_25MB) {
+                    embed.setDescription(capField(`Bundle is too large to attach. It is stored on the bot host as \`reports/${bundleName}\`.`, DESCRIPTION_LIMIT));
+                    return interaction.editReply({ embeds: [embed] });
+                }
+                return interaction.editReply({ embeds: [embed], files: [new AttachmentBuilder(result.path, { name: bundleName })] });
+            }
+
+            case 'add-member': {
+                const caseId = requestedId || getActiveCaseId(channelId);
+                const entry = caseId ? getCase(caseId) : null;
+                if (!entry || entry.guildId !== guildId) {
+                    return interaction.reply({ content: '❌ No case here. Pass a `case-id` or open one first.', flags: MessageFlags.Ephemeral });
+                }
+                if (!canManage(interaction, entry)) {
+                    return interaction.reply({ content: '❌ Only the case opener or a server manager can add members.', flags: MessageFlags.Ephemeral });
+                }
+                const member = interaction.options.getUser('user');
+                const updated = addMember({ caseId, guildId, userId: member.id });
+                if (!updated) {
+                    return interaction.reply({ content: '❌ The case could not be saved. Please try again later.', flags: MessageFlags.Ephemeral });
+                }
+                return interaction.reply({ embeds: [caseSummaryEmbed(updated, '👥 Member added').setDescription(`<@${member.id}> can now list, switch to and export this case.`)] });
+            }
+        }
+    }
+};
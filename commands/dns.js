@@ -4,22 +4,38 @@
  * Author: gl0bal01
  * 
  * This command provides comprehensive DNS information for domain analysis including:
- * - DNS records (A, AAAA, MX, TXT, CNAME, NS)
- * - Domain configuration details
+ * - DNS records (A, AAAA, CNAME, NS, MX, TXT, SOA, CAA, SRV)
  * - Nameserver information
- * - Security records (SPF, DKIM, DMARC)
+ * - Security records (SPF, DKIM, DMARC) as readable findings
  * 
- * Dependencies:
- * - DNSDumpster API (requires DNSDUMPSTER_TOKEN in .env)
- * - Axios for HTTP requests
+ * Modes:
+ * - records (default): live lookups with the bot's own resolver (utils/dns-resolver.js,
+ *   DNS_RESOLVER to pick the server), rendered as an embed; no API key needed
+ * - mailsec: graded email-security posture (SPF lookup budget, DMARC, DKIM, MTA-STS,
+ *   TLS-RPT, BIMI; utils/mailsec.js) with the raw records attached as JSON
+ * - dnsdumpster: DNSDumpster's passive data as JSON (requires DNSDUMPSTER_TOKEN in .env)
  * 
- * Usage: /bob-dns domain:example.com
+ * DNSDumpster results are cached per domain (utils/response-cache.js); `fresh:true` refetches.
+ *
+ * Usage: /bob-dns domain:example.com [mode:mailsec|dnsdumpster] [fresh:true]
  */
 
-const { SlashCommandBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const axios = require('axios');
 const { getSafeAxiosConfig } = require('../utils/ssrf');
 const { isValidDomain, sanitizeInput } = require('../utils/validation');
+const { cachedFetch, cacheNote } = require('../utils/response-cache');
+const { FIELD_VALUE_LIMIT, fitLines } = require('../utils/embed');
+const { createResolver, resolverLabel, lookupRecords, lookupEmailAuth, RECORD_TYPES } = require('../utils/dns-resolver');
+const { emailAuthFindings, formatFindings } = require('../utils/email-auth');
+const { lookupMailSecurity } = require('../utils/mailsec');
+const { saveReport } = require('../utils/reports');
+
+// Keeps nine record fields plus the findings under Discord's 6000-character embed limit.
+const RECORD_FIELD_LIMIT = 500;
+const TXT_DISPLAY_LIMIT = 180;
+const MAILSEC_CATEGORIES = ['SPF', 'DMARC', 'DKIM', 'MTA-STS', 'TLS-RPT', 'BIMI'];
+const GRADE_COLORS = { A: 0x2ecc71, B: 0x27ae60, C: 0xf1c40f, D: 0xe67e22, F: 0xe74c3c };
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -29,7 +45,20 @@ module.exports = {
             option.setName('domain')
                 .setDescription('The domain to analyze (e.g., example.com)')
                 .setRequired(true)
-                .setMaxLength(253)), // RFC compliant domain length limit
+                .setMaxLength(253)) // RFC compliant domain length limit
+        .addStringOption(option =>
+            option.setName('mode')
+                .setDescription('Where the records come from (default: live resolver)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Live records (resolver)', value: 'records' },
+                    { name: 'Email security posture (SPF, DMARC, DKIM, MTA-STS, TLS-RPT, BIMI)', value: 'mailsec' },
+                    { name: 'DNSDumpster (API token)', value: 'dnsdumpster' }
+                ))
+        .addBooleanOption(option =>
+            option.setName('fresh')
+                .setDescription('Bypass the response cache and query DNSDumpster again (dnsdumpster mode)')
+                .setRequired(false)),
     
     /**
      * Execute the DNS lookup command
@@ -53,6 +82,14 @@ module.exports = {
                         '• Maximum length: 253 characters'
             });
         }
+
+        const mode = interaction.options.getString('mode') || 'records';
+        if (mode === 'records') {
+            return executeResolver(interaction, domain);
+        }
+        if (mode === 'mailsec') {
+            return executeMailsec(interaction, domain);
+        }
         
         // Check for required API token
         const apiToken = process.env.DNSDUMPSTER_TOKEN;
@@ -66,17 +103,21 @@ module.exports = {
         try {
             console.log(`🔍 [DNS] Starting DNS lookup for domain: ${domain}`);
             
-            // Make API request to DNSDumpster with timeout
-            const response = await axios.get(`https://api.dnsdumpster.com/domain/${domain}`, {
-                ...getSafeAxiosConfig(),
-                headers: {
-                    'X-API-Key': apiToken,
-                    'User-Agent': 'Discord-OSINT-Assistant/2.0'
-                },
-                timeout: 15000 // 15 second timeout
-            });
+            // Make API request to DNSDumpster with timeout (or reuse a recent answer)
+            const result = await cachedFetch('dnsdumpster', { domain }, async () => {
+                const response = await axios.get(`https://api.dnsdumpster.com/domain/${domain}`, {
+                    ...getSafeAxiosConfig(),
+                    headers: {
+                        'X-API-Key': apiToken,
+                        'User-Agent': 'Discord-OSINT-Assistant/2.0'
+                    },
+                    timeout: 15000 // 15 second timeout
+                });
+                return response.data;
+            }, { fresh: interaction.options.getBoolean('fresh') ?? false });
             
-            const dnsData = response.data;
+            const dnsData = result.value;
+            const note = cacheNote(result);
             
             // Check if we received valid data
             if (!dnsData || Object.keys(dnsData).length === 0) {
@@ -95,10 +136,11 @@ module.exports = {
             const formattedData = formatDnsData(dnsData, domain);
             
             // Check Discord message limits
-            if (formattedData.length <= 2000) {
+            if (formattedData.length + note.length <= 1900) { // leave room for the header
                 // Send as single message
                 return interaction.editReply({
                     content: `🔍 **DNS Analysis Results for \`${domain}\`**\n\`\`\`json\n${formattedData}\n\`\`\``
+                        + (note ? `\n-# ${note}` : '')
                 });
             } else {
                 // Split into multiple messages
@@ -107,6 +149,7 @@ module.exports = {
                 // Send first chunk as edit
                 await interaction.editReply({
                     content: `🔍 **DNS Analysis Results for \`${domain}\`** (Part 1/${chunks.length})\n\`\`\`json\n${chunks[0]}\n\`\`\``
+                        + (note ? `\n-# ${note}` : '')
                 });
                 
                 // Send remaining chunks as follow-ups
@@ -156,6 +199,8 @@ module.exports = {
                     data: error.response.data
                 });
                 
+            } else if (error.code === 'EQUOTA') {
+                errorMessage += 'The DNSDumpster budget for this period is used up. Try `mode:records` instead.';
             } else if (error.code === 'ECONNABORTED') {
                 errorMessage += 'Request timed out. The DNS service may be slow or unavailable.';
             } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
@@ -172,6 +217,148 @@ module.exports = {
     },
 };
 
+/**
+ * Live lookup with the bot's resolver, rendered as an embed.
+ * @param {CommandInteraction} interaction - Already deferred
+ * @param {string} domain - Validated domain
+ */
+async function executeResolver(interaction, domain) {
+    try {
+        console.log(`🔍 [DNS] Resolving records for domain: ${domain}`);
+        const resolver = createResolver();
+        const lookup = await lookupRecords(domain, { resolver });
+        if (!lookup.exists) {
+            return interaction.editReply({
+                content: `❌ **Domain Not Found**\n\`${domain}\` does not exist (NXDOMAIN from ${resolverLabel()}).`
+            });
+        }
+        const emailAuth = await lookupEmailAuth(domain, { resolver, txt: lookup.records.TXT, txtFailed: Boolean(lookup.errors.TXT) });
+        const embed = buildRecordsEmbed(domain, lookup, emailAuthFindings(emailAuth));
+        console.log(`✅ [DNS] Resolved records for: ${domain}`);
+        return interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+        console.error(`❌ [DNS] Resolver lookup failed for ${domain}:`, error.message);
+        const reason = error.code === 'EBADRESOLVER'
+            ? 'The configured DNS resolver (`DNS_RESOLVER`) is invalid. Please contact the administrator.'
+            : 'The resolver could not be queried. Please try again later.';
+        return interaction.editReply({ content: `❌ **DNS Lookup Failed**\n${reason}` });
+    }
+}
+
+/**
+ * Email-security posture, graded, with the raw records attached as JSON.
+ * @param {CommandInteraction} interaction - Already deferred
+ * @param {string} domain - Validated domain
+ */
+async function executeMailsec(interaction, domain) {
+    try {
+        console.log(`📧 [DNS] Email-security posture for domain: ${domain}`);
+        const result = await lookupMailSecurity(domain, { resolver: createResolver() });
+        const json = formatDnsData(result.report, domain);
+        await saveReport(`mailsec_${domain}`, json, 'json');
+        console.log(`✅ [DNS] ${domain}: email security ${result.score}/100 (${result.grade})`);
+        return interaction.editReply({
+            embeds: [buildMailsecEmbed(domain, result)],
+            files: [new AttachmentBuilder(Buffer.from(json, 'utf8'), { name: `mailsec_${domain}.json` })],
+        });
+    } catch (error) {
+        console.error(`❌ [DNS] Email-security lookup failed for ${domain}:`, error.message);
+        const reason = error.code === 'EBADRESOLVER'
+            ? 'The configured DNS resolver (`DNS_RESOLVER`) is invalid. Please contact the administrator.'
+            : 'The resolver could not be queried. Please try again later.';
+        return interaction.editReply({ content: `❌ **Email Security Check Failed**\n${reason}` });
+    }
+}
+
+/**
+ * Embed for a posture report: score, verdict and one field per category.
+ * @param {string} domain
+ * @param {{ findings: Array<{ category: string, level: string, text: string }>, score: number, grade: string }} result
+ *   From lookupMailSecurity()
+ * @returns {EmbedBuilder}
+ */
+function buildMailsecEmbed(domain, { findings, score, grade }) {
+    const spoofable = findings.some(f => (f.category === 'SPF' || f.category === 'DMARC') && f.level === 'bad')
+        || findings.some(f => f.category === 'DMARC' && f.level === 'warn' && f.text.includes('p=none'));
+    const embed = new EmbedBuilder()
+        .setColor(GRADE_COLORS[grade] ?? 0x95a5a6)
+        .setTitle(`📧 Email security: ${domain}`)
+        .setDescription(`**Score: ${score}/100 (${grade})**\n` + (spoofable
+            ? '❌ Mail claiming to be from this domain is likely to be delivered even when forged.'
+            : '✅ Receivers can reject mail forged as this domain.'))
+        .setFooter({ text: `Warnings cost 10 points, ❌ findings 25 · resolver: ${resolverLabel()}` })
+        .setTimestamp();
+    for (const category of MAILSEC_CATEGORIES) {
+        const lines = formatFindings(findings.filter(f => f.category === category));
+        if (lines) embed.addFields({ name: category, value: fitLines(lines.split('\n'), RECORD_FIELD_LIMIT) });
+    }
+    return embed;
+}
+
+/**
+ * Display lines for one record type.
+ * @param {string} type
+ * @param {Array} records - As returned by lookupRecords()
+ * @returns {string[]}
+ */
+function formatRecords(type, records) {
+    switch (type) {
+        case 'A':
+        case 'AAAA':
+            return records.map(r => `\`${r.address}\` (TTL ${r.ttl}s)`);
+        case 'MX':
+            return records.map(r => `${r.priority} \`${r.exchange || '.'}\``);
+        case 'TXT':
+            return records.map(r => `\`${r.length > TXT_DISPLAY_LIMIT ? `${r.slice(0, TXT_DISPLAY_LIMIT)}…` : r}\``);
+        case 'SOA':
+            return records.map(r => `Primary \`${r.nsname}\`, contact \`${r.hostmaster}\`\n` +
+                `Serial ${r.serial} · refresh ${r.refresh}s · retry ${r.retry}s · expire ${r.expire}s · min TTL ${r.minttl}s`);
+        case 'CAA':
+            return records.map(r => {
+                const tag = Object.keys(r).find(key => key !== 'critical') ?? '?';
+                return `${r.critical ? 'critical ' : ''}${tag} \`${r[tag]}\``;
+            });
+        case 'SRV':
+            return records.map(r => `${r.service} → \`${r.name}:${r.port}\` (priority ${r.priority}, weight ${r.weight})`);
+        default:
+            return records.map(r => `\`${r}\``);
+    }
+}
+
+/**
+ * Structured embed for a resolver lookup.
+ * @param {string} domain
+ * @param {{ records: Object<string, Array>, errors: Object<string, string> }} lookup - From lookupRecords()
+ * @param {Array<{ level: string, text: string }>} findings - From emailAuthFindings()
+ * @returns {EmbedBuilder}
+ */
+function buildRecordsEmbed(domain, { records, errors }, findings) {
+    const embed = new EmbedBuilder()
+        .setColor(0x3498db)
+        .setTitle(`🔍 DNS records: ${domain}`)
+        .setDescription(`Live answers from ${resolverLabel()}.`)
+        .setTimestamp();
+
+    const empty = [];
+    for (const type of RECORD_TYPES) {
+        if (!records[type]?.length) {
+            if (!errors[type]) empty.push(type);
+            continue;
+        }
+        embed.addFields({ name: `${type} (${records[type].length})`, value: fitLines(formatRecords(type, records[type]), RECORD_FIELD_LIMIT) });
+    }
+    if (findings.length) {
+        embed.addFields({ name: '📧 Email security', value: fitLines(formatFindings(findings).split('\n'), FIELD_VALUE_LIMIT) });
+    }
+
+    const notes = [];
+    if (empty.length) notes.push(`No records: ${empty.join(', ')}`);
+    const failed = Object.entries(errors).map(([type, code]) => `${type} (${code})`);
+    if (failed.length) notes.push(`Lookup failed: ${failed.join(', ')}`);
+    if (notes.length) embed.setFooter({ text: notes.join(' · ') });
+    return embed;
+}
+
 /**
  * Format DNS data for display
  * @param {Object} data - Raw DNS data from API
@@ -224,3 +411,5 @@ function splitIntoChunks(text, maxLength) {
     
     return chunks.length > 0 ? chunks : [text.slice(0, maxLength)];
 }
+
+module.exports._internal = { formatRecords, buildRecordsEmbed, buildMailsecEmbed };
@@ -13,12 +13,38 @@
  * - Optional suffix/prefix support
  * - Common social media username patterns
  * - Export results to file for batch processing
+ * - Optional rule packs: leetspeak, initials truncations, birth-year/date
+ *   suffixes, nickname dictionary, accented/Cyrillic transliteration
+ * - Optional batch scan: the top candidates (ranked by plausibility) are run
+ *   through Sherlock or Maigret as one queued job, reporting which handles exist
  * 
  * Usage: /generate-usernames firstname:John lastname:Doe separators:.,_,- suffix:123
+ *        /generate-usernames firstname:William lastname:Smith nicknames:true birthdate:1990-05-31
+ *        /generate-usernames firstname:John lastname:Doe scan:sherlock scan-top:5
  */
 
 const { SlashCommandBuilder, AttachmentBuilder, MessageFlags } = require('discord.js');
-const { sanitizeInput } = require('../utils/validation');
+const { sanitizeInput, isValidUsername } = require('../utils/validation');
+const { runJob, jobErrorMessage, JOB_CANCELLED } = require('../utils/jobs');
+const { saveReport } = require('../utils/reports');
+const { SCANNERS, scanUsername, scanFailureReason } = require('../utils/username-scanners');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { toolAllowed } = require('../utils/permissions');
+const { renderCandidateScanCsv } = require('../utils/username-sweep');
+const {
+    namePairs, initialsPatterns, leetspeak, parseBirthdate, birthdateSuffixes, describeRules
+} = require('../utils/username-rules');
+
+const DEFAULT_SCAN_TOP = 5;
+const MAX_SCAN_TOP = 10;
+const SCAN_CONCURRENCY = 2;
+const SCAN_TIMEOUT = 150; // seconds per handle, at most
+const MIN_SCAN_TIMEOUT = 30; // seconds per handle, below which a scan is pointless
+// Interaction tokens expire after 15 minutes: the whole scan, queue wait
+// included, must end before that or the results can't be posted.
+const REPLY_DEADLINE_MS = 14 * 60 * 1000;
+const MESSAGE_LIMIT = 1900;
+const MAX_VARIATIONS = 20000;
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -58,6 +84,41 @@ module.exports = {
         .addBooleanOption(option =>
             option.setName('case-variations')
                 .setDescription('Include different case variations (default: true)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('leetspeak')
+                .setDescription('Add leetspeak forms (j0hnd03)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('initials')
+                .setDescription('Add initials + surname truncations (jsmit, josmith, smithj)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('birthdate')
+                .setDescription('Birth year or date (YYYY or YYYY-MM-DD) to build suffixes from')
+                .setRequired(false)
+                .setMaxLength(10))
+        .addBooleanOption(option =>
+            option.setName('nicknames')
+                .setDescription('Add common short forms of the first name (William → Bill)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('transliterate')
+                .setDescription('Add ASCII forms of accented or Cyrillic names (default: true)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('scan')
+                .setDescription('Check the most plausible candidates with a username scanner')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Sherlock', value: 'sherlock' },
+                    { name: 'Maigret', value: 'maigret' }
+                ))
+        .addIntegerOption(option =>
+            option.setName('scan-top')
+                .setDescription(`How many top-ranked candidates to scan (1-${MAX_SCAN_TOP}, default: ${DEFAULT_SCAN_TOP})`)
+                .setMinValue(1)
+                .setMaxValue(MAX_SCAN_TOP)
                 .setRequired(false)),
                 
     /**
@@ -73,6 +134,16 @@ module.exports = {
         const prefix = interaction.options.getString('prefix') || '';
         const includeNumbers = interaction.options.getBoolean('include-numbers') ?? false;
         const caseVariations = interaction.options.getBoolean('case-variations') !== false; // Default true
+        const rawBirthdate = interaction.options.getString('birthdate');
+        const rules = {
+            leetspeak: interaction.options.getBoolean('leetspeak') ?? false,
+            initials: interaction.options.getBoolean('initials') ?? false,
+            nicknames: interaction.options.getBoolean('nicknames') ?? false,
+            transliterate: interaction.options.getBoolean('transliterate') !== false, // Default true
+            birthdate: rawBirthdate ? parseBirthdate(rawBirthdate) : null
+        };
+        const scanner = interaction.options.getString('scan');
+        const scanTop = interaction.options.getInteger('scan-top') || DEFAULT_SCAN_TOP;
         
         // Sanitize inputs
         const firstName = sanitizeInput(rawFirstName);
@@ -100,6 +171,21 @@ module.exports = {
             });
         }
         
+        if (rawBirthdate && !rules.birthdate) {
+            return interaction.reply({
+                content: '❌ **Invalid Birthdate**\n' +
+                        'Use a year (1990) or a full date (1990-05-31).',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+        
+        if (scanner && !toolAllowed(interaction, SCANNERS[scanner].command)) {
+            return interaction.reply({
+                content: `❌ **Scan Not Allowed**\n\`scan:${scanner}\` runs /${SCANNERS[scanner].command}, which you do not have permission to use.`,
+                flags: MessageFlags.Ephemeral
+            });
+        }
+        
         console.log(`👤 [USERNAME-GEN] Generating usernames for: ${cleanFirstName} ${cleanLastName}`);
         
         try {
@@ -111,15 +197,34 @@ module.exports = {
                 suffix: sanitizeInput(suffix),
                 prefix: sanitizeInput(prefix),
                 includeNumbers,
-                caseVariations
+                caseVariations,
+                rules
             });
             
+            // Create attachment with full list
+            const attachment = createUsernameAttachment(usernames, cleanFirstName, cleanLastName, rules);
+            
+            if (scanner) {
+                const ranked = rankUsernames(usernames, {
+                    firstName: cleanFirstName,
+                    lastName: cleanLastName,
+                    prefix: sanitizeInput(prefix),
+                    suffix: sanitizeInput(suffix),
+                    rules
+                });
+                return await scanCandidates(interaction, {
+                    scanner,
+                    candidates: ranked.slice(0, scanTop),
+                    total: usernames.length,
+                    firstName: cleanFirstName,
+                    lastName: cleanLastName,
+                    attachment
+                });
+            }
+            
             // Format response
             const response = formatUsernameResponse(usernames, cleanFirstName, cleanLastName);
             
-            // Create attachment with full list
-            const attachment = createUsernameAttachment(usernames, cleanFirstName, cleanLastName);
-            
             await interaction.reply({
                 content: response,
                 files: [attachment],
@@ -130,6 +235,9 @@ module.exports = {
             
         } catch (error) {
             console.error('[USERNAME-GEN] Error generating usernames:', error);
+            if (interaction.deferred) {
+                return interaction.editReply({ content: '❌ **Scan Failed**\nAn error occurred while scanning the candidates.' });
+            }
             await interaction.reply({
                 content: '❌ **Generation Failed**\n' +
                         'An error occurred while generating username variations.',
@@ -152,11 +260,71 @@ function generateUsernames(options) {
         suffix,
         prefix,
         includeNumbers,
-        caseVariations
+        caseVariations,
+        rules = {}
     } = options;
     
     const usernames = new Set(); // Use Set to avoid duplicates
+    const separatorList = separators.split(',').map(sep => sep.trim()).filter(sep => sep !== '');
+    
+    // Patterns for the names as given first, then for transliterated / nickname forms
+    const bases = new Set();
+    const fullNameBases = new Set();
+    for (const { first, last } of namePairs(firstName, lastName, rules)) {
+        const patterns = namePatterns(first, last, separatorList);
+        if (rules.initials) patterns.push(...initialsPatterns(first, last));
+        patterns.forEach(pattern => {
+            bases.add(pattern);
+            const lower = pattern.toLowerCase();
+            if (lower.includes(first.toLowerCase()) || lower.includes(last.toLowerCase())) fullNameBases.add(pattern);
+        });
+    }
+    
+    const extras = [];
+    if (rules.leetspeak) {
+        bases.forEach(pattern => {
+            const leet = leetspeak(pattern);
+            if (leet) extras.push(leet);
+        });
+    }
+    if (rules.birthdate) {
+        const dateSuffixes = birthdateSuffixes(rules.birthdate);
+        fullNameBases.forEach(pattern => {
+            dateSuffixes.forEach(dateSuffix => extras.push(`${pattern}${dateSuffix}`));
+        });
+    }
+    
+    [...bases, ...extras].forEach(pattern => {
+        addUsernameVariation(usernames, pattern, prefix, suffix, caseVariations);
+    });
     
+    // Add number variations if requested
+    if (includeNumbers) {
+        const commonNumbers = ['1', '01', '12', '123', '1234', '21', '2023', '2024', '2025'];
+        const currentUsernames = Array.from(usernames);
+        
+        currentUsernames.forEach(username => {
+            commonNumbers.forEach(number => {
+                // Strip existing prefix/suffix to avoid duplication
+                const baseUsername = username.replace(new RegExp(`^${prefix}`), '').replace(new RegExp(`${suffix}$`), '');
+                addUsernameVariation(usernames, baseUsername, prefix, suffix + number, caseVariations);
+                addUsernameVariation(usernames, baseUsername, prefix + number, suffix, caseVariations);
+            });
+        });
+    }
+    
+    // Convert Set back to Array and sort
+    return Array.from(usernames).sort();
+}
+
+/**
+ * Combination patterns for one first/last name pair
+ * @param {string} firstName - First name
+ * @param {string} lastName - Last name
+ * @param {Array<string>} separatorList - Separators to join names with
+ * @returns {Array<string>} Patterns, without prefix/suffix/case variations
+ */
+function namePatterns(firstName, lastName, separatorList) {
     // Basic name components
     const firstInitial = firstName.charAt(0);
     const lastInitial = lastName.charAt(0);
@@ -166,7 +334,7 @@ function generateUsernames(options) {
     const lastFour = lastName.substring(0, 4);
     
     // Base patterns without separators
-    const basePatterns = [
+    const patterns = [
         `${firstName}${lastName}`,
         `${lastName}${firstName}`,
         `${firstInitial}${lastName}`,
@@ -183,18 +351,9 @@ function generateUsernames(options) {
         `${lastInitial}${firstInitial}`
     ];
     
-    // Add base patterns to usernames
-    basePatterns.forEach(pattern => {
-        addUsernameVariation(usernames, pattern, prefix, suffix, caseVariations);
-    });
-    
     // Patterns with separators
-    const separatorList = separators.split(',').filter(sep => sep.trim() !== '');
-    
-    separatorList.forEach(separator => {
-        const cleanSep = separator.trim();
-        
-        const separatorPatterns = [
+    separatorList.forEach(cleanSep => {
+        patterns.push(
             `${firstName}${cleanSep}${lastName}`,
             `${lastName}${cleanSep}${firstName}`,
             `${firstName}${cleanSep}${lastInitial}`,
@@ -205,30 +364,203 @@ function generateUsernames(options) {
             `${lastThree}${cleanSep}${firstThree}`,
             `${firstInitial}${cleanSep}${lastInitial}`,
             `${lastInitial}${cleanSep}${firstInitial}`
-        ];
-        
-        separatorPatterns.forEach(pattern => {
-            addUsernameVariation(usernames, pattern, prefix, suffix, caseVariations);
-        });
+        );
     });
     
-    // Add number variations if requested
-    if (includeNumbers) {
-        const commonNumbers = ['1', '01', '12', '123', '1234', '21', '2023', '2024', '2025'];
-        const currentUsernames = Array.from(usernames);
+    return patterns;
+}
+
+/**
+ * Rank generated usernames by how plausible they are as someone's real handle.
+ * 
+ * Case variants collapse to one lowercase handle (platforms match usernames
+ * case-insensitively) and handles the scanners would reject are dropped.
+ * The score favours the full name over initials and truncations, first-last
+ * over last-first order, no separator or a common one (. _) over others, and
+ * no added digits; the user's own prefix/suffix is not penalised and a
+ * birthdate suffix only slightly. Transliterated names count as the names
+ * themselves, nicknames slightly lower. A bare first or last name scores
+ * low: it matches too many people.
+ * @param {Array<string>} usernames - From generateUsernames()
+ * @param {Object} names - firstName, lastName, prefix, suffix, rules
+ * @returns {Array<{ username: string, score: number }>} Best first
+ */
+function rankUsernames(usernames, { firstName, lastName, prefix = '', suffix = '', rules = {} }) {
+    const shapes = new Map();
+    for (const { first, last, kind } of namePairs(firstName, lastName, rules)) {
+        const penalty = kind === 'nickname' ? 0.5 : 0;
+        for (const [shape, score] of nameShapes(first.toLowerCase(), last.toLowerCase())) {
+            if (!(shapes.get(shape) >= score - penalty)) shapes.set(shape, score - penalty);
+        }
+    }
+    // Longest first, so 31051990 is stripped whole rather than as 1990
+    const dateSuffixes = rules.birthdate
+        ? birthdateSuffixes(rules.birthdate).sort((a, b) => b.length - a.length)
+        : [];
+    
+    const seen = new Map();
+    for (const candidate of usernames) {
+        const username = candidate.toLowerCase();
+        if (seen.has(username) || !isValidUsername(username)) continue;
         
-        currentUsernames.forEach(username => {
-            commonNumbers.forEach(number => {
-                // Strip existing prefix/suffix to avoid duplication
-                const baseUsername = username.replace(new RegExp(`^${prefix}`), '').replace(new RegExp(`${suffix}$`), '');
-                addUsernameVariation(usernames, baseUsername, prefix, suffix + number, caseVariations);
-                addUsernameVariation(usernames, baseUsername, prefix + number, suffix, caseVariations);
+        let core = username;
+        if (prefix && core.startsWith(prefix.toLowerCase())) core = core.slice(prefix.length);
+        if (suffix && core.endsWith(suffix.toLowerCase())) core = core.slice(0, core.length - suffix.length);
+        let score = 0;
+        const dateSuffix = dateSuffixes.find(date => core.endsWith(date));
+        if (dateSuffix) {
+            core = core.slice(0, core.length - dateSuffix.length);
+            score -= 0.5;
+        }
+        
+        const separators = core.replace(/[a-z0-9]/g, '');
+        const letters = core.replace(/\d+/g, '').replace(/[^a-z]/g, '');
+        score += shapes.get(letters) ?? 1;
+        if (separators.length > 0) score -= /^[._]+$/.test(separators) ? 0.25 : 0.5;
+        if (/\d/.test(core)) score -= 1;
+        seen.set(username, score);
+    }
+    
+    return [...seen.entries()]
+        .map(([username, score]) => ({ username, score }))
+        .sort((a, b) => b.score - a.score || a.username.length - b.username.length || a.username.localeCompare(b.username));
+}
+
+/**
+ * Letter shapes of a name pair with their plausibility scores
+ * @param {string} first - Lowercase first name
+ * @param {string} last - Lowercase last name
+ * @returns {Array<[string, number]>}
+ */
+function nameShapes(first, last) {
+    return [
+        [`${first}${last}`, 4],
+        [`${last}${first}`, 3.5],
+        [`${first.charAt(0)}${last}`, 3],
+        [`${first}${last.charAt(0)}`, 3],
+        [`${last}${first.charAt(0)}`, 2.5],
+        [`${last.charAt(0)}${first}`, 2.5],
+        [first, 1.5],
+        [last, 1.5]
+    ];
+}
+
+/**
+ * Per-handle timeout that lets every scan round finish before the reply deadline
+ * @param {number} count - Candidates to scan
+ * @param {number} startedAt - When the interaction was created (ms)
+ * @param {number} [now]
+ * @returns {number} Seconds, at most SCAN_TIMEOUT; below MIN_SCAN_TIMEOUT means no time is left
+ */
+function scanTimeout(count, startedAt, now = Date.now()) {
+    const rounds = Math.ceil(count / SCAN_CONCURRENCY);
+    const left = (startedAt + REPLY_DEADLINE_MS - now) / 1000;
+    return Math.max(0, Math.min(SCAN_TIMEOUT, Math.floor(left / rounds)));
+}
+
+/**
+ * Scan the top-ranked candidates as one queued job and report which exist
+ * @param {CommandInteraction} interaction - Discord interaction object
+ * @param {Object} scan - scanner, candidates, total, firstName, lastName, attachment
+ */
+async function scanCandidates(interaction, { scanner, candidates, total, firstName, lastName, attachment }) {
+    const startedAt = interaction.createdTimestamp ?? Date.now();
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral }); // Keep results private for OSINT work
+    
+    const header = `👤 **Username Scan**\n📝 **For:** ${firstName} ${lastName}\n` +
+        `🔎 **Scanning:** top ${candidates.length} of ${total} variations with ${scanner}`;
+    let done = 0;
+    let found = 0;
+    // Scans still winding down after a cancel must not overwrite the final reply.
+    let finished = false;
+    const update = () => finished
+        ? Promise.resolve()
+        : interaction.editReply({ content: `${header}\n\n⏳ ${done}/${candidates.length} done — ${found} found so far` }).catch(() => {});
+    
+    console.log(`👤 [USERNAME-GEN] Scanning ${candidates.length} candidates for ${firstName} ${lastName} with ${scanner}`);
+    
+    let results;
+    try {
+        await update();
+        results = await runJob(interaction, `${scanner} top ${candidates.length} for ${firstName} ${lastName}`, () => {
+            // Measured when the job starts, after any queue wait.
+            const timeout = scanTimeout(candidates.length, startedAt);
+            if (timeout < MIN_SCAN_TIMEOUT) return null;
+            return mapWithConcurrency(candidates, SCAN_CONCURRENCY, async ({ username, score }) => {
+                let result;
+                try {
+                    result = { username, score, hits: await scanUsername(scanner, username, { timeout }) };
+                } catch (error) {
+                    if (error.code === JOB_CANCELLED) throw error;
+                    console.warn(`⚠️ [USERNAME-GEN] ${scanner} failed for ${username}: ${error.message}`);
+                    result = { username, score, hits: [], error: scanFailureReason(error) };
+                }
+                done++;
+                if (result.hits.length > 0) found++;
+                await update();
+                return result;
             });
+        }, { heavy: true });
+    } catch (error) {
+        finished = true;
+        const queueMessage = jobErrorMessage(error);
+        if (queueMessage) return interaction.editReply({ content: queueMessage });
+        throw error;
+    }
+    
+    finished = true;
+    if (!results) {
+        return interaction.editReply({
+            content: '⏳ **Scan Not Started**\nThe job waited too long in the queue to finish before this interaction expires. Try again later or with a smaller `scan-top`.'
         });
     }
+    const csv = renderCandidateScanCsv(results);
+    await saveReport(`usernames_scan_${firstName}_${lastName}`, csv, 'csv');
     
-    // Convert Set back to Array and sort
-    return Array.from(usernames).sort();
+    console.log(`✅ [USERNAME-GEN] ${found}/${results.length} scanned candidates exist somewhere`);
+    return interaction.editReply({
+        content: formatScanResponse(results, { firstName, lastName, scanner, total }),
+        files: [
+            attachment,
+            new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: `usernames_scan_${firstName}_${lastName}.csv` })
+        ]
+    });
+}
+
+/**
+ * Format batch scan results for Discord message
+ * @param {Array<Object>} results - username, hits, error per scanned candidate
+ * @param {Object} context - firstName, lastName, scanner, total
+ * @returns {string} Formatted response
+ */
+function formatScanResponse(results, { firstName, lastName, scanner, total }) {
+    const existing = results.filter(r => r.hits.length > 0).sort((a, b) => b.hits.length - a.hits.length);
+    const failed = results.filter(r => r.error);
+    const missing = results.filter(r => !r.error && r.hits.length === 0);
+    
+    let response = `👤 **Username Scan Results**\n`;
+    response += `📝 **For:** ${firstName} ${lastName}\n`;
+    response += `🔎 **Scanned:** top ${results.length} of ${total} variations with ${scanner}\n`;
+    response += `✅ **Found:** ${existing.length} handle${existing.length === 1 ? '' : 's'} on at least one platform\n\n`;
+    
+    const lines = existing.map(({ username, hits }) => {
+        const platforms = hits.slice(0, 5).map(hit => hit.platform).join(', ');
+        const more = hits.length > 5 ? `, +${hits.length - 5} more` : '';
+        return `• \`${username}\` — ${hits.length}: ${platforms}${more}`;
+    });
+    if (failed.length) lines.push(`⚠️ ${failed.map(r => `\`${r.username}\` (${r.error})`).join(', ')}`);
+    if (missing.length) lines.push(`➖ **Not found:** ${missing.map(r => `\`${r.username}\``).join(', ')}`);
+    
+    for (const [index, line] of lines.entries()) {
+        if (response.length + line.length + 1 > MESSAGE_LIMIT) {
+            response += `… ${lines.length - index} more line(s) in the CSV\n`;
+            break;
+        }
+        response += `${line}\n`;
+    }
+    
+    response += `\n📎 **Attached:** full variation list and per-platform CSV`;
+    return response;
 }
 
 /**
@@ -241,15 +573,15 @@ function generateUsernames(options) {
  */
 function addUsernameVariation(usernames, baseUsername, prefix, suffix, caseVariations) {
     const fullUsername = `${prefix}${baseUsername}${suffix}`;
-    
-    if (caseVariations) {
+    const variants = caseVariations
         // Add different case variations
-        usernames.add(fullUsername.toLowerCase());
-        usernames.add(fullUsername.toUpperCase());
-        usernames.add(capitalizeFirst(fullUsername));
-        usernames.add(fullUsername); // Original case
-    } else {
-        usernames.add(fullUsername.toLowerCase());
+        ? [fullUsername.toLowerCase(), fullUsername.toUpperCase(), capitalizeFirst(fullUsername), fullUsername]
+        : [fullUsername.toLowerCase()];
+    
+    // Rule packs multiply quickly; patterns are added best first, so the cap drops the least likely
+    for (const variant of variants) {
+        if (usernames.size >= MAX_VARIATIONS) return;
+        usernames.add(variant);
     }
 }
 
@@ -300,15 +632,29 @@ function formatUsernameResponse(usernames, firstName, lastName) {
  * @param {Array<string>} usernames - Generated usernames
  * @param {string} firstName - First name used
  * @param {string} lastName - Last name used
+ * @param {Object} [rules] - Rule packs used, listed in the header
  * @returns {AttachmentBuilder} Discord attachment
  */
-function createUsernameAttachment(usernames, firstName, lastName) {
+function createUsernameAttachment(usernames, firstName, lastName, rules = {}) {
     const timestamp = new Date().toISOString();
     
     let content = `# Username Variations for ${firstName} ${lastName}\n`;
     content += `# Generated: ${timestamp}\n`;
     content += `# Total Variations: ${usernames.length}\n`;
+    if (usernames.length >= MAX_VARIATIONS) {
+        content += `# Capped at ${MAX_VARIATIONS} variations (least likely rule-pack forms dropped)\n`;
+    }
     content += `# \n`;
+    
+    const activeRules = describeRules(rules);
+    if (activeRules.length > 0) {
+        content += `# Rule packs:\n`;
+        activeRules.forEach(({ name, description }) => {
+            content += `# - ${name}: ${description}\n`;
+        });
+        content += `# \n`;
+    }
+
     content += `# Use these usernames for:\n`;
     content += `# - Social media searches\n`;
     content += `# - Email enumeration\n`;
@@ -328,3 +674,5 @@ function createUsernameAttachment(usernames, firstName, lastName) {
         { name: `usernames_${firstName}_${lastName}_${Date.now()}.txt` }
     );
 }
+
+module.exports._internal = { generateUsernames, rankUsernames, formatScanResponse, createUsernameAttachment, scanTimeout };
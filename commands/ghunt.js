@@ -14,6 +14,7 @@
 
 const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, MessageFlags } = require('discord.js');
 const { safeSpawn } = require('../utils/process');
+const { runJob, jobErrorMessage } = require('../utils/jobs');
 const { isValidEmail, isValidUrl } = require('../utils/validation');
 const { capField, escapeHtml } = require('../utils/embed');
 const fs = require('fs');
@@ -508,7 +509,7 @@ module.exports = {
         }
 
         try {
-            await safeSpawn('ghunt', ghuntArgs, { timeout: 120000 });
+            await runJob(interaction, `ghunt ${searchType}`, () => safeSpawn('ghunt', ghuntArgs, { timeout: 120000 }));
 
             if (fs.existsSync(outputFilePath)) {
                 const attachment = new AttachmentBuilder(outputFilePath, {
@@ -562,6 +563,12 @@ module.exports = {
         } catch (error) {
             console.error(`[GHUNT] Execution error: ${error.message}`);
 
+            const jobMessage = jobErrorMessage(error);
+            if (jobMessage) {
+                await interaction.editReply({ content: jobMessage, embeds: [] });
+                return;
+            }
+
             // Detect expired/invalid credentials from GHunt stderr
             const errMsg = String(error.message || '');
             const isAuthError = errMsg.includes('credentials') ||
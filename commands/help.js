@@ -2,9 +2,12 @@
  * File: help.js
  * Description: Lists all registered slash commands with descriptions
  * Author: gl0bal01
+ *
+ * Context-menu commands have no slash form; they are listed as `Apps › Name`
+ * with the `description` their module exports.
  */
 
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, ContextMenuCommandBuilder, EmbedBuilder } = require('discord.js');
 const { RESTRICTED_COMMANDS } = require('../utils/permissions');
 const { DESCRIPTION_LIMIT } = require('../utils/embed');
 
@@ -15,14 +18,18 @@ module.exports = {
 
     async execute(interaction) {
         const commands = [...interaction.client.commands.values()]
-            .map(cmd => ({
-                name: cmd.data.name,
-                description: cmd.data.description ?? '',
-                restricted: Object.prototype.hasOwnProperty.call(RESTRICTED_COMMANDS, cmd.data.name)
-            }))
+            .map(cmd => {
+                const contextMenu = cmd.data instanceof ContextMenuCommandBuilder;
+                return {
+                    name: cmd.data.name,
+                    label: contextMenu ? `Apps › ${cmd.data.name}` : `/${cmd.data.name}`,
+                    description: (contextMenu ? cmd.description : cmd.data.description) ?? '',
+                    restricted: Object.prototype.hasOwnProperty.call(RESTRICTED_COMMANDS, cmd.data.name)
+                };
+            })
             .sort((a, b) => a.name.localeCompare(b.name));
 
-        const lines = commands.map(c => `${c.restricted ? '🔒 ' : ''}\`/${c.name}\` — ${c.description}`);
+        const lines = commands.map(c => `${c.restricted ? '🔒 ' : ''}\`${c.label}\` — ${c.description}`);
 
         const embeds = [];
         let buffer = '';
@@ -5,6 +5,8 @@
  * 
  * This command interfaces with the host.io API to retrieve comprehensive domain
  * information and related domains based on various criteria.
+ *
+ * Lookups are cached (utils/response-cache.js); `fresh:true` refetches.
  */
 
 const { SlashCommandBuilder, AttachmentBuilder } = require('discord.js');
@@ -15,6 +17,7 @@ const { isValidDomain } = require('../utils/validation');
 const { getSafeAxiosConfig } = require('../utils/ssrf');
 const { reportFilePath, cleanupFile } = require('../utils/temp');
 const { archiveReport } = require('../utils/reports');
+const { cachedFetch, cacheNote } = require('../utils/response-cache');
 
 // Available field types for search by field subcommand
 const FIELD_TYPES = [
@@ -26,6 +29,12 @@ const FIELD_TYPES = [
     { name: 'ASN', value: 'asn', description: 'Find domains by Autonomous System Number' }
 ];
 
+// Shared by every subcommand
+const freshOption = option =>
+    option.setName('fresh')
+        .setDescription('Bypass the response cache and query host.io again')
+        .setRequired(false);
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('bob-hostio')
@@ -37,7 +46,8 @@ module.exports = {
                 .addStringOption(option =>
                     option.setName('domain')
                         .setDescription('The domain to look up')
-                        .setRequired(true)))
+                        .setRequired(true))
+                .addBooleanOption(freshOption))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('domains')
@@ -54,7 +64,8 @@ module.exports = {
                 .addIntegerOption(option =>
                     option.setName('limit')
                         .setDescription('Limit the number of domains returned (default: 100)')
-                        .setRequired(false)))
+                        .setRequired(false))
+                .addBooleanOption(freshOption))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('related')
@@ -66,7 +77,8 @@ module.exports = {
                 .addIntegerOption(option =>
                     option.setName('limit')
                         .setDescription('Limit the number of domains returned (default: 100)')
-                        .setRequired(false))),
+                        .setRequired(false))
+                .addBooleanOption(freshOption)),
     
     async execute(interaction) {
         // Defer the reply as API requests may take time
@@ -89,6 +101,7 @@ module.exports = {
             
             const subcommand = interaction.options.getSubcommand();
             let apiResponse = null;
+            let cacheResult = null;
             let endpoint = '';
             let params = { token };
             let filename = '';
@@ -145,16 +158,19 @@ module.exports = {
             }
             
             try {
-                // Make API request
-                const response = await axios.get(endpoint, {
-                    params,
-                    timeout: 15000,  // 15 second timeout
-                    maxContentLength: 10 * 1024 * 1024,
-                    maxBodyLength: 10 * 1024 * 1024,
-                    ...getSafeAxiosConfig()
-                });
+                // Make API request (or reuse a recent answer; the token is not part of the key)
+                cacheResult = await cachedFetch('hostio', { endpoint, limit: params.limit }, async () => {
+                    const response = await axios.get(endpoint, {
+                        params,
+                        timeout: 15000,  // 15 second timeout
+                        maxContentLength: 10 * 1024 * 1024,
+                        maxBodyLength: 10 * 1024 * 1024,
+                        ...getSafeAxiosConfig()
+                    });
+                    return response.data;
+                }, { fresh: interaction.options.getBoolean('fresh') ?? false });
                 
-                apiResponse = response.data;
+                apiResponse = cacheResult.value;
             } catch (apiError) {
                 return handleApiError(apiError, interaction);
             }
@@ -200,6 +216,9 @@ module.exports = {
                 summaryMessage = `Found ${domainCount} domains related to "${domain}"`;
             }
             
+            const note = cacheNote(cacheResult);
+            if (note) summaryMessage += `\n-# ${note}`;
+            
             // Send the result
             await interaction.editReply({
                 content: `${summaryMessage}\nRequest ID: ${requestId}`,
@@ -0,0 +1,109 @@
+/**
+ * File: indicators.js
+ * Description: Search the indicator store — where has this email, domain, IP,
+ * URL or crypto address been seen before?
+ * Author: gl0bal01
+ *
+ * Every routed command's options and replies are scanned for indicators
+ * (see utils/indicators.js). This command looks them up within the current
+ * server: which commands saw them, as input or in their results, when, by
+ * whom, in which channel and case.
+ * Sightings from invocations that needed a permission (e.g. /bob-nuclei) are
+ * only listed for members who hold it and may run that command.
+ *
+ * Subcommands:
+ * - search: indicators whose value contains the query (exact matches first)
+ *
+ * Usage: /bob-indicators search query:example.com type:domain
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { searchIndicators, INDICATOR_TYPES } = require('../utils/indicators');
+const { toolAllowed, holdsPermission } = require('../utils/permissions');
+const { sanitizeInput } = require('../utils/validation');
+const { capField, DESCRIPTION_LIMIT } = require('../utils/embed');
+
+const MIN_QUERY_LENGTH = 3;
+const RESULT_LIMIT = 10;
+
+function timestamp(iso) {
+    return `<t:${Math.floor(Date.parse(iso) / 1000)}:R>`;
+}
+
+function formatSighting(entry) {
+    const cmd = entry.subcommand ? `/${entry.command} ${entry.subcommand}` : `/${entry.command}`;
+    const where = entry.channelId ? ` in <#${entry.channelId}>` : '';
+    const inCase = entry.caseId ? ` (\`${entry.caseId}\`)` : '';
+    return `${cmd} ${entry.role} — <@${entry.userId}>${where}${inCase} ${timestamp(entry.ts)}`;
+}
+
+function formatResult(result) {
+    const commands = Object.entries(result.commands)
+        .sort((a, b) => b[1] - a[1])
+        .map(([command, count]) => `/${command} ×${count}`)
+        .join(', ');
+    const lines = [
+        `**${result.type}** \`${result.value}\` — ${result.count} sighting${result.count === 1 ? '' : 's'}, first ${timestamp(result.firstSeen)}`,
+        `↳ ${commands}`,
+        ...result.recent.slice(0, 3).map(entry => `↳ ${formatSighting(entry)}`),
+    ];
+    return lines.join('\n');
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bob-indicators')
+        .setDescription('Search emails, domains, IPs, URLs and crypto addresses seen by earlier commands')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('search')
+                .setDescription('Where have we seen this before?')
+                .addStringOption(option =>
+                    option.setName('query')
+                        .setDescription('Indicator or part of one (e.g. example.com, 203.0.113.7)')
+                        .setRequired(true)
+                        .setMinLength(MIN_QUERY_LENGTH)
+                        .setMaxLength(200))
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('Only this kind of indicator')
+                        .setRequired(false)
+                        .addChoices(...INDICATOR_TYPES.map(type => ({ name: type, value: type }))))),
+
+    async execute(interaction) {
+        const query = sanitizeInput(interaction.options.getString('query'));
+        const type = interaction.options.getString('type');
+        if (query.length < MIN_QUERY_LENGTH) {
+            return interaction.reply({ content: `❌ The query must be at least ${MIN_QUERY_LENGTH} characters.`, flags: MessageFlags.Ephemeral });
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        let found;
+        try {
+            found = await searchIndicators(query, {
+                guildId: interaction.guildId ?? null,
+                userId: interaction.user.id,
+                type,
+                limit: RESULT_LIMIT,
+                // Sightings from restricted invocations: only for members who could run them.
+                canSee: (entry) => holdsPermission(interaction, entry.permission) && toolAllowed(interaction, entry.command),
+            });
+        } catch (error) {
+            console.error(`❌ [INDICATORS] Search failed: ${error.message}`);
+            return interaction.editReply({ content: '❌ The indicator store could not be searched. Check the bot logs.' });
+        }
+
+        const { results, total } = found;
+        const more = total > results.length ? `\n\n… and ${total - results.length} more matching indicators. Narrow the query or set a type.` : '';
+        const embed = new EmbedBuilder()
+            .setColor(results.length ? 0x3498db : 0x95a5a6)
+            .setTitle(`🔎 Indicators matching "${query}"`)
+            .setDescription(capField(results.length
+                ? results.map(formatResult).join('\n\n') + more
+                : 'Not seen in this server yet.', DESCRIPTION_LIMIT))
+            .setFooter({ text: `${total} indicator${total === 1 ? '' : 's'}${type ? ` of type ${type}` : ''}` });
+        return interaction.editReply({ embeds: [embed] });
+    },
+};
+
+module.exports._internal = { formatResult, formatSighting };
@@ -0,0 +1,81 @@
+/**
+ * File: jobs.js
+ * Description: List and cancel queued or running heavy scans
+ * Author: gl0bal01
+ *
+ * Heavy commands (Sherlock, Maigret, Nuclei, ...) run through a bounded
+ * worker queue (see utils/jobs.js). This command shows what is running or
+ * waiting in the current server and lets a user abort their own scan.
+ *
+ * Subcommands:
+ * - list: running and queued jobs in this server
+ * - cancel: cancel one of your own jobs (default: your most recent)
+ *
+ * Usage: /bob-jobs cancel id:1a2b3c4d
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { listJobs, cancelJob, cancelAllJobs, formatDuration } = require('../utils/jobs');
+const { capField, DESCRIPTION_LIMIT } = require('../utils/embed');
+
+function formatJob(job, now = Date.now()) {
+    const status = job.state === 'running'
+        ? `▶️ running for ${formatDuration(now - job.startedAt)}`
+        : `⏳ queued #${job.position} (waiting ${formatDuration(now - job.enqueuedAt)})`;
+    return `\`${job.id}\` **${job.label}** — <@${job.userId}> — ${status}`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bob-jobs')
+        .setDescription('List or cancel queued and running heavy scans')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show running and queued scans in this server'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('cancel')
+                .setDescription('Cancel one of your scans')
+                .addStringOption(option =>
+                    option.setName('id')
+                        .setDescription('Job id from /bob-jobs list (default: your most recent scan)')
+                        .setRequired(false)
+                        .setMaxLength(16))),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'cancel') {
+            const id = interaction.options.getString('id')?.trim().toLowerCase() || null;
+            const result = cancelJob(interaction.user.id, id);
+            if (!result.ok) {
+                const content = result.reason === 'not_owner'
+                    ? '❌ You can only cancel your own scans.'
+                    : id ? `❌ No running or queued scan with id \`${id}\`.` : '❌ You have no running or queued scans.';
+                return interaction.reply({ content, flags: MessageFlags.Ephemeral });
+            }
+            const { job } = result;
+            console.log(`🛑 [JOBS] ${interaction.user.tag} cancelled ${job.id} (${job.label}, ${job.state})`);
+            return interaction.reply({
+                content: `🛑 Cancelled \`${job.id}\` **${job.label}** (${job.state === 'running' ? 'stopping the running scan' : 'removed from the queue'}).`,
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        const jobs = listJobs({ guildId: interaction.guildId ?? null });
+        const running = jobs.filter(job => job.state === 'running');
+        const queued = jobs.filter(job => job.state === 'queued');
+        const lines = [...running, ...queued].map(job => formatJob(job));
+        const embed = new EmbedBuilder()
+            .setColor(0x3498db)
+            .setTitle('🧵 Scan queue')
+            .setDescription(capField(lines.length ? lines.join('\n') : 'No scans running or queued.', DESCRIPTION_LIMIT))
+            .setFooter({ text: `${running.length} running, ${queued.length} queued` });
+        return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    },
+
+    shutdown() { cancelAllJobs(); },
+};
+
+module.exports._internal = { formatJob };
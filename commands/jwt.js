@@ -37,6 +37,7 @@
 
 const { SlashCommandBuilder, AttachmentBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
 const { safeSpawn, safeSpawnToFile } = require('../utils/process');
+const { runJob, jobErrorMessage, JOB_CANCELLED } = require('../utils/jobs');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
@@ -102,6 +103,7 @@ const executeJwtCommand = async (cmd, args, outputFile, spawnOptions = {}) => {
     try {
         await safeSpawnToFile(cmd, args, outputFile, { timeout: CONFIG.COMMAND_TIMEOUT, ...spawnOptions });
     } catch (error) {
+        if (error.code === JOB_CANCELLED) throw error;
         const fsSync = require('fs');
         if (!fsSync.existsSync(outputFile) || fsSync.statSync(outputFile).size === 0) {
             throw new Error(`No output generated. Command failed: ${error.message}`);
@@ -329,7 +331,8 @@ module.exports = {
             await interaction.editReply({ embeds: [progressEmbed] });
 
             // Execute command using safe spawn (no shell interpolation)
-            await executeJwtCommand(jwtToolCmd, jwtArgs, outputFile, spawnOptions);
+            await runJob(interaction, `jwt ${subcommand}`,
+                () => executeJwtCommand(jwtToolCmd, jwtArgs, outputFile, spawnOptions));
 
             // Read and process output
             const outputContent = await fs.readFile(outputFile, 'utf8');
@@ -376,7 +379,10 @@ module.exports = {
             let errorMessage = 'An unexpected error occurred while processing your request.';
             let errorColor = 0xFF0000;
 
-            if (error.message.includes('timeout')) {
+            const jobMessage = jobErrorMessage(error);
+            if (jobMessage) {
+                errorMessage = jobMessage;
+            } else if (error.message.includes('timeout')) {
                 errorMessage = '⏱️ Operation timed out. Complex operations may require more time.';
             } else if (error.message.includes('jwt_tool not found')) {
                 errorMessage = '🚫 JWT tool not found. Please check the installation and configuration.';
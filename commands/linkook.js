@@ -10,7 +10,8 @@
  */
 
 const { SlashCommandBuilder, AttachmentBuilder } = require('discord.js');
-const { safeSpawn } = require('../utils/process');
+const { executeLinkookScan } = require('../utils/username-scanners');
+const { runJob, jobErrorMessage } = require('../utils/jobs');
 const fs = require('fs');
 const path = require('path');
 const { reportDirPath, cleanupDir } = require('../utils/temp');
@@ -50,24 +51,17 @@ module.exports = {
             // Create a unique output directory for this run under temp/reports/
             const outputDir = reportDirPath('linkook');
             
-            // Build command arguments
-            const args = [
-                sanitizedUsername,
-                '--scan-all',
-                '--output', outputDir
-            ];
-            
             // Send initial progress message
             await interaction.editReply(`Running Linkook search for username: ${sanitizedUsername}...\nThis may take a moment while scanning multiple platforms.`);
             
             // Execute Linkook and handle results
-            await runLinkook(args, interaction, outputDir, sanitizedUsername, rawMode);
+            await runLinkook(interaction, outputDir, sanitizedUsername, rawMode);
             
         } catch (error) {
             console.error('Linkook error:', error);
-            const errorMsg = error.message.includes('ENOENT') || error.message.includes('Failed to start process')
+            const errorMsg = jobErrorMessage(error) ?? (error.message.includes('ENOENT') || error.message.includes('Failed to start process')
                 ? 'Linkook is not installed or not found in PATH. Please contact the administrator.'
-                : 'An error occurred while processing your request. Please try again later.';
+                : 'An error occurred while processing your request. Please try again later.');
             await interaction.editReply(errorMsg);
         }
     },
@@ -75,18 +69,15 @@ module.exports = {
 
 /**
  * Run the Linkook command and handle its output
- * @param {string[]} args - Command arguments
  * @param {Object} interaction - Discord interaction
  * @param {string} outputDir - Path to the output directory
  * @param {string} username - Username being searched
  * @param {boolean} rawMode - Whether to return raw result files
  */
-async function runLinkook(args, interaction, outputDir, username, rawMode) {
+async function runLinkook(interaction, outputDir, username, rawMode) {
     try {
-        // Use safeSpawn for safe env and buffer limits
-        const { stdout, stderr, code } = await safeSpawn('linkook', args, {
-            timeout: 180000 // 3 minute timeout
-        });
+        const { stdout, stderr, code } = await runJob(interaction, `linkook ${username}`,
+            () => executeLinkookScan(username, outputDir));
 
         // Extract found sites from stdout
         const foundSites = [];
@@ -6,7 +6,9 @@
  * A discord wrapper around https://github.com/soxoj/maigret
  */
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { safeSpawnToFile } = require('../utils/process');
+const { executeMaigretScan } = require('../utils/username-scanners');
+const { runJob, jobErrorMessage } = require('../utils/jobs');
+const { createScanProgress, parsePlusHit } = require('../utils/scan-progress');
 const { isValidUsername } = require('../utils/validation');
 const fs = require('fs').promises;
 const { reportFilePath, cleanupFile } = require('../utils/temp');
@@ -49,15 +51,19 @@ module.exports = {
         
         try {
             
-            const maigretPath = process.env.MAIGRET_PATH || 'maigret';
-            const args = [username, '-a', '--no-progressbar', '--txt'];
-            if (verbose) args.push('--verbose');
+            const status = `🔍 Starting OSINT scan for username: \`${username}\`\nThis may take a few moments...`;
+            await interaction.editReply(status);
 
-            await interaction.editReply(`🔍 Starting OSINT scan for username: \`${username}\`\nThis may take a few moments...`);
-
-            await safeSpawnToFile(maigretPath, args, outputFile, {
-                timeout: customTimeout * 1000
-            });
+            const progress = createScanProgress(interaction, { header: status, parseHit: parsePlusHit });
+            try {
+                await runJob(interaction, `maigret ${username}`, () => executeMaigretScan(username, outputFile, {
+                    timeout: customTimeout,
+                    verbose,
+                    onLine: progress.onLine
+                }));
+            } finally {
+                await progress.stop();
+            }
             
             // Read output file content
             let fileContent;
@@ -117,6 +123,12 @@ module.exports = {
         } catch (error) {
             console.error(`Maigret scan error: ${error.message}`);
 
+            const jobMessage = jobErrorMessage(error);
+            if (jobMessage) {
+                await interaction.editReply({ content: jobMessage });
+                return;
+            }
+
             const errorDetail = error.message.includes('ENOENT') || error.message.includes('Failed to start process')
                 ? 'Maigret is not installed or not found in PATH. Please contact the administrator.'
                 : 'An unexpected error occurred. Check server logs for details.';
@@ -2,24 +2,132 @@
  * Discord Slash Command: /bob-monitor
  *
  * Polls user-supplied URLs at fixed intervals and posts a Discord
- * notification to MONITOR_CHANNEL_ID when the page body hash changes.
+ * notification when the page's visible text changes. Each monitor routes its
+ * alerts to its own channel or thread (the `channel` option, defaulting to
+ * the invoking channel); MONITOR_CHANNEL_ID is only the fallback for monitors
+ * persisted before per-monitor routing existed.
+ *
+ * Monitors are scoped to the guild that created them: the same URL can be
+ * watched independently by two guilds, and stop/stopall/list only see the
+ * current guild's monitors.
+ *
+ * Each check reduces the page to visible text (utils/html-text.js), minus any
+ * noisy regions the user excluded with `ignore-selector` / `ignore-regex`,
+ * and compares it with the previous snapshot. Alerts carry a unified diff of
+ * the text (embed preview + full .diff attachment) instead of a bare
+ * "something changed".
+ *
+ * Monitors are persisted to the `monitors` store (utils/datastore.js) and
+ * re-armed on boot via `restore()`, so deploys and crashes no longer drop
+ * every watch. Caps are enforced against the persisted set.
  *
  * Subcommands: start, stop, stopall, list.
  *
  * Author: gl0bal01
  */
 
-const { SlashCommandBuilder, MessageFlags, PermissionFlagsBits } = require('discord.js');
+const { SlashCommandBuilder, MessageFlags, PermissionFlagsBits, EmbedBuilder, AttachmentBuilder, ChannelType } = require('discord.js');
 const axios = require('axios');
 const crypto = require('crypto');
 const { validateUrlNotInternal, getSafeAxiosConfig, SIZE_5MB } = require('../utils/ssrf');
+const { readStore, writeStore, deleteStore } = require('../utils/datastore');
+const { extractVisibleText, compileIgnorePattern, validateIgnoreSelector } = require('../utils/html-text');
+const { createUnifiedDiff } = require('../utils/textdiff');
+const { DESCRIPTION_LIMIT } = require('../utils/embed');
 
 const MONITOR_CHANNEL_ID = process.env.MONITOR_CHANNEL_ID;
+const STORE_NAME = 'monitors';
 
-// One entry per URL: { hash, userId, timer }
+// One entry per (guild, URL), see monitorKey():
+// { url, guildId, channelId, interval, userId, hash, lastChecked, createdAt, ignoreSelector, ignoreRegex, timer }
 const monitors = new Map();
 const MAX_MONITORS = 20;
 const MAX_MONITORS_PER_USER = 3;
+// Snapshots are stored per monitor; cap them so one huge page can't bloat DATA_DIR.
+const MAX_SNAPSHOT_CHARS = 512 * 1024;
+
+const ALERT_CHANNEL_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildAnnouncement,
+    ChannelType.PublicThread,
+    ChannelType.PrivateThread,
+    ChannelType.AnnouncementThread,
+];
+
+// Monitors persisted before guild scoping have no guildId; their key is the
+// bare URL so their existing snapshot store still matches until restore()
+// assigns them to a guild.
+function monitorKey(guildId, url) {
+    return guildId ? `${guildId}|${url}` : url;
+}
+
+// A monitor without a guild (legacy, not yet assigned) is visible nowhere.
+function inGuild(entry, guildId) {
+    return Boolean(entry.guildId) && entry.guildId === guildId;
+}
+
+function canSendAlerts(channel, user) {
+    const perms = channel?.permissionsFor?.(user);
+    if (!perms) return false;
+    const flag = channel.isThread?.() ? PermissionFlagsBits.SendMessagesInThreads : PermissionFlagsBits.SendMessages;
+    return perms.has(flag);
+}
+
+// Everything except the live timer handle is persisted.
+function serializeMonitors() {
+    return Array.from(monitors.values(), m => ({
+        url: m.url,
+        guildId: m.guildId,
+        channelId: m.channelId,
+        interval: m.interval,
+        userId: m.userId,
+        hash: m.hash,
+        lastChecked: m.lastChecked,
+        createdAt: m.createdAt,
+        ignoreSelector: m.ignoreSelector,
+        ignoreRegex: m.ignoreRegex,
+    }));
+}
+
+function persistMonitors() {
+    return writeStore(STORE_NAME, { version: 1, monitors: serializeMonitors() });
+}
+
+// Load the persisted set synchronously at require time so the caps in `start`
+// already count restored monitors before the client is ready to re-arm them.
+function loadMonitors() {
+    const stored = readStore(STORE_NAME, { version: 1, monitors: [] });
+    const list = Array.isArray(stored?.monitors) ? stored.monitors : [];
+    for (const m of list) {
+        if (!m || typeof m.url !== 'string') continue;
+        const key = monitorKey(m.guildId, m.url);
+        if (monitors.has(key)) continue;
+        if (monitors.size >= MAX_MONITORS) break;
+        const interval = Number(m.interval);
+        if (!Number.isInteger(interval) || interval < 1) continue;
+        monitors.set(key, {
+            url: m.url,
+            guildId: m.guildId || null,
+            channelId: m.channelId || null,
+            interval,
+            userId: String(m.userId || ''),
+            hash: typeof m.hash === 'string' ? m.hash : null,
+            lastChecked: m.lastChecked || null,
+            createdAt: m.createdAt || null,
+            ignoreSelector: m.ignoreSelector || null,
+            ignoreRegex: m.ignoreRegex || null,
+            timer: null,
+        });
+    }
+}
+
+loadMonitors();
+
+// Previous visible-text snapshot lives in its own store, keyed by a digest of
+// the monitor key (URLs are not filesystem-safe and may collide once sanitized).
+function snapshotStoreName(key) {
+    return `monitor-snapshot_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 24)}`;
+}
 
 function hashContent(content) {
     const buf = typeof content === 'string' || Buffer.isBuffer(content)
@@ -28,7 +136,58 @@ function hashContent(content) {
     return crypto.createHash('md5').update(buf).digest('hex');
 }
 
-async function checkWebsite(url, client) {
+function buildChangeAlert(url, diff) {
+    // Keep the diff from closing our code fence early.
+    const preview = diff.text.replace(/```/g, '`\u200b``');
+    const fence = (body) => `\`\`\`diff\n${body}\n\`\`\``;
+    const room = DESCRIPTION_LIMIT - fence('').length - 32;
+    const description = preview.length > room
+        ? fence(`${preview.slice(0, room)}\n… (truncated, see attachment)`)
+        : fence(preview);
+
+    const embed = new EmbedBuilder()
+        .setColor(0xf1c40f)
+        .setTitle('Change detected')
+        .setURL(url)
+        .setDescription(description)
+        .addFields(
+            { name: 'Lines added', value: String(diff.added), inline: true },
+            { name: 'Lines removed', value: String(diff.removed), inline: true }
+        )
+        .setTimestamp();
+    const attachment = new AttachmentBuilder(Buffer.from(diff.text, 'utf8'), { name: 'changes.diff' });
+    return { content: `Changes detected on ${url}`, embeds: [embed], files: [attachment] };
+}
+
+// Give each legacy monitor the guild that owns its alert channel, moving it
+// and its snapshot to the guild-scoped key. One whose channel cannot be
+// resolved stays unassigned: hidden from every guild and not checked.
+async function assignLegacyMonitors(client) {
+    let changed = false;
+    for (const [key, entry] of Array.from(monitors)) {
+        if (entry.guildId) continue;
+        const channelId = entry.channelId || MONITOR_CHANNEL_ID;
+        const channel = channelId ? await client.channels.fetch(channelId).catch(() => null) : null;
+        if (!channel?.guildId) {
+            console.error('Legacy monitor left unassigned: its alert channel could not be resolved', { url: entry.url, channelId });
+            continue;
+        }
+        const guildKey = monitorKey(channel.guildId, entry.url);
+        monitors.delete(key);
+        changed = true;
+        if (!monitors.has(guildKey)) {
+            monitors.set(guildKey, { ...entry, guildId: channel.guildId, channelId: channel.id });
+            const snapshot = readStore(snapshotStoreName(key), null);
+            if (snapshot) writeStore(snapshotStoreName(guildKey), snapshot);
+        }
+        deleteStore(snapshotStoreName(key));
+    }
+    if (changed) persistMonitors();
+}
+
+async function checkWebsite(key, client) {
+    const url = monitors.get(key)?.url;
+    if (!url) return;
     try {
         await validateUrlNotInternal(url);
         const response = await axios.get(url, {
@@ -38,19 +197,43 @@ async function checkWebsite(url, client) {
             maxContentLength: SIZE_5MB,
             maxBodyLength: SIZE_5MB,
         });
-        const entry = monitors.get(url);
+        const entry = monitors.get(key);
         if (!entry) return;
-        const newHash = hashContent(response.data);
-        if (entry.hash !== null && entry.hash !== newHash) {
-            const channel = await client.channels.fetch(MONITOR_CHANNEL_ID);
-            if (channel && channel.permissionsFor(client.user).has(PermissionFlagsBits.SendMessages)) {
-                await channel.send(`Changes detected on ${url}`);
-            } else {
-                console.error('Missing permissions to send messages in monitoring channel');
+        entry.lastChecked = new Date().toISOString();
+
+        const text = extractVisibleText(response.data, {
+            contentType: response.headers?.['content-type'],
+            ignoreSelector: entry.ignoreSelector,
+            ignorePattern: compileIgnorePattern(entry.ignoreRegex),
+        }).slice(0, MAX_SNAPSHOT_CHARS);
+        const newHash = hashContent(text);
+
+        // No snapshot yet (new monitor, or one persisted before snapshots
+        // existed): record a baseline without alerting.
+        const snapshotName = snapshotStoreName(key);
+        const previous = readStore(snapshotName, null);
+        if (previous && typeof previous.text === 'string' && previous.hash !== newHash) {
+            const diff = createUnifiedDiff(previous.text, text, { oldLabel: previous.capturedAt || 'previous', newLabel: entry.lastChecked });
+            if (diff.text) {
+                const channelId = entry.channelId || MONITOR_CHANNEL_ID;
+                const channel = channelId ? await client.channels.fetch(channelId).catch(() => null) : null;
+                if (canSendAlerts(channel, client.user)) {
+                    await channel.send(buildChangeAlert(url, diff));
+                } else {
+                    console.error('Missing permissions to send messages in monitoring channel', { channelId });
+                }
             }
         }
+        if (!previous || previous.hash !== newHash) {
+            writeStore(snapshotName, { url, hash: newHash, capturedAt: entry.lastChecked, text });
+        }
         entry.hash = newHash;
+        persistMonitors();
     } catch (error) {
+        if (error.code === 'EPATTERNTIMEOUT') {
+            console.error('Monitor ignore-regex timed out, check skipped:', { url });
+            return;
+        }
         console.error('Error checking website:', { status: error.response?.status, message: error.message });
     }
 }
@@ -71,7 +254,22 @@ module.exports = {
                     option.setName('interval')
                         .setDescription('Check interval in minutes')
                         .setRequired(true)
-                        .setMinValue(1)))
+                        .setMinValue(1))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel or thread for alerts (default: this channel)')
+                        .setRequired(false)
+                        .addChannelTypes(...ALERT_CHANNEL_TYPES))
+                .addStringOption(option =>
+                    option.setName('ignore-selector')
+                        .setDescription('CSS selector of noisy regions to ignore (e.g. ".timestamp, #ads")')
+                        .setRequired(false)
+                        .setMaxLength(200))
+                .addStringOption(option =>
+                    option.setName('ignore-regex')
+                        .setDescription('Regex blanked from each text line before comparing (e.g. "\\d+ views")')
+                        .setRequired(false)
+                        .setMaxLength(200)))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('stop')
@@ -91,22 +289,35 @@ module.exports = {
     async execute(interaction) {
         await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
-        if (!MONITOR_CHANNEL_ID) {
-            return interaction.editReply({ content: 'Monitoring is not configured: MONITOR_CHANNEL_ID is unset.' });
-        }
-
         const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guildId ?? null;
 
         switch (subcommand) {
             case 'start': {
                 const url = interaction.options.getString('url');
                 const interval = interaction.options.getInteger('interval');
                 const userId = interaction.user.id;
+                const channelId = interaction.options.getChannel('channel')?.id ?? interaction.channelId;
+                const key = monitorKey(guildId, url);
+
+                if (!channelId) {
+                    return interaction.editReply({ content: 'Run this command in a server channel or pass a `channel`.' });
+                }
+
+                let ignoreSelector;
+                let ignoreRegex;
+                try {
+                    ignoreSelector = validateIgnoreSelector(interaction.options.getString('ignore-selector'));
+                    ignoreRegex = interaction.options.getString('ignore-regex') || null;
+                    compileIgnorePattern(ignoreRegex);
+                } catch {
+                    return interaction.editReply({ content: 'Invalid ignore rule. Selectors must be valid CSS; regexes must be valid, at most 200 characters with at most 6 quantifiers, and may not repeat a group that contains a quantifier, `|` or a backreference, or put two repeats that match the same characters side by side (`\\w+\\d+`).' });
+                }
 
                 // All gating checks must be synchronous and complete BEFORE
                 // any await, so two concurrent invocations cannot both pass
                 // the same check and double-claim a slot.
-                if (monitors.has(url)) {
+                if (monitors.has(key)) {
                     return interaction.editReply(`Already monitoring ${url}`);
                 }
                 if (monitors.size >= MAX_MONITORS) {
@@ -120,24 +331,35 @@ module.exports = {
                     return interaction.editReply({ content: `You have reached the per-user monitor limit (${MAX_MONITORS_PER_USER}). Stop one of your monitors first.` });
                 }
 
-                const entry = { hash: null, userId, timer: null };
-                monitors.set(url, entry);
+                const entry = { url, guildId, channelId, interval, userId, hash: null, lastChecked: null, createdAt: new Date().toISOString(), ignoreSelector, ignoreRegex, timer: null };
+                monitors.set(key, entry);
 
                 try {
                     await validateUrlNotInternal(url);
 
-                    const monitorChannel = await interaction.client.channels.fetch(MONITOR_CHANNEL_ID);
-                    if (!monitorChannel || !monitorChannel.permissionsFor(interaction.client.user).has(PermissionFlagsBits.SendMessages)) {
-                        monitors.delete(url);
+                    // The target must belong to this guild, the bot must be able
+                    // to post there, and the invoker must be able to see it —
+                    // otherwise alerts could be routed into another team's space.
+                    const monitorChannel = await interaction.client.channels.fetch(channelId).catch(() => null);
+                    if (!monitorChannel || (guildId && monitorChannel.guildId !== guildId)
+                        || !monitorChannel.permissionsFor(interaction.member ?? interaction.user)?.has(PermissionFlagsBits.ViewChannel)) {
+                        monitors.delete(key);
+                        return interaction.editReply({ content: 'That channel is not available for monitor alerts.' });
+                    }
+                    if (!canSendAlerts(monitorChannel, interaction.client.user)) {
+                        monitors.delete(key);
                         return interaction.editReply({ content: "I don't have permission to send messages in the monitoring channel." });
                     }
 
-                    entry.timer = setInterval(() => checkWebsite(url, interaction.client), interval * 60000);
-                    await checkWebsite(url, interaction.client);
-                    await interaction.editReply(`Started monitoring ${url} every ${interval} minutes. Results will be posted in <#${MONITOR_CHANNEL_ID}>`);
+                    if (!persistMonitors()) throw new Error('failed to persist monitor');
+                    entry.timer = setInterval(() => checkWebsite(key, interaction.client), interval * 60000);
+                    await checkWebsite(key, interaction.client);
+                    await interaction.editReply(`Started monitoring ${url} every ${interval} minutes. Results will be posted in <#${channelId}>`);
                 } catch (err) {
                     if (entry.timer) clearInterval(entry.timer);
-                    monitors.delete(url);
+                    monitors.delete(key);
+                    persistMonitors();
+                    deleteStore(snapshotStoreName(key));
                     console.error('Failed to start monitor:', { url, message: err.message });
                     return interaction.editReply({ content: 'The provided URL is not allowed or the monitor could not be started.' });
                 }
@@ -146,10 +368,13 @@ module.exports = {
 
             case 'stop': {
                 const stopUrl = interaction.options.getString('url');
-                const entry = monitors.get(stopUrl);
-                if (entry) {
+                const stopKey = monitorKey(guildId, stopUrl);
+                const entry = monitors.get(stopKey);
+                if (entry && inGuild(entry, guildId)) {
                     clearInterval(entry.timer);
-                    monitors.delete(stopUrl);
+                    monitors.delete(stopKey);
+                    persistMonitors();
+                    deleteStore(snapshotStoreName(stopKey));
                     await interaction.editReply(`Stopped monitoring ${stopUrl}`);
                 } else {
                     await interaction.editReply(`Not monitoring ${stopUrl}`);
@@ -158,22 +383,49 @@ module.exports = {
             }
 
             case 'stopall':
-                for (const entry of monitors.values()) clearInterval(entry.timer);
-                monitors.clear();
+                for (const [key, entry] of monitors) {
+                    if (!inGuild(entry, guildId)) continue;
+                    clearInterval(entry.timer);
+                    monitors.delete(key);
+                    deleteStore(snapshotStoreName(key));
+                }
+                persistMonitors();
                 await interaction.editReply('Stopped monitoring all websites');
                 break;
 
             case 'list': {
-                if (monitors.size === 0) {
+                const visible = Array.from(monitors.values()).filter(m => inGuild(m, guildId));
+                if (visible.length === 0) {
                     await interaction.editReply('No websites are currently being monitored');
                 } else {
-                    const urlList = Array.from(monitors.keys()).join('\n');
+                    const urlList = visible.map(m => {
+                        const dest = m.channelId || MONITOR_CHANNEL_ID;
+                        return `${m.url} → ${dest ? `<#${dest}>` : 'no channel'} (every ${m.interval} min, last checked ${m.lastChecked || 'never'}${m.ignoreSelector || m.ignoreRegex ? ', with ignore rules' : ''})`;
+                    }).join('\n');
                     await interaction.editReply(`Monitored websites:\n${urlList}`);
                 }
                 break;
             }
         }
     },
+    // Re-arm every persisted monitor. Called once from index.js on ClientReady.
+    // The first check compares against the persisted snapshot, so a change
+    // that happened while the bot was down still produces an alert.
+    async restore(client) {
+        await assignLegacyMonitors(client);
+        const keys = Array.from(monitors.keys()).filter(key => monitors.get(key).guildId);
+        let armed = 0;
+        for (const key of keys) {
+            const entry = monitors.get(key);
+            if (entry.timer) continue;
+            entry.timer = setInterval(() => checkWebsite(key, client), entry.interval * 60000);
+            armed++;
+        }
+        await Promise.all(keys.map(key => checkWebsite(key, client)));
+        return armed;
+    },
+    // Only clears the timers — the persisted set is left intact so the
+    // monitors come back on the next boot.
     shutdown() {
         for (const entry of monitors.values()) clearInterval(entry.timer);
         monitors.clear();
@@ -76,7 +76,9 @@
  */
 
 const { SlashCommandBuilder } = require('discord.js');
-const { safeSpawn } = require('../utils/process');
+const { executeNucleiScan, nucleiTemplatesPath } = require('../utils/username-scanners');
+const { runJob, jobErrorMessage } = require('../utils/jobs');
+const { createScanProgress, parseNucleiHit } = require('../utils/scan-progress');
 const { splitIntoChunks } = require('../utils/chunks');
 const { isValidUsername } = require('../utils/validation');
 const { archiveReport } = require('../utils/reports');
@@ -162,9 +164,7 @@ module.exports = {
                 tagsList = [...new Set([...tagsList, ...userTags])];
             }
             
-            // Construct Nuclei args array (no shell interpolation)
-            const nucleiBinary = process.env.NUCLEI_PATH || 'nuclei';
-            const templatesPath = process.env.NUCLEI_TEMPLATE_PATH || '/opt/nuclei-templates/http/osint/user-enumeration';
+            const templatesPath = nucleiTemplatesPath();
 
             // Preflight: if the templates path is missing, nuclei silently scans
             // nothing and the user just sees "No profiles found". Fail loudly instead.
@@ -178,27 +178,25 @@ module.exports = {
                 });
             }
 
-            const args = [
-                '-t', templatesPath,
-                '-tags', tagsList.join(','),
-                '-var', `user=${username}`,
-                '-o', outputFile,
-                '-disable-update-check',
-                verbose ? '-v' : '-silent'
-            ];
-
             // Send initial status message with scan parameters
-            await interaction.editReply({
-                content: `🔍 **Starting OSINT Username Enumeration**\n\n` +
+            const status = `🔍 **Starting OSINT Username Enumeration**\n\n` +
                         `**Target:** \`${username}\`\n` +
-                        `**Categories:** ${tagsList.join(', ')}\n` +
+                        `**Categories:** ${tagsList.join(', ').slice(0, 300)}\n` +
                         `**Timeout:** ${customTimeout} seconds\n` +
                         `**Mode:** ${verbose ? 'Verbose' : 'Silent'}\n\n` +
-                        `⏳ Scanning in progress... This may take several minutes.`
-            });
+                        `⏳ Scanning in progress... This may take several minutes.`;
+            await interaction.editReply({ content: status });
             
-            // Execute Nuclei scan using safe spawn (no shell interpolation)
-            const scanResult = await safeSpawn(nucleiBinary, args, { timeout: customTimeout * 1000 });
+            // Execute Nuclei scan using safe spawn (no shell interpolation),
+            // editing the reply with matches as Nuclei prints them
+            const progress = createScanProgress(interaction, { header: status, parseHit: parseNucleiHit });
+            let scanResult;
+            try {
+                scanResult = await runJob(interaction, `nuclei ${username}`,
+                    () => executeNucleiScan(username, outputFile, { timeout: customTimeout, tags: tagsList, verbose, onLine: progress.onLine }));
+            } finally {
+                await progress.stop();
+            }
             const scanStderr = (scanResult?.stderr || '').trim();
             if (scanStderr) console.warn(`[Nuclei] stderr for ${username}: ${scanStderr.slice(0, 2000)}`);
 
@@ -296,6 +294,12 @@ module.exports = {
         } catch (error) {
             // Comprehensive error handling with user-friendly messages
             console.error(`[Nuclei OSINT Error] ${error.message}`);
+
+            const jobMessage = jobErrorMessage(error);
+            if (jobMessage) {
+                await interaction.editReply({ content: jobMessage });
+                return;
+            }
             
             // Categorize error types for better user guidance
             let errorCategory = 'Unknown Error';
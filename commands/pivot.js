@@ -0,0 +1,53 @@
+/**
+ * File: pivot.js
+ * Description: "Pivot" message context-menu command — one-click follow-up
+ * lookups on the indicators in a bot result
+ * Author: gl0bal01
+ *
+ * Right-click a bot result → Apps → Pivot. The domains, emails and crypto
+ * addresses found in the message come back as buttons (see utils/pivot.js);
+ * pressing one runs the matching command as if it had been typed, with the
+ * same permission, rate-limit and quota checks.
+ *
+ * Usage: right-click a bot message → Apps → Pivot
+ */
+
+const { ContextMenuCommandBuilder, ApplicationCommandType, MessageFlags } = require('discord.js');
+const { pivotTargets, pivotComponents } = require('../utils/pivot');
+
+/**
+ * Reply body listing the indicators the buttons pivot on.
+ * @param {Array<{ type: string, value: string }>} indicators
+ */
+function formatTargets(indicators) {
+    const lines = indicators.map(({ type, value }) => `• **${type}** \`${value}\``);
+    return `🔀 **Pivot** — pick a lookup:\n${lines.join('\n')}`;
+}
+
+module.exports = {
+    data: new ContextMenuCommandBuilder()
+        .setName('Pivot')
+        .setType(ApplicationCommandType.Message),
+
+    description: 'Right-click a bot result → Apps → Pivot: DNS, host.io, recon, GHunt and address lookups on its indicators',
+
+    async execute(interaction) {
+        const message = interaction.targetMessage;
+        if (message.author?.id !== interaction.client.user?.id) {
+            return interaction.reply({ content: '❌ Pivot works on this bot\'s results only.', flags: MessageFlags.Ephemeral });
+        }
+
+        const indicators = pivotTargets(message);
+        if (indicators.length === 0) {
+            return interaction.reply({ content: 'No domains, emails or crypto addresses to pivot on in this message.', flags: MessageFlags.Ephemeral });
+        }
+
+        return interaction.reply({
+            content: formatTargets(indicators),
+            components: pivotComponents(indicators),
+            flags: MessageFlags.Ephemeral,
+        });
+    },
+};
+
+module.exports._internal = { formatTargets };
@@ -3,27 +3,32 @@
  * Description: Multi-source domain reconnaissance tool for Discord bots
  * Author: gl0bal01
  * 
- * This command performs web reconnaissance by providing direct link access to services on a given domain using:
- * - Certificate transparency search (CertSpotter, crt.sh)
- * - Historical snapshots via Wayback Machine
- * - VirusTotal domain reputation lookup
+ * This command performs web reconnaissance on a given domain using:
+ * - Subdomain inventory from certificate transparency (crt.sh, CertSpotter),
+ *   VirusTotal (VIRUSTOTAL_API_KEY) and the Wayback Machine, merged into one
+ *   deduplicated list and resolved live (utils/subdomains.js)
  * - Shodan favicon hashing and search
  * 
  * Features:
  * - Real-time progress tracking with visual indicators
- * - Rich embed generation with links and summaries
+ * - One subdomain list with the sources behind each name, its IPs and
+ *   wildcard-DNS flags; the full list is attached (CSV + JSON) and archived
  * - Automatic favicon extraction and MurmurHash computation
  * - Interactive buttons for streamlined navigation
  * - Temporary file handling and cleanup for favicon analysis
  * 
- * Usage: /bob-web-recon domain:example.com service:[all|certspotter|virustotal|crtsh|wayback|shodan]
+ * Source lookups are cached (utils/response-cache.js); `fresh:true` refetches.
+ *
+ * Usage: /bob-web-recon domain:example.com service:[all|certspotter|virustotal|crtsh|wayback|shodan] [fresh:true]
  */
 
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } = require('discord.js');
 const axios = require('axios');
 const { validateUrlNotInternal, getSafeAxiosConfig } = require('../utils/ssrf');
 const { isValidDomain, sanitizeFilename } = require('../utils/validation');
-const { archiveReport } = require('../utils/reports');
+const { archiveReport, saveReport } = require('../utils/reports');
+const { fitLines } = require('../utils/embed');
+const { SOURCES, MAX_RESOLVED, enumerateSubdomains, renderInventoryCsv } = require('../utils/subdomains');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
@@ -50,7 +55,11 @@ module.exports = {
                     { name: 'crt.sh', value: 'crtsh' },
                     { name: 'Wayback Machine', value: 'wayback' },
                     { name: 'Shodan Favicon', value: 'shodan' }
-                )),
+                ))
+        .addBooleanOption(option =>
+            option.setName('fresh')
+                .setDescription('Bypass the response cache for subdomain sources')
+                .setRequired(false)),
     
     async execute(interaction) {
         await interaction.deferReply({ ephemeral: false });
@@ -58,6 +67,7 @@ module.exports = {
         try {
             const domain = interaction.options.getString('domain');
             const service = interaction.options.getString('service') || 'all';
+            const fresh = interaction.options.getBoolean('fresh') ?? false;
             
             // Validate domain format
             if (!isValidDomain(domain)) {
@@ -113,322 +123,38 @@ module.exports = {
             // Create button row for links
             const row = new ActionRowBuilder();
             
-            // Process each service
-            for (const svc of services) {
-                switch(svc) {
-                    case 'certspotter': {
-                        const certspotterUrl = `https://api.certspotter.com/v1/issuances?domain=${domain}&include_subdomains=true&expand=dns_names&expand=issuer&expand=cert`;
-                        embed.addFields({
-                            name: 'CertSpotter',
-                            value: `[View certificates issued for ${domain}](${certspotterUrl})`
-                        });
-                        row.addComponents(
-                            new ButtonBuilder()
-                                .setLabel('CertSpotter')
-                                .setURL(certspotterUrl)
-                                .setStyle(ButtonStyle.Link)
-                        );
-                        completedServices++;
-                        break;
-                    }
-                        
-                    case 'virustotal': {
-                        const virustotalUrl = `https://www.virustotal.com/gui/domain/${domain}`;
-                        embed.addFields({
-                            name: 'VirusTotal',
-                            value: `[View security analysis for ${domain}](${virustotalUrl})`
-                        });
-                        row.addComponents(
-                            new ButtonBuilder()
-                                .setLabel('VirusTotal')
-                                .setURL(virustotalUrl)
-                                .setStyle(ButtonStyle.Link)
-                        );
-                        completedServices++;
-                        break;
-                    }
-                        
-                    case 'crtsh':
-                        try {
-                            embed.setDescription(
-                                `Running reconnaissance for ${domain}...\n` +
-                                `Currently fetching data from crt.sh...`
-                            );
-                            await interaction.editReply({ embeds: [embed] });
-                            
-                            const crtshResponse = await axios.get(`https://crt.sh/json?q=${domain}`, getSafeAxiosConfig());
-                            const certs = crtshResponse.data;
-                            
-                            if (certs && certs.length > 0) {
-                                // Count unique certificates and issuers
-                                const uniqueIssuers = new Set();
-                                certs.forEach(cert => uniqueIssuers.add(cert.issuer_name));
-                                
-                                const crtshUrl = `https://crt.sh/?q=${domain}`;
-                                embed.addFields({ 
-                                    name: 'crt.sh', 
-                                    value: `Found ${certs.length} certificates from ${uniqueIssuers.size} issuers\n[View detailed certificate info](${crtshUrl})` 
-                                });
-                                
-                                // Add the 5 most recent certificates
-                                const recentCerts = certs
-                                    .sort((a, b) => new Date(b.entry_timestamp) - new Date(a.entry_timestamp))
-                                    .slice(0, 5);
-                                
-                                const certsDetails = recentCerts.map(cert => {
-                                    const issuer = cert.issuer_name.split(' ')[0];
-                                    return `• ${new Date(cert.entry_timestamp).toISOString().split('T')[0]} - ${issuer}`;
-                                }).join('\n');
-                                
-                                embed.addFields({ 
-                                    name: 'Recent Certificates', 
-                                    value: certsDetails 
-                                });
-                                
-                                row.addComponents(
-                                    new ButtonBuilder()
-                                        .setLabel('crt.sh')
-                                        .setURL(crtshUrl)
-                                        .setStyle(ButtonStyle.Link)
-                                );
-                            } else {
-                                embed.addFields({ 
-                                    name: 'crt.sh', 
-                                    value: 'No certificates found' 
-                                });
-                            }
-                        } catch (error) {
-                            console.error('Error fetching crt.sh data:', error);
-                            embed.addFields({ 
-                                name: 'crt.sh', 
-                                value: 'Error fetching certificate data' 
-                            });
-                        }
-                        completedServices++;
-                        break;
-                        
-                    case 'wayback':
-                        try {
-                            embed.setDescription(
-                                `Running reconnaissance for ${domain}...\n` +
-                                `Currently fetching data from Wayback Machine...`
-                            );
-                            await interaction.editReply({ embeds: [embed] });
-                            
-                            const waybackResponse = await axios.get(
-                                `https://web.archive.org/cdx/search/cdx?fl=original&collapse=urlkey&url=*.${domain}`,
-                                { responseType: 'text', ...getSafeAxiosConfig() }
-                            );
-                            
-                            const urls = waybackResponse.data.trim().split('\n');
-                            const waybackUrl = `https://web.archive.org/web/*/${domain}/*`;
-                            
-                            if (urls.length > 0 && urls[0] !== '') {
-                                embed.addFields({ 
-                                    name: 'Wayback Machine', 
-                                    value: `Found ${urls.length} archived URLs\n[View archive history](${waybackUrl})` 
-                                });
-                                
-                                // Add sample of URLs if there are any
-                                if (urls.length > 0) {
-                                    const sampleUrls = urls
-                                        .slice(0, Math.min(5, urls.length))
-                                        .map(url => `• ${url.length > 70 ? url.substring(0, 67) + '...' : url}`)
-                                        .join('\n');
-                                    
-                                    embed.addFields({ 
-                                        name: 'Sample Archived URLs', 
-                                        value: sampleUrls 
-                                    });
-                                }
-                            } else {
-                                embed.addFields({ 
-                                    name: 'Wayback Machine', 
-                                    value: 'No archived URLs found' 
-                                });
-                            }
-                            
-                            row.addComponents(
-                                new ButtonBuilder()
-                                    .setLabel('Wayback Machine')
-                                    .setURL(waybackUrl)
-                                    .setStyle(ButtonStyle.Link)
-                            );
-                        } catch (error) {
-                            console.error('Error fetching Wayback Machine data:', error);
-                            embed.addFields({ 
-                                name: 'Wayback Machine', 
-                                value: 'Error fetching archive data' 
-                            });
-                        }
-                        completedServices++;
-                        break;
-                        
-                    case 'shodan':
-                        try {
-                            embed.setDescription(
-                                `Running reconnaissance for ${domain}...\n` +
-                                `Currently processing favicon for Shodan hash...`
-                            );
-                            await interaction.editReply({ embeds: [embed] });
-                            
-                            // Construct URL with http protocol if not specified
-                            let targetUrl = domain;
-                            if (!targetUrl.startsWith('http')) {
-                                targetUrl = 'https://' + targetUrl;
-                            }
-                            
-                            // Create temp directory for files
-                            const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-favicons-'));
-                            
-                            // Parse the domain for display purposes
-                            const parsedUrl = new URL(targetUrl);
-                            const rawDomainName = parsedUrl.hostname;
-                            // Sanitize the domain name to prevent path traversal
-                            const domainName = sanitizeFilename(rawDomainName);
-
-                            // Fetch the webpage content
-                            const response = await axios.get(targetUrl, getSafeAxiosConfig());
-                            const html = response.data;
-
-                            // Use cheerio to parse HTML
-                            const $ = cheerio.load(html);
-
-                            // Array to store favicon data
-                            let faviconData = null;
-                            
-                            // Check common favicon locations
-                            const faviconSelectors = [
-                                'link[rel="icon"]',
-                                'link[rel="shortcut icon"]',
-                                'link[rel="apple-touch-icon"]',
-                                'link[rel="apple-touch-icon-precomposed"]'
-                            ];
-                            
-                            // Check for favicon links in the page
-                            for (const selector of faviconSelectors) {
-                                const element = $(selector).first();
-                                if (element.length) {
-                                    const href = element.attr('href');
-                                    if (href) {
-                                        try {
-                                            // Convert relative URLs to absolute
-                                            const faviconUrl = new URL(href, targetUrl).href;
-                                            faviconData = {
-                                                url: faviconUrl,
-                                                originalUrl: href,
-                                                rel: element.attr('rel'),
-                                                sizes: element.attr('sizes') || 'unknown'
-                                            };
-                                            break;
-                                        } catch (_e) {
-                                            console.error(`Invalid URL: ${href}`);
-                                        }
-                                    }
-                                }
-                            }
-                            
-                            // Check for default favicon.ico if none found
-                            if (!faviconData) {
-                                const defaultFaviconUrl = new URL('/favicon.ico', targetUrl).href;
-                                faviconData = {
-                                    url: defaultFaviconUrl,
-                                    originalUrl: '/favicon.ico',
-                                    rel: 'default',
-                                    sizes: 'unknown'
-                                };
-                            }
-                            
-                            // Download the favicon
-                            const faviconResponse = await axios.get(faviconData.url, { responseType: 'arraybuffer', ...getSafeAxiosConfig() });
-                            const contentType = faviconResponse.headers['content-type'] || '';
-                            
-                            // If it's an image, save it
-                            if (contentType.startsWith('image/')) {
-                                // Extract extension from content-type
-                                let rawExtension = contentType.split('/')[1].split(';')[0];
-                                rawExtension = rawExtension === 'svg+xml' ? 'svg' : rawExtension;
-                                // Validate and sanitize the extension
-                                const extension = validateImageExtension(rawExtension);
-
-                                // Create a filename with sanitized components
-                                const filename = `favicon-${domainName}.${extension}`;
-                                const filePath = path.join(tempDir, filename);
-
-                                // Validate the path is within the temp directory
-                                if (!isPathSafe(filePath, tempDir)) {
-                                    console.error('Path traversal attempt detected:', filePath);
-                                    throw new Error('Invalid file path detected');
-                                }
-
-                                // Save the file
-                                fs.writeFileSync(filePath, Buffer.from(faviconResponse.data));
-
-                                // Persist a durable copy to reports/ (temp copy is cleaned up shortly after).
-                                await archiveReport(filePath, `recon_${domain}`, extension);
-
-                                // Update favicon data
-                                faviconData.contentType = contentType;
-                                faviconData.extension = extension;
-                                faviconData.filename = filename;
-                                faviconData.filePath = filePath;
-                                faviconData.fileSize = faviconResponse.data.length;
-                                
-                                // Calculate the mmh hash (the same way Shodan does it)
-                                const faviconBuffer = Buffer.from(faviconResponse.data);
-                                const faviconBase64 = faviconBuffer.toString('base64');
-                                
-                                // Use mmh instead of mmh3
-                                const faviconHash = mmh.v3(faviconBase64).toString(16);
-                                
-                                // Generate the Shodan search URL
-                                const shodanUrl = `https://www.shodan.io/search?query=http.favicon.hash%3A${faviconHash}`;
-                                
-                                // Add to embed
-                                embed.addFields(
-                                    { name: 'Shodan Favicon Hash', value: `\`${faviconHash}\`` },
-                                    { 
-                                        name: 'Shodan Search', 
-                                        value: `[Find sites with matching favicon](${shodanUrl})` 
-                                    }
-                                );
-                                
-                                // Add to button row
-                                row.addComponents(
-                                    new ButtonBuilder()
-                                        .setLabel('Shodan Favicon')
-                                        .setURL(shodanUrl)
-                                        .setStyle(ButtonStyle.Link)
-                                );
-                                
-                                // Create an attachment for the favicon
-                                const attachment = new AttachmentBuilder(filePath, { name: filename });
-                                
-                                // We'll need to add this attachment to the reply later
-                                interaction.faviconAttachment = {
-                                    attachment: attachment,
-                                    filename: filename,
-                                    tempDir: tempDir
-                                };
-                                
-                                // Set the thumbnail to the attachment
-                                embed.setThumbnail(`attachment://${filename}`);
-                            } else {
-                                embed.addFields({ 
-                                    name: 'Shodan Favicon', 
-                                    value: `Unable to process favicon: The resource at ${faviconData.url} is not an image.` 
-                                });
-                            }
-                        } catch (error) {
-                            console.error('Error in Shodan favicon processing:', error);
-                            embed.addFields({ 
-                                name: 'Shodan Favicon', 
-                                value: 'Failed to extract and hash the favicon.'
-                            });
-                        }
-                        completedServices++;
-                        break;
+            // Subdomain sources are queried together and merged into one inventory
+            const sources = services.filter(svc => Object.prototype.hasOwnProperty.call(SOURCES, svc));
+            let inventoryFiles = [];
+            if (sources.length > 0) {
+                embed.setDescription(
+                    `Running reconnaissance for ${domain}...\n` +
+                    `Currently collecting subdomains from ${sources.map(src => SOURCES[src].label).join(', ')}...`
+                );
+                await interaction.editReply({ embeds: [embed] });
+
+                try {
+                    const inventory = await enumerateSubdomains(domain, { sources, fresh });
+                    embed.addFields(...buildInventoryFields(inventory));
+                    inventoryFiles = await inventoryAttachments(inventory);
+                } catch (error) {
+                    console.error('Error building subdomain inventory:', error);
+                    embed.addFields({ name: 'Subdomains', value: 'Error collecting subdomains' });
                 }
+                for (const src of sources) {
+                    row.addComponents(
+                        new ButtonBuilder()
+                            .setLabel(SOURCES[src].label)
+                            .setURL(SOURCE_LINKS[src](domain))
+                            .setStyle(ButtonStyle.Link)
+                    );
+                }
+                completedServices += sources.length;
+            }
+
+            if (services.includes('shodan')) {
+                await addShodanFavicon(interaction, embed, row, domain);
+                completedServices++;
             }
             
             // Stop the progress interval
@@ -441,12 +167,13 @@ module.exports = {
             const replyOptions = {
                 content: `Reconnaissance results for ${domain}:`,
                 embeds: [embed],
-                components: row.components.length > 0 ? [row] : []
+                components: row.components.length > 0 ? [row] : [],
+                files: inventoryFiles
             };
             
             // Add favicon attachment if it exists
             if (interaction.faviconAttachment) {
-                replyOptions.files = [interaction.faviconAttachment.attachment];
+                replyOptions.files = [...inventoryFiles, interaction.faviconAttachment.attachment];
                 
                 // Clean up temp files after a short delay
                 setTimeout(() => {
@@ -472,6 +199,270 @@ module.exports = {
 };
 
 
+// Browser links for each subdomain source.
+const SOURCE_LINKS = {
+    crtsh: (domain) => `https://crt.sh/?q=${encodeURIComponent(`%.${domain}`)}`,
+    certspotter: (domain) => `https://api.certspotter.com/v1/issuances?domain=${domain}&include_subdomains=true&expand=dns_names&expand=issuer&expand=cert`,
+    virustotal: (domain) => `https://www.virustotal.com/gui/domain/${domain}`,
+    wayback: (domain) => `https://web.archive.org/web/*/${domain}/*`,
+};
+
+// Addresses shown per subdomain before "+N".
+const ADDRESSES_SHOWN = 2;
+
+/**
+ * One line per source: how many names it gave, or why it gave none.
+ * @param {{ label: string, names: string[], detail: string|null, cached: boolean, error: string|null }} result
+ * @returns {string}
+ */
+function sourceLine({ label, names, detail, cached, error }) {
+    if (error === 'no API key') return `• ${label}: skipped (no API key)`;
+    if (error) return `• ${label}: failed (${error})`;
+    const extra = [detail, cached ? 'cached' : null].filter(Boolean).join(', ');
+    return `• ${label}: ${names.length} name${names.length === 1 ? '' : 's'}${extra ? ` (${extra})` : ''}`;
+}
+
+/**
+ * Display line for one subdomain: addresses, wildcard flag, sources.
+ * @param {{ name: string, sources: string[], resolved: boolean, addresses: string[], error: string|null, wildcard: boolean }} entry
+ * @returns {string}
+ */
+function subdomainLine({ name, sources, resolved, addresses, error, wildcard }) {
+    let target = '';
+    if (addresses.length) {
+        const more = addresses.length > ADDRESSES_SHOWN ? ` +${addresses.length - ADDRESSES_SHOWN}` : '';
+        target = ` → ${addresses.slice(0, ADDRESSES_SHOWN).join(', ')}${more}`;
+    } else if (error) {
+        target = ` → lookup failed (${error})`;
+    } else if (resolved) {
+        target = ' → no address';
+    }
+    return `\`${name}\`${target}${wildcard ? ' ⚠️ wildcard' : ''} · ${sources.join(', ')}`;
+}
+
+/**
+ * Embed fields for a subdomain inventory: sources, wildcard DNS and the names,
+ * resolving ones first.
+ * @param {object} inventory - From enumerateSubdomains()
+ * @returns {Array<{ name: string, value: string }>}
+ */
+function buildInventoryFields({ sources, wildcard, subdomains, resolveError }) {
+    const fields = [{ name: 'Sources', value: sources.map(sourceLine).join('\n') }];
+    if (wildcard.length > 0) {
+        const flagged = subdomains.filter(s => s.wildcard).length;
+        fields.push({
+            name: '⚠️ Wildcard DNS',
+            value: `Random names resolve to ${wildcard.map(a => `\`${a}\``).join(', ')}. ` +
+                (flagged === 1 ? '1 name only points there' : `${flagged} names only point there`) + ' and may not really exist.'
+        });
+    }
+    if (subdomains.length === 0) {
+        fields.push({ name: 'Subdomains', value: 'No subdomains found' });
+        return fields;
+    }
+
+    const live = subdomains.filter(s => s.addresses.length > 0 && !s.wildcard);
+    const ordered = [...live, ...subdomains.filter(s => !live.includes(s))];
+    const notes = [];
+    if (resolveError) notes.push(`not resolved: ${resolveError}`);
+    else if (subdomains.length > MAX_RESOLVED) notes.push(`first ${MAX_RESOLVED} resolved`);
+    fields.push({
+        name: `Subdomains (${subdomains.length} found, ${live.length} resolve${notes.length ? `; ${notes.join(', ')}` : ''})`,
+        value: fitLines(ordered.map(subdomainLine))
+    });
+    return fields;
+}
+
+/**
+ * CSV and JSON exports of the inventory, archived to reports/ as well.
+ * @param {object} inventory - From enumerateSubdomains()
+ * @returns {Promise<AttachmentBuilder[]>}
+ */
+async function inventoryAttachments(inventory) {
+    const label = `subdomains_${sanitizeFilename(inventory.domain)}`;
+    const csv = renderInventoryCsv(inventory.subdomains);
+    const json = JSON.stringify({ ...inventory, generatedAt: new Date().toISOString() }, null, 2);
+    await saveReport(label, csv, 'csv');
+    await saveReport(label, json, 'json');
+    return [
+        new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: `${label}.csv` }),
+        new AttachmentBuilder(Buffer.from(json, 'utf8'), { name: `${label}.json` }),
+    ];
+}
+
+/**
+ * Fetch the domain's favicon, hash it the way Shodan does and add the hash,
+ * search link and thumbnail to the reply.
+ * @param {CommandInteraction} interaction
+ * @param {EmbedBuilder} embed
+ * @param {ActionRowBuilder} row
+ * @param {string} domain
+ */
+async function addShodanFavicon(interaction, embed, row, domain) {
+    try {
+        embed.setDescription(
+            `Running reconnaissance for ${domain}...\n` +
+            `Currently processing favicon for Shodan hash...`
+        );
+        await interaction.editReply({ embeds: [embed] });
+        
+        // Construct URL with http protocol if not specified
+        let targetUrl = domain;
+        if (!targetUrl.startsWith('http')) {
+            targetUrl = 'https://' + targetUrl;
+        }
+        
+        // Create temp directory for files
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-favicons-'));
+        
+        // Parse the domain for display purposes
+        const parsedUrl = new URL(targetUrl);
+        const rawDomainName = parsedUrl.hostname;
+        // Sanitize the domain name to prevent path traversal
+        const domainName = sanitizeFilename(rawDomainName);
+
+        // Fetch the webpage content
+        const response = await axios.get(targetUrl, getSafeAxiosConfig());
+        const html = response.data;
+
+        // Use cheerio to parse HTML
+        const $ = cheerio.load(html);
+
+        // Array to store favicon data
+        let faviconData = null;
+        
+        // Check common favicon locations
+        const faviconSelectors = [
+            'link[rel="icon"]',
+            'link[rel="shortcut icon"]',
+            'link[rel="apple-touch-icon"]',
+            'link[rel="apple-touch-icon-precomposed"]'
+        ];
+        
+        // Check for favicon links in the page
+        for (const selector of faviconSelectors) {
+            const element = $(selector).first();
+            if (element.length) {
+                const href = element.attr('href');
+                if (href) {
+                    try {
+                        // Convert relative URLs to absolute
+                        const faviconUrl = new URL(href, targetUrl).href;
+                        faviconData = {
+                            url: faviconUrl,
+                            originalUrl: href,
+                            rel: element.attr('rel'),
+                            sizes: element.attr('sizes') || 'unknown'
+                        };
+                        break;
+                    } catch (_e) {
+                        console.error(`Invalid URL: ${href}`);
+                    }
+                }
+            }
+        }
+        
+        // Check for default favicon.ico if none found
+        if (!faviconData) {
+            const defaultFaviconUrl = new URL('/favicon.ico', targetUrl).href;
+            faviconData = {
+                url: defaultFaviconUrl,
+                originalUrl: '/favicon.ico',
+                rel: 'default',
+                sizes: 'unknown'
+            };
+        }
+        
+        // Download the favicon
+        const faviconResponse = await axios.get(faviconData.url, { responseType: 'arraybuffer', ...getSafeAxiosConfig() });
+        const contentType = faviconResponse.headers['content-type'] || '';
+        
+        // If it's an image, save it
+        if (contentType.startsWith('image/')) {
+            // Extract extension from content-type
+            let rawExtension = contentType.split('/')[1].split(';')[0];
+            rawExtension = rawExtension === 'svg+xml' ? 'svg' : rawExtension;
+            // Validate and sanitize the extension
+            const extension = validateImageExtension(rawExtension);
+
+            // Create a filename with sanitized components
+            const filename = `favicon-${domainName}.${extension}`;
+            const filePath = path.join(tempDir, filename);
+
+            // Validate the path is within the temp directory
+            if (!isPathSafe(filePath, tempDir)) {
+                console.error('Path traversal attempt detected:', filePath);
+                throw new Error('Invalid file path detected');
+            }
+
+            // Save the file
+            fs.writeFileSync(filePath, Buffer.from(faviconResponse.data));
+
+            // Persist a durable copy to reports/ (temp copy is cleaned up shortly after).
+            await archiveReport(filePath, `recon_${domain}`, extension);
+
+            // Update favicon data
+            faviconData.contentType = contentType;
+            faviconData.extension = extension;
+            faviconData.filename = filename;
+            faviconData.filePath = filePath;
+            faviconData.fileSize = faviconResponse.data.length;
+            
+            // Calculate the mmh hash (the same way Shodan does it)
+            const faviconBuffer = Buffer.from(faviconResponse.data);
+            const faviconBase64 = faviconBuffer.toString('base64');
+            
+            // Use mmh instead of mmh3
+            const faviconHash = mmh.v3(faviconBase64).toString(16);
+            
+            // Generate the Shodan search URL
+            const shodanUrl = `https://www.shodan.io/search?query=http.favicon.hash%3A${faviconHash}`;
+            
+            // Add to embed
+            embed.addFields(
+                { name: 'Shodan Favicon Hash', value: `\`${faviconHash}\`` },
+                { 
+                    name: 'Shodan Search', 
+                    value: `[Find sites with matching favicon](${shodanUrl})` 
+                }
+            );
+            
+            // Add to button row
+            row.addComponents(
+                new ButtonBuilder()
+                    .setLabel('Shodan Favicon')
+                    .setURL(shodanUrl)
+                    .setStyle(ButtonStyle.Link)
+            );
+            
+            // Create an attachment for the favicon
+            const attachment = new AttachmentBuilder(filePath, { name: filename });
+            
+            // We'll need to add this attachment to the reply later
+            interaction.faviconAttachment = {
+                attachment: attachment,
+                filename: filename,
+                tempDir: tempDir
+            };
+            
+            // Set the thumbnail to the attachment
+            embed.setThumbnail(`attachment://${filename}`);
+        } else {
+            embed.addFields({ 
+                name: 'Shodan Favicon', 
+                value: `Unable to process favicon: The resource at ${faviconData.url} is not an image.` 
+            });
+        }
+    } catch (error) {
+        console.error('Error in Shodan favicon processing:', error);
+        embed.addFields({ 
+            name: 'Shodan Favicon', 
+            value: 'Failed to extract and hash the favicon.'
+        });
+    }
+}
+
+
 /**
  * Validate and sanitize file extension for images
  * @param {string} extension - The file extension to validate
@@ -515,3 +506,5 @@ function isPathSafe(filePath, expectedDir) {
         return false;
     }
 }
+
+module.exports._internal = { sourceLine, subdomainLine, buildInventoryFields };
@@ -25,7 +25,9 @@
  */
 
 const { SlashCommandBuilder, AttachmentBuilder, MessageFlags } = require('discord.js');
-const { safeSpawnToFile, getSafeEnv } = require('../utils/process');
+const { executeSherlockScan } = require('../utils/username-scanners');
+const { runJob, jobErrorMessage } = require('../utils/jobs');
+const { createScanProgress, parsePlusHit } = require('../utils/scan-progress');
 const fs = require('fs').promises;
 const path = require('path');
 const { isValidUsername, sanitizeInput, isValidUrl } = require('../utils/validation');
@@ -95,17 +97,23 @@ module.exports = {
             const sherlockPath = process.env.SHERLOCK_PATH || 'sherlock';
 
             // Send initial status message
-            await interaction.editReply({
-                content: `🕵️ **Username Investigation Started**\n` +
+            const status = `🕵️ **Username Investigation Started**\n` +
                         `🎯 **Target:** \`${username}\`\n` +
                         `⏱️ **Timeout:** ${customTimeout} seconds\n` +
                         `🔍 **Platforms:** 400+ social networks\n` +
                         `📊 **Mode:** ${verbose ? 'Verbose' : 'Standard'}\n\n` +
-                        `⏳ Scanning in progress... This may take several minutes.`
-            });
+                        `⏳ Scanning in progress... This may take several minutes.`;
+            await interaction.editReply({ content: status });
 
-            // Execute Sherlock with comprehensive error handling
-            await executeSherlockScan(sherlockPath, username, outputFile, customTimeout, verbose, includeNsfw, interaction);
+            // Execute Sherlock (queued behind other heavy scans if needed),
+            // editing the reply with hits as Sherlock prints them
+            const progress = createScanProgress(interaction, { header: status, parseHit: parsePlusHit });
+            try {
+                await runJob(interaction, `sherlock ${username}`,
+                    () => executeSherlockScan(sherlockPath, username, outputFile, customTimeout, verbose, includeNsfw, progress.onLine));
+            } finally {
+                await progress.stop();
+            }
             
             // Process and format results
             await processSherlockResults(interaction, outputFile, username);
@@ -120,28 +128,6 @@ module.exports = {
     },
 };
 
-/**
- * Execute Sherlock scan with timeout using safe spawn
- * @param {string} sherlockPath - Path to Sherlock binary
- * @param {string} username - Username to search for
- * @param {string} outputFile - Path to write output
- * @param {number} timeout - Timeout in seconds
- * @param {boolean} verbose - Whether to enable verbose mode
- * @param {boolean} includeNsfw - Whether to include NSFW sites
- * @param {CommandInteraction} interaction - Discord interaction
- * @returns {Promise<{ stderr: string, code: number }>}
- */
-async function executeSherlockScan(sherlockPath, username, outputFile, timeout, verbose, includeNsfw, _interaction) {
-    const args = [username];
-    if (verbose) args.push('--verbose');
-    if (!includeNsfw) args.push('--nsfw');
-
-    return safeSpawnToFile(sherlockPath, args, outputFile, {
-        timeout: timeout * 1000,
-        env: { ...getSafeEnv(), PYTHONUNBUFFERED: '1' }
-    });
-}
-
 /**
  * Process Sherlock results and send formatted response
  * @param {CommandInteraction} interaction - Discord interaction
@@ -289,6 +275,12 @@ function parseSherlockOutput(content) {
  * @param {string} username - Username being searched
  */
 async function handleSherlockError(interaction, error, username) {
+    const jobMessage = jobErrorMessage(error);
+    if (jobMessage) {
+        await interaction.editReply({ content: jobMessage });
+        return;
+    }
+
     let errorMessage = `❌ **Sherlock Scan Failed**\n`;
     errorMessage += `🎯 **Target:** \`${username}\`\n\n`;
     
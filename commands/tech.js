@@ -0,0 +1,123 @@
+/**
+ * File: tech.js
+ * Description: Technology fingerprinting of a website — CMS, frameworks,
+ * analytics IDs, CDN and server
+ * Author: gl0bal01
+ *
+ * Fetches the page with the SSRF-safe agents (utils/ssrf.js) and matches its
+ * headers, cookies, meta tags, script sources and HTML against the bundled
+ * signatures in utils/tech-signatures.json (utils/tech.js).
+ *
+ * Analytics IDs (Google Analytics, GTM, AdSense, Facebook Pixel, Hotjar,
+ * Yandex Metrica) are listed on their own: the same ID on two sites usually
+ * means the same owner.
+ *
+ * Usage: /bob-tech url:https://example.com
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, MessageFlags } = require('discord.js');
+const { isValidUrl, isValidDomain, sanitizeFilename } = require('../utils/validation');
+const { fitLines, capField } = require('../utils/embed');
+const { saveReport } = require('../utils/reports');
+const { SIGNATURES, fingerprint, fetchPage } = require('../utils/tech');
+
+// Headers shown as-is, whether or not a signature knows their value.
+const RAW_HEADERS = ['server', 'x-powered-by', 'via'];
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bob-tech')
+        .setDescription('Fingerprint the CMS, frameworks, analytics IDs, CDN and server of a website')
+        .addStringOption(option =>
+            option.setName('url')
+                .setDescription('Website to fingerprint (e.g. https://example.com or example.com)')
+                .setRequired(true)),
+
+    async execute(interaction) {
+        const input = interaction.options.getString('url').trim();
+        const url = isValidDomain(input) ? `https://${input}` : input;
+
+        if (!isValidUrl(url)) {
+            return interaction.reply({ content: '❌ Please provide a domain or a full http(s) URL, e.g. `https://example.com`.', flags: MessageFlags.Ephemeral });
+        }
+
+        await interaction.deferReply();
+
+        try {
+            console.log(`🧬 [TECH] Fingerprinting ${url}`);
+            const page = await fetchPage(url);
+            const technologies = fingerprint(page);
+
+            const label = `tech_${sanitizeFilename(new URL(page.url).hostname)}`;
+            const report = JSON.stringify({
+                url,
+                finalUrl: page.url,
+                status: page.status,
+                fetchedAt: new Date().toISOString(),
+                technologies,
+                headers: page.headers,
+            }, null, 2);
+            await saveReport(label, report, 'json');
+
+            console.log(`✅ [TECH] ${url}: ${technologies.length} technologies`);
+            return interaction.editReply({
+                embeds: [buildTechEmbed(url, page, technologies)],
+                files: [new AttachmentBuilder(Buffer.from(report, 'utf8'), { name: `${label}.json` })],
+            });
+        } catch (error) {
+            console.error(`❌ [TECH] Fingerprinting failed for ${url}:`, error.message);
+            if (error.code === 'EBLOCKED') {
+                return interaction.editReply({ content: '❌ The provided URL is not allowed.' });
+            }
+            return interaction.editReply({
+                content: '❌ **Fingerprinting Failed**\nThe website could not be reached. Check the URL and try again.'
+            });
+        }
+    },
+};
+
+/**
+ * Display line for a detected technology: version and tracking IDs, else
+ * the first piece of evidence.
+ * @param {{ name: string, version: string|null, ids: string[], evidence: string[] }} tech
+ * @returns {string}
+ */
+function techLine({ name, version, ids, evidence }) {
+    const title = `**${name}**${version ? ` ${version}` : ''}`;
+    if (ids.length) return `${title} ${ids.map(id => `\`${id}\``).join(', ')}`;
+    return `${title} · ${evidence[0].replace(/`/g, "'")}`;
+}
+
+/**
+ * Result embed: one field per category, in signature-file order.
+ * @param {string} url - As requested
+ * @param {{ url: string, status: number, headers: object }} page - From fetchPage()
+ * @param {ReturnType<typeof fingerprint>} technologies
+ * @returns {EmbedBuilder}
+ */
+function buildTechEmbed(url, page, technologies) {
+    const summary = [`HTTP ${page.status} · ${page.url}`];
+    if (page.url !== url) summary.push(`Redirected from ${url}`);
+    for (const header of RAW_HEADERS) {
+        const value = page.headers[header];
+        if (value) summary.push(`\`${header}: ${capField(String(value).replace(/`/g, "'"), 200)}\``);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0x8e44ad)
+        .setTitle(capField(`🧬 Tech: ${new URL(page.url).hostname}`, 256))
+        .setDescription(capField(summary.join('\n'), 4096))
+        .setFooter({ text: `${technologies.length} detected · ${SIGNATURES.technologies.length} signatures · evidence in the attached JSON` })
+        .setTimestamp();
+
+    const categories = [...new Set(technologies.map(t => t.category))];
+    if (categories.length === 0) {
+        embed.addFields({ name: 'No match', value: 'No known technology was recognized. The response headers are in the attached JSON.' });
+    }
+    for (const category of categories) {
+        embed.addFields({ name: category, value: fitLines(technologies.filter(t => t.category === category).map(techLine)) });
+    }
+    return embed;
+}
+
+module.exports._internal = { techLine, buildTechEmbed };
@@ -0,0 +1,166 @@
+/**
+ * File: username-sweep.js
+ * Description: One username through Sherlock, Maigret, Nuclei and Linkook, merged into a single report
+ * Author: gl0bal01
+ *
+ * Runs the same tool paths as the single-tool commands (utils/username-scanners.js),
+ * at most TOOL_CONCURRENCY at a time, inside one queued job — so the sweep
+ * waits its turn like any heavy scan and the Cancel button stops every tool.
+ * Hits are normalized to (platform, URL, source tool, confidence),
+ * deduplicated across tools (utils/username-sweep.js) and delivered as one
+ * HTML and one CSV report with per-tool agreement counts.
+ *
+ * Each tool only runs when the invoking user may run its standalone command
+ * (Nuclei is Administrator-only by default); the others still run.
+ *
+ * Usage: /bob-username-sweep username:johndoe timeout:300
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { isValidUsername } = require('../utils/validation');
+const { toolAllowed } = require('../utils/permissions');
+const { runJob, jobErrorMessage, JOB_CANCELLED } = require('../utils/jobs');
+const { saveReport } = require('../utils/reports');
+const { FIELD_VALUE_LIMIT } = require('../utils/embed');
+const { SCANNERS, scanUsername, scanFailureReason } = require('../utils/username-scanners');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { mergeHits, toolAgreement, renderSweepCsv, renderSweepHtml } = require('../utils/username-sweep');
+
+const TOOL_CONCURRENCY = 2;
+const DEFAULT_TIMEOUT = 300;
+const TOP_PROFILES = 10;
+
+/**
+ * As many whole lines as fit in an embed field.
+ */
+function fitLines(lines, limit = FIELD_VALUE_LIMIT) {
+    const out = [];
+    let length = 0;
+    for (const line of lines) {
+        if (length + line.length + 1 > limit) break;
+        out.push(line);
+        length += line.length + 1;
+    }
+    return out.join('\n');
+}
+
+function statusText(username, tools, state) {
+    const lines = tools.map((tool) => {
+        const s = state[tool];
+        if (!s) return `⏸️ ${tool} — waiting`;
+        if (s.running) return `⏳ ${tool} — running`;
+        if (s.error) return `⚠️ ${tool} — ${s.error}`;
+        return `✅ ${tool} — ${s.hits.length} hit${s.hits.length === 1 ? '' : 's'}`;
+    });
+    return `🧹 **Username Sweep**\n🎯 **Target:** \`${username}\`\n\n${lines.join('\n')}`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bob-username-sweep')
+        .setDescription('Run Sherlock, Maigret, Nuclei and Linkook on a username and merge the results')
+        .addStringOption(option =>
+            option.setName('username')
+                .setDescription('Username to search for')
+                .setRequired(true)
+                .setMaxLength(50))
+        .addIntegerOption(option =>
+            option.setName('timeout')
+                .setDescription(`Per-tool timeout in seconds (60-600, default: ${DEFAULT_TIMEOUT})`)
+                .setMinValue(60)
+                .setMaxValue(600)
+                .setRequired(false)),
+
+    async execute(interaction) {
+        await interaction.deferReply();
+
+        const username = interaction.options.getString('username')?.trim();
+        const timeout = interaction.options.getInteger('timeout') || DEFAULT_TIMEOUT;
+        if (!isValidUsername(username)) {
+            return interaction.editReply('❌ Invalid username format. Use 3-50 letters, numbers, dots, underscores or hyphens.');
+        }
+
+        const tools = Object.keys(SCANNERS).filter(tool => toolAllowed(interaction, SCANNERS[tool].command));
+        const skipped = Object.keys(SCANNERS).filter(tool => !tools.includes(tool));
+        if (tools.length === 0) {
+            return interaction.editReply('❌ You do not have permission to run any of the sweep tools.');
+        }
+
+        console.log(`🧹 [SWEEP] Starting sweep for ${username} with ${tools.join(', ')}`);
+        const state = {};
+        // Tools still winding down after a cancel must not overwrite the final reply.
+        let finished = false;
+        const update = () => finished
+            ? Promise.resolve()
+            : interaction.editReply({ content: statusText(username, tools, state) }).catch(() => {});
+
+        let hitsByTool;
+        try {
+            await update();
+            hitsByTool = await runJob(interaction, `sweep ${username}`, async () => {
+                const results = await mapWithConcurrency(tools, TOOL_CONCURRENCY, async (tool) => {
+                    state[tool] = { running: true };
+                    await update();
+                    try {
+                        const hits = await scanUsername(tool, username, { timeout });
+                        state[tool] = { hits };
+                    } catch (error) {
+                        if (error.code === JOB_CANCELLED) throw error;
+                        console.warn(`⚠️ [SWEEP] ${tool} failed for ${username}: ${error.message}`);
+                        state[tool] = { hits: [], error: scanFailureReason(error) };
+                    }
+                    await update();
+                    return [tool, state[tool].hits];
+                });
+                return Object.fromEntries(results);
+            });
+        } catch (error) {
+            finished = true;
+            console.error(`❌ [SWEEP] Sweep for ${username} failed: ${error.message}`);
+            return interaction.editReply({
+                content: jobErrorMessage(error) ?? '❌ The sweep failed unexpectedly. Check the bot logs.',
+            });
+        }
+
+        finished = true;
+        const profiles = mergeHits(hitsByTool);
+        const agreement = toolAgreement(profiles, tools);
+        const failures = Object.fromEntries(tools.filter(t => state[t]?.error).map(t => [t, state[t].error]));
+        for (const tool of skipped) failures[tool] = `skipped (requires permission for /${SCANNERS[tool].command})`;
+
+        const html = renderSweepHtml({ username, profiles, agreement, failures });
+        const csv = renderSweepCsv(profiles);
+        await saveReport(`sweep_${username}`, html, 'html');
+        await saveReport(`sweep_${username}`, csv, 'csv');
+
+        const agreementLines = Object.entries(agreement).map(([tool, row]) =>
+            `**${tool}** — ${row.hits} (${row.confirmed} confirmed, ${row.unique} only here)` +
+            (failures[tool] ? ` ⚠️ ${failures[tool]}` : ''));
+        for (const tool of skipped) agreementLines.push(`**${tool}** — ${failures[tool]}`);
+        const top = profiles.slice(0, TOP_PROFILES).map(p =>
+            `${p.sources.length}× [${p.platform}](${p.url}) — ${p.confidence.toFixed(2)}`);
+
+        const embed = new EmbedBuilder()
+            .setColor(profiles.length ? 0x2ecc71 : 0xf1c40f)
+            .setTitle(`🧹 Username sweep: ${username}`)
+            .setDescription(`${profiles.length} unique profile${profiles.length === 1 ? '' : 's'} across ${tools.length} tool${tools.length === 1 ? '' : 's'}.`)
+            .addFields({ name: 'Tool agreement', value: fitLines(agreementLines) })
+            .setFooter({ text: `Requested by ${interaction.user.tag}` })
+            .setTimestamp();
+        if (top.length) {
+            embed.addFields({ name: 'Best-supported profiles (tools × confidence)', value: fitLines(top) });
+        }
+
+        console.log(`✅ [SWEEP] ${username}: ${profiles.length} unique profiles`);
+        return interaction.editReply({
+            content: '',
+            embeds: [embed],
+            files: [
+                new AttachmentBuilder(Buffer.from(html, 'utf8'), { name: `sweep_${username}.html` }),
+                new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: `sweep_${username}.csv` }),
+            ],
+        });
+    },
+};
+
+module.exports._internal = { toolAllowed, fitLines };
@@ -0,0 +1,272 @@
+/**
+ * File: wayback.js
+ * Description: Wayback Machine history of a URL — capture timeline, diff of
+ * two snapshots and contacts that have since disappeared
+ * Author: gl0bal01
+ *
+ * - Timeline: first and last capture, captures per year, HTTP status codes
+ *   and the number of distinct versions (utils/wayback.js)
+ * - Diff: the visible text of two snapshots (`from` / `to`, default the
+ *   first and last successful capture), compared with utils/textdiff.js
+ * - Gone contacts: emails, phones and social profiles found in a sample of
+ *   archived versions (utils/contacts.js) that the live page no longer shows
+ *
+ * The full diff and a JSON report are attached and archived to reports/.
+ * The capture list is cached (utils/response-cache.js); `fresh:true` refetches.
+ *
+ * Usage: /bob-wayback url:https://example.com/contact [from:2015] [to:2024-06-01] [fresh:true]
+ */
+
+const {
+    SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags
+} = require('discord.js');
+const axios = require('axios');
+const { validateUrlNotInternal, getSafeAxiosConfig, SIZE_5MB } = require('../utils/ssrf');
+const { isValidUrl, sanitizeFilename } = require('../utils/validation');
+const { fitLines, capField } = require('../utils/embed');
+const { extractVisibleText } = require('../utils/html-text');
+const { createUnifiedDiff } = require('../utils/textdiff');
+const { saveReport } = require('../utils/reports');
+const { cacheNote } = require('../utils/response-cache');
+const {
+    fetchCaptures, buildTimeline, parseTimestampOption, closestCapture, sampleCaptures,
+    snapshotUrl, fetchSnapshot, formatTimestamp
+} = require('../utils/wayback');
+const { extractContacts, contactHistory, missingContacts } = require('../utils/contacts');
+
+// Archived versions scanned for contacts, including the two compared.
+const CONTACT_SAMPLES = 6;
+const LIVE_TIMEOUT_MS = 20000;
+const DIFF_PREVIEW_LIMIT = 900;
+const YEAR_BAR_WIDTH = 12;
+const BUTTON_URL_LIMIT = 512;
+const CONTACT_ICONS = { email: '📧', phone: '📞', social: '🔗' };
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bob-wayback')
+        .setDescription('Wayback Machine timeline, snapshot diff and removed contacts for a URL')
+        .addStringOption(option =>
+            option.setName('url')
+                .setDescription('Page to look up (e.g. https://example.com/contact)')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('from')
+                .setDescription('Older snapshot to compare: date such as 2015 or 2015-06-01 (default: first capture)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('to')
+                .setDescription('Newer snapshot to compare (default: latest capture)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('fresh')
+                .setDescription('Bypass the cached capture list')
+                .setRequired(false)),
+
+    async execute(interaction) {
+        const url = interaction.options.getString('url').trim();
+        const fresh = interaction.options.getBoolean('fresh') ?? false;
+
+        if (!isValidUrl(url)) {
+            return interaction.reply({ content: '❌ Please provide a full http(s) URL, e.g. `https://example.com/contact`.', flags: MessageFlags.Ephemeral });
+        }
+        let from;
+        let to;
+        try {
+            from = parseTimestampOption(interaction.options.getString('from'));
+            to = parseTimestampOption(interaction.options.getString('to'));
+        } catch {
+            return interaction.reply({ content: '❌ `from` and `to` must be dates such as `2015`, `2015-06` or `2015-06-01`.', flags: MessageFlags.Ephemeral });
+        }
+
+        await interaction.deferReply();
+
+        try {
+            console.log(`🕰️ [WAYBACK] Capture history for ${url}`);
+            const history = await fetchCaptures(url, { fresh });
+            const timeline = buildTimeline(history.captures);
+            if (timeline.total === 0) {
+                return interaction.editReply({ content: `📭 The Wayback Machine has no captures of ${url}.` });
+            }
+
+            const older = from ? closestCapture(history.captures, from) : history.captures.find(c => c.status === 200);
+            const newer = to ? closestCapture(history.captures, to) : history.captures.findLast(c => c.status === 200);
+            const samples = sampleCaptures(history.captures, [older, newer], CONTACT_SAMPLES);
+
+            const bodies = new Map();
+            for (const capture of samples) {
+                try {
+                    bodies.set(capture.timestamp, await fetchSnapshot(url, capture.timestamp));
+                } catch (error) {
+                    console.error(`❌ [WAYBACK] Snapshot ${capture.timestamp} of ${url} failed:`, error.message);
+                }
+            }
+
+            const diff = compareSnapshots(older, newer, bodies);
+            const contacts = contactHistory(samples.filter(c => bodies.has(c.timestamp)).map(c => {
+                const { body, contentType } = bodies.get(c.timestamp);
+                return { timestamp: c.timestamp, contacts: extractContacts(body, { baseUrl: url, contentType }) };
+            }));
+            const live = await fetchLiveContacts(url);
+            const gone = live.contacts ? missingContacts(contacts, live.contacts) : null;
+
+            const label = `wayback_${sanitizeFilename(new URL(url).hostname)}`;
+            const report = JSON.stringify({
+                url,
+                generatedAt: new Date().toISOString(),
+                timeline: { ...timeline, truncated: history.truncated },
+                compared: { from: older?.timestamp ?? null, to: newer?.timestamp ?? null, added: diff.added, removed: diff.removed },
+                sampledSnapshots: samples.map(c => ({ timestamp: c.timestamp, fetched: bodies.has(c.timestamp) })),
+                contacts,
+                live: { reachable: Boolean(live.contacts), error: live.error },
+                goneFromLivePage: gone,
+            }, null, 2);
+            const files = [new AttachmentBuilder(Buffer.from(report, 'utf8'), { name: `${label}.json` })];
+            await saveReport(label, report, 'json');
+            if (diff.text) {
+                files.push(new AttachmentBuilder(Buffer.from(diff.text, 'utf8'), { name: `${label}.diff` }));
+                await saveReport(label, diff.text, 'diff');
+            }
+
+            const embed = buildWaybackEmbed(url, {
+                timeline, truncated: history.truncated, older, newer, diff, contacts, gone,
+                liveError: live.error, sampled: bodies.size, note: cacheNote(history),
+            });
+            console.log(`✅ [WAYBACK] ${url}: ${timeline.total} captures, ${gone?.length ?? 'n/a'} contacts gone`);
+            return interaction.editReply({ embeds: [embed], files, components: linkRows(url, older, newer) });
+        } catch (error) {
+            console.error(`❌ [WAYBACK] Lookup failed for ${url}:`, error.message);
+            return interaction.editReply({
+                content: '❌ **Wayback Lookup Failed**\nThe Wayback Machine could not be reached. Please try again later.'
+            });
+        }
+    },
+};
+
+/**
+ * Unified diff of the visible text of two fetched snapshots.
+ * @returns {{ text: string, added: number, removed: number, error: string|null }}
+ */
+function compareSnapshots(older, newer, bodies) {
+    if (!older || !newer) return { text: '', added: 0, removed: 0, error: 'no successful capture to compare' };
+    const a = bodies.get(older.timestamp);
+    const b = bodies.get(newer.timestamp);
+    if (!a || !b) return { text: '', added: 0, removed: 0, error: 'snapshot could not be fetched' };
+    const diff = createUnifiedDiff(
+        extractVisibleText(a.body, { contentType: a.contentType }),
+        extractVisibleText(b.body, { contentType: b.contentType }),
+        { oldLabel: formatTimestamp(older.timestamp), newLabel: formatTimestamp(newer.timestamp) }
+    );
+    return { ...diff, error: null };
+}
+
+/**
+ * Contacts on the live page, or the reason it could not be read.
+ * @param {string} url
+ * @returns {Promise<{ contacts: object|null, error: string|null }>}
+ */
+async function fetchLiveContacts(url) {
+    try {
+        await validateUrlNotInternal(url);
+        const response = await axios.get(url, {
+            ...getSafeAxiosConfig(),
+            timeout: LIVE_TIMEOUT_MS,
+            responseType: 'text',
+            transformResponse: [(data) => data],
+            maxContentLength: SIZE_5MB,
+            maxBodyLength: SIZE_5MB,
+            headers: { 'User-Agent': 'Discord-OSINT-Assistant/2.0' },
+        });
+        return { contacts: extractContacts(response.data, { baseUrl: url, contentType: response.headers?.['content-type'] }), error: null };
+    } catch (error) {
+        if (error.response) return { contacts: null, error: `HTTP ${error.response.status}` };
+        return { contacts: null, error: error.code === 'ECONNABORTED' ? 'timed out' : 'unreachable' };
+    }
+}
+
+/**
+ * Captures per year as bars scaled to the busiest year.
+ * @param {Array<{ year: string, count: number }>} years
+ * @returns {string[]}
+ */
+function yearBars(years) {
+    const max = Math.max(1, ...years.map(y => y.count));
+    return years.map(({ year, count }) => {
+        const width = count === 0 ? 0 : Math.max(1, Math.round((count / max) * YEAR_BAR_WIDTH));
+        return `\`${year}\` ${'█'.repeat(width)}${width ? ' ' : ''}${count.toLocaleString('en-US')}`;
+    });
+}
+
+/**
+ * Display line for a contact with the snapshots it was seen in.
+ * @param {{ kind: string, value: string, platform?: string, first: string, last: string }} contact
+ * @returns {string}
+ */
+function contactLine({ kind, value, platform, first, last }) {
+    const seen = first === last ? formatTimestamp(first) : `${formatTimestamp(first)} → ${formatTimestamp(last)}`;
+    return `${CONTACT_ICONS[kind]} ${platform ? `${platform} ` : ''}\`${value}\` (${seen})`;
+}
+
+/**
+ * Result embed.
+ * @param {string} url
+ * @param {object} result - Timeline, compared captures, diff and contacts
+ * @returns {EmbedBuilder}
+ */
+function buildWaybackEmbed(url, { timeline, truncated, older, newer, diff, contacts, gone, liveError, sampled, note }) {
+    const summary = [
+        `First seen **${formatTimestamp(timeline.first)}** · last seen **${formatTimestamp(timeline.last)}**`,
+        `${timeline.total.toLocaleString('en-US')} captures${truncated ? ' (busy URL: the middle of the history is cut)' : ''}, ${timeline.versions.toLocaleString('en-US')} distinct versions`,
+    ];
+    if (note) summary.push(note);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x5b8dd9)
+        .setTitle(capField(`🕰️ Wayback: ${url}`, 256))
+        .setDescription(summary.join('\n'))
+        .addFields(
+            { name: 'Captures per year', value: fitLines(yearBars(timeline.years)) },
+            { name: 'Status codes', value: capField(timeline.statuses.map(s => `\`${s.status}\` × ${s.count.toLocaleString('en-US')}`).join(' · ')) }
+        )
+        .setFooter({ text: `Contacts from ${sampled} archived version${sampled === 1 ? '' : 's'} · Internet Archive` })
+        .setTimestamp();
+
+    const compared = older && newer ? `${formatTimestamp(older.timestamp)} → ${formatTimestamp(newer.timestamp)}` : 'snapshots';
+    let diffValue;
+    if (diff.error) diffValue = `Not compared: ${diff.error}.`;
+    else if (!diff.text) diffValue = 'No change in the visible text.';
+    else {
+        const preview = diff.text.split('\n').slice(2).join('\n');
+        const cut = preview.length > DIFF_PREVIEW_LIMIT ? `${preview.slice(0, DIFF_PREVIEW_LIMIT)}\n…` : preview;
+        diffValue = `+${diff.added} / −${diff.removed} lines (full diff attached)\n\`\`\`diff\n${cut.replace(/```/g, "'''")}\n\`\`\``;
+    }
+    embed.addFields({ name: `Diff ${compared}`, value: diffValue });
+
+    if (gone === null) {
+        const value = contacts.length
+            ? fitLines([`The live page could not be read (${liveError}), so every archived contact is listed.`, ...contacts.map(contactLine)])
+            : `No contacts found in the archive (live page: ${liveError}).`;
+        embed.addFields({ name: 'Contacts in the archive', value });
+    } else {
+        embed.addFields({
+            name: `Gone from the live page (${gone.length})`,
+            value: gone.length ? fitLines(gone.map(contactLine)) : `None: the ${contacts.length} archived contact${contacts.length === 1 ? ' is' : 's are'} still published.`,
+        });
+    }
+    return embed;
+}
+
+// Links to the two compared snapshots and the capture calendar; none when
+// the URL is too long for a link button.
+function linkRows(url, older, newer) {
+    const links = [];
+    if (older) links.push([`Snapshot ${formatTimestamp(older.timestamp)}`, snapshotUrl(url, older.timestamp)]);
+    if (newer && newer !== older) links.push([`Snapshot ${formatTimestamp(newer.timestamp)}`, snapshotUrl(url, newer.timestamp)]);
+    links.push(['All captures', `https://web.archive.org/web/*/${url}`]);
+    if (links.some(([, href]) => href.length > BUTTON_URL_LIMIT)) return [];
+    return [new ActionRowBuilder().addComponents(
+        links.map(([label, href]) => new ButtonBuilder().setLabel(label).setURL(href).setStyle(ButtonStyle.Link))
+    )];
+}
+
+module.exports._internal = { compareSnapshots, yearBars, contactLine, buildWaybackEmbed };
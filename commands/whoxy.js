@@ -17,6 +17,9 @@
  * - Bulk result export for further analysis
  * - Privacy-aware redaction options
  * 
+ * History and reverse lookups are cached (utils/response-cache.js); `fresh:true`
+ * refetches. Balance checks always go to the API.
+ *
  * Usage: /bob-whoxy type:history domain:example.com
  *        /bob-whoxy type:reverse identifier:email value:admin@example.com
  */
@@ -26,6 +29,7 @@ const axios = require('axios');
 const { isValidDomain, isValidEmail, sanitizeInput } = require('../utils/validation');
 const { getSafeAxiosConfig } = require('../utils/ssrf');
 const { saveReport } = require('../utils/reports');
+const { cachedFetch, cacheNote } = require('../utils/response-cache');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -67,6 +71,10 @@ module.exports = {
         .addBooleanOption(option =>
             option.setName('privacy-mode')
                 .setDescription('Redact potentially sensitive information (default: false)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('fresh')
+                .setDescription('Bypass the response cache and query Whoxy again (costs a credit)')
                 .setRequired(false)),
     
     /**
@@ -83,6 +91,7 @@ module.exports = {
         const rawValue = interaction.options.getString('value');
         const detailed = interaction.options.getBoolean('detailed') ?? false;
         const privacyMode = interaction.options.getBoolean('privacy-mode') ?? false;
+        const fresh = interaction.options.getBoolean('fresh') ?? false;
         
         // Sanitize inputs
         const domain = rawDomain ? sanitizeInput(rawDomain) : null;
@@ -119,7 +128,7 @@ module.exports = {
                             flags: MessageFlags.Ephemeral
                         });
                     }
-                    analysisData = await performHistoryAnalysis(domain, apiKey, detailed, privacyMode);
+                    analysisData = await performHistoryAnalysis(domain, apiKey, detailed, privacyMode, fresh);
                     break;
                 case 'reverse':
                     if (!identifier || !searchValue) {
@@ -129,7 +138,7 @@ module.exports = {
                             flags: MessageFlags.Ephemeral
                         });
                     }
-                    analysisData = await performReverseAnalysis(identifier, searchValue, apiKey, detailed, privacyMode);
+                    analysisData = await performReverseAnalysis(identifier, searchValue, apiKey, detailed, privacyMode, fresh);
                     break;
                 default:
                     return interaction.editReply({
@@ -145,6 +154,10 @@ module.exports = {
             
             // Send response
             const response = { embeds: [embed] };
+            const note = cacheNote(analysisData.cache);
+            if (note) {
+                response.content = `-# ${note}`;
+            }
             if (attachment) {
                 response.files = [attachment];
             }
@@ -160,6 +173,16 @@ module.exports = {
     },
 };
 
+/**
+ * Whoxy reports API-level failures (bad key, no credit) with HTTP 200 and
+ * `status: 0`; only successful answers are worth caching.
+ * @param {Object} data - Whoxy response body
+ * @returns {boolean}
+ */
+function isWhoxySuccess(data) {
+    return data?.status === 1 || data?.status === '1';
+}
+
 /**
  * Perform account balance check
  * @param {string} apiKey - Whoxy API key
@@ -189,24 +212,28 @@ async function performBalanceCheck(apiKey) {
  * @param {string} apiKey - Whoxy API key
  * @param {boolean} detailed - Include detailed analysis
  * @param {boolean} privacyMode - Redact sensitive information
+ * @param {boolean} [fresh] - Bypass the response cache
  * @returns {Promise<Object>} History analysis data
  */
-async function performHistoryAnalysis(domain, apiKey, detailed, privacyMode) {
+async function performHistoryAnalysis(domain, apiKey, detailed, privacyMode, fresh = false) {
     // Validate domain format
     if (!isValidDomain(domain)) {
         throw new Error('Invalid domain format. Please provide a valid domain name.');
     }
     
-    const response = await axios.get('https://api.whoxy.com/', {
-        params: { key: apiKey, history: domain },
-        timeout: 15000,
-        maxContentLength: 10 * 1024 * 1024,
-        maxBodyLength: 10 * 1024 * 1024,
-        headers: { 'User-Agent': 'Discord-OSINT-Assistant/2.0' },
-        ...getSafeAxiosConfig()
-    });
+    const cache = await cachedFetch('whoxy', { history: domain }, async () => {
+        const response = await axios.get('https://api.whoxy.com/', {
+            params: { key: apiKey, history: domain },
+            timeout: 15000,
+            maxContentLength: 10 * 1024 * 1024,
+            maxBodyLength: 10 * 1024 * 1024,
+            headers: { 'User-Agent': 'Discord-OSINT-Assistant/2.0' },
+            ...getSafeAxiosConfig()
+        });
+        return response.data;
+    }, { fresh, cacheable: isWhoxySuccess });
     
-    const data = response.data;
+    const data = cache.value;
     let processedData = data;
     
     // Apply privacy mode if requested
@@ -230,7 +257,8 @@ async function performHistoryAnalysis(domain, apiKey, detailed, privacyMode) {
         analysis: analysis,
         recordCount: data.whois_records ? data.whois_records.length : 0,
         timestamp: new Date().toISOString(),
-        success: data.status === 1 || data.status === '1'
+        success: isWhoxySuccess(data),
+        cache: { cached: cache.cached, storedAt: cache.storedAt } // not the raw value: privacy mode must hold
     };
 }
 
@@ -241,24 +269,28 @@ async function performHistoryAnalysis(domain, apiKey, detailed, privacyMode) {
  * @param {string} apiKey - Whoxy API key
  * @param {boolean} detailed - Include detailed analysis
  * @param {boolean} privacyMode - Redact sensitive information
+ * @param {boolean} [fresh] - Bypass the response cache
  * @returns {Promise<Object>} Reverse analysis data
  */
-async function performReverseAnalysis(identifier, searchValue, apiKey, detailed, privacyMode) {
+async function performReverseAnalysis(identifier, searchValue, apiKey, detailed, privacyMode, fresh = false) {
     // Validate search value based on identifier type
     if (identifier === 'email' && !isValidEmail(searchValue)) {
         throw new Error('Invalid email format for email search.');
     }
     
-    const response = await axios.get('https://api.whoxy.com/', {
-        params: { key: apiKey, reverse: 'whois', [identifier]: searchValue },
-        timeout: 20000,
-        maxContentLength: 10 * 1024 * 1024,
-        maxBodyLength: 10 * 1024 * 1024,
-        headers: { 'User-Agent': 'Discord-OSINT-Assistant/2.0' },
-        ...getSafeAxiosConfig()
-    });
+    const cache = await cachedFetch('whoxy', { reverse: 'whois', [identifier]: searchValue }, async () => {
+        const response = await axios.get('https://api.whoxy.com/', {
+            params: { key: apiKey, reverse: 'whois', [identifier]: searchValue },
+            timeout: 20000,
+            maxContentLength: 10 * 1024 * 1024,
+            maxBodyLength: 10 * 1024 * 1024,
+            headers: { 'User-Agent': 'Discord-OSINT-Assistant/2.0' },
+            ...getSafeAxiosConfig()
+        });
+        return response.data;
+    }, { fresh, cacheable: isWhoxySuccess });
     
-    const data = response.data;
+    const data = cache.value;
     let processedData = data;
     
     // Apply privacy mode if requested
@@ -283,7 +315,8 @@ async function performReverseAnalysis(identifier, searchValue, apiKey, detailed,
         analysis: analysis,
         resultCount: data.search_result ? data.search_result.length : 0,
         timestamp: new Date().toISOString(),
-        success: data.status === 1 || data.status === '1'
+        success: isWhoxySuccess(data),
+        cache: { cached: cache.cached, storedAt: cache.storedAt } // not the raw value: privacy mode must hold
     };
 }
 
@@ -9,6 +9,7 @@
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { safeSpawn } = require('../utils/process');
+const { runJob, jobErrorMessage } = require('../utils/jobs');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -45,7 +46,8 @@ module.exports = {
         await interaction.deferReply();
 
         try {
-            const { stdout, stderr, code } = await safeSpawn('xeuledoc', [parsedUrl.href], { timeout: 60000 });
+            const { stdout, stderr, code } = await runJob(interaction, 'xeuledoc',
+                () => safeSpawn('xeuledoc', [parsedUrl.href], { timeout: 60000 }));
 
             if (code !== 0) {
                 console.error(`xeuledoc exited with code ${code}: ${stderr}`);
@@ -67,9 +69,9 @@ module.exports = {
             await interaction.editReply({ embeds: [embed] });
         } catch (error) {
             console.error('Error executing xeuledoc:', error);
-            const errorMsg = error.message.includes('ENOENT') || error.message.includes('Failed to start process')
+            const errorMsg = jobErrorMessage(error) ?? (error.message.includes('ENOENT') || error.message.includes('Failed to start process')
                 ? 'xeuledoc is not installed or not found in PATH. Please contact the administrator.'
-                : 'An unexpected error occurred while running xeuledoc. Please try again later.';
+                : 'An unexpected error occurred while running xeuledoc. Please try again later.');
             const embed = new EmbedBuilder()
                 .setTitle('Execution Error')
                 .setDescription(errorMsg)
@@ -21,6 +21,7 @@ module.exports = [
                 Buffer: 'readonly',
                 URL: 'readonly',
                 Promise: 'readonly',
+                AbortController: 'readonly',
             },
         },
         rules: {
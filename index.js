@@ -11,6 +11,13 @@ const { startHealthWriter, stopHealthWriter, markReady, markShuttingDown, writeS
 const { startMetricsServer, stopMetricsServer, commandDuration, commandErrors, ratelimitBlocks, discordEvents } = require('./utils/metrics');
 const { startHourlySweep, stopHourlySweep } = require('./utils/temp-sweep');
 const { pruneReports, startReportsSweep, stopReportsSweep } = require('./utils/reports');
+const { createCommandContext, runWithContext } = require('./utils/command-context');
+const { recordInvocation } = require('./utils/audit');
+const { captureIndicators } = require('./utils/indicators');
+const { policyTarget } = require('./utils/policy');
+const { isPivotButton, parsePivotId, pivotInteraction } = require('./utils/pivot');
+const { installQuotaInterceptor, checkCommandQuota } = require('./utils/quota');
+const { installHttpFixtures } = require('./utils/http-fixtures');
 
 require('./utils/config'); // validates env; exits(1) on missing required vars
 
@@ -24,6 +31,8 @@ const HEALTH_FILE = process.env.HEALTH_FILE || './temp/.health/health.json';
 writeStartingState(HEALTH_FILE);
 startHealthWriter({ path: HEALTH_FILE, intervalMs: 5000 });
 startRateLimitPrune();
+installQuotaInterceptor(require('axios')); // every paid provider call is metered centrally
+installHttpFixtures(require('axios'));     // no-op unless HTTP_FIXTURES=record|replay
 
 let metricsServer = null;
 if (process.env.METRICS_ENABLED === 'true') {
@@ -60,6 +69,7 @@ client.once(Events.ClientReady, (readyClient) => {
     logger.info({ tag: readyClient.user.tag, guilds: readyClient.guilds.cache.size, commands: client.commands.size }, 'OSINT Assistant online');
     client.user.setActivity('OSINT operations', { type: 'WATCHING' });
     if (ALLOWED_GUILDS.length > 0) readyClient.guilds.cache.forEach(leaveUnauthorized);
+    bootstrap.restoreCommands(client, logger).then(restored => logger.info({ restored }, 'Command state restored'));
     markReady();
     discordEvents.inc({ event: 'ready' });
 });
@@ -77,23 +87,41 @@ client.on(Events.InteractionCreate, async interaction => {
         }
     }
 
-    if (!interaction.isChatInputCommand()) return;
+    if (interaction.isButton?.() && isPivotButton(interaction.customId)) {
+        const pivot = parsePivotId(interaction.customId);
+        if (!pivot) {
+            try { await interaction.reply({ content: '❌ This pivot is no longer valid.', flags: MessageFlags.Ephemeral }); }
+            catch { /* expired */ }
+            return;
+        }
+        return dispatch(pivotInteraction(interaction, pivot));
+    }
 
+    if (!interaction.isChatInputCommand() && !interaction.isMessageContextMenuCommand?.()) return;
+    return dispatch(interaction);
+});
+
+// Permission, rate limit, quota, audit and execution for one command
+// invocation — typed, from a context menu, or from a pivot button.
+async function dispatch(interaction) {
     const cmdName = interaction.commandName;
     const command = client.commands.get(cmdName);
     if (!command) { logger.error({ commandName: cmdName }, 'No command matching name was found'); return; }
 
+    const context = createCommandContext(interaction);
     const { allowed, reason } = checkPermission(interaction);
     if (!allowed) {
+        recordInvocation(context, { outcome: 'denied' });
         try {
             return await interaction.reply({ content: reason, flags: MessageFlags.Ephemeral });
         } catch {
             return;
         }
     }
-    const { limited, reason: rateLimitReason } = checkRateLimit(interaction.user.id, cmdName);
+    const { limited, reason: rateLimitReason } = await checkRateLimit(interaction.user.id, cmdName, policyTarget(interaction));
     if (limited) {
         ratelimitBlocks.inc({ command: cmdName });
+        recordInvocation(context, { outcome: 'rate_limited' });
         try {
             return await interaction.reply({ content: rateLimitReason, flags: MessageFlags.Ephemeral });
         } catch {
@@ -101,6 +129,16 @@ client.on(Events.InteractionCreate, async interaction => {
         }
     }
 
+    const quota = checkCommandQuota(cmdName, context.options);
+    if (!quota.allowed) {
+        recordInvocation(context, { outcome: 'quota_exhausted' });
+        try {
+            return await interaction.reply({ content: quota.reason, flags: MessageFlags.Ephemeral });
+        } catch {
+            return;
+        }
+    }
+
     logger.info({
         command: cmdName,
         userId: interaction.user.id,
@@ -109,9 +147,12 @@ client.on(Events.InteractionCreate, async interaction => {
         guildName: interaction.guild?.name
     }, 'Command invoked');
 
+    captureIndicators(interaction, context); // emails, domains, IPs, ... seen in options and replies
     const endTimer = commandDuration.startTimer({ command: cmdName });
+    let outcome = 'error';
     try {
-        await command.execute(interaction);
+        await runWithContext(context, () => command.execute(interaction));
+        outcome = 'success';
         logger.info({ command: cmdName }, 'Command completed successfully');
     } catch (error) {
         commandErrors.inc({ command: cmdName, reason: error.name || 'Error' });
@@ -123,8 +164,9 @@ client.on(Events.InteractionCreate, async interaction => {
         } catch (e) { logger.error({ err: e }, 'Failed to send error message to user'); }
     } finally {
         endTimer();
+        recordInvocation(context, { outcome });
     }
-});
+}
 
 process.on('uncaughtException', (err) => { logger.fatal({ err }, 'uncaughtException'); process.exit(1); });
 process.on('unhandledRejection', (reason) => { logger.fatal({ reason }, 'unhandledRejection'); process.exit(1); });
@@ -12,9 +12,16 @@
  *   - commands that would create persistent side effects (monitor start)
  *   - commands whose required API key env var is unset
  *
+ * Offline mode (utils/http-fixtures.js):
+ *   --record   run against live providers and save every HTTP exchange
+ *   --replay   answer every HTTP request from fixtures; nothing leaves the
+ *              machine, and API keys from `needsEnv` get placeholder values
+ *   --fixtures=<dir>   fixture directory (default tests/fixtures/http/default)
+ *
  * Usage:
  *   node scripts/smoke-test.js                # run all
  *   node scripts/smoke-test.js bob-dns bob-airport   # subset
+ *   node scripts/smoke-test.js --replay       # offline, e.g. in CI
  *   TIMEOUT_MS=60000 node scripts/smoke-test.js
  */
 
@@ -30,7 +37,14 @@ process.env.ALLOWED_GUILD_IDS = '';
 process.env.OSINT_ALLOWED_ROLES = '';
 
 const TIMEOUT_MS = parseInt(process.env.TIMEOUT_MS || '30000', 10);
-const argFilter = process.argv.slice(2);
+const args = process.argv.slice(2);
+const argFilter = args.filter(a => !a.startsWith('--'));
+const fixtureMode = args.includes('--replay') ? 'replay' : args.includes('--record') ? 'record' : null;
+const fixtureDir = args.find(a => a.startsWith('--fixtures='))?.slice('--fixtures='.length);
+
+if (fixtureMode) {
+    require('../utils/http-fixtures').installHttpFixtures(require('axios'), { mode: fixtureMode, dir: fixtureDir });
+}
 
 /**
  * Per-command sample input + skip rules. Each entry:
@@ -45,8 +59,11 @@ const SAMPLES = {
     'bob-flight':        { options: { flight: 'AA100' }, needsEnv: ['AVIATIONSTACK_API_KEY'] },
     'bob-blockchain':    { subcommand: 'address', options: { blockchain: 'eth', address: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045' } },
     'bob-blockchain-detect': { options: { address: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045' } },
+    'bob-admin':         { skip: 'Administrator-only; reads the permission policy' },
+    'bob-audit':         { skip: 'Administrator-only; reads the audit log in DATA_DIR' },
+    'bob-case':          { skip: 'writes persistent case state to DATA_DIR' },
     'bob-chat':          { skip: 'requires AI provider key + multi-step prompt; covered by manual QA' },
-    'bob-dns':           { options: { domain: 'example.com' }, needsEnv: ['DNSDUMPSTER_TOKEN'] },
+    'bob-dns':           { options: { domain: 'example.com', mode: 'dnsdumpster' }, needsEnv: ['DNSDUMPSTER_TOKEN'] },
     'bob-dork':          { options: { firstname: 'John', lastname: 'Doe', engine: 'google' } },
     'bob-exif':          { skip: 'attachment subcommand cannot be mocked' },
     'bob-extract-links': { options: { url: 'https://example.com' } },
@@ -55,7 +72,9 @@ const SAMPLES = {
     'bob-generate-usernames': { options: { firstname: 'John', lastname: 'Doe' } },
     'bob-ghunt':         { skip: 'requires ghunt binary', needsBin: ['ghunt'] },
     'bob-health':        { options: { detailed: false } },
-    'bob-hostio':        { subcommand: 'domain', options: { domain: 'example.com' }, needsEnv: ['HOSTIO_API_KEY'] },
+    'bob-jobs':          { subcommand: 'list' },
+    'bob-indicators':    { subcommand: 'search', options: { query: 'example.com' } },
+    'bob-hostio':        { subcommand: 'full', options: { domain: 'example.com' }, needsEnv: ['HOSTIO_API_KEY'] },
     'bob-jwt':           { skip: 'requires jwt_tool binary + admin permissions', needsBin: ['jwt_tool'] },
     'bob-linkook':       { skip: 'requires linkook binary', needsBin: ['linkook'] },
     'bob-maigret':       { skip: 'requires maigret binary', needsBin: ['maigret'] },
@@ -64,13 +83,17 @@ const SAMPLES = {
     'bob-nuclei':        { skip: 'requires nuclei binary', needsBin: ['nuclei'] },
     'bob-pappers':       { subcommand: 'search', options: { query: 'test' }, needsEnv: ['PAPPERS_API_KEY'] },
     'bob-web-recon':     { options: { domain: 'example.com', service: 'crtsh' } },
+    'bob-wayback':       { options: { url: 'https://example.com' } },
+    'bob-tech':          { options: { url: 'https://example.com' } },
     'bob-redirect-check': { options: { url: 'https://google.com' } },
     'bob-rekognition':   { skip: 'attachment subcommand cannot be mocked' },
     'bob-sherlock':      { skip: 'requires sherlock binary', needsBin: ['sherlock'] },
+    'bob-username-sweep': { skip: 'requires sherlock/maigret/nuclei/linkook binaries', needsBin: ['sherlock'] },
     'bob-vessel':        { subcommand: 'name', options: { query: 'titanic' } },
     'bob-vpic':          { subcommand: 'decode', options: { vin: '1HGCM82633A004352' } },
-    'bob-whoxy':         { subcommand: 'domain', options: { domain: 'example.com' }, needsEnv: ['WHOXY_API_KEY'] },
-    'bob-xeuledoc':      { skip: 'requires xeuledoc binary', needsBin: ['xeuledoc'] }
+    'bob-whoxy':         { options: { type: 'history', domain: 'example.com' }, needsEnv: ['WHOXY_API_KEY'] },
+    'bob-xeuledoc':      { skip: 'requires xeuledoc binary', needsBin: ['xeuledoc'] },
+    'Pivot':             { skip: 'message context-menu command; needs a target bot message' }
 };
 
 function which(bin) {
@@ -194,6 +217,10 @@ async function runOne(commandName, modulePath) {
     if (sample.skip) {
         return { commandName, status: 'skip', reason: sample.skip };
     }
+    if (sample.needsEnv && fixtureMode === 'replay') {
+        // Replayed requests are matched without their credentials.
+        for (const k of sample.needsEnv) process.env[k] ||= 'fixture-placeholder';
+    }
     if (sample.needsEnv) {
         const missing = sample.needsEnv.filter(k => !process.env[k]);
         if (missing.length) {
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const admin = require('../../commands/admin.js');
+const monitor = require('../../commands/monitor.js');
+
+function makeInteraction(command) {
+    return {
+        guildId: '111111111111111111',
+        client: { commands: new Map([['bob-monitor', monitor], ['bob-admin', admin]]) },
+        options: {
+            getSubcommandGroup: () => 'policy',
+            getSubcommand: () => 'show',
+            getString: () => command
+        },
+        reply: vi.fn().mockResolvedValue(undefined)
+    };
+}
+
+describe('bob-admin policy show', () => {
+    it('lists subcommand keys, including grouped ones', () => {
+        const { subcommandKeys } = admin._internal;
+        expect(subcommandKeys(monitor.data)).toEqual(['start', 'stop', 'stopall', 'list']);
+        expect(subcommandKeys(admin.data)).toEqual(['policy show']);
+    });
+
+    it('shows the effective rule for the command and each subcommand', async () => {
+        const i = makeInteraction('/bob-monitor');
+        await admin.execute(i);
+        const embed = i.reply.mock.calls[0][0].embeds[0].data;
+        expect(embed.fields.map(f => f.name)).toEqual(['Command', '/bob-monitor start', '/bob-monitor stop', '/bob-monitor stopall', '/bob-monitor list']);
+        expect(embed.fields[0].value).toContain('**Requires:** ManageGuild');
+    });
+
+    it('rejects unknown commands', async () => {
+        const i = makeInteraction('bob-nope');
+        await admin.execute(i);
+        expect(i.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/No command named/) }));
+    });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { parseBound } = require('../../commands/audit.js')._internal;
+
+describe('bob-audit date bounds', () => {
+    it('treats a bare date as the start of that UTC day', () => {
+        expect(parseBound('2026-03-01').toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    });
+
+    it('makes a bare `until` date inclusive of the whole day', () => {
+        expect(parseBound('2026-03-01', { endOfDay: true }).toISOString()).toBe('2026-03-02T00:00:00.000Z');
+    });
+
+    it('accepts full ISO timestamps as-is', () => {
+        expect(parseBound('2026-03-01T12:30:00Z', { endOfDay: true }).toISOString()).toBe('2026-03-01T12:30:00.000Z');
+    });
+
+    it('distinguishes absent from invalid', () => {
+        expect(parseBound(null)).toBeUndefined();
+        expect(parseBound('yesterday')).toBeNull();
+    });
+});
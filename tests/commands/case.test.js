@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { MessageFlags } from 'discord.js';
+
+const require = createRequire(import.meta.url);
+
+function makeInteraction({ subcommand, options = {}, users = {}, userId = 'u1', guildId = 'g1', channelId = 'c1', manager = false }) {
+    return {
+        user: { id: userId },
+        guildId,
+        channelId,
+        memberPermissions: { has: () => manager },
+        options: {
+            getSubcommand: () => subcommand,
+            getString: (k) => options[k] ?? null,
+            getUser: (k) => users[k] ?? null
+        },
+        reply: vi.fn().mockResolvedValue(undefined),
+        deferReply: vi.fn().mockResolvedValue(undefined),
+        editReply: vi.fn().mockResolvedValue(undefined)
+    };
+}
+
+function loadCase() {
+    const mods = ['datastore', 'cases', 'command-context', 'reports', 'case-export'].map(m => `../../utils/${m}.js`);
+    for (const mod of [...mods, '../../commands/case.js']) {
+        delete require.cache[require.resolve(mod)];
+    }
+    return require('../../commands/case.js');
+}
+
+function embedOf(interaction) {
+    return interaction.reply.mock.calls[0][0].embeds[0].data;
+}
+
+describe('bob-case', () => {
+    let dir;
+    let cmd;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-cmd-test-'));
+        process.env.DATA_DIR = dir;
+        process.env.REPORTS_DIR = path.join(dir, 'reports');
+        cmd = loadCase();
+    });
+
+    afterEach(() => {
+        delete process.env.DATA_DIR;
+        delete process.env.REPORTS_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function open(title = 'Phishing wave') {
+        const i = makeInteraction({ subcommand: 'open', options: { title } });
+        await cmd.execute(i);
+        return embedOf(i).fields.find(f => f.name === 'Case ID').value.replace(/`/g, '');
+    }
+
+    it('open replies with the new case ID', async () => {
+        expect(await open()).toMatch(/^CASE-\d{8}-[a-f0-9]{6}$/);
+    });
+
+    it('list shows the active case artifacts', async () => {
+        const caseId = await open();
+        require('../../utils/cases.js').recordArtifact(caseId, { file: 'x.txt', command: 'bob-dns', userId: 'u1', archivedAt: 'now' });
+        const i = makeInteraction({ subcommand: 'list' });
+        await cmd.execute(i);
+        expect(embedOf(i).description).toContain('`x.txt` — /bob-dns');
+    });
+
+    it('switch refuses unknown case IDs', async () => {
+        const i = makeInteraction({ subcommand: 'switch', options: { 'case-id': 'CASE-20260101-abcdef' } });
+        await cmd.execute(i);
+        expect(i.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/No open case/) }));
+    });
+
+    it('rejects malformed case IDs', async () => {
+        const i = makeInteraction({ subcommand: 'list', options: { 'case-id': '../../etc' } });
+        await cmd.execute(i);
+        expect(i.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Invalid case ID/) }));
+    });
+
+    it('close is limited to the opener or a server manager', async () => {
+        await open();
+        const stranger = makeInteraction({ subcommand: 'close', userId: 'u9' });
+        await cmd.execute(stranger);
+        expect(stranger.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Only the case opener/) }));
+
+        const manager = makeInteraction({ subcommand: 'close', userId: 'u9', manager: true });
+        await cmd.execute(manager);
+        expect(embedOf(manager).title).toMatch(/Case closed/);
+    });
+
+    it('export is limited to case members or a server manager', async () => {
+        await open();
+        const stranger = makeInteraction({ subcommand: 'export', userId: 'u9' });
+        await cmd.execute(stranger);
+        expect(stranger.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Only case members/) }));
+        expect(stranger.deferReply).not.toHaveBeenCalled();
+    });
+
+    it('switch and list are limited to case members and do not grant membership', async () => {
+        const caseId = await open();
+        const switcher = makeInteraction({ subcommand: 'switch', options: { 'case-id': caseId }, userId: 'u9', channelId: 'c2' });
+        await cmd.execute(switcher);
+        expect(switcher.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Only case members/) }));
+        expect(require('../../utils/cases.js').getActiveCaseId('c2')).toBeNull();
+
+        const lister = makeInteraction({ subcommand: 'list', options: { 'case-id': caseId }, userId: 'u9' });
+        await cmd.execute(lister);
+        expect(lister.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Only case members/) }));
+
+        const overview = makeInteraction({ subcommand: 'list', userId: 'u9', channelId: 'c3' });
+        await cmd.execute(overview);
+        expect(embedOf(overview).description).not.toContain(caseId);
+    });
+
+    it('add-member is limited to the opener and gives access to the case', async () => {
+        const caseId = await open();
+        const stranger = makeInteraction({ subcommand: 'add-member', users: { user: { id: 'u9' } }, userId: 'u9' });
+        await cmd.execute(stranger);
+        expect(stranger.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Only the case opener/) }));
+
+        const opener = makeInteraction({ subcommand: 'add-member', users: { user: { id: 'u9' } } });
+        await cmd.execute(opener);
+        expect(embedOf(opener).title).toMatch(/Member added/);
+
+        const switcher = makeInteraction({ subcommand: 'switch', options: { 'case-id': caseId }, userId: 'u9', channelId: 'c2' });
+        await cmd.execute(switcher);
+        expect(embedOf(switcher).title).toMatch(/Active case switched/);
+    });
+
+    it('export attaches the bundle and reports its hash', async () => {
+        await open();
+        const i = makeInteraction({ subcommand: 'export' });
+        await cmd.execute(i);
+        expect(i.deferReply).toHaveBeenCalledWith({ flags: MessageFlags.Ephemeral });
+        const payload = i.editReply.mock.calls[0][0];
+        const embed = payload.embeds[0].data;
+        expect(embed.title).toMatch(/exported/);
+        expect(embed.fields.find(f => f.name === 'Bundle SHA-256').value).toMatch(/^`[a-f0-9]{64}`$/);
+        expect(payload.files).toHaveLength(1);
+        expect(fs.readdirSync(path.join(dir, 'reports')).some(f => f.endsWith('.tar.gz'))).toBe(true);
+    });
+});
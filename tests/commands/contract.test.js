@@ -1,7 +1,7 @@
 import { describe, it, expect, beforeAll } from 'vitest';
 import { readdirSync } from 'node:fs';
 import { resolve, join } from 'node:path';
-import { SlashCommandBuilder } from 'discord.js';
+import { SlashCommandBuilder, ContextMenuCommandBuilder } from 'discord.js';
 
 beforeAll(() => {
     // utils/config.js validates env at import time; some commands may transitively
@@ -22,8 +22,13 @@ describe('command module contract', () => {
         const mod = require(join(COMMANDS_DIR, file));
 
         expect(mod.data, `${file}: missing \`data\` export`).toBeDefined();
-        expect(mod.data, `${file}: \`data\` must be a SlashCommandBuilder`)
-            .toBeInstanceOf(SlashCommandBuilder);
+        if (mod.data instanceof ContextMenuCommandBuilder) {
+            // Context-menu commands carry no description of their own; /bob-help shows this one.
+            expect(typeof mod.description, `${file}: context-menu commands must export \`description\``).toBe('string');
+        } else {
+            expect(mod.data, `${file}: \`data\` must be a SlashCommandBuilder`)
+                .toBeInstanceOf(SlashCommandBuilder);
+        }
         expect(typeof mod.data.name, `${file}: data.name must be a string`).toBe('string');
         expect(mod.data.name.length, `${file}: data.name must be non-empty`).toBeGreaterThan(0);
 
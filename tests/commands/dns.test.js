@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { formatRecords, buildRecordsEmbed, buildMailsecEmbed } = require('../../commands/dns.js')._internal;
+
+const emptyRecords = () => ({ A: [], AAAA: [], CNAME: [], NS: [], MX: [], TXT: [], SOA: [], CAA: [], SRV: [] });
+
+describe('bob-dns resolver embed', () => {
+    it('formats CAA, MX and SRV records', () => {
+        expect(formatRecords('CAA', [{ critical: 0, issue: 'letsencrypt.org' }, { critical: 128, iodef: 'mailto:sec@example.com' }]))
+            .toEqual(['issue `letsencrypt.org`', 'critical iodef `mailto:sec@example.com`']);
+        expect(formatRecords('MX', [{ priority: 0, exchange: '' }])).toEqual(['0 `.`']);
+        expect(formatRecords('SRV', [{ service: '_sip._tcp', name: 'sip.example.com', port: 5060, priority: 10, weight: 5 }]))
+            .toEqual(['_sip._tcp → `sip.example.com:5060` (priority 10, weight 5)']);
+    });
+
+    it('adds a field per non-empty type and notes empty and failed ones', () => {
+        const records = { ...emptyRecords(), A: [{ address: '203.0.113.7', ttl: 300 }], NS: ['ns1.example.com'] };
+        const embed = buildRecordsEmbed('example.com', { records, errors: { MX: 'ETIMEOUT' } },
+            [{ level: 'bad', text: 'No SPF record' }]).toJSON();
+        expect(embed.fields.map(f => f.name)).toEqual(['A (1)', 'NS (1)', '📧 Email security']);
+        expect(embed.fields[2].value).toBe('❌ No SPF record');
+        expect(embed.footer.text).toBe('No records: AAAA, CNAME, TXT, SOA, CAA, SRV · Lookup failed: MX (ETIMEOUT)');
+    });
+
+    it('stays within Discord\'s embed size limit for huge record sets', () => {
+        const records = emptyRecords();
+        for (const type of Object.keys(records)) records[type] = Array.from({ length: 200 }, (_, i) => `record-${i}-${'x'.repeat(200)}`);
+        records.A = records.A.map((_, i) => ({ address: `198.51.100.${i % 255}`, ttl: 60 }));
+        records.SOA = [{ nsname: 'ns1.example.com', hostmaster: 'h.example.com', serial: 1, refresh: 1, retry: 1, expire: 1, minttl: 1 }];
+        records.MX = [];
+        records.CAA = [];
+        records.SRV = [];
+        const findings = Array.from({ length: 40 }, () => ({ level: 'info', text: 'y'.repeat(100) }));
+        const embed = buildRecordsEmbed('example.com', { records, errors: {} }, findings).toJSON();
+        const size = embed.title.length + embed.description.length + (embed.footer?.text.length ?? 0)
+            + embed.fields.reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+        expect(size).toBeLessThan(6000);
+        expect(embed.fields[0].value).toMatch(/… and \d+ more$/);
+    });
+});
+
+describe('bob-dns mailsec embed', () => {
+    it('shows the score, a spoofing verdict and one field per category', () => {
+        const findings = [
+            { category: 'SPF', level: 'good', text: 'SPF ends in `-all`' },
+            { category: 'DMARC', level: 'warn', text: 'DMARC `p=none`: monitoring only, spoofed mail is still delivered' },
+            { category: 'BIMI', level: 'info', text: 'No BIMI record' },
+        ];
+        const embed = buildMailsecEmbed('example.com', { findings, score: 90, grade: 'A' }).toJSON();
+        expect(embed.title).toBe('📧 Email security: example.com');
+        expect(embed.description).toContain('**Score: 90/100 (A)**');
+        expect(embed.description).toContain('likely to be delivered even when forged');
+        expect(embed.fields.map(f => f.name)).toEqual(['SPF', 'DMARC', 'BIMI']);
+        expect(embed.fields[0].value).toBe('✅ SPF ends in `-all`');
+    });
+
+    it('says forged mail can be rejected when SPF and DMARC hold', () => {
+        const findings = [{ category: 'DMARC', level: 'good', text: 'DMARC `p=reject`' }];
+        const embed = buildMailsecEmbed('example.com', { findings, score: 100, grade: 'A' }).toJSON();
+        expect(embed.description).toContain('Receivers can reject mail forged as this domain');
+    });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { PermissionsBitField } from 'discord.js';
+
+const require = createRequire(import.meta.url);
+const command = require('../../commands/generate-usernames.js');
+const { generateUsernames, rankUsernames, formatScanResponse, createUsernameAttachment, scanTimeout } = command._internal;
+
+const generate = (overrides = {}) => generateUsernames({
+    firstName: 'John',
+    lastName: 'Doe',
+    separators: '.,_,-',
+    suffix: '',
+    prefix: '',
+    includeNumbers: false,
+    caseVariations: true,
+    ...overrides,
+});
+
+describe('bob-generate-usernames rule packs', () => {
+    it('adds nothing unless a pack is selected', () => {
+        expect(generate({ rules: { transliterate: true } })).toEqual(generate());
+    });
+
+    it('adds nickname, leetspeak and birthdate forms', () => {
+        const names = generate({
+            firstName: 'William',
+            lastName: 'Smith',
+            caseVariations: false,
+            rules: { nicknames: true, leetspeak: true, birthdate: { year: '1990', month: '05', day: '31' } },
+        });
+        expect(names).toEqual(expect.arrayContaining(['bill.smith', 'w1ll14m5m17h', 'williamsmith1990', 'billsmith310590']));
+        // Birthdate suffixes only go on patterns with a full name in them
+        expect(names).not.toContain('ws1990');
+    });
+
+    it('generates ASCII handles for accented names when transliterating', () => {
+        const names = generate({ firstName: 'José', lastName: 'Núñez', caseVariations: false, rules: { transliterate: true } });
+        expect(names).toContain('josé.núñez');
+        expect(names).toContain('jose.nunez');
+    });
+
+    it('caps the number of variations', () => {
+        const names = generate({
+            includeNumbers: true,
+            rules: { nicknames: true, leetspeak: true, initials: true, birthdate: { year: '1990', month: '05', day: '31' } },
+            firstName: 'William',
+            lastName: 'Smith',
+        });
+        expect(names.length).toBe(20000);
+    });
+
+    it('lists the selected packs in the attachment header', () => {
+        const attachment = createUsernameAttachment(['johndoe'], 'John', 'Doe', { leetspeak: true, initials: false });
+        const text = attachment.attachment.toString('utf8');
+        expect(text).toContain('# Rule packs:\n# - leetspeak: a→4');
+        expect(text).not.toContain('initials');
+    });
+});
+
+describe('bob-generate-usernames ranking', () => {
+    it('collapses case variants and drops handles the scanners reject', () => {
+        const ranked = rankUsernames(generate(), { firstName: 'John', lastName: 'Doe' });
+        const names = ranked.map(r => r.username);
+        expect(new Set(names).size).toBe(names.length);
+        expect(names.every(n => n === n.toLowerCase() && n.length >= 3)).toBe(true);
+        expect(names).not.toContain('jd');
+    });
+
+    it('puts the full name first and initials, truncations and bare names later', () => {
+        const names = rankUsernames(generate(), { firstName: 'John', lastName: 'Doe' }).map(r => r.username);
+        expect(names[0]).toBe('johndoe');
+        expect(names.slice(1, 3).sort()).toEqual(['john.doe', 'john_doe']);
+        expect(names[3]).toBe('doejohn');
+        expect(names.indexOf('jdoe')).toBeLessThan(names.indexOf('john'));
+        expect(names.indexOf('john-doe')).toBeGreaterThan(names.indexOf('john_doe'));
+    });
+
+    it('penalizes generated digits but not the user-supplied suffix', () => {
+        const usernames = generate({ suffix: '1990', includeNumbers: true, caseVariations: false });
+        const ranked = rankUsernames(usernames, { firstName: 'John', lastName: 'Doe', suffix: '1990' });
+        expect(ranked[0]).toEqual({ username: 'johndoe1990', score: 4 });
+        const extra = ranked.find(r => r.username === 'johndoe199012');
+        expect(extra.score).toBe(3);
+    });
+
+    it('ranks transliterated, nickname and birthdate forms', () => {
+        const rulesUsed = { transliterate: true, nicknames: true, birthdate: { year: '1990' } };
+        const usernames = generate({ firstName: 'Wíllíam', lastName: 'Smith', caseVariations: false, rules: rulesUsed });
+        const ranked = rankUsernames(usernames, { firstName: 'Wíllíam', lastName: 'Smith', rules: rulesUsed });
+        const score = (name) => ranked.find(r => r.username === name).score;
+        expect(ranked[0]).toEqual({ username: 'williamsmith', score: 4 });
+        expect(score('billsmith')).toBe(3.5);
+        expect(score('williamsmith1990')).toBe(3.5);
+        expect(ranked.some(r => r.username.includes('í'))).toBe(false);
+    });
+});
+
+describe('bob-generate-usernames scan report', () => {
+    it('lists found handles by hit count, then failures and misses', () => {
+        const text = formatScanResponse([
+            { username: 'jdoe', hits: [{ platform: 'GitHub' }] },
+            { username: 'johndoe', hits: Array.from({ length: 7 }, (_, i) => ({ platform: `P${i}` })) },
+            { username: 'john.doe', hits: [], error: 'timed out' },
+            { username: 'john_doe', hits: [] },
+        ], { firstName: 'John', lastName: 'Doe', scanner: 'sherlock', total: 120 });
+        expect(text).toContain('top 4 of 120 variations with sherlock');
+        expect(text).toContain('**Found:** 2 handles');
+        expect(text.indexOf('`johndoe` — 7: P0, P1, P2, P3, P4, +2 more')).toBeLessThan(text.indexOf('`jdoe` — 1: GitHub'));
+        expect(text).toContain('`john.doe` (timed out)');
+        expect(text).toContain('**Not found:** `john_doe`');
+    });
+
+    it('stays within the Discord message limit', () => {
+        const results = Array.from({ length: 20 }, (_, i) => ({
+            username: `handle_${i}_${'x'.repeat(30)}`,
+            hits: Array.from({ length: 30 }, (_, j) => ({ platform: `Platform-${j}-${'y'.repeat(20)}` })),
+        }));
+        const text = formatScanResponse(results, { firstName: 'John', lastName: 'Doe', scanner: 'maigret', total: 500 });
+        expect(text.length).toBeLessThanOrEqual(2000);
+        expect(text).toContain('more line(s) in the CSV');
+    });
+});
+
+describe('bob-generate-usernames scan limits', () => {
+    afterEach(() => {
+        delete process.env.PERMISSION_POLICY_FILE;
+    });
+
+    it('fits every scan round before the interaction token expires', () => {
+        const start = 1_000_000;
+        expect(scanTimeout(10, start, start)).toBe(150);
+        expect(5 * scanTimeout(10, start, start)).toBeLessThan(14 * 60);
+        // Ten minutes spent in the queue leave four for five rounds.
+        expect(scanTimeout(10, start, start + 10 * 60 * 1000)).toBe(48);
+        expect(scanTimeout(10, start, start + 14 * 60 * 1000)).toBe(0);
+    });
+
+    it('refuses scan: when the policy denies the scanner command', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gen-usernames-policy-'));
+        try {
+            const file = path.join(dir, 'permissions.json');
+            fs.writeFileSync(file, JSON.stringify({ version: 1, commands: { 'bob-sherlock': { deny: { users: ['333333333333333333'] } } } }));
+            process.env.PERMISSION_POLICY_FILE = file;
+            const options = { firstname: 'John', lastname: 'Doe', scan: 'sherlock' };
+            const interaction = {
+                commandName: 'bob-generate-usernames',
+                user: { id: '333333333333333333' },
+                guild: { id: 'g1' },
+                member: { roles: { cache: { some: () => false } } },
+                memberPermissions: new PermissionsBitField(PermissionsBitField.Flags.ManageGuild),
+                options: {
+                    getString: (name) => options[name] ?? null,
+                    getBoolean: () => null,
+                    getInteger: () => null,
+                },
+                reply: vi.fn().mockResolvedValue(undefined),
+                deferReply: vi.fn().mockResolvedValue(undefined),
+            };
+            await command.execute(interaction);
+            expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Scan Not Allowed/) }));
+            expect(interaction.deferReply).not.toHaveBeenCalled();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { formatJob } = require('../../commands/jobs.js')._internal;
+
+describe('bob-jobs formatting', () => {
+    const base = { id: 'abcd1234', label: 'sherlock johndoe', userId: '42', enqueuedAt: 0 };
+
+    it('shows elapsed run time for running jobs', () => {
+        const line = formatJob({ ...base, state: 'running', startedAt: 0 }, 30_000);
+        expect(line).toBe('`abcd1234` **sherlock johndoe** — <@42> — ▶️ running for 30s');
+    });
+
+    it('shows queue position and wait for queued jobs', () => {
+        const line = formatJob({ ...base, state: 'queued', position: 2, startedAt: null }, 180_000);
+        expect(line).toContain('queued #2 (waiting 3 min)');
+    });
+});
@@ -0,0 +1,331 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { PermissionFlagsBits } from 'discord.js';
+
+const require = createRequire(import.meta.url);
+
+function makeChannel(id, { guildId = 'g1', canSend = true, thread = false } = {}) {
+    return {
+        id,
+        guildId,
+        isThread: () => thread,
+        permissionsFor: (who) => ({
+            has: (flag) => who?.id !== 'bot' || (canSend && flag === (thread ? PermissionFlagsBits.SendMessagesInThreads : PermissionFlagsBits.SendMessages))
+        }),
+        send: vi.fn().mockResolvedValue(undefined)
+    };
+}
+
+function makeClient(channels = [makeChannel('chan-1')]) {
+    const byId = new Map(channels.map(c => [c.id, c]));
+    return {
+        user: { id: 'bot' },
+        channels: { fetch: vi.fn(async (id) => byId.get(id) ?? null) },
+        channel: channels[0]
+    };
+}
+
+function makeInteraction({ subcommand, options = {}, userId = 'u1', guildId = 'g1', channelId = 'chan-1', client = makeClient() }) {
+    return {
+        user: { id: userId },
+        member: { id: userId },
+        guildId,
+        channelId,
+        client,
+        options: {
+            getSubcommand: () => subcommand,
+            getString: (k) => options[k] ?? null,
+            getInteger: (k) => options[k] ?? null,
+            getChannel: (k) => options[k] ?? null
+        },
+        deferReply: vi.fn().mockResolvedValue(undefined),
+        editReply: vi.fn().mockResolvedValue(undefined)
+    };
+}
+
+// Fresh module per test: both the store path and the monitor Map are bound at
+// require time. monitor.js destructures its helpers on load, so the spies must
+// be installed before it is required.
+function loadMonitor() {
+    for (const mod of ['../../commands/monitor.js', '../../utils/datastore.js']) {
+        delete require.cache[require.resolve(mod)];
+    }
+    vi.spyOn(require('../../utils/ssrf.js'), 'validateUrlNotInternal').mockResolvedValue(undefined);
+    vi.spyOn(require('axios'), 'get').mockResolvedValue({ data: '<html>v1</html>' });
+    return require('../../commands/monitor.js');
+}
+
+describe('bob-monitor persistence', () => {
+    let dir;
+    let cmd;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-test-'));
+        process.env.DATA_DIR = dir;
+        process.env.MONITOR_CHANNEL_ID = 'chan-1';
+    });
+
+    afterEach(() => {
+        cmd?.shutdown();
+        vi.restoreAllMocks();
+        delete process.env.DATA_DIR;
+        delete process.env.MONITOR_CHANNEL_ID;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function stored() {
+        return JSON.parse(fs.readFileSync(path.join(dir, 'monitors.json'), 'utf8')).monitors;
+    }
+
+    it('start persists url, interval, owner and last hash', async () => {
+        cmd = loadMonitor();
+        await cmd.execute(makeInteraction({ subcommand: 'start', options: { url: 'https://example.com', interval: 5 } }));
+        const [m] = stored();
+        expect(m).toMatchObject({ url: 'https://example.com', interval: 5, userId: 'u1' });
+        expect(m.hash).toMatch(/^[a-f0-9]{32}$/);
+        expect(m.lastChecked).toBeTruthy();
+    });
+
+    it('stop removes the monitor from the store', async () => {
+        cmd = loadMonitor();
+        await cmd.execute(makeInteraction({ subcommand: 'start', options: { url: 'https://example.com', interval: 5 } }));
+        await cmd.execute(makeInteraction({ subcommand: 'stop', options: { url: 'https://example.com' } }));
+        expect(stored()).toEqual([]);
+    });
+
+    it('shutdown keeps the store and a fresh load re-arms the monitors', async () => {
+        cmd = loadMonitor();
+        await cmd.execute(makeInteraction({ subcommand: 'start', options: { url: 'https://example.com', interval: 5 } }));
+        cmd.shutdown();
+        expect(stored()).toHaveLength(1);
+
+        cmd = loadMonitor();
+        const client = makeClient();
+        expect(await cmd.restore(client)).toBe(1);
+        // Same body as before the restart: no alert.
+        expect(client.channel.send).not.toHaveBeenCalled();
+    });
+
+    it('alerts on restore when the page changed while the bot was down', async () => {
+        cmd = loadMonitor();
+        await cmd.execute(makeInteraction({ subcommand: 'start', options: { url: 'https://example.com', interval: 5 } }));
+        cmd.shutdown();
+
+        cmd = loadMonitor();
+        require('axios').get.mockResolvedValue({ data: '<html>v2</html>' });
+        const client = makeClient();
+        await cmd.restore(client);
+        expect(client.channel.send).toHaveBeenCalledOnce();
+    });
+
+    it('per-user cap counts persisted monitors', async () => {
+        fs.writeFileSync(path.join(dir, 'monitors.json'), JSON.stringify({
+            version: 1,
+            monitors: ['a', 'b', 'c'].map(x => ({ url: `https://${x}.example.com`, interval: 5, userId: 'u1', hash: null }))
+        }));
+        cmd = loadMonitor();
+        const interaction = makeInteraction({ subcommand: 'start', options: { url: 'https://d.example.com', interval: 5 } });
+        await cmd.execute(interaction);
+        expect(interaction.editReply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/per-user monitor limit/) }));
+        expect(stored()).toHaveLength(3);
+    });
+
+    function writeLegacyMonitor(channelId) {
+        fs.writeFileSync(path.join(dir, 'monitors.json'), JSON.stringify({
+            version: 1,
+            monitors: [{ url: 'https://example.com', channelId, interval: 5, userId: 'u1', hash: null }]
+        }));
+        // Snapshot under the bare-URL key legacy monitors used.
+        const name = `monitor-snapshot_${crypto.createHash('sha256').update('https://example.com').digest('hex').slice(0, 24)}`;
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({ text: 'v0', hash: 'old', capturedAt: 'before' }));
+    }
+
+    async function listFrom(guildId, client) {
+        const interaction = makeInteraction({ subcommand: 'list', guildId, client });
+        await cmd.execute(interaction);
+        return interaction.editReply.mock.calls[0][0];
+    }
+
+    it('restore assigns a legacy monitor to the guild of its alert channel', async () => {
+        writeLegacyMonitor('chan-2');
+        const other = makeChannel('chan-2', { guildId: 'g2' });
+        const client = makeClient([makeChannel('chan-1'), other]);
+        cmd = loadMonitor();
+        expect(await listFrom('g1', client)).toMatch(/No websites/);
+
+        expect(await cmd.restore(client)).toBe(1);
+        expect(stored()[0]).toMatchObject({ guildId: 'g2', channelId: 'chan-2' });
+        // The legacy snapshot moved with it: the change is still alerted.
+        expect(other.send).toHaveBeenCalledOnce();
+        expect(await listFrom('g1', client)).toMatch(/No websites/);
+        expect(await listFrom('g2', client)).toContain('https://example.com');
+    });
+
+    it('keeps a legacy monitor whose channel is gone hidden and unarmed', async () => {
+        writeLegacyMonitor('gone');
+        const client = makeClient();
+        cmd = loadMonitor();
+        expect(await cmd.restore(client)).toBe(0);
+        expect(require('axios').get).not.toHaveBeenCalled();
+        expect(await listFrom('g1', client)).toMatch(/No websites/);
+        const stop = makeInteraction({ subcommand: 'stop', options: { url: 'https://example.com' }, client });
+        await cmd.execute(stop);
+        expect(stop.editReply).toHaveBeenCalledWith('Not monitoring https://example.com');
+        expect(stored()).toHaveLength(1);
+    });
+});
+
+describe('bob-monitor content diffs', () => {
+    let dir;
+    let cmd;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-diff-test-'));
+        process.env.DATA_DIR = dir;
+        process.env.MONITOR_CHANNEL_ID = 'chan-1';
+    });
+
+    afterEach(() => {
+        cmd?.shutdown();
+        vi.restoreAllMocks();
+        delete process.env.DATA_DIR;
+        delete process.env.MONITOR_CHANNEL_ID;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function startThenRecheck(first, second, options = {}) {
+        cmd = loadMonitor();
+        const axios = require('axios');
+        axios.get.mockResolvedValue({ data: first, headers: { 'content-type': 'text/html' } });
+        await cmd.execute(makeInteraction({ subcommand: 'start', options: { url: 'https://example.com', interval: 5, ...options } }));
+        cmd.shutdown();
+
+        cmd = loadMonitor();
+        require('axios').get.mockResolvedValue({ data: second, headers: { 'content-type': 'text/html' } });
+        const client = makeClient();
+        await cmd.restore(client);
+        return client.channel.send;
+    }
+
+    it('attaches a unified diff of the visible text to the alert', async () => {
+        const send = await startThenRecheck(
+            '<html><body><p>Price: 10</p><p>Stock: yes</p></body></html>',
+            '<html><body><p>Price: 12</p><p>Stock: yes</p></body></html>'
+        );
+        expect(send).toHaveBeenCalledOnce();
+        const payload = send.mock.calls[0][0];
+        expect(payload.embeds[0].data.description).toContain('-Price: 10');
+        expect(payload.embeds[0].data.description).toContain('+Price: 12');
+        expect(payload.files[0].name).toBe('changes.diff');
+    });
+
+    it('ignores markup-only changes such as rotating CSRF tokens', async () => {
+        const send = await startThenRecheck(
+            '<html><body><form><input name="csrf" value="aaa"></form><p>Same</p></body></html>',
+            '<html><body><form><input name="csrf" value="bbb"></form><p>Same</p></body></html>'
+        );
+        expect(send).not.toHaveBeenCalled();
+    });
+
+    it('honours ignore-selector and ignore-regex', async () => {
+        const send = await startThenRecheck(
+            '<html><body><div class="ts">12:00</div><p>Seen 5 times</p></body></html>',
+            '<html><body><div class="ts">12:05</div><p>Seen 9 times</p></body></html>',
+            { 'ignore-selector': '.ts', 'ignore-regex': '\\d+ times' }
+        );
+        expect(send).not.toHaveBeenCalled();
+    });
+
+    it('rejects an ignore-regex with nested quantifiers', async () => {
+        cmd = loadMonitor();
+        const interaction = makeInteraction({ subcommand: 'start', options: { url: 'https://example.com', interval: 5, 'ignore-regex': '(a+)+$' } });
+        await cmd.execute(interaction);
+        expect(interaction.editReply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringMatching(/Invalid ignore rule/) }));
+    });
+
+    it('stop deletes the snapshot', async () => {
+        cmd = loadMonitor();
+        await cmd.execute(makeInteraction({ subcommand: 'start', options: { url: 'https://example.com', interval: 5 } }));
+        expect(fs.readdirSync(dir).some(f => f.startsWith('monitor-snapshot_'))).toBe(true);
+        await cmd.execute(makeInteraction({ subcommand: 'stop', options: { url: 'https://example.com' } }));
+        expect(fs.readdirSync(dir).some(f => f.startsWith('monitor-snapshot_'))).toBe(false);
+    });
+});
+
+describe('bob-monitor alert routing', () => {
+    let dir;
+    let cmd;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-route-test-'));
+        process.env.DATA_DIR = dir;
+    });
+
+    afterEach(() => {
+        cmd?.shutdown();
+        vi.restoreAllMocks();
+        delete process.env.DATA_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('works without MONITOR_CHANNEL_ID and defaults to the invoking channel', async () => {
+        cmd = loadMonitor();
+        const interaction = makeInteraction({ subcommand: 'start', options: { url: 'https://example.com', interval: 5 } });
+        await cmd.execute(interaction);
+        expect(interaction.editReply).toHaveBeenLastCalledWith(expect.stringContaining('<#chan-1>'));
+        const [m] = JSON.parse(fs.readFileSync(path.join(dir, 'monitors.json'), 'utf8')).monitors;
+        expect(m).toMatchObject({ guildId: 'g1', channelId: 'chan-1' });
+    });
+
+    it('routes alerts to the chosen thread', async () => {
+        const thread = makeChannel('thread-9', { thread: true });
+        const client = makeClient([makeChannel('chan-1'), thread]);
+        cmd = loadMonitor();
+        await cmd.execute(makeInteraction({ subcommand: 'start', client, options: { url: 'https://example.com', interval: 5, channel: { id: 'thread-9' } } }));
+        cmd.shutdown();
+
+        cmd = loadMonitor();
+        require('axios').get.mockResolvedValue({ data: '<p>changed</p>' });
+        await cmd.restore(client);
+        expect(thread.send).toHaveBeenCalledOnce();
+        expect(client.channel.send).not.toHaveBeenCalled();
+    });
+
+    it('refuses a channel the bot cannot post in', async () => {
+        const client = makeClient([makeChannel('chan-1'), makeChannel('muted', { canSend: false })]);
+        cmd = loadMonitor();
+        const interaction = makeInteraction({ subcommand: 'start', client, options: { url: 'https://example.com', interval: 5, channel: { id: 'muted' } } });
+        await cmd.execute(interaction);
+        expect(interaction.editReply).toHaveBeenLastCalledWith(expect.objectContaining({ content: expect.stringMatching(/permission/) }));
+    });
+
+    it('refuses a channel from another guild', async () => {
+        const client = makeClient([makeChannel('chan-1'), makeChannel('foreign', { guildId: 'g2' })]);
+        cmd = loadMonitor();
+        const interaction = makeInteraction({ subcommand: 'start', client, options: { url: 'https://example.com', interval: 5, channel: { id: 'foreign' } } });
+        await cmd.execute(interaction);
+        expect(interaction.editReply).toHaveBeenLastCalledWith(expect.objectContaining({ content: expect.stringMatching(/not available/) }));
+    });
+
+    it('list shows destinations and is scoped to the guild', async () => {
+        cmd = loadMonitor();
+        await cmd.execute(makeInteraction({ subcommand: 'start', options: { url: 'https://example.com', interval: 5 } }));
+        const other = makeClient([makeChannel('chan-2', { guildId: 'g2' })]);
+        await cmd.execute(makeInteraction({ subcommand: 'start', guildId: 'g2', channelId: 'chan-2', client: other, userId: 'u2', options: { url: 'https://example.com', interval: 5 } }));
+
+        const list = makeInteraction({ subcommand: 'list' });
+        await cmd.execute(list);
+        const text = list.editReply.mock.calls[0][0];
+        expect(text).toContain('https://example.com → <#chan-1>');
+        expect(text).not.toContain('chan-2');
+
+        const stopOther = makeInteraction({ subcommand: 'stopall', guildId: 'g2', channelId: 'chan-2', client: other });
+        await cmd.execute(stopOther);
+        const remaining = JSON.parse(fs.readFileSync(path.join(dir, 'monitors.json'), 'utf8')).monitors;
+        expect(remaining.map(m => m.guildId)).toEqual(['g1']);
+    });
+});
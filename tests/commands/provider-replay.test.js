@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const axios = require('axios');
+const { installHttpFixtures } = require('../../utils/http-fixtures.js');
+const { clearCache } = require('../../utils/response-cache.js');
+
+const FIXTURES = path.resolve(import.meta.dirname, '../fixtures/http');
+
+function makeInteraction({ subcommand = null, options = {} } = {}) {
+    return {
+        user: { id: 'u1', tag: 'user#0001' },
+        guild: { id: 'g1', name: 'guild' },
+        options: {
+            getString: (k) => options[k] ?? null,
+            getInteger: (k) => options[k] ?? null,
+            getBoolean: (k) => options[k] ?? null,
+            getSubcommand: () => subcommand
+        },
+        deferReply: vi.fn().mockResolvedValue(undefined),
+        editReply: vi.fn().mockResolvedValue(undefined),
+        followUp: vi.fn().mockResolvedValue(undefined)
+    };
+}
+
+function lastReply(interaction) {
+    const payload = interaction.editReply.mock.calls.at(-1)[0];
+    return typeof payload === 'string' ? payload : payload.content ?? '';
+}
+
+// Every command end-to-end against a fixture scenario; nothing leaves the process.
+describe('provider commands replayed from fixtures', () => {
+    let dir;
+    let restore;
+
+    function replay(scenario) {
+        restore = installHttpFixtures(axios, { mode: 'replay', dir: path.join(FIXTURES, scenario) });
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-replay-'));
+        process.env.REPORTS_DIR = dir;
+        process.env.DNSDUMPSTER_TOKEN = 'fixture';
+        process.env.WHOXY_API_KEY = 'fixture';
+        process.env.HOSTIO_API_KEY = 'fixture';
+        clearCache();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        restore?.();
+        vi.restoreAllMocks();
+        for (const k of ['REPORTS_DIR', 'DNSDUMPSTER_TOKEN', 'WHOXY_API_KEY', 'HOSTIO_API_KEY']) delete process.env[k];
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('bob-dns renders recorded records', async () => {
+        replay('default');
+        const interaction = makeInteraction({ options: { domain: 'example.com', mode: 'dnsdumpster' } });
+        await require('../../commands/dns.js').execute(interaction);
+        expect(lastReply(interaction)).toContain('93.184.215.14');
+    });
+
+    it('bob-dns reports a rejected key (401) without leaking the error', async () => {
+        replay('unauthorized');
+        const interaction = makeInteraction({ options: { domain: 'example.com', mode: 'dnsdumpster' } });
+        await require('../../commands/dns.js').execute(interaction);
+        expect(lastReply(interaction)).toContain('Authentication failed');
+        expect(lastReply(interaction)).not.toContain('status code');
+    });
+
+    it('bob-dns survives a non-JSON body', async () => {
+        replay('malformed');
+        const interaction = makeInteraction({ options: { domain: 'example.com', mode: 'dnsdumpster' } });
+        await expect(require('../../commands/dns.js').execute(interaction)).resolves.not.toThrow();
+        expect(interaction.editReply).toHaveBeenCalled();
+    });
+
+    it('bob-hostio explains a 429', async () => {
+        replay('rate-limited');
+        const interaction = makeInteraction({ subcommand: 'full', options: { domain: 'example.com' } });
+        await require('../../commands/hostio.js').execute(interaction);
+        expect(lastReply(interaction)).toBe('Rate limit exceeded. Please try again later.');
+    });
+
+    it('bob-whoxy history renders recorded records', async () => {
+        replay('default');
+        const interaction = makeInteraction({ options: { type: 'history', domain: 'example.com' } });
+        await require('../../commands/whoxy.js').execute(interaction);
+        const embed = interaction.editReply.mock.calls.at(-1)[0].embeds[0].data;
+        expect(JSON.stringify(embed.fields)).toContain('Records Found:** 2');
+    });
+
+    it('bob-whoxy treats truncated JSON as a failed lookup and does not cache it', async () => {
+        replay('malformed');
+        const cmd = require('../../commands/whoxy.js');
+        const interaction = makeInteraction({ options: { type: 'history', domain: 'example.com' } });
+        await cmd.execute(interaction);
+        const embed = interaction.editReply.mock.calls.at(-1)[0].embeds[0].data;
+        expect(JSON.stringify(embed.fields)).toContain('Failed');
+
+        restore();
+        replay('default');
+        const retry = makeInteraction({ options: { type: 'history', domain: 'example.com' } });
+        await cmd.execute(retry);
+        expect(JSON.stringify(retry.editReply.mock.calls.at(-1)[0].embeds[0].data.fields)).toContain('Success');
+    });
+});
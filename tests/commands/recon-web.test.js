@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { sourceLine, subdomainLine, buildInventoryFields } = require('../../commands/recon-web.js')._internal;
+
+const entry = (name, fields = {}) => ({ name, sources: ['crt.sh'], resolved: true, addresses: [], error: null, wildcard: false, ...fields });
+
+describe('bob-web-recon subdomain inventory', () => {
+    it('summarizes each source', () => {
+        expect(sourceLine({ label: 'crt.sh', names: ['a', 'b'], detail: '5 certificates', cached: true, error: null }))
+            .toBe('• crt.sh: 2 names (5 certificates, cached)');
+        expect(sourceLine({ label: 'VirusTotal', names: [], detail: null, cached: false, error: 'no API key' }))
+            .toBe('• VirusTotal: skipped (no API key)');
+        expect(sourceLine({ label: 'Wayback Machine', names: [], detail: null, cached: false, error: 'timed out' }))
+            .toBe('• Wayback Machine: failed (timed out)');
+    });
+
+    it('shows addresses, failures and wildcard flags per name', () => {
+        expect(subdomainLine(entry('www.example.com', { sources: ['crt.sh', 'CertSpotter'], addresses: ['203.0.113.1', '203.0.113.2', '2001:db8::1'] })))
+            .toBe('`www.example.com` → 203.0.113.1, 203.0.113.2 +1 · crt.sh, CertSpotter');
+        expect(subdomainLine(entry('old.example.com', { error: 'ETIMEOUT' }))).toBe('`old.example.com` → lookup failed (ETIMEOUT) · crt.sh');
+        expect(subdomainLine(entry('x.example.com', { addresses: ['203.0.113.99'], wildcard: true })))
+            .toBe('`x.example.com` → 203.0.113.99 ⚠️ wildcard · crt.sh');
+        expect(subdomainLine(entry('late.example.com', { resolved: false }))).toBe('`late.example.com` · crt.sh');
+    });
+
+    it('lists resolving names first and explains wildcard DNS', () => {
+        const fields = buildInventoryFields({
+            sources: [{ label: 'crt.sh', names: ['a.example.com', 'b.example.com', 'c.example.com'], detail: null, cached: false, error: null }],
+            wildcard: ['203.0.113.99'],
+            subdomains: [
+                entry('a.example.com'),
+                entry('b.example.com', { addresses: ['203.0.113.99'], wildcard: true }),
+                entry('c.example.com', { addresses: ['203.0.113.5'] }),
+            ],
+            resolveError: null,
+        });
+        expect(fields.map(f => f.name)).toEqual(['Sources', '⚠️ Wildcard DNS', 'Subdomains (3 found, 1 resolve)']);
+        expect(fields[1].value).toContain('1 name only points there and may not really exist');
+        expect(fields[2].value.split('\n').map(line => line.split('`')[1])).toEqual(['c.example.com', 'a.example.com', 'b.example.com']);
+    });
+
+    it('stays within the field limit and notes an unusable resolver', () => {
+        const subdomains = Array.from({ length: 200 }, (_, i) => entry(`host-${i}.example.com`, { resolved: false }));
+        const fields = buildInventoryFields({ sources: [], wildcard: [], subdomains, resolveError: 'invalid DNS_RESOLVER' });
+        expect(fields[1].name).toBe('Subdomains (200 found, 0 resolve; not resolved: invalid DNS_RESOLVER)');
+        expect(fields[1].value.length).toBeLessThanOrEqual(1024);
+        expect(fields[1].value).toMatch(/… and \d+ more$/);
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { techLine, buildTechEmbed } = require('../../commands/tech.js')._internal;
+
+const tech = (name, category, fields = {}) => ({ name, category, version: null, ids: [], evidence: ['header server: nginx'], ...fields });
+
+describe('bob-tech', () => {
+    it('shows tracking IDs, else the version and first evidence', () => {
+        expect(techLine(tech('Google Analytics', 'Analytics', { ids: ['G-ABC123XYZ', 'UA-1234-1'], evidence: ['tracking ID'] })))
+            .toBe('**Google Analytics** `G-ABC123XYZ`, `UA-1234-1`');
+        expect(techLine(tech('Nginx', 'Web server', { version: '1.25.3', evidence: ['header server: nginx/1.25.3'] })))
+            .toBe('**Nginx** 1.25.3 · header server: nginx/1.25.3');
+    });
+
+    it('groups detections by category and shows raw server headers', () => {
+        const page = { url: 'https://www.example.com/', status: 200, headers: { server: 'nginx/1.25.3', 'x-powered-by': 'PHP/8.2' } };
+        const embed = buildTechEmbed('https://example.com', page, [
+            tech('WordPress', 'CMS', { version: '6.4.2' }),
+            tech('Nginx', 'Web server'),
+            tech('PHP', 'Programming language'),
+        ]).toJSON();
+        expect(embed.title).toBe('🧬 Tech: www.example.com');
+        expect(embed.description).toBe('HTTP 200 · https://www.example.com/\nRedirected from https://example.com\n`server: nginx/1.25.3`\n`x-powered-by: PHP/8.2`');
+        expect(embed.fields.map(f => f.name)).toEqual(['CMS', 'Web server', 'Programming language']);
+    });
+
+    it('says so when nothing matched', () => {
+        const embed = buildTechEmbed('https://example.com/', { url: 'https://example.com/', status: 503, headers: {} }, []).toJSON();
+        expect(embed.fields).toEqual([expect.objectContaining({ name: 'No match' })]);
+    });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+import { PermissionsBitField } from 'discord.js';
+
+const require = createRequire(import.meta.url);
+const { toolAllowed, fitLines } = require('../../commands/username-sweep.js')._internal;
+
+describe('bob-username-sweep', () => {
+    it('applies each tool\'s own command permission', () => {
+        const member = (perm) => ({
+            commandName: 'bob-username-sweep',
+            user: { id: 'u1' },
+            guild: { id: 'g1' },
+            member: { roles: { cache: { some: () => false } } },
+            memberPermissions: new PermissionsBitField(perm),
+        });
+        const moderator = member(PermissionsBitField.Flags.ManageGuild);
+        expect(toolAllowed(moderator, 'bob-sherlock')).toBe(true);
+        expect(toolAllowed(moderator, 'bob-nuclei')).toBe(false);
+        expect(toolAllowed(member(PermissionsBitField.Flags.Administrator), 'bob-nuclei')).toBe(true);
+    });
+
+    it('fits whole lines into an embed field', () => {
+        expect(fitLines(['a'.repeat(600), 'b'.repeat(600)])).toBe('a'.repeat(600));
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { compareSnapshots, yearBars, contactLine, buildWaybackEmbed } = require('../../commands/wayback.js')._internal;
+
+const timeline = {
+    first: '20150301120000',
+    last: '20200101000000',
+    total: 3,
+    versions: 2,
+    years: [{ year: '2015', count: 2 }, { year: '2016', count: 0 }],
+    statuses: [{ status: '200', count: 3 }],
+};
+const older = { timestamp: '20150301120000', status: 200, digest: 'A' };
+const newer = { timestamp: '20200101000000', status: 200, digest: 'B' };
+const contact = { kind: 'email', value: 'old@example.com', first: '20150301120000', last: '20170101000000' };
+
+describe('bob-wayback', () => {
+    it('scales year bars to the busiest year and leaves gaps empty', () => {
+        expect(yearBars(timeline.years)).toEqual(['`2015` ████████████ 2', '`2016` 0']);
+    });
+
+    it('shows when a contact was seen', () => {
+        expect(contactLine(contact)).toBe('📧 `old@example.com` (2015-03-01 → 2017-01-01)');
+        expect(contactLine({ kind: 'social', value: 'https://github.com/example', platform: 'GitHub', first: '20180101000000', last: '20180101000000' }))
+            .toBe('🔗 GitHub `https://github.com/example` (2018-01-01)');
+    });
+
+    it('diffs the visible text of two fetched snapshots', () => {
+        const bodies = new Map([
+            [older.timestamp, { body: '<p>Call us</p><p>old@example.com</p>', contentType: 'text/html' }],
+            [newer.timestamp, { body: '<p>Call us</p>', contentType: 'text/html' }],
+        ]);
+        const diff = compareSnapshots(older, newer, bodies);
+        expect(diff).toMatchObject({ removed: 1, added: 0, error: null });
+        expect(diff.text).toContain('-old@example.com');
+        expect(compareSnapshots(older, newer, new Map()).error).toBe('snapshot could not be fetched');
+        expect(compareSnapshots(null, newer, new Map()).error).toBe('no successful capture to compare');
+    });
+
+    it('lists contacts gone from the live page with a diff preview', () => {
+        const diff = { text: '--- 2015-03-01\n+++ 2020-01-01\n@@ -1,2 +1,1 @@\n Call us\n-old@example.com', added: 0, removed: 1, error: null };
+        const fields = buildWaybackEmbed('https://example.com/contact', {
+            timeline, truncated: false, older, newer, diff, contacts: [contact], gone: [contact], liveError: null, sampled: 2, note: null,
+        }).toJSON().fields;
+        expect(fields.map(f => f.name)).toEqual(['Captures per year', 'Status codes', 'Diff 2015-03-01 → 2020-01-01', 'Gone from the live page (1)']);
+        expect(fields[2].value).toBe('+0 / −1 lines (full diff attached)\n```diff\n@@ -1,2 +1,1 @@\n Call us\n-old@example.com\n```');
+        expect(fields[3].value).toContain('old@example.com');
+    });
+
+    it('lists every archived contact when the live page cannot be read', () => {
+        const fields = buildWaybackEmbed('https://example.com/contact', {
+            timeline, truncated: true, older, newer, diff: { text: '', added: 0, removed: 0, error: null },
+            contacts: [contact], gone: null, liveError: 'HTTP 503', sampled: 1, note: null,
+        }).toJSON().fields;
+        expect(fields[2].value).toBe('No change in the visible text.');
+        expect(fields[3]).toMatchObject({ name: 'Contacts in the archive' });
+        expect(fields[3].value).toContain('could not be read (HTTP 503)');
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// DATA_DIR is bound at load and the chain head is cached: reload per test.
+function loadAudit() {
+    for (const m of ['datastore', 'audit']) {
+        delete require.cache[require.resolve(`../../utils/${m}.js`)];
+    }
+    return require('../../utils/audit.js');
+}
+
+function ctx(overrides = {}) {
+    return {
+        command: 'bob-dns',
+        subcommand: null,
+        options: { domain: 'example.com' },
+        userId: 'u1',
+        guildId: 'g1',
+        channelId: 'c1',
+        caseId: null,
+        startedAt: new Date().toISOString(),
+        ...overrides
+    };
+}
+
+describe('utils/audit', () => {
+    let dir;
+    let audit;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+        process.env.DATA_DIR = dir;
+        audit = loadAudit();
+    });
+
+    afterEach(() => {
+        delete process.env.DATA_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('appends chained JSONL entries with outcome and duration', () => {
+        const first = audit.recordInvocation(ctx(), { outcome: 'success' });
+        const second = audit.recordInvocation(ctx({ userId: 'u2' }), { outcome: 'denied', durationMs: 3 });
+        expect(first).toMatchObject({ seq: 1, prevHash: audit.GENESIS_HASH, outcome: 'success', options: { domain: 'example.com' } });
+        expect(first.durationMs).toBeGreaterThanOrEqual(0);
+        expect(second).toMatchObject({ seq: 2, prevHash: first.hash, durationMs: 3 });
+
+        const lines = fs.readFileSync(audit.auditFilePath(), 'utf8').trim().split('\n');
+        expect(lines.map(l => JSON.parse(l).hash)).toEqual([first.hash, second.hash]);
+    });
+
+    it('coerces unknown outcomes to error', () => {
+        expect(audit.recordInvocation(ctx(), { outcome: 'bogus' }).outcome).toBe('error');
+    });
+
+    it('continues the chain after a restart', async () => {
+        const first = audit.recordInvocation(ctx(), { outcome: 'success' });
+        audit = loadAudit();
+        const second = audit.recordInvocation(ctx(), { outcome: 'success' });
+        expect(second).toMatchObject({ seq: 2, prevHash: first.hash });
+        expect(await audit.verifyAuditLog()).toEqual({ ok: true, entries: 2 });
+    });
+
+    it('verify reports the first edited line', async () => {
+        for (let i = 0; i < 3; i++) audit.recordInvocation(ctx(), { outcome: 'success' });
+        const file = audit.auditFilePath();
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        const tampered = JSON.parse(lines[1]);
+        tampered.userId = 'someone-else';
+        lines[1] = JSON.stringify(tampered);
+        fs.writeFileSync(file, lines.join('\n') + '\n');
+        expect(await audit.verifyAuditLog()).toMatchObject({ ok: false, entries: 1, brokenAt: 2, reason: 'entry hash mismatch' });
+    });
+
+    it('verify reports a removed line', async () => {
+        for (let i = 0; i < 3; i++) audit.recordInvocation(ctx(), { outcome: 'success' });
+        const file = audit.auditFilePath();
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        fs.writeFileSync(file, [lines[0], lines[2]].join('\n') + '\n');
+        expect(await audit.verifyAuditLog()).toMatchObject({ ok: false, brokenAt: 2 });
+    });
+
+    it('verify passes on a missing log', async () => {
+        expect(await audit.verifyAuditLog()).toEqual({ ok: true, entries: 0 });
+    });
+
+    it('search filters by guild, user, command and date range, newest first', async () => {
+        audit.recordInvocation(ctx({ userId: 'u1' }), { outcome: 'success' });
+        audit.recordInvocation(ctx({ userId: 'u2', command: 'bob-whoxy' }), { outcome: 'success' });
+        audit.recordInvocation(ctx({ userId: 'u1', guildId: 'g2' }), { outcome: 'success' });
+        audit.recordInvocation(ctx({ userId: 'u1' }), { outcome: 'error' });
+
+        const byUser = await audit.searchAudit({ guildId: 'g1', userId: 'u1' });
+        expect(byUser.total).toBe(2);
+        expect(byUser.entries.map(e => e.seq)).toEqual([4, 1]);
+
+        expect((await audit.searchAudit({ guildId: 'g1', command: 'bob-whoxy' })).entries.map(e => e.userId)).toEqual(['u2']);
+        expect((await audit.searchAudit({ guildId: 'g1', until: new Date(0) })).total).toBe(0);
+        expect((await audit.searchAudit({ guildId: 'g1', since: new Date(Date.now() - 60000) })).total).toBe(3);
+    });
+
+    it('search keeps only the newest `limit` matches but counts them all', async () => {
+        for (let i = 0; i < 5; i++) audit.recordInvocation(ctx(), { outcome: 'success' });
+        const { entries, total } = await audit.searchAudit({ limit: 2 });
+        expect(total).toBe(5);
+        expect(entries.map(e => e.seq)).toEqual([5, 4]);
+    });
+});
@@ -262,6 +262,41 @@ describe('sweepBootTemp', () => {
     });
 });
 
+// ─── restoreCommands ──────────────────────────────────────────────────────────
+
+describe('restoreCommands', () => {
+    it('calls restore(client) on each command that has one', async () => {
+        const { restoreCommands } = loadBootstrap();
+        const restoreA = vi.fn().mockResolvedValue(2);
+        const client = {
+            commands: new Map([
+                ['a', { data: { name: 'a' }, restore: restoreA }],
+                ['b', { data: { name: 'b' } }]  // no restore — skipped
+            ])
+        };
+        const results = await restoreCommands(client);
+        expect(restoreA).toHaveBeenCalledWith(client);
+        expect(results).toEqual([{ command: 'a', restored: 2 }]);
+    });
+
+    it('a failing restore is logged and does not reject', async () => {
+        const { restoreCommands } = loadBootstrap();
+        const logger = { error: vi.fn() };
+        const client = {
+            commands: new Map([
+                ['bad', { data: { name: 'bad' }, restore: () => { throw new Error('boom'); } }],
+                ['ok', { data: { name: 'ok' }, restore: () => 1 }]
+            ])
+        };
+        const results = await restoreCommands(client, logger);
+        expect(results).toEqual([
+            { command: 'bad', restored: 0, failed: true },
+            { command: 'ok', restored: 1 }
+        ]);
+        expect(logger.error).toHaveBeenCalledOnce();
+    });
+});
+
 // ─── createShutdownHandler ────────────────────────────────────────────────────
 
 describe('createShutdownHandler', () => {
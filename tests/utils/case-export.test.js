@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import crypto from 'node:crypto';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// DATA_DIR and REPORTS_DIR are bound at module load: reload the whole chain.
+function loadModules(dir) {
+    process.env.DATA_DIR = path.join(dir, 'data');
+    process.env.REPORTS_DIR = path.join(dir, 'reports');
+    for (const m of ['datastore', 'cases', 'command-context', 'reports', 'case-export']) {
+        delete require.cache[require.resolve(`../../utils/${m}.js`)];
+    }
+    return {
+        cases: require('../../utils/cases.js'),
+        context: require('../../utils/command-context.js'),
+        reports: require('../../utils/reports.js'),
+        exporter: require('../../utils/case-export.js')
+    };
+}
+
+function tarEntries(gz) {
+    const buf = zlib.gunzipSync(gz);
+    const out = {};
+    let off = 0;
+    while (off + 512 <= buf.length && buf[off] !== 0) {
+        const name = buf.subarray(off, off + 100).toString('utf8').replace(/\0.*$/s, '');
+        const size = parseInt(buf.subarray(off + 124, off + 136).toString('utf8'), 8);
+        out[name] = buf.subarray(off + 512, off + 512 + size);
+        off += 512 + Math.ceil(size / 512) * 512;
+    }
+    return out;
+}
+
+const sha = (b) => crypto.createHash('sha256').update(b).digest('hex');
+
+describe('utils/case-export', () => {
+    let dir;
+    let mods;
+    let caseId;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-export-test-'));
+        mods = loadModules(dir);
+        caseId = mods.cases.openCase({ title: 'T', guildId: 'g1', channelId: 'c1', userId: 'u1' }).id;
+        const ctx = { command: 'bob-whoxy', subcommand: 'domain', options: { domain: 'example.com' }, userId: 'u1', channelId: 'c1', caseId };
+        await mods.context.runWithContext(ctx, async () => {
+            await mods.reports.saveReport('whoxy_example.com', 'whois data');
+            await mods.reports.saveReport('whoxy_example.org', 'more data');
+        });
+    });
+
+    afterEach(() => {
+        delete process.env.DATA_DIR;
+        delete process.env.REPORTS_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('bundles artifacts with a manifest and matching SHA256SUMS', async () => {
+        const result = await mods.exporter.exportCase(caseId, { exportedBy: 'u2' });
+        const bundle = fs.readFileSync(result.path);
+        expect(result.sha256).toBe(sha(bundle));
+
+        const entries = tarEntries(bundle);
+        const manifest = JSON.parse(entries['manifest.json'].toString('utf8'));
+        expect(manifest.case.id).toBe(caseId);
+        expect(manifest.exportedBy).toBe('u2');
+        expect(manifest.artifacts).toHaveLength(2);
+        const [first] = manifest.artifacts;
+        expect(first).toMatchObject({ command: 'bob-whoxy', subcommand: 'domain', options: { domain: 'example.com' }, userId: 'u1', missing: false, modified: false });
+        expect(first.archivedAt).toMatch(/Z$/);
+        expect(first.sha256).toBe(first.sha256AtArchive);
+
+        const sums = entries.SHA256SUMS.toString('utf8').trim().split('\n').map(l => l.split('  '));
+        for (const [digest, name] of sums) {
+            expect(sha(entries[name])).toBe(digest);
+        }
+        expect(sums.map(s => s[1])).toContain(`artifacts/${first.file}`);
+    });
+
+    it('flags pruned and modified artifacts instead of failing', async () => {
+        const [a, b] = mods.cases.getCase(caseId).artifacts;
+        fs.unlinkSync(path.join(dir, 'reports', a.file));
+        fs.appendFileSync(path.join(dir, 'reports', b.file), 'tampered');
+
+        const { manifest } = await mods.exporter.exportCase(caseId, { exportedBy: 'u1' });
+        expect(manifest.missingCount).toBe(1);
+        expect(manifest.modifiedCount).toBe(1);
+        expect(manifest.artifacts.find(x => x.file === a.file).missing).toBe(true);
+    });
+
+    it('rejects unknown cases', async () => {
+        await expect(mods.exporter.exportCase('CASE-20200101-000000', { exportedBy: 'u1' })).rejects.toThrow(/Unknown case/);
+    });
+});
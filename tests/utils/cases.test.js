@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// The store path is bound when utils/datastore.js loads, so both modules are
+// re-required against a throwaway DATA_DIR for each test.
+function loadCases(dir) {
+    process.env.DATA_DIR = dir;
+    for (const mod of ['../../utils/datastore.js', '../../utils/cases.js']) {
+        delete require.cache[require.resolve(mod)];
+    }
+    return require('../../utils/cases.js');
+}
+
+describe('utils/cases', () => {
+    let dir;
+    let cases;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cases-test-'));
+        cases = loadCases(dir);
+    });
+
+    afterEach(() => {
+        delete process.env.DATA_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('openCase creates a valid ID and activates it in the channel', () => {
+        const c = cases.openCase({ title: 'Phishing kit', guildId: 'g1', channelId: 'c1', userId: 'u1' });
+        expect(cases.isValidCaseId(c.id)).toBe(true);
+        expect(c.members).toEqual(['u1']);
+        expect(cases.getActiveCaseId('c1')).toBe(c.id);
+        expect(cases.getActiveCaseId('c2')).toBeNull();
+    });
+
+    it('switchCase only accepts open cases from the same guild', () => {
+        const a = cases.openCase({ title: 'A', guildId: 'g1', channelId: 'c1', userId: 'u1' });
+        expect(cases.switchCase({ caseId: a.id, guildId: 'g2', channelId: 'x', userId: 'u2' })).toBeNull();
+        const switched = cases.switchCase({ caseId: a.id, guildId: 'g1', channelId: 'c2', userId: 'u2' });
+        expect(switched.members).toEqual(['u1']);
+        expect(cases.getActiveCaseId('c2')).toBe(a.id);
+    });
+
+    it('closeCase deactivates the case everywhere and stops recording artifacts', () => {
+        const a = cases.openCase({ title: 'A', guildId: 'g1', channelId: 'c1', userId: 'u1' });
+        cases.switchCase({ caseId: a.id, guildId: 'g1', channelId: 'c2' });
+        expect(cases.closeCase({ caseId: a.id, guildId: 'g1' }).status).toBe('closed');
+        expect(cases.getActiveCaseId('c1')).toBeNull();
+        expect(cases.getActiveCaseId('c2')).toBeNull();
+        expect(cases.recordArtifact(a.id, { file: 'f.txt', userId: 'u1' })).toBe(false);
+    });
+
+    it('recordArtifact appends the artifact without granting membership', () => {
+        const a = cases.openCase({ title: 'A', guildId: 'g1', channelId: 'c1', userId: 'u1' });
+        expect(cases.recordArtifact(a.id, { file: 'f.txt', command: 'bob-dns', userId: 'u3' })).toBe(true);
+        const reloaded = cases.getCase(a.id);
+        expect(reloaded.artifacts).toHaveLength(1);
+        expect(cases.isCaseMember(reloaded, 'u3')).toBe(false);
+    });
+
+    it('addMember adds a member once, within the same guild', () => {
+        const a = cases.openCase({ title: 'A', guildId: 'g1', channelId: 'c1', userId: 'u1' });
+        expect(cases.addMember({ caseId: a.id, guildId: 'g2', userId: 'u2' })).toBeNull();
+        cases.addMember({ caseId: a.id, guildId: 'g1', userId: 'u2' });
+        expect(cases.addMember({ caseId: a.id, guildId: 'g1', userId: 'u2' }).members).toEqual(['u1', 'u2']);
+        expect(cases.isCaseMember(cases.getCase(a.id), 'u2')).toBe(true);
+    });
+
+    it('listCases filters by guild and status, newest first', () => {
+        const a = cases.openCase({ title: 'A', guildId: 'g1', channelId: 'c1', userId: 'u1' });
+        cases.openCase({ title: 'B', guildId: 'g2', channelId: 'c9', userId: 'u1' });
+        cases.closeCase({ caseId: a.id, guildId: 'g1' });
+        expect(cases.listCases('g1').map(c => c.title)).toEqual(['A']);
+        expect(cases.listCases('g1', { status: 'open' })).toEqual([]);
+    });
+
+    it('state survives a module reload', () => {
+        const a = cases.openCase({ title: 'A', guildId: 'g1', channelId: 'c1', userId: 'u1' });
+        const fresh = loadCases(dir);
+        expect(fresh.getActiveCaseId('c1')).toBe(a.id);
+    });
+});
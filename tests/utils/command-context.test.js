@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createCommandContext, runWithContext, getContext, sanitizeOptions, collectOptions, REDACTED } = require('../../utils/command-context.js');
+
+describe('utils/command-context', () => {
+    it('collectOptions flattens subcommand options and attachments', () => {
+        const data = [{
+            name: 'tamper', type: 1, options: [
+                { name: 'claim', type: 3, value: 'sub' },
+                { name: 'file', type: 11, value: '123', attachment: { name: 'a.png', url: 'https://cdn/a.png' } }
+            ]
+        }];
+        expect(collectOptions(data)).toEqual({ claim: 'sub', file: { name: 'a.png', url: 'https://cdn/a.png' } });
+    });
+
+    it('sanitizeOptions redacts secret-looking names and truncates long values', () => {
+        const out = sanitizeOptions('bob-jwt', { token: 'eyJ...', secret: 's', claim: 'x'.repeat(600) });
+        expect(out.token).toBe(REDACTED);
+        expect(out.secret).toBe(REDACTED);
+        expect(out.claim.length).toBeLessThan(600);
+    });
+
+    it('sanitizeOptions redacts ghunt login credentials passed through query', () => {
+        expect(sanitizeOptions('bob-ghunt', { type: 'login', query: 'base64' }).query).toBe(REDACTED);
+        expect(sanitizeOptions('bob-ghunt', { type: 'email', query: 'a@b.c' }).query).toBe('a@b.c');
+    });
+
+    it('createCommandContext captures who ran what, where', () => {
+        const ctx = createCommandContext({
+            commandName: 'bob-dns',
+            channelId: 'no-case-channel',
+            guild: { id: 'g1' },
+            user: { id: 'u1' },
+            options: { data: [{ name: 'domain', type: 3, value: 'example.com' }], getSubcommand: () => null }
+        });
+        expect(ctx).toMatchObject({ command: 'bob-dns', subcommand: null, options: { domain: 'example.com' }, userId: 'u1', guildId: 'g1', caseId: null });
+    });
+
+    it('getContext is only set inside runWithContext, across awaits', async () => {
+        expect(getContext()).toBeNull();
+        await runWithContext({ command: 'x' }, async () => {
+            await new Promise(r => setTimeout(r, 1));
+            expect(getContext()).toEqual({ command: 'x' });
+        });
+        expect(getContext()).toBeNull();
+    });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { mapWithConcurrency } = require('../../utils/concurrency.js');
+
+describe('utils/concurrency', () => {
+    it('runs work with bounded concurrency and keeps result order', async () => {
+        let active = 0;
+        let peak = 0;
+        const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms, i) => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise((r) => setTimeout(r, ms));
+            active--;
+            return i;
+        });
+        expect(results).toEqual([0, 1, 2, 3]);
+        expect(peak).toBe(2);
+    });
+
+    it('returns an empty array for no items', async () => {
+        expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { extractContacts, contactHistory, missingContacts, socialProfile, normalizePhone } = require('../../utils/contacts.js');
+
+const PAGE = `<html><head><title>Contact</title><script>var x = "hidden@example.com";</script></head><body>
+    <p>Write to <a href="mailto:Press@Example.com?subject=hi">the press office</a> or sales@example.com.</p>
+    <p>Call +33 1 23 45 67 89 or <a href="tel:+1-202-555-0143">our US line</a>. Founded 2019-01-02, ref 1234 5678 9012.</p>
+    <img src="logo@2x.png">
+    <a href="https://twitter.com/ExampleCo?lang=en">Twitter</a>
+    <a href="https://www.facebook.com/sharer/sharer.php?u=x">Share</a>
+    <a href="https://m.facebook.com/exampleco/">Facebook</a>
+    <a href="/about">About</a>
+</body></html>`;
+
+describe('utils/contacts', () => {
+    describe('extractContacts', () => {
+        it('finds emails, international phones and social profiles', () => {
+            const contacts = extractContacts(PAGE, { baseUrl: 'https://example.com/contact' });
+            expect(contacts.emails).toEqual(['press@example.com', 'sales@example.com']);
+            expect(contacts.phones).toEqual(['+12025550143', '+33123456789']);
+            expect(contacts.social).toEqual([
+                { platform: 'X/Twitter', url: 'https://twitter.com/exampleco' },
+                { platform: 'Facebook', url: 'https://facebook.com/exampleco' },
+            ]);
+        });
+
+        it('skips share links, bare platform links and short numbers', () => {
+            expect(socialProfile('https://twitter.com/intent/tweet?text=x')).toBeNull();
+            expect(socialProfile('https://github.com/')).toBeNull();
+            expect(socialProfile('https://example.com/twitter')).toBeNull();
+            expect(socialProfile('/in/jdoe', 'https://www.linkedin.com/')).toEqual({ platform: 'LinkedIn', url: 'https://linkedin.com/in/jdoe' });
+            expect(normalizePhone('+33 12')).toBeNull();
+            expect(normalizePhone('0033 1 23 45 67 89')).toBe('+33123456789');
+        });
+
+        it('scans a large plain-text body of long tokens in linear time', () => {
+            const body = `${'abcdef0123'.repeat(200)}\n`.repeat(1000) + 'write to info@example.com';
+            const started = Date.now();
+            expect(extractContacts(body, { contentType: 'text/plain' }).emails).toEqual(['info@example.com']);
+            expect(Date.now() - started).toBeLessThan(3000);
+        });
+    });
+
+    describe('history', () => {
+        const snapshot = (timestamp, { emails = [], phones = [], social = [] }) => ({ timestamp, contacts: { emails, phones, social } });
+        const history = contactHistory([
+            snapshot('20150101000000', { emails: ['old@example.com'], phones: ['+33123456789'] }),
+            snapshot('20180101000000', { emails: ['old@example.com', 'new@example.com'], social: [{ platform: 'GitHub', url: 'https://github.com/example' }] }),
+        ]);
+
+        it('records when each contact was first and last seen', () => {
+            expect(history).toEqual([
+                { kind: 'email', value: 'old@example.com', first: '20150101000000', last: '20180101000000' },
+                { kind: 'phone', value: '+33123456789', first: '20150101000000', last: '20150101000000' },
+                { kind: 'email', value: 'new@example.com', first: '20180101000000', last: '20180101000000' },
+                { kind: 'social', value: 'https://github.com/example', platform: 'GitHub', first: '20180101000000', last: '20180101000000' },
+            ]);
+        });
+
+        it('lists the contacts the live page no longer shows', () => {
+            const live = { emails: ['new@example.com'], phones: [], social: [{ platform: 'GitHub', url: 'https://github.com/example' }] };
+            expect(missingContacts(history, live).map(c => c.value)).toEqual(['old@example.com', '+33123456789']);
+        });
+    });
+});
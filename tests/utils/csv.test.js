@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { csvCell, renderCsv } = require('../../utils/csv.js');
+
+describe('utils/csv', () => {
+    it('quotes cells with separators, quotes and line breaks', () => {
+        expect(csvCell('plain')).toBe('plain');
+        expect(csvCell('a,b')).toBe('"a,b"');
+        expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+        expect(csvCell('two\nlines')).toBe('"two\nlines"');
+        expect(csvCell(null)).toBe('');
+        expect(csvCell(0)).toBe('0');
+    });
+
+    it('neutralizes cells a spreadsheet would run as formulas', () => {
+        expect(csvCell('=HYPERLINK("http://evil")')).toBe(`"'=HYPERLINK(""http://evil"")"`);
+        expect(csvCell('-1+2')).toBe("'-1+2");
+        expect(csvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    });
+
+    it('renders rows with a trailing newline', () => {
+        expect(renderCsv([['name', 'count'], ['x,y', 2]])).toBe('name,count\n"x,y",2\n');
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// DATA_DIR is resolved at module load, so point it at a throwaway dir and
+// re-require the module fresh for each test.
+function loadDatastore(dir) {
+    process.env.DATA_DIR = dir;
+    const resolved = require.resolve('../../utils/datastore.js');
+    delete require.cache[resolved];
+    return require('../../utils/datastore.js');
+}
+
+describe('utils/datastore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'datastore-test-')), 'data');
+    });
+
+    afterEach(() => {
+        delete process.env.DATA_DIR;
+        fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+    });
+
+    it('readStore returns the fallback when the store does not exist', () => {
+        const mod = loadDatastore(dir);
+        expect(mod.readStore('missing', { a: 1 })).toEqual({ a: 1 });
+    });
+
+    it('writeStore creates DATA_DIR and round-trips through readStore', () => {
+        const mod = loadDatastore(dir);
+        expect(mod.writeStore('monitors', { version: 1, monitors: [{ url: 'https://x.test' }] })).toBe(true);
+        expect(fs.existsSync(dir)).toBe(true);
+        expect(mod.readStore('monitors', null)).toEqual({ version: 1, monitors: [{ url: 'https://x.test' }] });
+    });
+
+    it('writeStore leaves no tmp file behind', () => {
+        const mod = loadDatastore(dir);
+        mod.writeStore('s', { ok: true });
+        expect(fs.readdirSync(dir)).toEqual(['s.json']);
+    });
+
+    it('readStore falls back on a corrupt store instead of throwing', () => {
+        const mod = loadDatastore(dir);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{not json');
+        expect(mod.readStore('broken', [])).toEqual([]);
+    });
+
+    it('dataFilePath confines store names to DATA_DIR', () => {
+        const mod = loadDatastore(dir);
+        const p = mod.dataFilePath('../../etc/passwd');
+        expect(path.dirname(p)).toBe(dir);
+        expect(path.basename(p)).not.toContain('..');
+    });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { lookupRecords, lookupEmailAuth, expandSpf, resolveAddresses, createResolver, resolverLabel, DKIM_SELECTORS } = require('../../utils/dns-resolver.js');
+
+const dnsError = (code) => Object.assign(new Error(code), { code });
+
+// Answers from a name → type → records table; missing entries are ENODATA.
+function fakeResolver(zone, { nxdomain = false, failures = {} } = {}) {
+    const answer = (type) => async (name) => {
+        if (nxdomain) throw dnsError('ENOTFOUND');
+        if (failures[type]) throw dnsError(failures[type]);
+        const records = zone[name]?.[type];
+        if (records === undefined) throw dnsError('ENODATA');
+        return records;
+    };
+    return {
+        resolve4: answer('A'), resolve6: answer('AAAA'), resolveCname: answer('CNAME'), resolveNs: answer('NS'),
+        resolveMx: answer('MX'), resolveTxt: answer('TXT'), resolveSoa: answer('SOA'), resolveCaa: answer('CAA'),
+        resolveSrv: answer('SRV'),
+    };
+}
+
+describe('utils/dns-resolver', () => {
+    afterEach(() => {
+        delete process.env.DNS_RESOLVER;
+    });
+
+    describe('lookupRecords', () => {
+        it('collects every record type, with SRV probed per service', async () => {
+            const resolver = fakeResolver({
+                'example.com': {
+                    A: [{ address: '203.0.113.7', ttl: 300 }],
+                    MX: [{ priority: 20, exchange: 'mx2.example.com' }, { priority: 10, exchange: 'mx1.example.com' }],
+                    TXT: [['v=spf1 ', '-all']],
+                    SOA: { nsname: 'ns1.example.com', hostmaster: 'hostmaster.example.com', serial: 1 },
+                },
+                '_sip._tcp.example.com': { SRV: [{ priority: 10, weight: 5, port: 5060, name: 'sip.example.com' }] },
+            });
+            const { records, errors, exists } = await lookupRecords('example.com', { resolver });
+            expect(exists).toBe(true);
+            expect(errors).toEqual({});
+            expect(records.A).toEqual([{ address: '203.0.113.7', ttl: 300 }]);
+            expect(records.MX.map(r => r.priority)).toEqual([10, 20]);
+            expect(records.TXT).toEqual(['v=spf1 -all']);
+            expect(records.SOA).toHaveLength(1);
+            expect(records.AAAA).toEqual([]);
+            expect(records.SRV).toEqual([{ service: '_sip._tcp', priority: 10, weight: 5, port: 5060, name: 'sip.example.com' }]);
+        });
+
+        it('reports failed types without hiding the others', async () => {
+            const resolver = fakeResolver({ 'example.com': { A: [{ address: '203.0.113.7', ttl: 60 }] } }, { failures: { MX: 'ETIMEOUT' } });
+            const { records, errors } = await lookupRecords('example.com', { resolver });
+            expect(errors).toEqual({ MX: 'ETIMEOUT' });
+            expect(records.A).toHaveLength(1);
+        });
+
+        it('detects names that do not exist', async () => {
+            const { exists } = await lookupRecords('nope.example', { resolver: fakeResolver({}, { nxdomain: true }) });
+            expect(exists).toBe(false);
+        });
+    });
+
+    describe('lookupEmailAuth', () => {
+        it('finds SPF, DMARC and DKIM keys at common selectors', async () => {
+            const resolver = fakeResolver({
+                'example.com': { TXT: [['google-site-verification=x'], ['v=spf1 include:_spf.google.com ~all']] },
+                '_dmarc.example.com': { TXT: [['v=DMARC1; p=reject']] },
+                'google._domainkey.example.com': { TXT: [['v=DKIM1; k=rsa; p=MIIB']] },
+                'k1._domainkey.example.com': { TXT: [['unrelated']] },
+            });
+            const auth = await lookupEmailAuth('example.com', { resolver });
+            expect(auth).toEqual({
+                spf: ['v=spf1 include:_spf.google.com ~all'],
+                dmarc: 'v=DMARC1; p=reject',
+                dkim: [{ selector: 'google', record: 'v=DKIM1; k=rsa; p=MIIB' }],
+                selectorsChecked: DKIM_SELECTORS.length,
+                lookupFailed: [],
+            });
+        });
+
+        it('reports the domain as failed when its TXT fetch failed', async () => {
+            const auth = await lookupEmailAuth('example.com', { resolver: fakeResolver({}), txt: [], txtFailed: true });
+            expect(auth.spf).toEqual([]);
+            expect(auth.lookupFailed).toEqual(['example.com']);
+        });
+
+        it('reports DMARC and DKIM names that could not be resolved', async () => {
+            const zone = { 'google._domainkey.example.com': { TXT: [['v=DKIM1; p=MIIB']] } };
+            const resolver = fakeResolver(zone);
+            const resolveTxt = resolver.resolveTxt;
+            resolver.resolveTxt = async (name) => {
+                if (name === '_dmarc.example.com' || name === 'k1._domainkey.example.com') throw dnsError('ETIMEOUT');
+                return resolveTxt(name);
+            };
+            const auth = await lookupEmailAuth('example.com', { resolver, txt: [] });
+            expect(auth.dmarc).toBeNull();
+            expect(auth.dkim).toEqual([{ selector: 'google', record: 'v=DKIM1; p=MIIB' }]);
+            expect(auth.lookupFailed).toEqual(['_dmarc.example.com', 'k1._domainkey.example.com']);
+        });
+
+        it('reuses TXT records that were already fetched', async () => {
+            const auth = await lookupEmailAuth('example.com', { resolver: fakeResolver({}), txt: ['v=spf1 -all'] });
+            expect(auth.spf).toEqual(['v=spf1 -all']);
+            expect(auth.dmarc).toBeNull();
+        });
+    });
+
+    describe('resolveAddresses', () => {
+        it('returns IPv4 and IPv6 addresses and the code of a failed lookup', async () => {
+            const resolver = fakeResolver({ 'www.example.com': { A: [{ address: '203.0.113.7', ttl: 60 }], AAAA: [{ address: '2001:db8::7', ttl: 60 }] } });
+            expect(await resolveAddresses('www.example.com', { resolver })).toEqual({ addresses: ['203.0.113.7', '2001:db8::7'], error: null });
+            expect(await resolveAddresses('nope.example.com', { resolver })).toEqual({ addresses: [], error: null });
+            const failing = fakeResolver({}, { failures: { AAAA: 'ESERVFAIL' } });
+            expect(await resolveAddresses('www.example.com', { resolver: failing })).toEqual({ addresses: [], error: 'ESERVFAIL' });
+        });
+    });
+
+    describe('expandSpf', () => {
+        it('counts lookups through nested includes and redirects', async () => {
+            const resolver = fakeResolver({
+                'example.com': { TXT: [['v=spf1 mx include:_spf.example.com redirect=fallback.example']] },
+                'fallback.example': { TXT: [['v=spf1 -all']] },
+                '_spf.example.com': { TXT: [['v=spf1 a include:_spf2.example.com ~all']] },
+                '_spf2.example.com': { TXT: [['v=spf1 ip4:192.0.2.0/24 redirect=_spf3.example.com']] },
+                '_spf3.example.com': { TXT: [['v=spf1 exists:%{i}.x.example.com -all']] },
+            });
+            const { tree, lookups, depth, problems } = await expandSpf('example.com', { resolver });
+            // mx, include, redirect (no `all` at the root), a, include, redirect, exists
+            expect(lookups).toBe(7);
+            expect(depth).toBe(3);
+            expect(problems).toEqual([]);
+            expect(tree.children.map(c => c.domain)).toEqual(['_spf.example.com', 'fallback.example']);
+            expect(tree.children[0].children[0].children[0].record).toBe('v=spf1 exists:%{i}.x.example.com -all');
+        });
+
+        it('reports missing includes, loops and macros', async () => {
+            const resolver = fakeResolver({
+                'example.com': { TXT: [['v=spf1 include:gone.example include:a.example include:%{d}.example -all']] },
+                'a.example': { TXT: [['v=spf1 include:example.com -all']] },
+            });
+            const { problems } = await expandSpf('example.com', { resolver });
+            expect(problems).toEqual([
+                { domain: 'gone.example', problem: 'missing' },
+                { domain: 'example.com', problem: 'loop' },
+                { domain: '%{d}.example', problem: 'macro' },
+            ]);
+        });
+
+        it('reuses TXT records that were already fetched', async () => {
+            const { tree, lookups } = await expandSpf('example.com', { resolver: fakeResolver({}), txt: ['v=spf1 ip4:192.0.2.1 -all'] });
+            expect(tree.record).toBe('v=spf1 ip4:192.0.2.1 -all');
+            expect(lookups).toBe(0);
+        });
+    });
+
+    describe('createResolver', () => {
+        it('uses DNS_RESOLVER when set', () => {
+            process.env.DNS_RESOLVER = '1.1.1.1, 9.9.9.9:53';
+            expect(createResolver().getServers()).toEqual(['1.1.1.1', '9.9.9.9']);
+            expect(resolverLabel()).toBe('1.1.1.1, 9.9.9.9:53');
+        });
+
+        it('rejects a DNS_RESOLVER that is not a list of IPs', () => {
+            process.env.DNS_RESOLVER = 'dns.example.com';
+            expect(() => createResolver()).toThrow(expect.objectContaining({ code: 'EBADRESOLVER' }));
+        });
+
+        it('falls back to the system resolver', () => {
+            expect(resolverLabel()).toBe('system resolver');
+        });
+    });
+});
@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'node:crypto';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+    isSpf, isDmarc, parseSpf, parseDmarc, parseDkim, emailAuthFindings, formatFindings,
+    parseMtaStsPolicy, mailSecurityFindings, scoreFindings
+} = require('../../utils/email-auth.js');
+
+function dkimKey(bits) {
+    const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: bits });
+    return publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+const levels = (findings) => findings.map(f => f.level);
+
+describe('utils/email-auth', () => {
+    describe('record detection', () => {
+        it('recognizes SPF and DMARC records', () => {
+            expect(isSpf('v=spf1 -all')).toBe(true);
+            expect(isSpf('v=spf10 -all')).toBe(false);
+            expect(isSpf('google-site-verification=abc')).toBe(false);
+            expect(isDmarc('v=DMARC1; p=reject')).toBe(true);
+            expect(isDmarc('v=DMARC1')).toBe(true);
+            expect(isDmarc('v=spf1 -all')).toBe(false);
+        });
+    });
+
+    describe('parseSpf', () => {
+        it('reads mechanisms, qualifiers and modifiers', () => {
+            const spf = parseSpf('v=spf1 ip4:192.0.2.0/24 include:_spf.google.com ~mx a/24 redirect=_spf.example.com -all');
+            expect(spf.mechanisms).toEqual([
+                { qualifier: '+', type: 'ip4', value: '192.0.2.0/24' },
+                { qualifier: '+', type: 'include', value: '_spf.google.com' },
+                { qualifier: '~', type: 'mx', value: null },
+                { qualifier: '+', type: 'a', value: null },
+                { qualifier: '-', type: 'all', value: null },
+            ]);
+            expect(spf.modifiers).toEqual({ redirect: '_spf.example.com' });
+            expect(spf.all).toBe('-');
+            expect(spf.unknown).toEqual([]);
+        });
+
+        it('collects unknown terms', () => {
+            expect(parseSpf('v=spf1 include:x.example +bogus').unknown).toEqual(['+bogus']);
+        });
+    });
+
+    describe('parseDmarc', () => {
+        it('applies defaults and splits report URIs', () => {
+            const dmarc = parseDmarc('v=DMARC1; p=Quarantine; rua=mailto:a@example.com, mailto:b@example.net; adkim=s');
+            expect(dmarc).toMatchObject({
+                p: 'quarantine', sp: null, pct: 100, adkim: 'strict', aspf: 'relaxed',
+                rua: ['mailto:a@example.com', 'mailto:b@example.net'], ruf: [],
+            });
+        });
+    });
+
+    describe('parseDkim', () => {
+        it('reads the RSA key size and flags', () => {
+            const dkim = parseDkim(`v=DKIM1; k=rsa; t=y; p=${dkimKey(1024)}`);
+            expect(dkim).toMatchObject({ keyType: 'rsa', bits: 1024, testing: true, revoked: false });
+        });
+
+        it('recognizes revoked and unreadable keys', () => {
+            expect(parseDkim('v=DKIM1; p=').revoked).toBe(true);
+            expect(parseDkim('v=DKIM1; p=bm90IGEga2V5').bits).toBeNull();
+        });
+    });
+
+    describe('emailAuthFindings', () => {
+        it('flags a domain with no SPF or DMARC as spoofable', () => {
+            const findings = emailAuthFindings({ spf: [], dmarc: null, dkim: [], selectorsChecked: 14 });
+            expect(levels(findings)).toEqual(['bad', 'bad', 'info']);
+            expect(findings[2].text).toContain('14 common selectors');
+        });
+
+        it('reports unresolved DMARC and DKIM names as temporary errors, not missing', () => {
+            const findings = emailAuthFindings({
+                spf: ['v=spf1 -all'],
+                dmarc: null,
+                dkim: [],
+                selectorsChecked: 14,
+                lookupFailed: ['_dmarc.example.com', 'k1._domainkey.example.com'],
+            });
+            expect(findings.map(f => `${f.category} ${f.level}: ${f.text}`)).toEqual([
+                'SPF good: SPF ends in `-all`: unlisted servers fail',
+                'DMARC warn: `_dmarc.example.com` could not be resolved (temporary error): DMARC policy unknown',
+                'DKIM info: No DKIM key at 13 common selectors (the domain may use others)',
+                'DKIM info: 1 DKIM selector could not be resolved (temporary error)',
+            ]);
+        });
+
+        it('reports an unresolved root TXT as an unknown SPF policy, not a missing one', () => {
+            const findings = emailAuthFindings({ spf: [], dmarc: 'v=DMARC1; p=reject', dkim: [], lookupFailed: ['example.com'] });
+            expect(findings[0]).toEqual({
+                category: 'SPF',
+                level: 'warn',
+                text: '`example.com` TXT records could not be resolved (temporary error): SPF policy unknown',
+            });
+            expect(findings.some(f => f.text.startsWith('No SPF record'))).toBe(false);
+        });
+
+        it('grades a locked-down domain as good', () => {
+            const findings = emailAuthFindings({
+                spf: ['v=spf1 include:_spf.google.com -all'],
+                dmarc: 'v=DMARC1; p=reject; rua=mailto:dmarc@example.com',
+                dkim: [{ selector: 'google', record: `v=DKIM1; k=rsa; p=${dkimKey(2048)}` }],
+            });
+            expect(findings.filter(f => f.level !== 'info').map(f => f.level)).toEqual(['good', 'good', 'good']);
+            expect(formatFindings(findings)).toContain('✅ DKIM `google`: rsa 2048-bit key');
+        });
+
+        it('warns about permissive and broken policies', () => {
+            const findings = emailAuthFindings({
+                spf: ['v=spf1 +all'],
+                dmarc: 'v=DMARC1; p=none; sp=none; pct=50',
+                dkim: [],
+            });
+            expect(findings.map(f => `${f.level}: ${f.text.split(':')[0]}`)).toEqual([
+                'bad: SPF ends in `+all`',
+                'warn: DMARC `p=none`',
+                'warn: DMARC applies to 50% of failing mail only',
+                'info: No DKIM key at 0 common selectors (the domain may use others)',
+            ]);
+            expect(levels(emailAuthFindings({ spf: ['v=spf1 -all', 'v=spf1 ~all'] }))[0]).toBe('bad');
+        });
+    });
+
+    describe('parseMtaStsPolicy', () => {
+        it('reads version, mode, MX patterns and max_age', () => {
+            expect(parseMtaStsPolicy('version: STSv1\r\nmode: Enforce\r\nmx: mx1.example.com\r\nmx: *.example.net\r\nmax_age: 604800\r\n'))
+                .toEqual({ version: 'STSv1', mode: 'enforce', mx: ['mx1.example.com', '*.example.net'], maxAge: 604800 });
+            expect(parseMtaStsPolicy('<html>not found</html>')).toEqual({ version: null, mode: null, mx: [], maxAge: null });
+        });
+    });
+
+    describe('mailSecurityFindings', () => {
+        const strong = {
+            spf: ['v=spf1 include:_spf.google.com -all'],
+            dmarc: 'v=DMARC1; p=reject; rua=mailto:dmarc@example.com',
+            dkim: [],
+            spfExpansion: { lookups: 4, depth: 2, problems: [] },
+            mtaSts: { record: 'v=STSv1; id=1', policy: 'version: STSv1\nmode: enforce\nmx: mx.example.com\nmax_age: 86400', policyError: null },
+            tlsRpt: 'v=TLSRPTv1; rua=mailto:tls@example.com',
+            bimi: 'v=BIMI1; l=https://example.com/logo.svg',
+        };
+
+        it('adds the SPF lookup budget right after the SPF findings', () => {
+            const findings = mailSecurityFindings(strong);
+            expect(findings.map(f => f.category)).toEqual(['SPF', 'SPF', 'SPF', 'DMARC', 'DMARC', 'DKIM', 'MTA-STS', 'TLS-RPT', 'BIMI']);
+            expect(findings[2]).toEqual({ category: 'SPF', level: 'info', text: 'SPF needs 4/10 DNS lookups, include depth 2' });
+            expect(scoreFindings(findings)).toEqual({ score: 100, grade: 'A' });
+        });
+
+        it('flags the lookup limit and broken includes', () => {
+            const over = mailSecurityFindings({ ...strong, spfExpansion: { lookups: 12, depth: 3, problems: [{ domain: 'gone.example', problem: 'missing' }, { domain: '%{i}.x.example', problem: 'macro' }] } });
+            expect(over.filter(f => f.category === 'SPF').map(f => f.level)).toEqual(['good', 'info', 'bad', 'bad', 'info']);
+            const near = mailSecurityFindings({ ...strong, spfExpansion: { lookups: 9, depth: 1, problems: [] } });
+            expect(near[2].level).toBe('warn');
+        });
+
+        it('grades MTA-STS, TLS-RPT and BIMI', () => {
+            const byCategory = (report, category) => mailSecurityFindings(report).find(f => f.category === category);
+            expect(byCategory({ ...strong, mtaSts: { record: null } }, 'MTA-STS').level).toBe('warn');
+            expect(byCategory({ ...strong, mtaSts: { record: 'v=STSv1; id=1', policy: null, policyError: 'HTTP 404' } }, 'MTA-STS').text).toContain('(HTTP 404)');
+            expect(byCategory({ ...strong, mtaSts: { record: 'v=STSv1; id=1', policy: 'version: STSv1\nmode: testing' } }, 'MTA-STS').level).toBe('info');
+            expect(byCategory({ ...strong, tlsRpt: 'v=TLSRPTv1;' }, 'TLS-RPT').level).toBe('warn');
+            expect(byCategory({ ...strong, dmarc: 'v=DMARC1; p=none' }, 'BIMI').level).toBe('warn');
+        });
+    });
+
+    describe('scoreFindings', () => {
+        it('takes 10 points per warning and 25 per problem', () => {
+            expect(scoreFindings([{ level: 'warn' }, { level: 'bad' }, { level: 'good' }])).toEqual({ score: 65, grade: 'C' });
+            expect(scoreFindings([{ level: 'bad' }, { level: 'bad' }, { level: 'bad' }, { level: 'bad' }, { level: 'bad' }])).toEqual({ score: 0, grade: 'F' });
+            expect(scoreFindings([{ level: 'warn' }])).toEqual({ score: 90, grade: 'A' });
+        });
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { extractVisibleText, compileIgnorePattern, validateIgnoreSelector } from '../../utils/html-text.js';
+
+describe('utils/html-text', () => {
+    it('extracts visible text one block per line, dropping scripts and styles', () => {
+        const html = '<html><head><title>T</title><style>p{}</style></head><body><p>Hello <b>world</b></p><script>x()</script><div>Next</div></body></html>';
+        expect(extractVisibleText(html)).toBe('T\nHello world\nNext');
+    });
+
+    it('drops elements matching the ignore selector', () => {
+        const html = '<body><span class="clock">12:00</span><p>Body</p></body>';
+        expect(extractVisibleText(html, { ignoreSelector: '.clock' })).toBe('Body');
+    });
+
+    it('blanks ignore-pattern matches and drops emptied lines', () => {
+        const html = '<body><p>Views: 123</p><p>Keep</p></body>';
+        expect(extractVisibleText(html, { ignorePattern: compileIgnorePattern('Views: \\d+') })).toBe('Keep');
+    });
+
+    it('passes non-HTML bodies through as trimmed lines', () => {
+        expect(extractVisibleText('{"a": 1}\n\n  b  ', { contentType: 'application/json' })).toBe('{"a": 1}\nb');
+    });
+
+    it('compileIgnorePattern rejects nested quantifiers and over-long patterns', () => {
+        expect(() => compileIgnorePattern('(a+)+')).toThrow(/nested/);
+        expect(() => compileIgnorePattern('(a*){2,}')).toThrow(/nested/);
+        expect(() => compileIgnorePattern('a'.repeat(201))).toThrow(/exceeds/);
+        expect(compileIgnorePattern('')).toBeNull();
+    });
+
+    it('compileIgnorePattern rejects repeated alternations and backreferences', () => {
+        expect(() => compileIgnorePattern('(a|a)*b')).toThrow(/alternation/);
+        expect(() => compileIgnorePattern('(\\w|\\d)+$')).toThrow(/alternation/);
+        expect(() => compileIgnorePattern('((x|y)z)+')).toThrow(/alternation/);
+        expect(() => compileIgnorePattern('(a)(\\1b)+')).toThrow(/backreference/);
+    });
+
+    it('compileIgnorePattern rejects adjacent overlapping repeats and too many quantifiers', () => {
+        expect(() => compileIgnorePattern('a*a*a*a*a*a*b')).toThrow(/adjacent/);
+        expect(() => compileIgnorePattern('\\w+\\s*\\d+')).toThrow(/adjacent/);
+        expect(() => compileIgnorePattern('(?:ab)+(ab)*')).toThrow(/adjacent/);
+        expect(() => compileIgnorePattern('a\\d+b\\d+c\\d+d\\d+e\\d+f\\d+g\\d+')).toThrow(/quantifiers/);
+        expect(compileIgnorePattern('\\d+\\s+\\d+')).toBeInstanceOf(RegExp);
+        expect(compileIgnorePattern('[a-z]+[0-9]+ .*')).toBeInstanceOf(RegExp);
+    });
+
+    it('stops a pattern that backtracks past its time budget', () => {
+        const started = Date.now();
+        expect(() => extractVisibleText('a'.repeat(200), { ignorePattern: /a*a*a*a*a*a*b/g }))
+            .toThrow(expect.objectContaining({ code: 'EPATTERNTIMEOUT' }));
+        expect(Date.now() - started).toBeLessThan(5000);
+    });
+
+    it('compileIgnorePattern accepts bounded and literal shapes', () => {
+        expect(compileIgnorePattern('(AM|PM)? \\d+:\\d+')).toBeInstanceOf(RegExp);
+        expect(compileIgnorePattern('[(|)]+ views')).toBeInstanceOf(RegExp);
+        expect(compileIgnorePattern('\\(\\d+\\)+')).toBeInstanceOf(RegExp);
+        expect(compileIgnorePattern('(ago )+\\d+')).toBeInstanceOf(RegExp);
+    });
+
+    it('validateIgnoreSelector rejects selectors cheerio cannot parse', () => {
+        expect(validateIgnoreSelector('.ok, #fine')).toBe('.ok, #fine');
+        expect(() => validateIgnoreSelector('[')).toThrow();
+        expect(validateIgnoreSelector(null)).toBeNull();
+    });
+});
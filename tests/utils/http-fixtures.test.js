@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const axios = require('axios');
+const { installHttpFixtures, scrubUrl, loadFixtures } = require('../../utils/http-fixtures.js');
+
+// Stands in for the network: answers from a table, the way axios' http adapter settles.
+function fakeNetwork(routes) {
+    const calls = [];
+    const adapter = async (config) => {
+        calls.push(config.url);
+        const { status = 200, body = '' } = routes[config.url] ?? { status: 404 };
+        const response = { data: body, status, statusText: '', headers: { 'content-type': 'application/json', 'set-cookie': 'sid=1' }, config, request: {} };
+        if (status >= 400) throw new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', config, null, response);
+        return response;
+    };
+    return { adapter, calls };
+}
+
+describe('utils/http-fixtures', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('scrubUrl', () => {
+        it('drops credential parameters and sorts the rest', () => {
+            expect(scrubUrl('https://api.whoxy.com/?whois=a.com&key=SECRET'))
+                .toBe('https://api.whoxy.com/?whois=a.com');
+            expect(scrubUrl('https://x.test/p?z=1&api_token=t&apiToken=t&access_key=k&apikey=k&a=2'))
+                .toBe('https://x.test/p?a=2&z=1');
+        });
+
+        it('keeps parameters that merely contain a secret-looking word', () => {
+            expect(scrubUrl('https://x.test/?keyword=osint&tokenizer=on'))
+                .toBe('https://x.test/?keyword=osint&tokenizer=on');
+        });
+    });
+
+    it('does nothing when no mode is set', () => {
+        const client = axios.create();
+        expect(installHttpFixtures(client, { mode: undefined, dir })).toBeNull();
+        expect(installHttpFixtures(client, { mode: 'bogus', dir })).toBeNull();
+    });
+
+    it('records exchanges without credentials, then replays them offline', async () => {
+        const net = fakeNetwork({
+            'https://api.whoxy.com/': { body: '{"status":1,"whois_records":[]}' },
+        });
+        const recorder = axios.create({ adapter: net.adapter });
+        installHttpFixtures(recorder, { mode: 'record', dir });
+        const live = await recorder.get('https://api.whoxy.com/', { params: { key: 'SECRET', history: 'a.com' } });
+        expect(live.data).toEqual({ status: 1, whois_records: [] });
+
+        const saved = fs.readdirSync(path.join(dir, 'api.whoxy.com'));
+        expect(saved).toHaveLength(1);
+        const raw = fs.readFileSync(path.join(dir, 'api.whoxy.com', saved[0]), 'utf8');
+        expect(raw).not.toContain('SECRET');
+        expect(raw).not.toContain('sid=1');
+
+        const replayer = axios.create({ adapter: () => { throw new Error('network used during replay'); } });
+        installHttpFixtures(replayer, { mode: 'replay', dir });
+        const replayed = await replayer.get('https://api.whoxy.com/', { params: { history: 'a.com', key: 'OTHER' } });
+        expect(replayed.data).toEqual({ status: 1, whois_records: [] });
+        expect(net.calls).toHaveLength(1);
+    });
+
+    it('records and replays error responses as AxiosErrors', async () => {
+        const net = fakeNetwork({ 'https://host.io/api/full/a.com': { status: 429, body: '{"error":"slow down"}' } });
+        const recorder = axios.create({ adapter: net.adapter });
+        installHttpFixtures(recorder, { mode: 'record', dir });
+        await expect(recorder.get('https://host.io/api/full/a.com')).rejects.toMatchObject({ response: { status: 429 } });
+
+        const replayer = axios.create();
+        installHttpFixtures(replayer, { mode: 'replay', dir });
+        const err = await replayer.get('https://host.io/api/full/a.com').catch(e => e);
+        expect(axios.isAxiosError(err)).toBe(true);
+        expect(err.response.status).toBe(429);
+        expect(err.response.data).toEqual({ error: 'slow down' });
+    });
+
+    it('passes malformed JSON through as the raw body, like a live response', async () => {
+        fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({
+            request: { method: 'GET', url: 'https://api.example.test/data' },
+            response: { status: 200, headers: { 'content-type': 'application/json' }, body: '{"truncated":' }
+        }));
+        const client = axios.create();
+        installHttpFixtures(client, { mode: 'replay', dir });
+        const res = await client.get('https://api.example.test/data');
+        expect(res.data).toBe('{"truncated":');
+    });
+
+    it('matches POST fixtures on the request body hash', async () => {
+        const net = fakeNetwork({ 'https://api.example.test/q': { body: '"ok"' } });
+        const recorder = axios.create({ adapter: net.adapter });
+        installHttpFixtures(recorder, { mode: 'record', dir });
+        await recorder.post('https://api.example.test/q', { q: 'one' });
+
+        const client = axios.create();
+        installHttpFixtures(client, { mode: 'replay', dir });
+        await expect(client.post('https://api.example.test/q', { q: 'one' })).resolves.toMatchObject({ data: 'ok' });
+        await expect(client.post('https://api.example.test/q', { q: 'two' })).rejects.toMatchObject({ code: 'EFIXTURE' });
+    });
+
+    it('fails unknown requests in replay mode instead of going online', async () => {
+        const client = axios.create();
+        const restore = installHttpFixtures(client, { mode: 'replay', dir });
+        await expect(client.get('https://unrecorded.example.test/')).rejects.toMatchObject({ code: 'EFIXTURE' });
+        restore();
+        expect(typeof client.defaults.adapter).not.toBe('function');
+    });
+
+    it('skips unreadable fixture files', () => {
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+        fs.writeFileSync(path.join(dir, 'partial.json'), '{"request":{}}');
+        expect(loadFixtures(dir).size).toBe(0);
+    });
+});
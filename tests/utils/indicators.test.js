@@ -0,0 +1,228 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { MessageFlags } from 'discord.js';
+
+const require = createRequire(import.meta.url);
+
+// DATA_DIR is bound at load: reload per test.
+function loadIndicators() {
+    for (const m of ['datastore', 'indicators']) {
+        delete require.cache[require.resolve(`../../utils/${m}.js`)];
+    }
+    return require('../../utils/indicators.js');
+}
+
+function ctx(overrides = {}) {
+    return {
+        command: 'bob-whoxy',
+        subcommand: null,
+        options: {},
+        userId: 'u1',
+        guildId: 'g1',
+        channelId: 'c1',
+        caseId: null,
+        ...overrides
+    };
+}
+
+const values = (found, type) => found.filter(i => i.type === type).map(i => i.value).sort();
+
+describe('utils/indicators', () => {
+    let dir;
+    let indicators;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indicators-test-'));
+        process.env.DATA_DIR = dir;
+        indicators = loadIndicators();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        delete process.env.DATA_DIR;
+        delete process.env.INDICATOR_CAPTURE;
+    });
+
+    describe('extractIndicators', () => {
+        it('finds emails, URLs and their domains', () => {
+            const found = indicators.extractIndicators(
+                '**Registrant:** John.Doe@Example.COM\nSee <https://www.example.org/login?x=1>, or mail.example.net.');
+            expect(values(found, 'email')).toEqual(['john.doe@example.com']);
+            expect(values(found, 'url')).toEqual(['https://www.example.org/login?x=1']);
+            expect(values(found, 'domain')).toEqual(['example.com', 'mail.example.net', 'www.example.org']);
+        });
+
+        it('ignores usernames and file names that look like domains', () => {
+            const found = indicators.extractIndicators('Try john.doe and jane.smith — saved to sherlock_report.txt and index.js');
+            expect(values(found, 'domain')).toEqual([]);
+        });
+
+        it('finds IPv4 and IPv6 addresses but not clock times or versions', () => {
+            const found = indicators.extractIndicators('A 203.0.113.7 AAAA 2001:db8::1 at 12:30:45, v1.2.3.400');
+            expect(values(found, 'ip')).toEqual(['2001:db8::1', '203.0.113.7']);
+        });
+
+        it('finds crypto addresses and lowercases Ethereum ones', () => {
+            const found = indicators.extractIndicators(
+                'from 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045 to bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq ' +
+                'tx 0x5c504ed432cb51138bcf09aa5e8a410dd4a1e204ef84bfed1be16dfba1b22060');
+            expect(values(found, 'crypto')).toEqual([
+                '0xd8da6bf26964af9d7eed9e03e53415d37aa96045',
+                'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq',
+            ]);
+        });
+
+        it('scans long tokens and dotted runs in linear time', () => {
+            const started = Date.now();
+            expect(indicators.extractIndicators('abcdef0123'.repeat(100000))).toEqual([]);
+            expect(indicators.extractIndicators('a.'.repeat(100000))).toEqual([]);
+            expect(indicators.extractIndicators('a@'.repeat(100000))).toEqual([]);
+            expect(Date.now() - started).toBeLessThan(2000);
+            expect(values(indicators.extractIndicators(`${'f'.repeat(5000)} john@example.com`), 'email')).toEqual(['john@example.com']);
+        });
+    });
+
+    describe('captureIndicators', () => {
+        function fakeInteraction() {
+            const sent = [];
+            return {
+                sent,
+                reply: async (payload) => { sent.push(payload); return 'replied'; },
+                editReply: async (payload) => { sent.push(payload); return 'edited'; },
+            };
+        }
+
+        const sightings = () => fs.readFileSync(indicators.indicatorsFilePath(), 'utf8').trim().split('\n').map(JSON.parse);
+
+        it('records options as input and replies as output, once per invocation', async () => {
+            const interaction = fakeInteraction();
+            indicators.captureIndicators(interaction, ctx({ options: { domain: 'example.com' } }));
+            expect(await interaction.editReply({ content: 'Registrant: admin@example.com' })).toBe('edited');
+            await interaction.editReply({ content: 'Registrant: admin@example.com (final)' });
+            expect(interaction.sent).toHaveLength(2);
+
+            const rows = sightings().map(s => `${s.role}:${s.type}:${s.value}`);
+            expect(rows).toEqual([
+                'input:domain:example.com',
+                'output:email:admin@example.com',
+                'output:domain:example.com',
+            ]);
+            expect(sightings()[0]).toMatchObject({ command: 'bob-whoxy', userId: 'u1', guildId: 'g1', channelId: 'c1' });
+        });
+
+        it('reads embeds and text attachments', async () => {
+            const interaction = fakeInteraction();
+            indicators.captureIndicators(interaction, ctx());
+            await interaction.reply({
+                embeds: [{ data: { title: 'Host 198.51.100.4', fields: [{ name: 'MX', value: 'mx.example.com' }] } }],
+                files: [
+                    { attachment: Buffer.from('https://evil.example.net/payload'), name: 'links.txt' },
+                    { attachment: Buffer.from('ignored.example.org'), name: 'image.png' },
+                ],
+            });
+            expect(sightings().map(s => s.value).sort())
+                .toEqual(['198.51.100.4', 'evil.example.net', 'https://evil.example.net/payload', 'mx.example.com']);
+        });
+
+        it('skips operational commands and respects INDICATOR_CAPTURE=off', async () => {
+            const own = fakeInteraction();
+            indicators.captureIndicators(own, ctx({ command: 'bob-indicators', options: { query: 'example.com' } }));
+            await own.reply({ content: 'example.com' });
+            process.env.INDICATOR_CAPTURE = 'off';
+            const off = fakeInteraction();
+            indicators.captureIndicators(off, ctx({ options: { domain: 'example.com' } }));
+            await off.reply({ content: 'example.com' });
+            expect(fs.existsSync(indicators.indicatorsFilePath())).toBe(false);
+            expect(off.sent).toHaveLength(1);
+        });
+
+        it('skips ephemeral replies, including edits of an ephemeral deferral', async () => {
+            const interaction = fakeInteraction();
+            interaction.deferReply = async () => {};
+            indicators.captureIndicators(interaction, ctx());
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+            await interaction.editReply({ content: 'Registrant: admin@example.com' });
+            expect(fs.existsSync(indicators.indicatorsFilePath())).toBe(false);
+
+            const shown = fakeInteraction();
+            indicators.captureIndicators(shown, ctx());
+            await shown.reply({ content: 'mx.example.com', flags: MessageFlags.Ephemeral });
+            await shown.editReply({ content: 'Registrant: admin@example.com' });
+            expect(fs.existsSync(indicators.indicatorsFilePath())).toBe(false);
+        });
+
+        it('tags sightings with the permission the invocation needed', async () => {
+            const nuclei = fakeInteraction();
+            nuclei.commandName = 'bob-nuclei';
+            indicators.captureIndicators(nuclei, ctx({ command: 'bob-nuclei', options: { target: 'https://scan.example.com' } }));
+            await nuclei.reply({ content: 'exposed panel on 203.0.113.9' });
+
+            const jwt = fakeInteraction();
+            jwt.commandName = 'bob-jwt';
+            jwt.options = { getSubcommand: () => 'analyze', getSubcommandGroup: () => null, data: [] };
+            indicators.captureIndicators(jwt, ctx({ command: 'bob-jwt', subcommand: 'analyze' }));
+            await jwt.reply({ content: 'iss https://auth.example.com' });
+
+            const permissions = Object.fromEntries(sightings().map(s => [s.value, s.permission]));
+            expect(permissions).toMatchObject({
+                'https://scan.example.com': 'Administrator',
+                '203.0.113.9': 'Administrator',
+                'https://auth.example.com': null,
+            });
+        });
+    });
+
+    describe('searchIndicators', () => {
+        it('groups sightings, scopes to the guild and ranks exact matches first', async () => {
+            indicators.recordIndicators([{ type: 'domain', value: 'example.com' }], ctx({ command: 'bob-dns' }), 'input');
+            indicators.recordIndicators([{ type: 'email', value: 'john@example.com' }], ctx(), 'output');
+            indicators.recordIndicators([{ type: 'domain', value: 'example.com' }], ctx(), 'output');
+            indicators.recordIndicators([{ type: 'domain', value: 'example.com' }], ctx({ guildId: 'g2' }), 'output');
+
+            const { results, total } = await indicators.searchIndicators('Example.com', { guildId: 'g1' });
+            expect(total).toBe(2);
+            expect(results[0]).toMatchObject({
+                type: 'domain',
+                value: 'example.com',
+                count: 2,
+                commands: { 'bob-dns': 1, 'bob-whoxy': 1 },
+            });
+            expect(results[0].recent[0].command).toBe('bob-whoxy');
+            expect(results[1].value).toBe('john@example.com');
+
+            const emails = await indicators.searchIndicators('example.com', { guildId: 'g1', type: 'email' });
+            expect(emails.results.map(r => r.value)).toEqual(['john@example.com']);
+        });
+
+        it('hides restricted sightings unless the searcher may see them', async () => {
+            indicators.recordIndicators([{ type: 'ip', value: '203.0.113.9' }], ctx({ command: 'bob-nuclei', permission: 'Administrator' }), 'output');
+            indicators.recordIndicators([{ type: 'ip', value: '203.0.113.9' }], ctx({ command: 'bob-dns' }), 'output');
+
+            const hidden = await indicators.searchIndicators('203.0.113.9', { guildId: 'g1' });
+            expect(hidden.results[0]).toMatchObject({ count: 1, commands: { 'bob-dns': 1 } });
+
+            const seen = [];
+            const shown = await indicators.searchIndicators('203.0.113.9', {
+                guildId: 'g1',
+                canSee: (entry) => { seen.push(entry.permission); return true; },
+            });
+            expect(shown.results[0]).toMatchObject({ count: 2, commands: { 'bob-dns': 1, 'bob-nuclei': 1 } });
+            expect(seen).toEqual(['Administrator']);
+        });
+
+        it('limits DM searches to the user\'s own sightings', async () => {
+            indicators.recordIndicators([{ type: 'ip', value: '203.0.113.7' }], ctx({ guildId: null, userId: 'u1' }), 'input');
+            indicators.recordIndicators([{ type: 'ip', value: '203.0.113.7' }], ctx({ guildId: null, userId: 'u2' }), 'input');
+            const { results } = await indicators.searchIndicators('203.0.113', { guildId: null, userId: 'u2' });
+            expect(results).toHaveLength(1);
+            expect(results[0].count).toBe(1);
+        });
+
+        it('returns nothing when the store does not exist yet', async () => {
+            expect(await indicators.searchIndicators('example.com', { guildId: 'g1' })).toEqual({ results: [], total: 0 });
+        });
+    });
+});
@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+import { EventEmitter } from 'node:events';
+
+const require = createRequire(import.meta.url);
+
+// Queue state is module-level and JOB_CONCURRENCY is read per call: reload per test.
+function loadJobs() {
+    for (const m of ['jobs', 'process']) {
+        delete require.cache[require.resolve(`../../utils/${m}.js`)];
+    }
+    return require('../../utils/jobs.js');
+}
+
+// A job whose completion the test controls.
+function deferred() {
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    return { promise, resolve };
+}
+
+const spec = (userId, label = 'scan') => ({ command: 'bob-sherlock', userId, guildId: 'g1', label });
+const tick = () => new Promise((r) => setImmediate(r));
+
+// Deferred interaction whose reply collects button presses.
+function fakeInteraction(userId) {
+    const collector = Object.assign(new EventEmitter(), { stop: () => {} });
+    const edits = [];
+    return {
+        collector,
+        edits,
+        commandName: 'bob-sherlock',
+        user: { id: userId },
+        guildId: 'g1',
+        editReply: async (payload) => {
+            edits.push(payload);
+            return { createMessageComponentCollector: () => collector };
+        },
+    };
+}
+
+function press(userId) {
+    const calls = { reply: null, update: null };
+    return {
+        calls,
+        customId: 'ignored-by-fake-collector',
+        user: { id: userId },
+        reply: async (payload) => { calls.reply = payload; },
+        update: async (payload) => { calls.update = payload; },
+    };
+}
+
+describe('utils/jobs', () => {
+    let jobs;
+
+    beforeEach(() => {
+        process.env.JOB_CONCURRENCY = '1';
+        jobs = loadJobs();
+    });
+
+    afterEach(() => {
+        jobs.cancelAllJobs();
+        delete process.env.JOB_CONCURRENCY;
+        delete process.env.JOB_QUEUE_MAX;
+    });
+
+    it('runs at most JOB_CONCURRENCY heavy jobs at once, in FIFO order', async () => {
+        const first = deferred();
+        const order = [];
+        const a = jobs.enqueue(spec('u1', 'a'), () => { order.push('a'); return first.promise; });
+        const b = jobs.enqueue(spec('u2', 'b'), async () => { order.push('b'); return 'b'; });
+        await tick();
+        expect(order).toEqual(['a']);
+        expect(jobs.listJobs().map(j => [j.label, j.state, j.position])).toEqual([['a', 'running', null], ['b', 'queued', 1]]);
+        first.resolve('a');
+        expect(await a).toBe('a');
+        expect(await b).toBe('b');
+        expect(order).toEqual(['a', 'b']);
+    });
+
+    it('reports queue positions and an ETA while waiting', async () => {
+        const first = deferred();
+        const positions = [];
+        jobs.enqueue(spec('u1'), () => first.promise);
+        jobs.enqueue(spec('u2'), async () => {});
+        const third = jobs.enqueue(spec('u3'), async () => {}, { onPosition: (p, eta) => positions.push([p, eta > 0]) });
+        await tick();
+        expect(positions[0]).toEqual([2, true]);
+        first.resolve();
+        await third;
+        expect(positions.map(([p]) => p)).toContain(1);
+    });
+
+    it('runs non-heavy commands immediately, outside the queue', async () => {
+        const first = deferred();
+        jobs.enqueue(spec('u1'), () => first.promise);
+        const light = await jobs.enqueue({ command: 'bob-dns', userId: 'u2', label: 'dns' }, async () => 'done');
+        expect(light).toBe('done');
+        expect(jobs.listJobs()).toHaveLength(1);
+        first.resolve();
+    });
+
+    it('queues a non-heavy command when the job is marked heavy', async () => {
+        const first = deferred();
+        jobs.enqueue(spec('u1'), () => first.promise);
+        let ran = false;
+        const scan = jobs.enqueue({ command: 'bob-generate-usernames', userId: 'u2', label: 'scan', heavy: true }, async () => { ran = true; });
+        await tick();
+        expect(ran).toBe(false);
+        expect(jobs.listJobs().map(j => j.command)).toEqual(['bob-sherlock', 'bob-generate-usernames']);
+        first.resolve();
+        await scan;
+        expect(ran).toBe(true);
+    });
+
+    it('refuses new jobs once JOB_QUEUE_MAX are waiting', async () => {
+        process.env.JOB_QUEUE_MAX = '1';
+        const first = deferred();
+        jobs.enqueue(spec('u1'), () => first.promise);
+        jobs.enqueue(spec('u2'), async () => {});
+        await expect(jobs.enqueue(spec('u3'), async () => {})).rejects.toMatchObject({ code: 'EQUEUEFULL' });
+        first.resolve();
+    });
+
+    it('removes a cancelled queued job without running it', async () => {
+        const first = deferred();
+        let ran = false;
+        jobs.enqueue(spec('u1'), () => first.promise);
+        const queued = jobs.enqueue(spec('u2'), async () => { ran = true; });
+        const result = jobs.cancelJob('u2');
+        expect(result).toMatchObject({ ok: true, job: { state: 'queued' } });
+        await expect(queued).rejects.toMatchObject({ code: jobs.JOB_CANCELLED });
+        first.resolve();
+        await tick();
+        expect(ran).toBe(false);
+    });
+
+    it('only lets the owner cancel a job', () => {
+        const first = deferred();
+        const running = jobs.enqueue(spec('u1'), () => first.promise);
+        running.catch(() => {});
+        const [job] = jobs.listJobs();
+        expect(jobs.cancelJob('u2', job.id)).toEqual({ ok: false, reason: 'not_owner' });
+        expect(jobs.cancelJob('u2')).toEqual({ ok: false, reason: 'not_found' });
+        expect(jobs.cancelJob('u1', 'ffffffff')).toEqual({ ok: false, reason: 'not_found' });
+        first.resolve();
+    });
+
+    it('filters listJobs by guild', async () => {
+        const first = deferred();
+        jobs.enqueue(spec('u1'), () => first.promise);
+        expect(jobs.listJobs({ guildId: 'g1' })).toHaveLength(1);
+        expect(jobs.listJobs({ guildId: 'g2' })).toHaveLength(0);
+        first.resolve();
+    });
+
+    it('kills the process of a cancelled running job', async () => {
+        const { safeSpawn } = require('../../utils/process.js');
+        const started = Date.now();
+        const running = jobs.enqueue(spec('u1'), () => safeSpawn('sleep', ['10'], { timeout: 20000 }));
+        await new Promise((r) => setTimeout(r, 100));
+        expect(jobs.cancelJob('u1').ok).toBe(true);
+        await expect(running).rejects.toMatchObject({ code: jobs.JOB_CANCELLED });
+        expect(Date.now() - started).toBeLessThan(5000);
+    }, 10000);
+
+    it('gives the job error message only for queue errors', () => {
+        expect(jobs.jobErrorMessage({ code: jobs.JOB_CANCELLED })).toContain('cancelled');
+        expect(jobs.jobErrorMessage({ code: 'EQUEUEFULL' })).toContain('queue is full');
+        expect(jobs.jobErrorMessage(new Error('boom'))).toBeNull();
+    });
+
+    describe('runJob Cancel button', () => {
+        it('lets the invoking user cancel the running scan', async () => {
+            const interaction = fakeInteraction('u1');
+            const run = jobs.runJob(interaction, 'sherlock x', () => new Promise(() => {}));
+            await tick();
+            expect(interaction.edits[0].components[0].components[0].data.label).toBe('Cancel');
+            const owner = press('u1');
+            interaction.collector.emit('collect', owner);
+            await expect(run).rejects.toMatchObject({ code: jobs.JOB_CANCELLED });
+            expect(owner.calls.update).toEqual({ components: [] });
+            expect(interaction.edits.at(-1)).toEqual({ components: [] });
+        });
+
+        it('refuses other users with an ephemeral reply', async () => {
+            const interaction = fakeInteraction('u1');
+            const finish = deferred();
+            const run = jobs.runJob(interaction, 'sherlock x', () => finish.promise);
+            await tick();
+            const other = press('u2');
+            interaction.collector.emit('collect', other);
+            expect(other.calls.reply.content).toContain('Only the user who started');
+            expect(jobs.listJobs()).toHaveLength(1);
+            finish.resolve('ok');
+            expect(await run).toBe('ok');
+            expect(interaction.edits.at(-1)).toEqual({ components: [] });
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const axios = require('axios');
+const { lookupMailSecurity } = require('../../utils/mailsec.js');
+
+const dnsError = (code) => Object.assign(new Error(code), { code });
+
+// TXT answers from a name → records table; missing names are ENODATA.
+function fakeResolver(zone) {
+    return {
+        resolveTxt: async (name) => {
+            if (zone[name] === undefined) throw dnsError('ENODATA');
+            return zone[name].map(record => [record]);
+        },
+    };
+}
+
+describe('utils/mailsec', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('collects every record and fetches the MTA-STS policy', async () => {
+        const get = vi.spyOn(axios, 'get').mockResolvedValue({ data: 'version: STSv1\nmode: enforce\nmx: mx.example.com\nmax_age: 86400\n' });
+        const resolver = fakeResolver({
+            'example.com': ['v=spf1 include:_spf.example.net -all'],
+            '_spf.example.net': ['v=spf1 ip4:192.0.2.0/24 -all'],
+            '_dmarc.example.com': ['v=DMARC1; p=reject; rua=mailto:dmarc@example.com'],
+            '_mta-sts.example.com': ['v=STSv1; id=20260101'],
+            '_smtp._tls.example.com': ['v=TLSRPTv1; rua=mailto:tls@example.com'],
+            'default._bimi.example.com': ['v=BIMI1; l=https://example.com/logo.svg'],
+        });
+        const { report, findings, score, grade } = await lookupMailSecurity('example.com', { resolver });
+
+        expect(get).toHaveBeenCalledWith('https://mta-sts.example.com/.well-known/mta-sts.txt', expect.objectContaining({ maxRedirects: 0 }));
+        expect(report.spfExpansion).toMatchObject({ lookups: 1, depth: 1, problems: [] });
+        expect(report.mtaSts.record).toBe('v=STSv1; id=20260101');
+        expect(report.tlsRpt).toBe('v=TLSRPTv1; rua=mailto:tls@example.com');
+        expect(report.bimi).toBe('v=BIMI1; l=https://example.com/logo.svg');
+        expect(findings.filter(f => f.level === 'warn' || f.level === 'bad')).toEqual([]);
+        expect({ score, grade }).toEqual({ score: 100, grade: 'A' });
+    });
+
+    it('grades an unprotected domain and skips the policy fetch without a record', async () => {
+        const get = vi.spyOn(axios, 'get');
+        const { findings, score, grade } = await lookupMailSecurity('example.com', { resolver: fakeResolver({}) });
+        expect(get).not.toHaveBeenCalled();
+        expect(findings.filter(f => f.level === 'bad').map(f => f.category)).toEqual(['SPF', 'DMARC']);
+        expect(score).toBe(40);
+        expect(grade).toBe('D');
+    });
+
+    it('does not score a DMARC lookup failure as a missing record', async () => {
+        const resolver = fakeResolver({ 'example.com': ['v=spf1 -all'], 'default._bimi.example.com': ['v=BIMI1; l=https://example.com/logo.svg'] });
+        const resolveTxt = resolver.resolveTxt;
+        resolver.resolveTxt = async (name) => {
+            if (name === '_dmarc.example.com') throw dnsError('ESERVFAIL');
+            return resolveTxt(name);
+        };
+        const { report, findings, score } = await lookupMailSecurity('example.com', { resolver });
+        expect(report.lookupFailed).toEqual(['_dmarc.example.com']);
+        expect(findings.filter(f => f.category === 'DMARC' || f.category === 'BIMI').map(f => f.level)).toEqual(['warn', 'info']);
+        expect(findings.some(f => f.text.startsWith('No DMARC record'))).toBe(false);
+        // -10 for the unknown DMARC policy, -10 for the missing MTA-STS
+        expect(score).toBe(80);
+    });
+
+    it('reports a policy file that cannot be fetched', async () => {
+        vi.spyOn(axios, 'get').mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 404 } }));
+        const resolver = fakeResolver({ 'example.com': ['v=spf1 -all'], '_mta-sts.example.com': ['v=STSv1; id=1'] });
+        const { report, findings } = await lookupMailSecurity('example.com', { resolver });
+        expect(report.mtaSts.policyError).toBe('HTTP 404');
+        expect(findings.find(f => f.category === 'MTA-STS')).toMatchObject({ level: 'bad' });
+    });
+});
@@ -2,6 +2,12 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
 
 // Use vi.resetModules() so each test suite gets a fresh registry
 let metrics;
@@ -17,9 +23,9 @@ describe('metrics module', () => {
     });
 
     describe('registry isolation', () => {
-        it('exposes exactly four metrics', () => {
+        it('exposes exactly eight metrics', () => {
             const all = metrics.registry.getMetricsAsArray();
-            expect(all).toHaveLength(4);
+            expect(all).toHaveLength(8);
         });
 
         it('output does NOT contain default Node/process metrics', async () => {
@@ -48,6 +54,45 @@ describe('metrics module', () => {
         });
     });
 
+    describe('provider quota gauges', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-quota-'));
+            process.env.DATA_DIR = dir;
+            process.env.QUOTA_WHOXY_MONTHLY = '5';
+            for (const m of ['datastore', 'quota']) delete require.cache[require.resolve(`../../utils/${m}.js`)];
+        });
+
+        afterEach(() => {
+            delete process.env.DATA_DIR;
+            delete process.env.QUOTA_WHOXY_MONTHLY;
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('reports used and remaining budget from the ledger at scrape time', async () => {
+            require('../../utils/quota.js').consumeQuota('whoxy', 2);
+            const output = await metrics.registry.metrics();
+            expect(output).toMatch(/provider_quota_used\{provider="whoxy",window="monthly"\} 2/);
+            expect(output).toMatch(/provider_quota_remaining\{provider="whoxy",window="monthly"\} 3/);
+            // Unlimited windows are counted but have no remaining value.
+            expect(output).toMatch(/provider_quota_used\{provider="whoxy",window="daily"\} 2/);
+            expect(output).not.toMatch(/provider_quota_remaining\{provider="whoxy",window="daily"\}/);
+        });
+    });
+
+    describe('provider cache counters', () => {
+        it('reports hits and misses per provider', async () => {
+            delete require.cache[require.resolve('../../utils/response-cache.js')];
+            const { cachedFetch } = require('../../utils/response-cache.js');
+            await cachedFetch('crtsh', { q: 'example.com' }, async () => []);
+            await cachedFetch('crtsh', { q: 'EXAMPLE.com' }, async () => []);
+            const output = await metrics.registry.metrics();
+            expect(output).toMatch(/provider_cache_hits_total\{provider="crtsh"\} 1/);
+            expect(output).toMatch(/provider_cache_misses_total\{provider="crtsh"\} 1/);
+        });
+    });
+
     describe('HTTP server', () => {
         it('GET /metrics returns 200 with correct content-type', async () => {
             const server = await metrics.startMetricsServer({ port: 0, host: '127.0.0.1' });
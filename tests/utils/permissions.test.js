@@ -1,11 +1,16 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import { PermissionFlagsBits } from 'discord.js';
-import { checkPermission, RESTRICTED_COMMANDS } from '../../utils/permissions.js';
+import { checkPermission, resolveRule, holdsPermission, RESTRICTED_COMMANDS } from '../../utils/permissions.js';
 
-function makeInteraction({ commandName, hasPerm = false, guild = true, roleIds = [] }) {
+function makeInteraction({ commandName, hasPerm = false, guild = true, roleIds = [], userId, guildId = 'g1', subcommand = null, options = [] }) {
     return {
         commandName,
-        guild: guild ? { id: 'g1' } : null,
+        user: userId ? { id: userId } : undefined,
+        options: { getSubcommand: () => subcommand, getSubcommandGroup: () => null, data: options },
+        guild: guild ? { id: guildId } : null,
         memberPermissions: { has: (perm) => hasPerm === true || hasPerm === perm },
         member: {
             roles: {
@@ -49,6 +54,15 @@ describe('checkPermission', () => {
         expect(result.reason).toMatch(/server/i);
     });
 
+    it('holdsPermission checks the named permission and allowed roles, never for Administrator', () => {
+        process.env.OSINT_ALLOWED_ROLES = 'role-a';
+        expect(holdsPermission(makeInteraction({}), null)).toBe(true);
+        expect(holdsPermission(makeInteraction({ hasPerm: PermissionFlagsBits.ManageGuild }), 'ManageGuild')).toBe(true);
+        expect(holdsPermission(makeInteraction({ roleIds: ['role-a'] }), 'ManageGuild')).toBe(true);
+        expect(holdsPermission(makeInteraction({ roleIds: ['role-a'] }), 'Administrator')).toBe(false);
+        expect(holdsPermission(makeInteraction({ hasPerm: PermissionFlagsBits.Administrator }), 'Administrator')).toBe(true);
+    });
+
     it('allows via OSINT_ALLOWED_ROLES override', () => {
         process.env.OSINT_ALLOWED_ROLES = 'role-a, role-b';
         const result = checkPermission(makeInteraction({
@@ -69,6 +83,15 @@ describe('checkPermission', () => {
         expect(result.allowed).toBe(false);
     });
 
+    it('OSINT_ALLOWED_ROLES does not bypass Administrator on /bob-audit and /bob-admin', () => {
+        process.env.OSINT_ALLOWED_ROLES = 'role-a';
+        for (const commandName of ['bob-audit', 'bob-admin']) {
+            expect(checkPermission(makeInteraction({ commandName, roleIds: ['role-a'], hasPerm: PermissionFlagsBits.ManageGuild })).allowed).toBe(false);
+            expect(checkPermission(makeInteraction({ commandName, roleIds: ['role-a'], hasPerm: PermissionFlagsBits.Administrator })).allowed).toBe(true);
+        }
+        expect(checkPermission(makeInteraction({ commandName: 'bob-nuclei', roleIds: ['role-a'] })).allowed).toBe(true);
+    });
+
     it('bob-nuclei requires Administrator (not ManageGuild)', () => {
         expect(RESTRICTED_COMMANDS['bob-nuclei']).toBe(PermissionFlagsBits.Administrator);
     });
@@ -83,3 +106,105 @@ describe('checkPermission', () => {
         }
     });
 });
+
+describe('permission policy file', () => {
+    const GUILD = '111111111111111111';
+    const ROLE = '222222222222222222';
+    const USER = '333333333333333333';
+    let dir;
+    let file;
+
+    function writePolicy(policy, mtime) {
+        fs.writeFileSync(file, typeof policy === 'string' ? policy : JSON.stringify(policy));
+        if (mtime) fs.utimesSync(file, mtime, mtime);
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+        file = path.join(dir, 'permissions.json');
+        process.env.PERMISSION_POLICY_FILE = file;
+    });
+
+    afterEach(() => {
+        delete process.env.PERMISSION_POLICY_FILE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('falls back to built-in defaults without a policy file', () => {
+        expect(resolveRule({ guildId: GUILD, command: 'bob-sherlock' })).toMatchObject({ permission: 'ManageGuild', sources: ['built-in'] });
+    });
+
+    it('guild rules override the global permission; subcommand rules override both', () => {
+        writePolicy({
+            commands: { 'bob-monitor': { permission: 'Administrator', subcommands: { list: { permission: null } } } },
+            guilds: { [GUILD]: { commands: { 'bob-monitor': { permission: 'ManageChannels' } } } }
+        });
+        expect(resolveRule({ guildId: 'other', command: 'bob-monitor' }).permission).toBe('Administrator');
+        expect(resolveRule({ guildId: GUILD, command: 'bob-monitor' }).permission).toBe('ManageChannels');
+        expect(resolveRule({ guildId: 'other', command: 'bob-monitor', subcommand: 'list' }).permission).toBeNull();
+        expect(resolveRule({ guildId: GUILD, command: 'bob-monitor', subcommand: 'list' }).sources)
+            .toEqual(['built-in', 'policy', 'policy subcommand', 'guild']);
+    });
+
+    it('the policy cannot lower or allow-list around /bob-audit and /bob-admin', () => {
+        writePolicy({ commands: { 'bob-audit': { permission: null, allow: { users: [USER] } }, 'bob-admin': { permission: 'ManageGuild' } } });
+        expect(resolveRule({ guildId: GUILD, command: 'bob-audit' })).toMatchObject({ permission: 'Administrator', allow: { roles: [], users: [] } });
+        expect(checkPermission(makeInteraction({ commandName: 'bob-audit', guildId: GUILD, userId: USER })).allowed).toBe(false);
+        expect(checkPermission(makeInteraction({ commandName: 'bob-admin', guildId: GUILD, hasPerm: PermissionFlagsBits.ManageGuild })).allowed).toBe(false);
+    });
+
+    it('allow lists bypass the required permission', () => {
+        writePolicy({ guilds: { [GUILD]: { commands: { 'bob-sherlock': { allow: { roles: [ROLE] } } } } } });
+        expect(checkPermission(makeInteraction({ commandName: 'bob-sherlock', guildId: GUILD, roleIds: [ROLE] })).allowed).toBe(true);
+        expect(checkPermission(makeInteraction({ commandName: 'bob-sherlock', guildId: 'other', roleIds: [ROLE] })).allowed).toBe(false);
+    });
+
+    it('deny beats allow and applies to public commands', () => {
+        writePolicy({ commands: { 'bob-dns': { deny: { users: [USER] } }, 'bob-sherlock': { allow: { users: [USER] }, deny: { users: [USER] } } } });
+        expect(checkPermission(makeInteraction({ commandName: 'bob-dns', userId: USER })).allowed).toBe(false);
+        expect(checkPermission(makeInteraction({ commandName: 'bob-dns', userId: '444444444444444444' })).allowed).toBe(true);
+        expect(checkPermission(makeInteraction({ commandName: 'bob-sherlock', userId: USER, hasPerm: true })).allowed).toBe(false);
+    });
+
+    it('evaluates subcommand rules from the interaction', () => {
+        writePolicy({ commands: { 'bob-case': { subcommands: { close: { permission: 'ManageGuild' } } } } });
+        expect(checkPermission(makeInteraction({ commandName: 'bob-case', subcommand: 'open' })).allowed).toBe(true);
+        expect(checkPermission(makeInteraction({ commandName: 'bob-case', subcommand: 'close' })).allowed).toBe(false);
+        expect(checkPermission(makeInteraction({ commandName: 'bob-case', subcommand: 'close', hasPerm: PermissionFlagsBits.ManageGuild })).allowed).toBe(true);
+    });
+});
+
+describe('built-in subcommand and option rules', () => {
+    it('opens /bob-jwt analyze but keeps tamper and crack restricted', () => {
+        expect(checkPermission(makeInteraction({ commandName: 'bob-jwt', subcommand: 'analyze' })).allowed).toBe(true);
+        expect(checkPermission(makeInteraction({ commandName: 'bob-jwt', subcommand: 'tamper' })).allowed).toBe(false);
+        expect(checkPermission(makeInteraction({ commandName: 'bob-jwt', subcommand: 'crack' })).allowed).toBe(false);
+    });
+
+    it('distinguishes /bob-ghunt check-login from login by option value', () => {
+        const ghunt = (type, hasPerm) => checkPermission(makeInteraction({
+            commandName: 'bob-ghunt', hasPerm, options: [{ name: 'type', value: type }]
+        })).allowed;
+        expect(ghunt('check-login', false)).toBe(true);
+        expect(ghunt('email', false)).toBe(false);
+        expect(ghunt('email', PermissionFlagsBits.ManageGuild)).toBe(true);
+        expect(ghunt('login', PermissionFlagsBits.ManageGuild)).toBe(false);
+        expect(ghunt('login', PermissionFlagsBits.Administrator)).toBe(true);
+    });
+
+    it('policy option rules override built-in subcommand rules', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+        process.env.PERMISSION_POLICY_FILE = path.join(dir, 'permissions.json');
+        try {
+            fs.writeFileSync(process.env.PERMISSION_POLICY_FILE, JSON.stringify({
+                commands: { 'bob-jwt': { subcommands: { analyze: { options: { verbose: { true: { permission: 'ManageGuild' } } } } } } }
+            }));
+            const analyze = (verbose) => resolveRule({ command: 'bob-jwt', subcommand: 'analyze', options: { verbose } });
+            expect(analyze(false).permission).toBeNull();
+            expect(analyze(true)).toMatchObject({ permission: 'ManageGuild', sources: ['built-in', 'built-in subcommand', 'policy subcommand option'] });
+        } finally {
+            delete process.env.PERMISSION_POLICY_FILE;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+    pivotTargets, pivotComponents, parsePivotId, pivotInteraction, isPivotButton,
+} = require('../../utils/pivot.js');
+const { checkPermission } = require('../../utils/permissions.js');
+const { createCommandContext } = require('../../utils/command-context.js');
+
+const ETH = '0xd8da6bf26964af9d7eed9e03e53415d37aa96045';
+
+const customIds = (rows) => rows.map(row => row.toJSON().components.map(button => button.custom_id));
+
+describe('utils/pivot', () => {
+    describe('pivotTargets', () => {
+        it('finds domains, emails and addresses in content and embeds, skipping IPs and URLs', () => {
+            const message = {
+                content: 'WHOIS for example.com (203.0.113.7)',
+                embeds: [{ data: { fields: [{ name: 'Registrant', value: 'admin@example.org' }, { name: 'Wallet', value: ETH }] } }],
+            };
+            expect(pivotTargets(message)).toEqual([
+                { type: 'domain', value: 'example.com' },
+                { type: 'domain', value: 'example.org' },
+                { type: 'email', value: 'admin@example.org' },
+                { type: 'crypto', value: ETH },
+            ]);
+        });
+
+        it('offers at most five indicators', () => {
+            const content = Array.from({ length: 8 }, (_, i) => `host${i}.example.com`).join(' ');
+            expect(pivotTargets({ content })).toHaveLength(5);
+        });
+    });
+
+    describe('pivotComponents', () => {
+        it('adds one row per indicator with the pivots for its type', () => {
+            const rows = pivotComponents([
+                { type: 'domain', value: 'example.com' },
+                { type: 'email', value: 'admin@example.org' },
+            ]);
+            expect(customIds(rows)).toEqual([
+                ['pivot:dns:example.com', 'pivot:hostio:example.com', 'pivot:recon:example.com'],
+                ['pivot:ghunt:admin@example.org'],
+            ]);
+        });
+    });
+
+    describe('parsePivotId', () => {
+        it('decodes pivot buttons', () => {
+            expect(isPivotButton('pivot:dns:example.com')).toBe(true);
+            expect(isPivotButton('jobs-cancel:abc')).toBe(false);
+            expect(parsePivotId('pivot:dns:example.com')).toEqual({ action: 'dns', value: 'example.com' });
+            expect(parsePivotId(`pivot:address:${ETH}`)).toEqual({ action: 'address', value: ETH });
+        });
+
+        it('rejects unknown actions and values that are not the expected indicator', () => {
+            expect(parsePivotId('pivot:nuclei:example.com')).toBeNull();
+            expect(parsePivotId('pivot:toString:example.com')).toBeNull();
+            expect(parsePivotId('pivot:dns:example.com; rm -rf /')).toBeNull();
+            expect(parsePivotId('pivot:ghunt:example.com')).toBeNull();
+            expect(parsePivotId('pivot:dns')).toBeNull();
+        });
+    });
+
+    describe('pivotInteraction', () => {
+        function button(overrides = {}) {
+            return {
+                client: null,
+                customId: 'pivot:x',
+                user: { id: 'u1', tag: 'user#0001' },
+                guild: { id: 'g1' },
+                guildId: 'g1',
+                member: { permissions: { has: () => false }, roles: { cache: new Map() } },
+                isButton: () => true,
+                reply: async function (payload) { this.replied = true; return payload; },
+                ...overrides,
+            };
+        }
+
+        it('presents the target command, subcommand and options', async () => {
+            const base = button();
+            const routed = pivotInteraction(base, { action: 'hostio', value: 'example.com' });
+            expect(routed.commandName).toBe('bob-hostio');
+            expect(routed.isChatInputCommand()).toBe(true);
+            expect(routed.options.getSubcommand()).toBe('full');
+            expect(routed.options.getString('domain')).toBe('example.com');
+            expect(routed.options.getBoolean('fresh')).toBeNull();
+            expect(createCommandContext(routed)).toMatchObject({
+                command: 'bob-hostio', subcommand: 'full', options: { domain: 'example.com' }, userId: 'u1',
+            });
+
+            await routed.reply({ content: 'ok' });
+            expect(routed.replied).toBe(true);
+            expect(base.replied).toBeUndefined();
+        });
+
+        it('picks the chain from the address format', () => {
+            const routed = pivotInteraction(button(), { action: 'address', value: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq' });
+            expect(routed.options.getSubcommand()).toBe('address');
+            expect(routed.options.getString('blockchain')).toBe('btc');
+        });
+
+        it('goes through the target command\'s permission rules', () => {
+            const routed = pivotInteraction(button(), { action: 'ghunt', value: 'admin@example.org' });
+            expect(routed.options.getString('type')).toBe('email');
+            expect(checkPermission(routed).allowed).toBe(false);
+            expect(checkPermission(pivotInteraction(button(), { action: 'dns', value: 'example.com' })).allowed).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { validatePolicy, getPolicyStatus, currentPolicy, matchRules, policyTarget, listOptionTargets } from '../../utils/policy.js';
+
+const require = createRequire(import.meta.url);
+
+describe('utils/policy', () => {
+    let dir;
+    let file;
+
+    function writePolicy(policy, mtime) {
+        fs.writeFileSync(file, typeof policy === 'string' ? policy : JSON.stringify(policy));
+        if (mtime) fs.utimesSync(file, mtime, mtime);
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+        file = path.join(dir, 'permissions.json');
+        process.env.PERMISSION_POLICY_FILE = file;
+    });
+
+    afterEach(() => {
+        delete process.env.PERMISSION_POLICY_FILE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reports no policy when the file is absent', () => {
+        expect(currentPolicy()).toBeNull();
+        expect(getPolicyStatus()).toMatchObject({ loaded: false, error: false });
+    });
+
+    it('hot-reloads on change and keeps the last good policy when the file breaks', () => {
+        writePolicy({ commands: { 'bob-dns': { permission: 'ManageGuild' } } }, new Date(1000_000));
+        expect(currentPolicy().commands['bob-dns'].permission).toBe('ManageGuild');
+
+        writePolicy({ commands: { 'bob-dns': { permission: 'Administrator' } } }, new Date(2000_000));
+        expect(currentPolicy().commands['bob-dns'].permission).toBe('Administrator');
+
+        writePolicy('{ not json', new Date(3000_000));
+        expect(currentPolicy().commands['bob-dns'].permission).toBe('Administrator');
+        expect(getPolicyStatus()).toMatchObject({ loaded: true, error: true });
+
+        writePolicy({ commands: { 'bob-dns': { permission: 'Nope' } } }, new Date(4000_000));
+        expect(currentPolicy().commands['bob-dns'].permission).toBe('Administrator');
+
+        fs.unlinkSync(file);
+        expect(currentPolicy()).toBeNull();
+    });
+
+    it('validatePolicy accepts the shipped example', () => {
+        expect(validatePolicy(require('../../permissions.example.json'))).toEqual([]);
+    });
+
+    it('validatePolicy rejects unknown keys, permissions, cooldowns and malformed IDs', () => {
+        const errors = validatePolicy({
+            commands: {
+                'bob-dns': { permission: 'RootAccess', allow: { roles: ['abc'] }, extra: true, cooldown: 'glacial' },
+                'bob-jwt': { subcommands: { analyze: { subcommands: {}, options: { verbose: { true: { options: {} } } } } } }
+            },
+            guilds: { 'not-a-guild': { commands: {} } }
+        });
+        expect(errors).toEqual(expect.arrayContaining([
+            expect.stringMatching(/bob-dns\.extra: unknown key/),
+            expect.stringMatching(/unknown Discord permission "RootAccess"/),
+            expect.stringMatching(/bob-dns\.cooldown: must be/),
+            expect.stringMatching(/allow\.roles: must be an array of Discord ID strings/),
+            expect.stringMatching(/subcommands\.analyze\.subcommands: unknown key/),
+            expect.stringMatching(/options\.verbose\.true\.options: unknown key/),
+            expect.stringMatching(/guilds\.not-a-guild: key must be a guild ID/)
+        ]));
+        expect(validatePolicy({ commands: { 'bob-dns': { cooldown: 90 } } })).toEqual([]);
+    });
+
+    it('matchRules orders built-in, policy and guild layers with their scopes', () => {
+        const GUILD = '111111111111111111';
+        writePolicy({
+            commands: { 'bob-ghunt': { options: { type: { login: { cooldown: 600 } } } } },
+            guilds: { [GUILD]: { commands: { 'bob-ghunt': { permission: 'Administrator' } } } }
+        });
+        const builtIn = { permission: 'ManageGuild', subcommands: { x: {} } };
+        const layers = matchRules(builtIn, { guildId: GUILD, command: 'bob-ghunt', options: { type: 'login' } });
+        expect(layers.map(l => [l.source, l.scope])).toEqual([
+            ['built-in', 'bob-ghunt'],
+            ['policy', 'bob-ghunt'],
+            ['policy option', 'bob-ghunt type=login'],
+            ['guild', 'bob-ghunt']
+        ]);
+        expect(listOptionTargets(builtIn, { guildId: GUILD, command: 'bob-ghunt' })).toEqual([{ option: 'type', value: 'login' }]);
+    });
+
+    it('policyTarget flattens options and qualifies grouped subcommands', () => {
+        const target = policyTarget({
+            commandName: 'bob-admin',
+            guild: { id: 'g1' },
+            options: {
+                getSubcommand: () => 'show',
+                getSubcommandGroup: () => 'policy',
+                data: [{ name: 'policy', options: [{ name: 'show', options: [{ name: 'command', value: 'bob-dns' }] }] }]
+            }
+        });
+        expect(target).toEqual({ guildId: 'g1', command: 'bob-admin', subcommand: 'policy show', options: { command: 'bob-dns' } });
+    });
+});
@@ -1,9 +1,14 @@
 import { describe, it, expect, afterEach } from 'vitest';
+import { spawnSync } from 'child_process';
 import { promises as fsp } from 'fs';
 import path from 'path';
 import os from 'os';
+import { createRequire } from 'module';
 import { safeSpawn, safeSpawnToFile } from '../../utils/process.js';
 
+// Same module instance as the one utils/process.js requires.
+const { runWithJobSignal } = createRequire(import.meta.url)('../../utils/job-signal.js');
+
 const mkTmp = () => path.join(os.tmpdir(), `osint-bot-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
 const cleanups = [];
 afterEach(async () => {
@@ -60,6 +65,48 @@ describe('safeSpawn', () => {
             .rejects.toThrow('Output exceeded maximum buffer size');
     }, 10000);
 
+    it('terminates the process when its signal aborts', async () => {
+        const controller = new AbortController();
+        const started = Date.now();
+        const run = safeSpawn('sleep', ['10'], { signal: controller.signal });
+        setTimeout(() => controller.abort(), 100);
+        await expect(run).rejects.toMatchObject({ code: 'ECANCELLED' });
+        expect(Date.now() - started).toBeLessThan(5000);
+    }, 10000);
+
+    it('does not start a process for an already-aborted signal', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await expect(safeSpawn('echo', ['never'], { signal: controller.signal }))
+            .rejects.toMatchObject({ code: 'ECANCELLED' });
+    });
+
+    it('terminates the process when the surrounding job signal aborts', async () => {
+        const controller = new AbortController();
+        const run = runWithJobSignal(controller.signal, () => safeSpawn('sleep', ['10']));
+        setTimeout(() => controller.abort(), 100);
+        await expect(run).rejects.toMatchObject({ code: 'ECANCELLED' });
+    }, 10000);
+
+    it('loads without the job queue, discord.js or the rate limiter', () => {
+        const script = 'require("./utils/process"); console.log(Object.keys(require.cache).filter((k) => /discord\\.js|utils[\\\\/](jobs|ratelimit|policy)\\.js/.test(k)).length)';
+        const result = spawnSync(process.execPath, ['-e', script], { cwd: new URL('../..', import.meta.url), encoding: 'utf8' });
+        expect(result.stdout.trim()).toBe('0');
+    });
+
+    it('reports stdout line by line through onLine', async () => {
+        const lines = [];
+        const script = 'process.stdout.write("one\\ntw"); setTimeout(() => process.stdout.write("o\\nthree"), 50)';
+        const result = await safeSpawn('node', ['-e', script], { onLine: (line) => lines.push(line) });
+        expect(lines).toEqual(['one', 'two', 'three']);
+        expect(result.stdout).toBe('one\ntwo\nthree');
+    });
+
+    it('keeps the maxBuffer limit when onLine is set', async () => {
+        await expect(safeSpawn('yes', [], { maxBuffer: 1024, timeout: 5000, onLine: () => {} }))
+            .rejects.toThrow('Output exceeded maximum buffer size');
+    }, 10000);
+
     it('child env does not contain caller secrets', async () => {
         process.env.TEST_SECRET_VAR = 'must-not-leak';
         try {
@@ -88,6 +135,33 @@ describe('safeSpawnToFile', () => {
             .rejects.toThrow('Output file exceeded maximum size');
     }, 10000);
 
+    it('terminates the process when its signal aborts', async () => {
+        const out = mkTmp();
+        cleanups.push(out);
+        const controller = new AbortController();
+        const run = safeSpawnToFile('sleep', ['10'], out, { signal: controller.signal });
+        setTimeout(() => controller.abort(), 100);
+        await expect(run).rejects.toMatchObject({ code: 'ECANCELLED' });
+    }, 10000);
+
+    it('reports lines through onLine while writing the file', async () => {
+        const out = mkTmp();
+        cleanups.push(out);
+        const lines = [];
+        await safeSpawnToFile('node', ['-e', 'console.log("a"); console.log("b")'], out, {
+            onLine: (line) => lines.push(line)
+        });
+        expect(lines).toEqual(['a', 'b']);
+        expect(await fsp.readFile(out, 'utf8')).toBe('a\nb\n');
+    });
+
+    it('survives a throwing onLine callback', async () => {
+        const out = mkTmp();
+        cleanups.push(out);
+        const result = await safeSpawnToFile('echo', ['x'], out, { onLine: () => { throw new Error('bug'); } });
+        expect(result.code).toBe(0);
+    });
+
     it('feeds input to stdin when input option is set', async () => {
         const out = mkTmp();
         cleanups.push(out);
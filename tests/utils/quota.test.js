@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// DATA_DIR is bound at load and the ledger is cached: reload per test.
+function loadQuota() {
+    for (const m of ['datastore', 'quota']) {
+        delete require.cache[require.resolve(`../../utils/${m}.js`)];
+    }
+    return require('../../utils/quota.js');
+}
+
+const BUDGET_VARS = ['QUOTA_WHOXY_DAILY', 'QUOTA_WHOXY_MONTHLY', 'QUOTA_PAPPERS_MONTHLY', 'QUOTA_1MINAI_DAILY',
+    'QUOTA_ETHERSCAN_DAILY', 'QUOTA_BSCSCAN_DAILY', 'QUOTA_POLYGONSCAN_DAILY', 'QUOTA_DNSDUMPSTER_DAILY'];
+
+// Minimal stand-in for axios' interceptor registry.
+function fakeAxios() {
+    const handlers = [];
+    return {
+        interceptors: { request: { use: (fn) => handlers.push(fn) - 1 } },
+        request: (config) => handlers.reduce((cfg, fn) => fn(cfg), config),
+    };
+}
+
+describe('utils/quota', () => {
+    let dir;
+    let quota;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-test-'));
+        process.env.DATA_DIR = dir;
+        quota = loadQuota();
+    });
+
+    afterEach(() => {
+        delete process.env.DATA_DIR;
+        for (const name of BUDGET_VARS) delete process.env[name];
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('providerForUrl', () => {
+        it('maps provider API hosts, including subdomains', () => {
+            expect(quota.providerForUrl('https://api.whoxy.com/?key=x&whois=a.com')).toBe('whoxy');
+            expect(quota.providerForUrl('https://api-sepolia.etherscan.io/api')).toBe('etherscan');
+            expect(quota.providerForUrl('https://api.1min.ai/api/features')).toBe('1minai');
+            expect(quota.providerForUrl('/v1/company', 'https://api.pappers.in')).toBe('pappers');
+        });
+
+        it('returns null for unmetered or lookalike hosts', () => {
+            expect(quota.providerForUrl('https://example.com/')).toBeNull();
+            expect(quota.providerForUrl('https://evilhost.io/')).toBeNull();
+            expect(quota.providerForUrl('not a url')).toBeNull();
+        });
+    });
+
+    describe('budgets', () => {
+        it('treats unset or invalid budgets as unlimited', () => {
+            process.env.QUOTA_WHOXY_DAILY = 'lots';
+            expect(quota.getBudgets('whoxy')).toEqual({ daily: null, monthly: null });
+        });
+
+        it('reads QUOTA_<PROVIDER>_DAILY / _MONTHLY', () => {
+            process.env.QUOTA_1MINAI_DAILY = '20';
+            process.env.QUOTA_PAPPERS_MONTHLY = '0';
+            expect(quota.getBudgets('1minai')).toEqual({ daily: 20, monthly: null });
+            expect(quota.getBudgets('pappers')).toEqual({ daily: null, monthly: 0 });
+        });
+
+        it('still counts calls to unlimited providers', () => {
+            for (let i = 0; i < 3; i++) expect(quota.consumeQuota('hostio').allowed).toBe(true);
+            const row = quota.getQuotaStatus().find(r => r.provider === 'hostio' && r.window === 'daily');
+            expect(row).toMatchObject({ used: 3, budget: null, remaining: null });
+        });
+
+        it('refuses once a budget is exhausted, naming the provider and reset date', () => {
+            process.env.QUOTA_WHOXY_MONTHLY = '2';
+            const now = new Date('2026-03-14T12:00:00Z');
+            expect(quota.consumeQuota('whoxy', 1, now).allowed).toBe(true);
+            expect(quota.consumeQuota('whoxy', 1, now).allowed).toBe(true);
+            const refused = quota.consumeQuota('whoxy', 1, now);
+            expect(refused.allowed).toBe(false);
+            expect(refused.reason).toContain('monthly Whoxy budget (2 calls)');
+            expect(refused.reason).toContain('2026-04-01');
+        });
+
+        it('does not record refused calls', () => {
+            process.env.QUOTA_WHOXY_DAILY = '1';
+            quota.consumeQuota('whoxy');
+            quota.consumeQuota('whoxy');
+            quota.consumeQuota('whoxy');
+            const row = quota.getQuotaStatus().find(r => r.provider === 'whoxy' && r.window === 'daily');
+            expect(row).toMatchObject({ used: 1, budget: 1, remaining: 0 });
+        });
+
+        it('starts a new window on the next UTC day', () => {
+            process.env.QUOTA_WHOXY_DAILY = '1';
+            expect(quota.consumeQuota('whoxy', 1, new Date('2026-03-14T23:59:00Z')).allowed).toBe(true);
+            expect(quota.consumeQuota('whoxy', 1, new Date('2026-03-14T23:59:30Z')).allowed).toBe(false);
+            expect(quota.consumeQuota('whoxy', 1, new Date('2026-03-15T00:00:10Z')).allowed).toBe(true);
+        });
+
+        it('persists the ledger across reloads', () => {
+            process.env.QUOTA_WHOXY_MONTHLY = '1';
+            quota.consumeQuota('whoxy');
+            const reloaded = loadQuota();
+            expect(reloaded.checkQuota('whoxy').allowed).toBe(false);
+        });
+    });
+
+    describe('checkCommandQuota', () => {
+        it('allows commands without metered providers', () => {
+            expect(quota.checkCommandQuota('bob-sherlock')).toEqual({ allowed: true });
+        });
+
+        it('refuses a command whose only provider is exhausted', () => {
+            process.env.QUOTA_PAPPERS_MONTHLY = '0';
+            const result = quota.checkCommandQuota('bob-pappers');
+            expect(result.allowed).toBe(false);
+            expect(result.reason).toContain('Pappers');
+        });
+
+        it('allows a multi-provider command while any provider has budget', () => {
+            process.env.QUOTA_ETHERSCAN_DAILY = '0';
+            process.env.QUOTA_BSCSCAN_DAILY = '0';
+            expect(quota.checkCommandQuota('bob-blockchain').allowed).toBe(true);
+            process.env.QUOTA_POLYGONSCAN_DAILY = '0';
+            expect(quota.checkCommandQuota('bob-blockchain').allowed).toBe(false);
+        });
+
+        it('checks a provider only for the options that use it', () => {
+            process.env.QUOTA_DNSDUMPSTER_DAILY = '0';
+            expect(quota.checkCommandQuota('bob-dns', { domain: 'example.com' }).allowed).toBe(true);
+            expect(quota.checkCommandQuota('bob-dns', { domain: 'example.com', mode: 'dnsdumpster' }).allowed).toBe(false);
+        });
+    });
+
+    describe('installQuotaInterceptor', () => {
+        it('records metered requests and passes others through untouched', () => {
+            const client = fakeAxios();
+            quota.installQuotaInterceptor(client);
+            const config = { method: 'get', url: 'https://example.com/' };
+            expect(client.request(config)).toBe(config);
+            client.request({ method: 'get', url: 'https://host.io/api/full/a.com' });
+            const row = quota.getQuotaStatus().find(r => r.provider === 'hostio' && r.window === 'daily');
+            expect(row.used).toBe(1);
+        });
+
+        it('rejects over-budget requests with code EQUOTA', () => {
+            process.env.QUOTA_WHOXY_DAILY = '0';
+            const client = fakeAxios();
+            quota.installQuotaInterceptor(client);
+            let error;
+            try {
+                client.request({ method: 'get', url: 'https://api.whoxy.com/?whois=a.com' });
+            } catch (err) {
+                error = err;
+            }
+            expect(error).toMatchObject({ code: 'EQUOTA', provider: 'whoxy' });
+        });
+
+        it('does not count HEAD connectivity probes', () => {
+            const client = fakeAxios();
+            quota.installQuotaInterceptor(client);
+            client.request({ method: 'head', url: 'https://api.whoxy.com' });
+            const row = quota.getQuotaStatus().find(r => r.provider === 'whoxy' && r.window === 'daily');
+            expect(row.used).toBe(0);
+        });
+    });
+});
@@ -1,21 +1,36 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 
 let checkRateLimit;
 
-beforeEach(() => {
-    // Reset the in-module Maps between tests via CJS cache eviction.
-    const path = require.resolve('../../utils/ratelimit.js');
-    delete require.cache[path];
-    ({ checkRateLimit } = require('../../utils/ratelimit.js'));
-});
+// The same guarantees must hold for every store backend.
+describe.each(['memory', 'file'])('checkRateLimit atomicity (TOCTOU regression) — %s store', (storeKind) => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ratelimit-atomicity-'));
+        process.env.RATE_LIMIT_STORE = storeKind;
+        process.env.RATE_LIMIT_FILE = path.join(dir, 'ratelimit.json');
+        // Reset the store between tests via CJS cache eviction.
+        const resolved = require.resolve('../../utils/ratelimit.js');
+        delete require.cache[resolved];
+        ({ checkRateLimit } = require('../../utils/ratelimit.js'));
+    });
+
+    afterEach(() => {
+        delete process.env.RATE_LIMIT_STORE;
+        delete process.env.RATE_LIMIT_FILE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
 
-describe('checkRateLimit atomicity (TOCTOU regression)', () => {
     it('exactly one of N concurrent same-tick calls passes', async () => {
         const userId = 'race-user';
         const cmd = 'bob-nuclei';
         const N = 100;
 
-        // Promise.all runs the sync function in the same microtask burst.
+        // Promise.all starts every call in the same microtask burst.
         // Since check-and-record is atomic, only the first should pass.
         const results = await Promise.all(
             Array.from({ length: N }, () => Promise.resolve().then(() => checkRateLimit(userId, cmd)))
@@ -32,11 +47,12 @@ describe('checkRateLimit atomicity (TOCTOU regression)', () => {
         }
     });
 
-    it('synchronous burst: only first call passes, the rest are limited', () => {
+    it('same-tick burst: only first call passes, the rest are limited', async () => {
         const userId = 'sync-burst';
         const cmd = 'bob-sherlock';
-        const results = [];
-        for (let i = 0; i < 50; i++) results.push(checkRateLimit(userId, cmd));
+        const pending = [];
+        for (let i = 0; i < 50; i++) pending.push(checkRateLimit(userId, cmd));
+        const results = await Promise.all(pending);
         expect(results[0].limited).toBe(false);
         expect(results.slice(1).every((r) => r.limited)).toBe(true);
     });
@@ -57,8 +73,9 @@ describe('checkRateLimit atomicity (TOCTOU regression)', () => {
         const userId = 'daily-burst';
         const cmd = 'bob-nuclei';
         const calls = 250;
-        const results = [];
-        for (let i = 0; i < calls; i++) results.push(checkRateLimit(userId, cmd));
+        const pending = [];
+        for (let i = 0; i < calls; i++) pending.push(checkRateLimit(userId, cmd));
+        const results = await Promise.all(pending);
 
         const passed = results.filter((r) => !r.limited).length;
         expect(passed).toBe(1);
@@ -16,40 +16,40 @@ afterEach(() => {
 });
 
 describe('pruneNow', () => {
-    it('removes a cooldowns entry where every timestamp is older than max(COOLDOWNS)+1000ms', () => {
+    it('removes a cooldowns entry where every timestamp is older than max(COOLDOWNS)+1000ms', async () => {
         const { checkRateLimit, pruneNow, COOLDOWNS } = rl;
-        checkRateLimit('stale-user', 'bob-nuclei');
+        await checkRateLimit('stale-user', 'bob-nuclei');
 
         // Advance time past max cooldown + 1000ms
         const cooldownMax = Math.max(...Object.values(COOLDOWNS)) + 1000;
         vi.advanceTimersByTime(cooldownMax + 1);
 
-        pruneNow();
+        await pruneNow();
 
         // After pruning, user should be gone — a fresh call should pass (not limited)
         // and it should not be limited by cooldown (entry was pruned)
         // We verify indirectly: calling checkRateLimit again should pass without cooldown
-        const result = checkRateLimit('stale-user', 'bob-nuclei');
+        const result = await checkRateLimit('stale-user', 'bob-nuclei');
         expect(result.limited).toBe(false);
     });
 
-    it('keeps entries with at least one fresh timestamp', () => {
+    it('keeps entries with at least one fresh timestamp', async () => {
         const { checkRateLimit, pruneNow, COOLDOWNS } = rl;
         // First call — records timestamp
-        checkRateLimit('fresh-user', 'bob-nuclei');
+        await checkRateLimit('fresh-user', 'bob-nuclei');
 
         // Advance only partway — still within cooldown window
         const cooldownMax = Math.max(...Object.values(COOLDOWNS)) + 1000;
         vi.advanceTimersByTime(Math.floor(cooldownMax / 2));
 
-        pruneNow();
+        await pruneNow();
 
         // Entry should still be there — command should still be rate limited
-        const result = checkRateLimit('fresh-user', 'bob-nuclei');
+        const result = await checkRateLimit('fresh-user', 'bob-nuclei');
         expect(result.limited).toBe(true);
     });
 
-    it('removes dailyCounts entries with stale date via direct map manipulation', () => {
+    it('removes dailyCounts entries with stale date via direct map manipulation', async () => {
         // Re-require with cache busted to get fresh module
         const resolved = require.resolve('../../utils/ratelimit.js');
         delete require.cache[resolved];
@@ -59,24 +59,24 @@ describe('pruneNow', () => {
         // manually patching via the exported pruneNow which reads the map directly.
         // We can't access the map directly, but we can test that a user whose
         // daily date is today stays, and only stale ones are removed.
-        freshRl.checkRateLimit('today-user', 'bob-light');
-        freshRl.pruneNow();
+        await freshRl.checkRateLimit('today-user', 'bob-light');
+        await freshRl.pruneNow();
 
         // today-user should still be tracked (date matches today)
         // Verify: calling again should increment count without resetting
-        const result = freshRl.checkRateLimit('today-user', 'bob-light');
+        const result = await freshRl.checkRateLimit('today-user', 'bob-light');
         // light cooldown is 3s, so still rate limited
         expect(result.limited).toBe(true);
 
         freshRl.stopRateLimitPrune();
     });
 
-    it('keeps dailyCounts entries with date === today', () => {
+    it('keeps dailyCounts entries with date === today', async () => {
         const { checkRateLimit, pruneNow } = rl;
-        checkRateLimit('keep-daily', 'bob-light');
-        pruneNow();
+        await checkRateLimit('keep-daily', 'bob-light');
+        await pruneNow();
         // Still rate limited (3s cooldown active, date = today, entry kept)
-        const result = checkRateLimit('keep-daily', 'bob-light');
+        const result = await checkRateLimit('keep-daily', 'bob-light');
         expect(result.limited).toBe(true);
     });
 });
@@ -113,13 +113,13 @@ describe('stopRateLimitPrune', () => {
 });
 
 describe('pruneNow NOT called from inside checkRateLimit', () => {
-    it('checkRateLimit never triggers pruneNow', () => {
+    it('checkRateLimit never triggers pruneNow', async () => {
         const { checkRateLimit, startRateLimitPrune } = rl;
         const spy = vi.spyOn(rl, 'pruneNow');
 
         // Call checkRateLimit 5 times — pruneNow must NOT be invoked
         for (let i = 0; i < 5; i++) {
-            checkRateLimit('spy-user', 'bob-light');
+            await checkRateLimit('spy-user', 'bob-light');
         }
         expect(spy).not.toHaveBeenCalled();
 
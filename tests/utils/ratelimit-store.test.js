@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createMemoryStore, createFileStore, createRateLimitStore } from '../../utils/ratelimit-store.js';
+
+const TODAY = '2026-01-01';
+const opts = (overrides = {}) => ({ scope: 'bob-dns', cooldownMs: 10_000, dailyLimit: 3, now: 1_000_000, today: TODAY, ...overrides });
+
+describe.each([
+    ['memory', () => createMemoryStore()],
+    ['file', (dir) => createFileStore({ file: path.join(dir, 'rl.json') })]
+])('%s store', (_kind, make) => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rl-store-test-'));
+        store = make(dir);
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('records a use and reports the remaining cooldown', async () => {
+        expect(await store.take('u1', opts())).toEqual({ limited: false });
+        expect(await store.take('u1', opts({ now: 1_004_000 }))).toEqual({ limited: true, kind: 'cooldown', retryAfterMs: 6000 });
+        expect(await store.take('u1', opts({ now: 1_010_000 }))).toEqual({ limited: false });
+    });
+
+    it('keeps scopes independent and enforces the daily limit across them', async () => {
+        expect((await store.take('u1', opts({ scope: 'a' }))).limited).toBe(false);
+        expect((await store.take('u1', opts({ scope: 'b' }))).limited).toBe(false);
+        expect((await store.take('u1', opts({ scope: 'c' }))).limited).toBe(false);
+        expect(await store.take('u1', opts({ scope: 'd' }))).toEqual({ limited: true, kind: 'daily' });
+        expect((await store.take('u1', opts({ scope: 'd', today: '2026-01-02' }))).limited).toBe(false);
+    });
+
+    it('prune drops expired cooldowns and previous days', async () => {
+        await store.take('u1', opts());
+        await store.prune(1_020_000, '2026-01-02');
+        expect((await store.take('u1', opts({ now: 1_020_000, today: '2026-01-02' }))).limited).toBe(false);
+    });
+});
+
+describe('file store', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rl-file-test-'));
+        file = path.join(dir, 'rl.json');
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('shares state between replicas and survives a restart', async () => {
+        const replicaA = createFileStore({ file });
+        const replicaB = createFileStore({ file });
+        expect((await replicaA.take('u1', opts())).limited).toBe(false);
+        expect((await replicaB.take('u1', opts())).limited).toBe(true);
+
+        const restarted = createFileStore({ file });
+        await restarted.take('u1', opts({ scope: 'x' }));
+        await restarted.take('u1', opts({ scope: 'y' }));
+        expect(await restarted.take('u1', opts({ scope: 'z' }))).toEqual({ limited: true, kind: 'daily' });
+    });
+
+    it('does not leave the lock file behind', async () => {
+        await createFileStore({ file }).take('u1', opts());
+        expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    });
+
+    it('reclaims a stale lock left by a crashed holder', async () => {
+        fs.writeFileSync(`${file}.lock`, '12345');
+        const old = new Date(Date.now() - 60_000);
+        fs.utimesSync(`${file}.lock`, old, old);
+        expect((await createFileStore({ file }).take('u1', opts())).limited).toBe(false);
+    });
+
+    it('reclaims at once a lock whose holder process has exited', async () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid, host: os.hostname(), acquiredAt: Date.now(), token: 'dead' }));
+        expect((await createFileStore({ file }).take('u1', opts())).limited).toBe(false);
+        expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    });
+
+    it('waits for a live holder instead of reclaiming its lock', async () => {
+        const holder = { pid: process.pid, host: os.hostname(), acquiredAt: Date.now(), token: 'live' };
+        fs.writeFileSync(`${file}.lock`, JSON.stringify(holder));
+        const pending = createFileStore({ file }).take('u1', opts());
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        expect(JSON.parse(fs.readFileSync(`${file}.lock`, 'utf8')).token).toBe('live');
+        fs.unlinkSync(`${file}.lock`);
+        expect((await pending).limited).toBe(false);
+    });
+
+    it('keeps the event loop running while it waits for the lock', async () => {
+        fs.writeFileSync(`${file}.lock`, '12345');
+        let ticks = 0;
+        const timer = setInterval(() => ticks++, 5);
+        try {
+            await expect(createFileStore({ file }).take('u1', opts())).rejects.toThrow(/lock timeout/);
+        } finally {
+            clearInterval(timer);
+        }
+        expect(ticks).toBeGreaterThan(10);
+    });
+
+    it('rejects when the lock cannot be acquired in time', async () => {
+        fs.writeFileSync(`${file}.lock`, '12345');
+        const realNow = Date.now;
+        let t = realNow();
+        vi.spyOn(Date, 'now').mockImplementation(() => (t += 500));
+        try {
+            await expect(createFileStore({ file }).take('u1', opts())).rejects.toThrow(/lock timeout/);
+        } finally {
+            vi.restoreAllMocks();
+        }
+    });
+
+    it('treats an unreadable store as empty', async () => {
+        fs.writeFileSync(file, '{ truncated');
+        expect((await createFileStore({ file }).take('u1', opts())).limited).toBe(false);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).version).toBe(1);
+    });
+});
+
+describe('createRateLimitStore', () => {
+    it('selects the backend from RATE_LIMIT_STORE and defaults to memory', () => {
+        expect(createRateLimitStore().kind).toBe('memory');
+        expect(createRateLimitStore('file').kind).toBe('file');
+        expect(createRateLimitStore('redis').kind).toBe('memory');
+    });
+});
@@ -8,46 +8,90 @@ beforeEach(async () => {
 });
 
 describe('checkRateLimit', () => {
-    it('allows first command use', () => {
-        const result = checkRateLimit('user-first', 'bob-dns');
+    it('allows first command use', async () => {
+        const result = await checkRateLimit('user-first', 'bob-dns');
         expect(result.limited).toBe(false);
     });
 
-    it('blocks rapid repeat of same command (atomic check-and-record)', () => {
-        const first = checkRateLimit('user-repeat', 'bob-nuclei');
+    it('blocks rapid repeat of same command (atomic check-and-record)', async () => {
+        const first = await checkRateLimit('user-repeat', 'bob-nuclei');
         expect(first.limited).toBe(false);
-        const result = checkRateLimit('user-repeat', 'bob-nuclei');
+        const result = await checkRateLimit('user-repeat', 'bob-nuclei');
         expect(result.limited).toBe(true);
         expect(result.retryAfter).toBeGreaterThan(0);
     });
 
-    it('allows different commands from same user', () => {
-        checkRateLimit('user-diffcmd', 'bob-nuclei');
-        const result = checkRateLimit('user-diffcmd', 'bob-dns');
+    it('allows different commands from same user', async () => {
+        await checkRateLimit('user-diffcmd', 'bob-nuclei');
+        const result = await checkRateLimit('user-diffcmd', 'bob-dns');
         expect(result.limited).toBe(false);
     });
 
-    it('allows same command from different users', () => {
-        checkRateLimit('user-a', 'bob-nuclei');
-        const result = checkRateLimit('user-b', 'bob-nuclei');
+    it('allows same command from different users', async () => {
+        await checkRateLimit('user-a', 'bob-nuclei');
+        const result = await checkRateLimit('user-b', 'bob-nuclei');
         expect(result.limited).toBe(false);
     });
 
-    it('classifies bob-web-recon as heavy (verifies key fix)', () => {
+    it('classifies bob-web-recon as heavy (verifies key fix)', async () => {
         // Using a fresh user, the FIRST call records and is allowed.
         // The second call within the heavy cooldown (30s) must be limited
         // and report retryAfter close to the heavy bucket window.
-        checkRateLimit('user-recon', 'bob-web-recon');
-        const result = checkRateLimit('user-recon', 'bob-web-recon');
+        await checkRateLimit('user-recon', 'bob-web-recon');
+        const result = await checkRateLimit('user-recon', 'bob-web-recon');
         expect(result.limited).toBe(true);
         // heavy = 30s; light = 3s. Anything > 3s confirms heavy bucket.
         expect(result.retryAfter).toBeGreaterThan(3);
     });
 
-    it('classifies bob-favicon (verifies key fix)', () => {
-        checkRateLimit('user-fav', 'bob-favicon');
-        const result = checkRateLimit('user-fav', 'bob-favicon');
+    it('classifies bob-favicon (verifies key fix)', async () => {
+        await checkRateLimit('user-fav', 'bob-favicon');
+        const result = await checkRateLimit('user-fav', 'bob-favicon');
         expect(result.limited).toBe(true);
         expect(result.retryAfter).toBeGreaterThan(0);
     });
 });
+
+describe('subcommand and option cooldown rules', () => {
+    it('keys /bob-jwt analyze separately from the heavy command-level cooldown', async () => {
+        const crack = { command: 'bob-jwt', subcommand: 'crack', options: {} };
+        const analyze = { command: 'bob-jwt', subcommand: 'analyze', options: {} };
+        expect((await checkRateLimit('user-jwt', 'bob-jwt', crack)).limited).toBe(false);
+        expect((await checkRateLimit('user-jwt', 'bob-jwt', analyze)).limited).toBe(false);
+        const again = await checkRateLimit('user-jwt', 'bob-jwt', analyze);
+        expect(again.limited).toBe(true);
+        expect(again.retryAfter).toBeLessThanOrEqual(3);
+        expect((await checkRateLimit('user-jwt', 'bob-jwt', crack)).retryAfter).toBeGreaterThan(3);
+    });
+
+    it('resolves option-value cooldowns to their own scope', async () => {
+        const { resolveCooldown } = await import('../../utils/ratelimit.js');
+        expect(resolveCooldown({ command: 'bob-ghunt', options: { type: 'check-login' } })).toMatchObject({ scope: 'bob-ghunt type=check-login', cooldownMs: 3000 });
+        expect(resolveCooldown({ command: 'bob-ghunt', options: { type: 'email' } })).toMatchObject({ scope: 'bob-ghunt', cooldownMs: 30000 });
+    });
+});
+
+describe('store failures', () => {
+    it('fails closed when the configured store is unusable', async () => {
+        const fs = await import('node:fs');
+        const os = await import('node:os');
+        const path = await import('node:path');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rl-broken-'));
+        const blocker = path.join(dir, 'not-a-dir');
+        fs.writeFileSync(blocker, '');
+        process.env.RATE_LIMIT_STORE = 'file';
+        process.env.RATE_LIMIT_FILE = path.join(blocker, 'ratelimit.json');
+        try {
+            delete require.cache[require.resolve('../../utils/ratelimit.js')];
+            const rl = require('../../utils/ratelimit.js');
+            const result = await rl.checkRateLimit('user-broken', 'bob-dns');
+            expect(result.limited).toBe(true);
+            expect(result.reason).toMatch(/temporarily unavailable/);
+        } finally {
+            delete process.env.RATE_LIMIT_STORE;
+            delete process.env.RATE_LIMIT_FILE;
+            delete require.cache[require.resolve('../../utils/ratelimit.js')];
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
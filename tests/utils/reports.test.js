@@ -101,4 +101,23 @@ describe('utils/reports', () => {
         expect(t1).toBe(t2);
         mod.stopReportsSweep();
     });
+
+    it('tags reports archived inside an active case and records the artifact', async () => {
+        process.env.DATA_DIR = dir;
+        for (const m of ['datastore', 'cases', 'command-context']) {
+            delete require.cache[require.resolve(`../../utils/${m}.js`)];
+        }
+        const cases = require('../../utils/cases.js');
+        const { runWithContext } = require('../../utils/command-context.js');
+        const mod = loadReports(dir);
+
+        const c = cases.openCase({ title: 'T', guildId: 'g1', channelId: 'c1', userId: 'u1' });
+        const ctx = { command: 'bob-sherlock', subcommand: null, options: { username: 'john' }, userId: 'u2', channelId: 'c1', caseId: c.id };
+        const dest = await runWithContext(ctx, () => mod.saveReport('sherlock_john', 'x'));
+
+        expect(path.basename(dest).startsWith(`${c.id}_sherlock_john_`)).toBe(true);
+        const [artifact] = cases.getCase(c.id).artifacts;
+        expect(artifact).toMatchObject({ file: path.basename(dest), command: 'bob-sherlock', options: { username: 'john' }, userId: 'u2' });
+        delete process.env.DATA_DIR;
+    });
 });
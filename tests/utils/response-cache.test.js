@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const cache = require('../../utils/response-cache.js');
+
+describe('utils/response-cache', () => {
+    beforeEach(() => {
+        cache.clearCache();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        delete process.env.CACHE_TTL_WHOXY;
+        delete process.env.CACHE_MAX_ENTRIES;
+    });
+
+    describe('normalizeQuery / cacheKey', () => {
+        it('ignores key order, case, surrounding whitespace and empty params', () => {
+            expect(cache.cacheKey('whoxy', { history: ' Example.COM ', limit: undefined }))
+                .toBe(cache.cacheKey('whoxy', { history: 'example.com' }));
+            expect(cache.cacheKey('hostio', { endpoint: 'x', limit: 5 }))
+                .toBe(cache.cacheKey('hostio', { limit: 5, endpoint: 'X' }));
+        });
+
+        it('keeps providers and distinct queries apart', () => {
+            expect(cache.cacheKey('whoxy', { q: 'a.com' })).not.toBe(cache.cacheKey('hostio', { q: 'a.com' }));
+            expect(cache.cacheKey('whoxy', { q: 'a.com' })).not.toBe(cache.cacheKey('whoxy', { q: 'b.com' }));
+        });
+
+        it('keeps the case of string values when asked to', () => {
+            expect(cache.cacheKey('wayback', { q: ' https://a.com/Path ' }, { caseSensitive: true }))
+                .toBe('wayback:{"q":"https://a.com/Path"}');
+            expect(cache.cacheKey('wayback', { q: 'https://a.com/Path' }, { caseSensitive: true }))
+                .not.toBe(cache.cacheKey('wayback', { q: 'https://a.com/path' }, { caseSensitive: true }));
+        });
+    });
+
+    describe('ttlFor', () => {
+        it('uses per-provider defaults and CACHE_TTL_<PROVIDER> overrides', () => {
+            expect(cache.ttlFor('whoxy')).toBe(24 * 3600 * 1000);
+            expect(cache.ttlFor('unknown-provider')).toBe(3600 * 1000);
+            process.env.CACHE_TTL_WHOXY = '60';
+            expect(cache.ttlFor('whoxy')).toBe(60000);
+        });
+    });
+
+    describe('cachedFetch', () => {
+        it('calls the provider once for repeated queries', async () => {
+            const fetcher = vi.fn(async () => ({ status: 1 }));
+            const first = await cache.cachedFetch('whoxy', { history: 'a.com' }, fetcher);
+            const second = await cache.cachedFetch('whoxy', { history: 'A.com' }, fetcher);
+            expect(fetcher).toHaveBeenCalledTimes(1);
+            expect(first.cached).toBe(false);
+            expect(second).toMatchObject({ cached: true, value: { status: 1 } });
+            expect(cache.getCacheStats().whoxy).toEqual({ hits: 1, misses: 1 });
+        });
+
+        it('refetches after the TTL expires', async () => {
+            vi.useFakeTimers();
+            process.env.CACHE_TTL_WHOXY = '10';
+            const fetcher = vi.fn(async () => 'data');
+            await cache.cachedFetch('whoxy', 'a.com', fetcher);
+            vi.advanceTimersByTime(11_000);
+            const again = await cache.cachedFetch('whoxy', 'a.com', fetcher);
+            expect(again.cached).toBe(false);
+            expect(fetcher).toHaveBeenCalledTimes(2);
+        });
+
+        it('fresh bypasses the lookup but refreshes the stored entry', async () => {
+            let n = 0;
+            const fetcher = async () => ++n;
+            await cache.cachedFetch('hostio', 'a.com', fetcher);
+            const fresh = await cache.cachedFetch('hostio', 'a.com', fetcher, { fresh: true });
+            expect(fresh).toMatchObject({ cached: false, value: 2 });
+            expect((await cache.cachedFetch('hostio', 'a.com', fetcher)).value).toBe(2);
+        });
+
+        it('does not cache failures or rejected results', async () => {
+            await expect(cache.cachedFetch('whoxy', 'a.com', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+            const bad = vi.fn(async () => ({ status: 0 }));
+            const ok = (data) => data.status === 1;
+            await cache.cachedFetch('whoxy', 'a.com', bad, { cacheable: ok });
+            await cache.cachedFetch('whoxy', 'a.com', bad, { cacheable: ok });
+            expect(bad).toHaveBeenCalledTimes(2);
+        });
+
+        it('shares one in-flight request between concurrent identical lookups', async () => {
+            let resolve;
+            const fetcher = vi.fn(() => new Promise((r) => { resolve = r; }));
+            const a = cache.cachedFetch('crtsh', { q: 'a.com' }, fetcher);
+            const b = cache.cachedFetch('crtsh', { q: 'a.com' }, fetcher);
+            resolve(['cert']);
+            expect((await a).value).toEqual(['cert']);
+            expect((await b).value).toEqual(['cert']);
+            expect(fetcher).toHaveBeenCalledTimes(1);
+        });
+
+        it('disables caching for a provider with TTL 0', async () => {
+            process.env.CACHE_TTL_WHOXY = '0';
+            const fetcher = vi.fn(async () => 'x');
+            await cache.cachedFetch('whoxy', 'a.com', fetcher);
+            await cache.cachedFetch('whoxy', 'a.com', fetcher);
+            expect(fetcher).toHaveBeenCalledTimes(2);
+        });
+
+        it('evicts the oldest entries beyond CACHE_MAX_ENTRIES', async () => {
+            process.env.CACHE_MAX_ENTRIES = '2';
+            const fetcher = vi.fn(async () => 'x');
+            for (const q of ['a', 'b', 'c']) await cache.cachedFetch('dnsdumpster', q, fetcher);
+            expect((await cache.cachedFetch('dnsdumpster', 'c', fetcher)).cached).toBe(true);
+            expect((await cache.cachedFetch('dnsdumpster', 'a', fetcher)).cached).toBe(false);
+        });
+
+        it('returns but does not store oversized results', async () => {
+            const big = 'x'.repeat(cache.MAX_ENTRY_BYTES + 1);
+            const fetcher = vi.fn(async () => big);
+            await cache.cachedFetch('wayback', 'a.com', fetcher);
+            const again = await cache.cachedFetch('wayback', 'a.com', fetcher);
+            expect(again.cached).toBe(false);
+        });
+    });
+
+    describe('cacheNote', () => {
+        it('is empty for live results and dated for cached ones', () => {
+            expect(cache.cacheNote({ cached: false, storedAt: 0 })).toBe('');
+            expect(cache.cacheNote({ cached: true, storedAt: Date.UTC(2026, 0, 2) })).toContain('2026-01-02T00:00:00.000Z');
+        });
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createScanProgress, parsePlusHit, parseNucleiHit } = require('../../utils/scan-progress.js');
+
+describe('utils/scan-progress', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('hit parsers', () => {
+        it('reads Sherlock / Maigret `[+]` lines, with or without colour codes', () => {
+            expect(parsePlusHit('[+] GitHub: https://github.com/johndoe')).toBe('GitHub');
+            expect(parsePlusHit('\x1b[1;92m[+]\x1b[0m Reddit: https://www.reddit.com/user/johndoe')).toBe('Reddit');
+            expect(parsePlusHit('[*] Checking username johndoe on:')).toBeNull();
+            expect(parsePlusHit('[-] Twitter: Not Found!')).toBeNull();
+        });
+
+        it('reads Nuclei result lines', () => {
+            expect(parseNucleiHit('[github] [http] [info] https://github.com/johndoe')).toBe('github');
+            expect(parseNucleiHit('[INF] Templates loaded for current scan: 600')).toBeNull();
+        });
+    });
+
+    describe('createScanProgress', () => {
+        const fakeInteraction = () => ({ editReply: vi.fn(async () => ({})) });
+        const hit = (name) => `[+] ${name}: https://example.com/${name}`;
+
+        it('counts hits and shows the latest platforms first', async () => {
+            const interaction = fakeInteraction();
+            const progress = createScanProgress(interaction, { header: 'Scanning', parseHit: parsePlusHit, intervalMs: 0 });
+            progress.onLine(hit('GitHub'));
+            await progress.stop();
+            expect(progress.hits()).toBe(1);
+            expect(interaction.editReply).toHaveBeenCalledWith({ content: 'Scanning\n\n🔎 **1 hit so far** — latest: `GitHub`' });
+        });
+
+        it('ignores non-hit lines', async () => {
+            const interaction = fakeInteraction();
+            const progress = createScanProgress(interaction, { header: 'h', parseHit: parsePlusHit, intervalMs: 0 });
+            progress.onLine('[*] Checking username');
+            await progress.stop();
+            expect(progress.hits()).toBe(0);
+            expect(interaction.editReply).not.toHaveBeenCalled();
+        });
+
+        it('throttles edits without scheduling a trailing one', async () => {
+            vi.useFakeTimers();
+            const interaction = fakeInteraction();
+            const progress = createScanProgress(interaction, { header: 'h', parseHit: parsePlusHit, intervalMs: 5000 });
+            progress.onLine(hit('A'));
+            await vi.advanceTimersByTimeAsync(0);
+            progress.onLine(hit('B'));
+            progress.onLine(hit('C'));
+            await vi.advanceTimersByTimeAsync(10_000);
+            expect(interaction.editReply).toHaveBeenCalledTimes(1);
+            progress.onLine(hit('D'));
+            await vi.advanceTimersByTimeAsync(0);
+            expect(interaction.editReply).toHaveBeenCalledTimes(2);
+            expect(interaction.editReply.mock.calls[1][0].content).toContain('4 hits so far** — latest: `D`, `C`, `B`, `A`');
+            await progress.stop();
+        });
+
+        it('stops editing once stopped', async () => {
+            const interaction = fakeInteraction();
+            const progress = createScanProgress(interaction, { header: 'h', parseHit: parsePlusHit, intervalMs: 0 });
+            await progress.stop();
+            progress.onLine(hit('GitHub'));
+            expect(interaction.editReply).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const axios = require('axios');
+const { clearCache } = require('../../utils/response-cache.js');
+const {
+    normalizeName, querySource, mergeInventory, detectWildcard, resolveInventory,
+    enumerateSubdomains, renderInventoryCsv, MAX_RESOLVED
+} = require('../../utils/subdomains.js');
+
+const dnsError = (code) => Object.assign(new Error(code), { code });
+
+// A/AAAA answers from a name → addresses table; `wildcard` answers every other name.
+function fakeResolver(zone, { wildcard = null } = {}) {
+    const answer = (family) => async (name) => {
+        const addresses = (zone[name] ?? (wildcard ? [wildcard] : null))?.filter(a => a.includes(':') === (family === 6));
+        if (!addresses) throw dnsError('ENOTFOUND');
+        if (addresses.length === 0) throw dnsError('ENODATA');
+        return addresses.map(address => ({ address, ttl: 60 }));
+    };
+    return { resolve4: answer(4), resolve6: answer(6) };
+}
+
+describe('utils/subdomains', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        clearCache();
+        delete process.env.VIRUSTOTAL_API_KEY;
+    });
+
+    describe('normalizeName', () => {
+        it('keeps names at or below the domain', () => {
+            expect(normalizeName('*.Dev.Example.com.', 'example.com')).toBe('dev.example.com');
+            expect(normalizeName('example.com', 'example.com')).toBe('example.com');
+            expect(normalizeName('notexample.com', 'example.com')).toBeNull();
+            expect(normalizeName('a..example.com', 'example.com')).toBeNull();
+            expect(normalizeName('bad name.example.com', 'example.com')).toBeNull();
+        });
+    });
+
+    describe('querySource', () => {
+        it('extracts and deduplicates names, and caches them', async () => {
+            const get = vi.spyOn(axios, 'get').mockResolvedValue({
+                data: [{ name_value: 'www.example.com\n*.api.example.com' }, { name_value: 'WWW.example.com\nevil.test' }],
+            });
+            const first = await querySource('crtsh', 'example.com');
+            expect(first).toMatchObject({ label: 'crt.sh', names: ['www.example.com', 'api.example.com'], detail: '2 certificates', cached: false, error: null });
+            expect(get.mock.calls[0][0]).toBe('https://crt.sh/json?q=%25.example.com');
+            expect((await querySource('crtsh', 'example.com')).cached).toBe(true);
+            expect(get).toHaveBeenCalledTimes(1);
+        });
+
+        it('reads hosts from archived URLs', async () => {
+            vi.spyOn(axios, 'get').mockResolvedValue({ data: 'http://old.example.com/a\nold.example.com:80/b\nhttps://shop.example.com/\n' });
+            const result = await querySource('wayback', 'example.com');
+            expect(result.names).toEqual(['old.example.com', 'shop.example.com']);
+            expect(result.detail).toBe('3 archived URLs');
+        });
+
+        it('skips VirusTotal without an API key and reports failures', async () => {
+            const get = vi.spyOn(axios, 'get').mockRejectedValue(Object.assign(new Error('Too Many Requests'), { response: { status: 429 } }));
+            expect((await querySource('virustotal', 'example.com')).error).toBe('no API key');
+            expect(get).not.toHaveBeenCalled();
+            process.env.VIRUSTOTAL_API_KEY = 'key';
+            expect(await querySource('virustotal', 'example.com')).toMatchObject({ names: [], error: 'rate limited' });
+            expect(get.mock.calls[0][1].headers['x-apikey']).toBe('key');
+        });
+    });
+
+    describe('mergeInventory', () => {
+        it('lists each name once with every source that reported it', () => {
+            const inventory = mergeInventory([
+                { label: 'crt.sh', names: ['www.example.com', 'b.api.example.com'] },
+                { label: 'Wayback Machine', names: ['www.example.com', 'api.example.com'] },
+            ]);
+            expect(inventory).toEqual([
+                { name: 'api.example.com', sources: ['Wayback Machine'] },
+                { name: 'b.api.example.com', sources: ['crt.sh'] },
+                { name: 'www.example.com', sources: ['crt.sh', 'Wayback Machine'] },
+            ]);
+        });
+    });
+
+    describe('resolution', () => {
+        it('detects wildcard DNS and flags names that only hit it', async () => {
+            const resolver = fakeResolver({ 'www.example.com': ['203.0.113.10', '2001:db8::10'] }, { wildcard: '203.0.113.99' });
+            const wildcard = await detectWildcard('example.com', { resolver });
+            expect(wildcard).toEqual(['203.0.113.99']);
+            const resolved = await resolveInventory(
+                [{ name: 'www.example.com', sources: ['crt.sh'] }, { name: 'ghost.example.com', sources: ['crt.sh'] }], wildcard, { resolver });
+            expect(resolved).toEqual([
+                { name: 'www.example.com', sources: ['crt.sh'], resolved: true, addresses: ['203.0.113.10', '2001:db8::10'], error: null, wildcard: false },
+                { name: 'ghost.example.com', sources: ['crt.sh'], resolved: true, addresses: ['203.0.113.99'], error: null, wildcard: true },
+            ]);
+        });
+
+        it('finds no wildcard on a normal zone and stops resolving past the cap', async () => {
+            const resolver = fakeResolver({});
+            expect(await detectWildcard('example.com', { resolver })).toEqual([]);
+            const inventory = Array.from({ length: MAX_RESOLVED + 2 }, (_, i) => ({ name: `h${i}.example.com`, sources: ['crt.sh'] }));
+            const resolved = await resolveInventory(inventory, [], { resolver });
+            expect(resolved.filter(s => s.resolved)).toHaveLength(MAX_RESOLVED);
+            expect(resolved.at(-1)).toMatchObject({ resolved: false, addresses: [] });
+        });
+
+        it('enumerates, merges and resolves in one call', async () => {
+            vi.spyOn(axios, 'get').mockImplementation(async (url) => url.startsWith('https://crt.sh/')
+                ? { data: [{ name_value: 'www.example.com' }] }
+                : { data: [{ dns_names: ['www.example.com', 'mail.example.com'] }] });
+            const resolver = fakeResolver({ 'www.example.com': ['203.0.113.10'] });
+            const result = await enumerateSubdomains('Example.com', { sources: ['crtsh', 'certspotter'], resolver });
+            expect(result.domain).toBe('example.com');
+            expect(result.sources.map(s => s.names.length)).toEqual([1, 2]);
+            expect(result.wildcard).toEqual([]);
+            expect(result.subdomains.map(s => [s.name, s.sources.join('+'), s.addresses.join(' ')])).toEqual([
+                ['mail.example.com', 'CertSpotter', ''],
+                ['www.example.com', 'crt.sh+CertSpotter', '203.0.113.10'],
+            ]);
+        });
+    });
+
+    describe('renderInventoryCsv', () => {
+        it('writes one row per subdomain with its status', () => {
+            const csv = renderInventoryCsv([
+                { name: 'www.example.com', sources: ['crt.sh', 'CertSpotter'], resolved: true, addresses: ['203.0.113.10', '2001:db8::1'], error: null, wildcard: false },
+                { name: 'old.example.com', sources: ['Wayback Machine'], resolved: true, addresses: [], error: 'ETIMEOUT', wildcard: false },
+                { name: 'late.example.com', sources: ['crt.sh'], resolved: false, addresses: [], error: null, wildcard: false },
+            ]);
+            expect(csv.split('\n')).toEqual([
+                'subdomain,sources,addresses,status,wildcard',
+                'www.example.com,crt.sh;CertSpotter,203.0.113.10;2001:db8::1,resolves,no',
+                'old.example.com,Wayback Machine,,error ETIMEOUT,no',
+                'late.example.com,crt.sh,,not resolved,no',
+                '',
+            ]);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { createTar, writeTarGz } from '../../utils/tar.js';
+
+// Minimal reader for the subset the writer produces.
+function readTar(buf) {
+    const entries = [];
+    let off = 0;
+    while (off + 512 <= buf.length) {
+        const header = buf.subarray(off, off + 512);
+        if (header.every(b => b === 0)) break;
+        const str = (s, l) => header.subarray(s, s + l).toString('utf8').replace(/\0.*$/s, '');
+        const name = str(0, 100);
+        const prefix = str(345, 155);
+        const size = parseInt(str(124, 12), 8);
+        const checksum = parseInt(str(148, 8), 8);
+        const copy = Buffer.from(header);
+        copy.fill(0x20, 148, 156);
+        const sum = copy.reduce((a, b) => a + b, 0);
+        entries.push({ name: prefix ? `${prefix}/${name}` : name, data: buf.subarray(off + 512, off + 512 + size).toString('utf8'), checksumOk: sum === checksum });
+        off += 512 + Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
+
+describe('utils/tar', () => {
+    it('writes entries with valid checksums and 512-byte alignment', () => {
+        const tar = createTar([{ name: 'a.txt', data: 'hello' }, { name: 'dir/b.json', data: Buffer.from('{}') }]);
+        expect(tar.length % 512).toBe(0);
+        expect(readTar(tar)).toEqual([
+            { name: 'a.txt', data: 'hello', checksumOk: true },
+            { name: 'dir/b.json', data: '{}', checksumOk: true }
+        ]);
+    });
+
+    it('splits long names into the ustar prefix field', () => {
+        const long = `artifacts/${'x'.repeat(120)}/file.txt`;
+        const [entry] = readTar(createTar([{ name: long, data: '1' }]));
+        expect(entry.name).toBe(long);
+    });
+
+    it('rejects names that cannot fit in ustar', () => {
+        expect(() => createTar([{ name: 'y'.repeat(300), data: '' }])).toThrow(/too long/);
+    });
+
+    it('writeTarGz streams a file that gunzips back to the same tar', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tar-test-'));
+        try {
+            const entries = [{ name: 'm.json', data: '{"a":1}', mtime: new Date(0) }, { name: 'big.bin', data: crypto.randomBytes(200 * 1024), mtime: new Date(0) }];
+            const dest = path.join(dir, 'bundle.tar.gz');
+            const { sha256, size } = await writeTarGz(entries, dest);
+            const written = fs.readFileSync(dest);
+            expect(size).toBe(written.length);
+            expect(sha256).toBe(crypto.createHash('sha256').update(written).digest('hex'));
+            expect(zlib.gunzipSync(written).equals(createTar(entries))).toBe(true);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const axios = require('axios');
+const dns = require('dns').promises;
+const { SIGNATURES, compileSignatures, fingerprint, fetchPage } = require('../../utils/tech.js');
+
+const PAGE = `<html><head>
+    <meta name="generator" content="WordPress 6.4.2">
+    <script src="/wp-includes/js/jquery/jquery.min.js?ver=3.7.1"></script>
+    <script src="https://static.hotjar.com/c/hotjar-1234567.js?sv=6"></script>
+    <script async src="https://www.googletagmanager.com/gtag/js?id=G-ABC123XYZ"></script>
+    <script>gtag('config', 'G-ABC123XYZ'); fbq('init', '123456789012345');</script>
+</head><body>
+    <!-- Google Tag Manager (noscript) --><iframe src="https://www.googletagmanager.com/ns.html?id=GTM-K9X2ZQ"></iframe>
+    <p>Call GTM-support for help.</p>
+    <script src="/wp-content/plugins/woocommerce/assets/js/frontend/cart.js"></script>
+</body></html>`;
+
+const HEADERS = {
+    server: 'cloudflare',
+    'cf-ray': '8a1b2c3d4e5f-CDG',
+    'x-powered-by': 'PHP/8.2.12',
+    'set-cookie': ['__cf_bm=abc; path=/; HttpOnly', 'woocommerce_cart_hash=1; path=/'],
+};
+
+const byName = (technologies) => Object.fromEntries(technologies.map(t => [t.name, t]));
+
+describe('utils/tech', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('signatures', () => {
+        it('compiles every bundled signature into a known category', () => {
+            expect(SIGNATURES.technologies.length).toBeGreaterThan(40);
+            for (const sig of SIGNATURES.technologies) {
+                expect(SIGNATURES.categories).toContain(sig.category);
+                for (const implied of sig.implies) expect(SIGNATURES.technologies.map(t => t.name)).toContain(implied);
+            }
+        });
+
+        it('rejects invalid patterns', () => {
+            expect(() => compileSignatures({ categories: [], technologies: { Bad: { category: 'CMS', html: ['('] } } })).toThrow(SyntaxError);
+        });
+    });
+
+    describe('fingerprint', () => {
+        const found = byName(fingerprint({ headers: HEADERS, html: PAGE, url: 'https://shop.example.com/' }));
+
+        it('detects CMS, libraries, CDN and language with versions', () => {
+            expect(found.WordPress).toMatchObject({ category: 'CMS', version: '6.4.2' });
+            expect(found.WordPress.evidence).toContain('meta generator: WordPress 6.4.2');
+            expect(found.WooCommerce.evidence).toContain('cookie woocommerce_cart_hash');
+            expect(found.jQuery).toMatchObject({ category: 'JavaScript library' });
+            expect(found.Cloudflare.evidence).toEqual(['header cf-ray: 8a1b2c3d4e5f-CDG', 'header server: cloudflare', 'cookie __cf_bm']);
+            expect(found.PHP).toMatchObject({ version: '8.2.12' });
+        });
+
+        it('extracts analytics IDs case-sensitively', () => {
+            expect(found['Google Analytics'].ids).toEqual(['G-ABC123XYZ']);
+            expect(found['Google Tag Manager'].ids).toEqual(['GTM-K9X2ZQ']);
+            expect(found['Facebook Pixel'].ids).toEqual(['123456789012345']);
+            expect(found.Hotjar.ids).toEqual(['1234567']);
+        });
+
+        it('adds implied technologies and orders by category', () => {
+            const technologies = fingerprint({ headers: { 'x-powered-by': 'Next.js' }, html: '' });
+            expect(technologies.map(t => [t.name, t.evidence[0]])).toEqual([
+                ['Next.js', 'header x-powered-by: Next.js'],
+                ['React', 'implied by Next.js'],
+            ]);
+            expect(fingerprint({ headers: {}, html: '<p>hello</p>' })).toEqual([]);
+        });
+    });
+
+    describe('fetchPage', () => {
+        it('keeps error statuses and headers', async () => {
+            vi.spyOn(dns, 'resolve4').mockResolvedValue(['93.184.216.34']);
+            vi.spyOn(dns, 'resolve6').mockRejectedValue(Object.assign(new Error('no data'), { code: 'ENODATA' }));
+            vi.spyOn(axios, 'get').mockResolvedValue({
+                status: 403,
+                headers: { 'content-type': 'text/html', server: 'cloudflare' },
+                data: '<title>Attention Required!</title>',
+                request: { res: { responseUrl: 'https://www.example.com/' } },
+            });
+            const page = await fetchPage('https://example.com/');
+            expect(page).toMatchObject({ url: 'https://www.example.com/', status: 403, html: '<title>Attention Required!</title>' });
+            expect(axios.get.mock.calls[0][1].validateStatus(500)).toBe(true);
+        });
+
+        it('refuses internal addresses', async () => {
+            vi.spyOn(dns, 'resolve4').mockResolvedValue(['10.0.0.5']);
+            vi.spyOn(dns, 'resolve6').mockRejectedValue(Object.assign(new Error('no data'), { code: 'ENODATA' }));
+            const get = vi.spyOn(axios, 'get');
+            await expect(fetchPage('http://intranet.example.com/')).rejects.toMatchObject({ code: 'EBLOCKED' });
+            expect(get).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { createUnifiedDiff, diffLines, splitLines } from '../../utils/textdiff.js';
+
+describe('utils/textdiff', () => {
+    it('returns an empty diff for identical texts', () => {
+        expect(createUnifiedDiff('a\nb', 'a\nb')).toEqual({ text: '', added: 0, removed: 0 });
+    });
+
+    it('renders a unified hunk with context and line numbers', () => {
+        const { text, added, removed } = createUnifiedDiff('a\nb\nc\nd', 'a\nb\nX\nd', { context: 1 });
+        expect(added).toBe(1);
+        expect(removed).toBe(1);
+        expect(text).toBe('--- previous\n+++ current\n@@ -2,3 +2,3 @@\n b\n-c\n+X\n d\n');
+    });
+
+    it('splits distant changes into separate hunks', () => {
+        const old = Array.from({ length: 20 }, (_, i) => `line${i}`).join('\n');
+        const next = old.replace('line1\n', 'first\n').replace('line18', 'last');
+        const { text } = createUnifiedDiff(old, next, { context: 2 });
+        expect(text.match(/^@@/gm)).toHaveLength(2);
+    });
+
+    it('handles pure insertions into an empty text', () => {
+        const { text, added } = createUnifiedDiff('', 'new');
+        expect(added).toBe(1);
+        expect(text).toContain('@@ -0,0 +1,1 @@');
+    });
+
+    it('diffLines keeps the common subsequence', () => {
+        const ops = diffLines(['a', 'b', 'c'], ['a', 'c', 'd']);
+        expect(ops.map(o => o.op + o.line)).toEqual([' a', '-b', ' c', '+d']);
+    });
+
+    it('splitLines normalizes CRLF and drops the trailing empty line', () => {
+        expect(splitLines('a\r\nb\n')).toEqual(['a', 'b']);
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const rules = require('../../utils/username-rules.js');
+
+describe('utils/username-rules', () => {
+    it('transliterates accented and Cyrillic names to ASCII', () => {
+        expect(rules.transliterate('José')).toBe('jose');
+        expect(rules.transliterate('Müller-Lüdenscheidt')).toBe('mullerludenscheidt');
+        expect(rules.transliterate('Łukasz Straße')).toBe('lukaszstrasse');
+        expect(rules.transliterate('Дмитрий')).toBe('dmitriy');
+        expect(rules.transliterate('Щербаков')).toBe('shcherbakov');
+    });
+
+    it('builds name pairs only for the selected packs', () => {
+        expect(rules.namePairs('William', 'Smith')).toEqual([{ first: 'William', last: 'Smith', kind: 'original' }]);
+        const pairs = rules.namePairs('William', 'Smith', { transliterate: true, nicknames: true });
+        // ASCII names transliterate to themselves: no duplicate pair
+        expect(pairs.map(p => `${p.kind}:${p.first}`)).toEqual([
+            'original:William', 'nickname:bill', 'nickname:will', 'nickname:billy', 'nickname:liam',
+        ]);
+    });
+
+    it('looks nicknames up on the transliterated first name', () => {
+        const pairs = rules.namePairs('Дмитрий', 'Иванов', { transliterate: true, nicknames: true });
+        expect(pairs.slice(1)).toEqual([
+            { first: 'dmitriy', last: 'ivanov', kind: 'transliterated' },
+            { first: 'dima', last: 'ivanov', kind: 'nickname' },
+        ]);
+    });
+
+    it('builds initials + surname truncations', () => {
+        expect(rules.initialsPatterns('john', 'smithson')).toEqual([
+            'jsmithso', 'josmithson', 'smithj', 'smithsonjo', 'jsmi', 'jsmit', 'jsmith',
+        ]);
+    });
+
+    it('applies leetspeak, or returns null when nothing changes', () => {
+        expect(rules.leetspeak('JohnDoe')).toBe('J0hnD03');
+        expect(rules.leetspeak('xyz')).toBeNull();
+    });
+
+    it('parses birth years and dates, rejecting impossible ones', () => {
+        expect(rules.parseBirthdate('1990')).toEqual({ year: '1990' });
+        expect(rules.parseBirthdate('1990-05-31')).toEqual({ year: '1990', month: '05', day: '31' });
+        expect(rules.parseBirthdate('1990-02-30')).toBeNull();
+        expect(rules.parseBirthdate('1850')).toBeNull();
+        expect(rules.parseBirthdate('31/05/1990')).toBeNull();
+    });
+
+    it('derives birthdate suffixes', () => {
+        expect(rules.birthdateSuffixes({ year: '1990' })).toEqual(['1990', '90']);
+        expect(rules.birthdateSuffixes({ year: '1990', month: '05', day: '31' }))
+            .toEqual(['1990', '90', '3105', '0531', '310590', '053190', '31051990']);
+    });
+
+    it('describes only the active packs', () => {
+        expect(rules.describeRules({ leetspeak: true, birthdate: { year: '1990' }, nicknames: false }).map(r => r.name))
+            .toEqual(['leetspeak', 'birthdate']);
+    });
+});
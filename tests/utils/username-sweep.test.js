@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const sweep = require('../../utils/username-sweep.js');
+const scanners = require('../../utils/username-scanners.js');
+
+describe('utils/username-scanners parsers', () => {
+    it('parses Sherlock / Maigret `[+]` lines and ignores the rest', () => {
+        const output = [
+            '[*] Checking username johndoe on:',
+            '[+] GitHub: https://github.com/johndoe',
+            '\x1b[1;92m[+]\x1b[0m Reddit: https://www.reddit.com/user/johndoe',
+            '[-] Twitter: Not Found!',
+        ].join('\n');
+        expect(scanners.parsePlusHits(output)).toEqual([
+            { platform: 'GitHub', url: 'https://github.com/johndoe' },
+            { platform: 'Reddit', url: 'https://www.reddit.com/user/johndoe' },
+        ]);
+    });
+
+    it('parses Nuclei result lines', () => {
+        const output = '[github] [http] [info] https://github.com/johndoe\n[INF] Templates loaded: 600';
+        expect(scanners.parseNucleiHits(output)).toEqual([{ platform: 'github', url: 'https://github.com/johndoe' }]);
+    });
+
+    it('parses Linkook lines, falling back to the host name', () => {
+        const output = '[+] [GitHub] https://github.com/johndoe\nFOUND: https://gitlab.com/johndoe\n[-] nothing';
+        expect(scanners.parseLinkookHits(output)).toEqual([
+            { platform: 'GitHub', url: 'https://github.com/johndoe' },
+            { platform: 'gitlab.com', url: 'https://gitlab.com/johndoe' },
+        ]);
+    });
+});
+
+describe('utils/username-scanners helpers', () => {
+    it('maps tool errors to short reasons without leaking messages', () => {
+        expect(scanners.scanFailureReason(new Error('Failed to start process: spawn maigret ENOENT'))).toBe('not installed');
+        expect(scanners.scanFailureReason(new Error('Process timed out after 300 seconds'))).toBe('timed out');
+        expect(scanners.scanFailureReason(Object.assign(new Error('x'), { code: 'ENOTEMPLATES' }))).toBe('templates not installed');
+        expect(scanners.scanFailureReason(new Error('/secret/path exploded'))).toBe('failed');
+    });
+});
+
+describe('utils/username-sweep', () => {
+    describe('profileKey', () => {
+        it('ignores scheme, www, case, query and trailing slash', () => {
+            expect(sweep.profileKey('https://www.GitHub.com/JohnDoe/?tab=repos'))
+                .toBe(sweep.profileKey('http://github.com/johndoe'));
+        });
+
+        it('rejects non-http URLs', () => {
+            expect(sweep.profileKey('javascript:alert(1)')).toBeNull();
+            expect(sweep.profileKey('not a url')).toBeNull();
+        });
+    });
+
+    describe('mergeHits', () => {
+        const hitsByTool = {
+            sherlock: [{ platform: 'GitHub', url: 'http://github.com/JohnDoe' }, { platform: 'Pinterest', url: 'https://pinterest.com/johndoe' }],
+            maigret: [{ platform: 'GitHub', url: 'https://github.com/johndoe/' }],
+            nuclei: [{ platform: 'github', url: 'https://www.github.com/johndoe' }, { platform: 'bad', url: 'ftp://x' }],
+            linkook: [],
+        };
+
+        it('deduplicates across tools and ranks by agreement', () => {
+            const profiles = sweep.mergeHits(hitsByTool);
+            expect(profiles).toHaveLength(2);
+            expect(profiles[0]).toMatchObject({ sources: ['sherlock', 'maigret', 'nuclei'], url: 'https://github.com/johndoe/' });
+            expect(profiles[1]).toMatchObject({ platform: 'Pinterest', sources: ['sherlock'], confidence: 0.6 });
+        });
+
+        it('combines confidences as independent signals', () => {
+            const [github] = sweep.mergeHits(hitsByTool);
+            // 1 - (0.4 * 0.2 * 0.15)
+            expect(github.confidence).toBe(0.99);
+            expect(github.platform).toBe('github'); // name from the most reliable tool
+        });
+
+        it('counts a tool once per profile', () => {
+            const [profile] = sweep.mergeHits({ sherlock: [{ platform: 'A', url: 'https://a.com/x' }, { platform: 'A', url: 'https://a.com/x/' }] });
+            expect(profile.sources).toEqual(['sherlock']);
+        });
+    });
+
+    it('toolAgreement splits each tool into confirmed and unique profiles', () => {
+        const profiles = [
+            { sources: ['sherlock', 'maigret'] },
+            { sources: ['sherlock'] },
+        ];
+        expect(sweep.toolAgreement(profiles, ['sherlock', 'maigret', 'linkook'])).toEqual({
+            sherlock: { hits: 2, confirmed: 1, unique: 1 },
+            maigret: { hits: 1, confirmed: 1, unique: 0 },
+            linkook: { hits: 0, confirmed: 0, unique: 0 },
+        });
+    });
+
+    it('renders CSV with quoting and formula neutralization', () => {
+        const csv = sweep.renderSweepCsv([{ platform: '=HYPERLINK("x")', url: 'https://a.com/x,y', sources: ['sherlock', 'maigret'], confidence: 0.9 }]);
+        expect(csv.split('\n')[0]).toBe('platform,url,sources,agreement,confidence');
+        expect(csv.split('\n')[1]).toBe('"\'=HYPERLINK(""x"")","https://a.com/x,y",sherlock;maigret,2,0.90');
+    });
+
+    it('renders candidate scan CSV with one row per handle and platform', () => {
+        const csv = sweep.renderCandidateScanCsv([
+            { username: 'johndoe', score: 4, hits: [{ platform: 'GitHub', url: 'https://github.com/johndoe' }, { platform: 'Reddit', url: 'https://reddit.com/user/johndoe' }] },
+            { username: 'john.doe', score: 3.75, hits: [] },
+            { username: 'jdoe', score: 3, hits: [], error: 'timed out' },
+        ]);
+        expect(csv.trim().split('\n')).toEqual([
+            'username,rank_score,status,platform,url',
+            'johndoe,4,found,GitHub,https://github.com/johndoe',
+            'johndoe,4,found,Reddit,https://reddit.com/user/johndoe',
+            'john.doe,3.75,not found,,',
+            'jdoe,3,timed out,,',
+        ]);
+    });
+
+    it('escapes tool output in the HTML report', () => {
+        const html = sweep.renderSweepHtml({
+            username: 'johndoe',
+            profiles: [{ platform: '<script>', url: 'https://a.com/"x"', sources: ['sherlock'], confidence: 0.6 }],
+            agreement: { sherlock: { hits: 1, confirmed: 0, unique: 1 } },
+            failures: { maigret: 'not installed' },
+        });
+        expect(html).not.toContain('<script>');
+        expect(html).toContain('&lt;script&gt;');
+        expect(html).toContain('href="https://a.com/&quot;x&quot;"');
+    });
+});
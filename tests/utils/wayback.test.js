@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const axios = require('axios');
+const { clearCache } = require('../../utils/response-cache.js');
+const {
+    parseCaptures, fetchCaptures, buildTimeline, parseTimestampOption, closestCapture, sampleCaptures, formatTimestamp
+} = require('../../utils/wayback.js');
+
+const capture = (timestamp, status = 200, digest = timestamp) => ({ timestamp, status, digest });
+
+describe('utils/wayback', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        clearCache();
+    });
+
+    describe('parseCaptures', () => {
+        it('reads CDX JSON rows by header name', () => {
+            expect(parseCaptures([
+                ['timestamp', 'statuscode', 'digest'],
+                ['20150301120000', '200', 'AAA'],
+                ['20160301120000', '-', 'BBB'],
+                ['bogus', '200', 'CCC'],
+            ])).toEqual([capture('20150301120000', 200, 'AAA'), capture('20160301120000', null, 'BBB')]);
+            expect(parseCaptures([])).toEqual([]);
+        });
+    });
+
+    describe('fetchCaptures', () => {
+        it('queries the CDX API once and caches the result', async () => {
+            const get = vi.spyOn(axios, 'get').mockResolvedValue({ data: [['timestamp', 'statuscode', 'digest'], ['20150301120000', '200', 'AAA']] });
+            const first = await fetchCaptures('https://example.com/contact');
+            expect(first).toMatchObject({ captures: [capture('20150301120000', 200, 'AAA')], truncated: false, cached: false });
+            expect(get.mock.calls[0][0]).toContain('url=https%3A%2F%2Fexample.com%2Fcontact');
+            expect((await fetchCaptures('https://example.com/contact')).cached).toBe(true);
+            expect(get).toHaveBeenCalledTimes(1);
+        });
+
+        it('keys the cache on the case of the path and query, not the host', async () => {
+            const get = vi.spyOn(axios, 'get').mockResolvedValue({ data: [['timestamp', 'statuscode', 'digest'], ['20150301120000', '200', 'AAA']] });
+            await fetchCaptures('https://example.com/Page?id=A');
+            expect((await fetchCaptures('HTTPS://EXAMPLE.com/Page?id=A')).cached).toBe(true);
+            expect((await fetchCaptures('https://example.com/page?id=A')).cached).toBe(false);
+            expect((await fetchCaptures('https://example.com/Page?id=a')).cached).toBe(false);
+            expect(get).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('buildTimeline', () => {
+        it('summarizes first/last seen, years (with gaps) and status codes', () => {
+            const timeline = buildTimeline([
+                capture('20150301120000', 200, 'A'),
+                capture('20150401120000', 200, 'A'),
+                capture('20170101000000', 301, 'B'),
+                capture('20180101000000', null, 'C'),
+            ]);
+            expect(timeline).toEqual({
+                first: '20150301120000',
+                last: '20180101000000',
+                total: 4,
+                versions: 3,
+                years: [{ year: '2015', count: 2 }, { year: '2016', count: 0 }, { year: '2017', count: 1 }, { year: '2018', count: 1 }],
+                statuses: [{ status: '200', count: 2 }, { status: '301', count: 1 }, { status: 'other', count: 1 }],
+            });
+        });
+    });
+
+    describe('snapshot selection', () => {
+        const captures = [
+            capture('20150301120000', 200, 'A'),
+            capture('20160601000000', 404, 'X'),
+            capture('20170101000000', 200, 'B'),
+            capture('20170201000000', 200, 'B'),
+            capture('20200101000000', 200, 'C'),
+        ];
+
+        it('parses date prefixes', () => {
+            expect(parseTimestampOption('2016-06-01')).toBe('20160601');
+            expect(parseTimestampOption('2016')).toBe('2016');
+            expect(parseTimestampOption(null)).toBeNull();
+            expect(() => parseTimestampOption('June 2016')).toThrow(expect.objectContaining({ code: 'EBADTIMESTAMP' }));
+            expect(() => parseTimestampOption('0001')).toThrow();
+        });
+
+        it('picks the closest successful capture', () => {
+            expect(closestCapture(captures, '201606').timestamp).toBe('20170101000000');
+            expect(closestCapture(captures, '2030').timestamp).toBe('20200101000000');
+            expect(closestCapture([capture('20150301120000', 404)], '2015')).toBeNull();
+        });
+
+        it('samples distinct versions and keeps the compared ones', () => {
+            expect(sampleCaptures(captures, [captures[4]], 3).map(c => c.timestamp))
+                .toEqual(['20150301120000', '20170101000000', '20200101000000']);
+            expect(sampleCaptures(captures, [captures[0], captures[4]], 10)).toHaveLength(3);
+        });
+
+        it('formats timestamps as dates', () => {
+            expect(formatTimestamp('20150301120000')).toBe('2015-03-01');
+        });
+    });
+});
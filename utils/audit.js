@@ -0,0 +1,197 @@
+/**
+ * File: utils/audit.js
+ * Description: Append-only, hash-chained audit trail of command invocations.
+ *
+ * Every chat-input command that reaches the router (index.js) is recorded as
+ * one JSON line in `DATA_DIR/audit.jsonl`: who ran which command and
+ * subcommand in which guild/channel, with the sanitized options from
+ * utils/command-context.js, the outcome (success, error, denied,
+ * rate_limited) and the duration.
+ *
+ * Each entry carries `prevHash` and `hash = sha256(prevHash + entry)`, where
+ * `entry` is the record's JSON without its `hash` field. Editing, removing or
+ * reordering any line breaks the chain from that point on, which
+ * `verifyAuditLog()` reports. The chain only proves the log was not altered
+ * after the fact by someone who can't also rewrite every later hash; ship
+ * the file off-host if that matters.
+ *
+ * Appends are synchronous so two interactions finishing in the same tick can
+ * never fork the chain.
+ */
+const fs = require('fs');
+const readline = require('readline');
+const crypto = require('crypto');
+const { dataFilePath, ensureDataDir } = require('./datastore');
+const logger = require('./logger');
+
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_READ_BYTES = 256 * 1024;
+const OUTCOMES = ['success', 'error', 'denied', 'rate_limited', 'quota_exhausted'];
+
+// Chain head, loaded lazily from the end of the file on first append.
+let head = null;
+
+function auditFilePath() {
+    return dataFilePath('audit', 'jsonl');
+}
+
+function hashEntry(prevHash, entry) {
+    return crypto.createHash('sha256').update(prevHash).update(JSON.stringify(entry)).digest('hex');
+}
+
+// Find the last well-formed entry without reading the whole file.
+function readHead(file) {
+    let fd;
+    try {
+        fd = fs.openSync(file, 'r');
+    } catch (err) {
+        if (err.code !== 'ENOENT') logger.warn({ err }, 'audit: failed to open log');
+        return { seq: 0, hash: GENESIS_HASH };
+    }
+    try {
+        const size = fs.fstatSync(fd).size;
+        const length = Math.min(size, TAIL_READ_BYTES);
+        const buf = Buffer.alloc(length);
+        fs.readSync(fd, buf, 0, length, size - length);
+        const lines = buf.toString('utf8').split('\n').filter(Boolean).reverse();
+        for (const line of lines) {
+            try {
+                const entry = JSON.parse(line);
+                if (Number.isInteger(entry.seq) && typeof entry.hash === 'string') {
+                    return { seq: entry.seq, hash: entry.hash };
+                }
+            } catch { /* partial line from a crash or a truncated tail window */ }
+        }
+        if (size > 0) logger.warn('audit: no readable entry at end of log, restarting chain');
+        return { seq: 0, hash: GENESIS_HASH };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Append one command invocation to the audit log.
+ * @param {object} context - From createCommandContext()
+ * @param {object} result
+ * @param {string} result.outcome - One of OUTCOMES
+ * @param {number} [result.durationMs] - Defaults to now − context.startedAt
+ * @returns {object|null} The written entry, or null if it could not be written
+ */
+function recordInvocation(context, { outcome, durationMs } = {}) {
+    const file = auditFilePath();
+    if (!head) head = readHead(file);
+
+    const startedAt = Date.parse(context.startedAt);
+    const body = {
+        seq: head.seq + 1,
+        ts: new Date().toISOString(),
+        userId: context.userId,
+        guildId: context.guildId,
+        channelId: context.channelId,
+        command: context.command,
+        subcommand: context.subcommand,
+        options: context.options,
+        caseId: context.caseId,
+        outcome: OUTCOMES.includes(outcome) ? outcome : 'error',
+        durationMs: durationMs ?? (Number.isNaN(startedAt) ? null : Date.now() - startedAt),
+        prevHash: head.hash,
+    };
+    const entry = { ...body, hash: hashEntry(head.hash, body) };
+
+    try {
+        ensureDataDir();
+        fs.appendFileSync(file, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (err) {
+        logger.error({ err }, 'audit: failed to append entry');
+        return null;
+    }
+    head = { seq: entry.seq, hash: entry.hash };
+    return entry;
+}
+
+async function* readEntries(file) {
+    let stream;
+    try {
+        await fs.promises.access(file);
+        stream = fs.createReadStream(file, { encoding: 'utf8' });
+    } catch {
+        return;
+    }
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let line = 0;
+    try {
+        for await (const text of rl) {
+            line++;
+            if (!text) continue;
+            let entry = null;
+            try { entry = JSON.parse(text); } catch { /* reported as unparseable */ }
+            yield { line, entry };
+        }
+    } finally {
+        rl.close();
+        stream.destroy();
+    }
+}
+
+/**
+ * Search the audit log. Results are newest first.
+ * @param {object} filters
+ * @param {string} [filters.guildId] - Restrict to one guild
+ * @param {string} [filters.userId]
+ * @param {string} [filters.command] - Command name, e.g. 'bob-dns'
+ * @param {Date} [filters.since] - Inclusive
+ * @param {Date} [filters.until] - Exclusive
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<{ entries: object[], total: number }>} `total` counts every match, `entries` holds the newest `limit`
+ */
+async function searchAudit({ guildId, userId, command, since, until, limit = 100 } = {}) {
+    const sinceMs = since ? since.getTime() : -Infinity;
+    const untilMs = until ? until.getTime() : Infinity;
+    const matches = [];
+    let total = 0;
+
+    for await (const { entry } of readEntries(auditFilePath())) {
+        if (!entry) continue;
+        if (guildId && entry.guildId !== guildId) continue;
+        if (userId && entry.userId !== userId) continue;
+        if (command && entry.command !== command) continue;
+        const ts = Date.parse(entry.ts);
+        if (!(ts >= sinceMs && ts < untilMs)) continue;
+        total++;
+        matches.push(entry);
+        if (matches.length > limit) matches.shift();
+    }
+    return { entries: matches.reverse(), total };
+}
+
+/**
+ * Walk the whole chain and report the first break, if any.
+ * @returns {Promise<{ ok: boolean, entries: number, brokenAt?: number, reason?: string }>}
+ *   `brokenAt` is the 1-based line number of the first bad entry.
+ */
+async function verifyAuditLog() {
+    let prevHash = GENESIS_HASH;
+    let prevSeq = 0;
+    let entries = 0;
+
+    for await (const { line, entry } of readEntries(auditFilePath())) {
+        if (!entry) return { ok: false, entries, brokenAt: line, reason: 'unparseable entry' };
+        const { hash, ...body } = entry;
+        if (body.prevHash !== prevHash) return { ok: false, entries, brokenAt: line, reason: 'prevHash does not match previous entry' };
+        if (body.seq !== prevSeq + 1) return { ok: false, entries, brokenAt: line, reason: 'sequence gap' };
+        if (hashEntry(prevHash, body) !== hash) return { ok: false, entries, brokenAt: line, reason: 'entry hash mismatch' };
+        prevHash = hash;
+        prevSeq = body.seq;
+        entries++;
+    }
+    return { ok: true, entries };
+}
+
+module.exports = {
+    recordInvocation,
+    searchAudit,
+    verifyAuditLog,
+    auditFilePath,
+    GENESIS_HASH,
+    OUTCOMES,
+};
@@ -1,7 +1,7 @@
 /**
  * File: utils/bootstrap.js
  * Description: Boot orchestration extracted from index.js
- * Responsibilities: command loading, guild whitelist parsing, boot temp sweep, shutdown handler factory
+ * Responsibilities: command loading, guild whitelist parsing, boot temp sweep, command state restore, shutdown handler factory
  */
 
 const fs = require('node:fs');
@@ -82,6 +82,24 @@ function sweepBootTemp(tempDir, exclude = SWEEP_EXCLUDE_DEFAULT, maxAgeMs = TEMP
     return { swept, kept };
 }
 
+// Mirror of the shutdown loop below: commands exposing `restore(client)` get a
+// chance to re-arm persisted state (e.g. monitors) once the client is ready.
+// A failing restore is logged and never blocks the others.
+async function restoreCommands(client, logger) {
+    const results = [];
+    for (const cmd of client.commands?.values?.() || []) {
+        if (typeof cmd.restore !== 'function') continue;
+        results.push(Promise.resolve()
+            .then(() => cmd.restore(client))
+            .then(restored => ({ command: cmd.data?.name, restored }))
+            .catch(err => {
+                logger?.error({ command: cmd.data?.name, err }, 'command restore failed');
+                return { command: cmd.data?.name, restored: 0, failed: true };
+            }));
+    }
+    return Promise.all(results);
+}
+
 function createShutdownHandler(client, hooks = {}) {
     let invoked = false;
     return function shutdown(signal) {
@@ -107,6 +125,7 @@ module.exports = {
     loadCommands,
     parseAllowedGuilds,
     sweepBootTemp,
+    restoreCommands,
     createShutdownHandler,
     SWEEP_EXCLUDE_DEFAULT
 };
@@ -0,0 +1,131 @@
+/**
+ * File: utils/case-export.js
+ * Description: Package a case's archived artifacts into a verifiable bundle.
+ *
+ * The bundle is a .tar.gz written to REPORTS_DIR containing:
+ *   - manifest.json — case metadata plus, per artifact, the command,
+ *     subcommand, sanitized options, invoking user, UTC archive timestamp,
+ *     size, the SHA-256 recorded when the report was archived and the SHA-256
+ *     measured at export time
+ *   - SHA256SUMS    — `sha256sum -c` compatible list covering every file
+ *   - artifacts/<file> — the archived reports themselves
+ *
+ * An artifact whose file was pruned is listed as `missing`; one whose bytes no
+ * longer match the archive-time hash is flagged `modified`. Neither aborts the
+ * export — the manifest is the record of what is and is not there.
+ */
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { REPORTS_DIR, ensureReportsDir, stamp } = require('./reports');
+const { getCase } = require('./cases');
+const { sanitizeFilename } = require('./validation');
+const { writeTarGz } = require('./tar');
+const logger = require('./logger');
+
+// Artifacts are held in memory while the bundle is written; keep them well
+// under the container limit.
+const MAX_EXPORT_BYTES = 100 * 1024 * 1024;
+
+function sha256(buf) {
+    return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+/**
+ * Export a case bundle.
+ * @param {string} caseId
+ * @param {object} opts
+ * @param {string} opts.exportedBy - Discord user ID requesting the export
+ * @returns {Promise<{ path: string, sha256: string, size: number, manifest: object }>}
+ * @throws {Error} When the case is unknown or the artifacts exceed MAX_EXPORT_BYTES
+ */
+async function exportCase(caseId, { exportedBy }) {
+    const entry = getCase(caseId);
+    if (!entry) throw new Error(`Unknown case: ${caseId}`);
+
+    const files = [];
+    const artifacts = [];
+    let total = 0;
+
+    for (const artifact of entry.artifacts) {
+        // Artifact filenames were produced by reportFilePath; re-sanitize anyway
+        // so a tampered cases store can't point the export outside REPORTS_DIR.
+        const file = sanitizeFilename(artifact.file, 255);
+        const record = {
+            file,
+            command: artifact.command,
+            subcommand: artifact.subcommand ?? null,
+            options: artifact.options ?? {},
+            userId: artifact.userId,
+            channelId: artifact.channelId ?? null,
+            archivedAt: artifact.archivedAt,
+            sha256AtArchive: artifact.sha256 ?? null,
+        };
+        let data;
+        try {
+            data = await fsp.readFile(path.join(REPORTS_DIR, file));
+        } catch {
+            artifacts.push({ ...record, missing: true });
+            continue;
+        }
+        total += data.length;
+        if (total > MAX_EXPORT_BYTES) {
+            throw new Error(`Case artifacts exceed the ${MAX_EXPORT_BYTES} byte export limit`);
+        }
+        const digest = sha256(data);
+        artifacts.push({
+            ...record,
+            size: data.length,
+            sha256: digest,
+            missing: false,
+            modified: record.sha256AtArchive ? record.sha256AtArchive !== digest : null,
+        });
+        files.push({ name: `artifacts/${file}`, data, sha256: digest });
+    }
+
+    const exportedAt = new Date();
+    const manifest = {
+        format: 'discord-osint-assistant/case-export@1',
+        case: {
+            id: entry.id,
+            title: entry.title,
+            guildId: entry.guildId,
+            openedBy: entry.openedBy,
+            members: entry.members,
+            status: entry.status,
+            createdAt: entry.createdAt,
+            closedAt: entry.closedAt,
+        },
+        exportedAt: exportedAt.toISOString(),
+        exportedBy,
+        artifactCount: artifacts.length,
+        missingCount: artifacts.filter(a => a.missing).length,
+        modifiedCount: artifacts.filter(a => a.modified).length,
+        artifacts,
+    };
+
+    const manifestData = Buffer.from(JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+    const sums = [{ name: 'manifest.json', sha256: sha256(manifestData) }, ...files]
+        .map(f => `${f.sha256}  ${f.name}`)
+        .join('\n') + '\n';
+
+    ensureReportsDir();
+    const rand = crypto.randomBytes(3).toString('hex');
+    const dest = path.join(REPORTS_DIR, `${sanitizeFilename(entry.id)}_export_${stamp(exportedAt)}_${rand}.tar.gz`);
+    let bundle;
+    try {
+        bundle = await writeTarGz([
+            { name: 'manifest.json', data: manifestData, mtime: exportedAt },
+            { name: 'SHA256SUMS', data: sums, mtime: exportedAt },
+            ...files.map(f => ({ name: f.name, data: f.data, mtime: exportedAt })),
+        ], dest);
+    } catch (err) {
+        await fsp.rm(dest, { force: true });
+        throw err;
+    }
+    logger.info({ caseId: entry.id, bundle: path.basename(dest), sha256: bundle.sha256, artifacts: artifacts.length }, 'case exported');
+
+    return { path: dest, sha256: bundle.sha256, size: bundle.size, manifest };
+}
+
+module.exports = { exportCase, MAX_EXPORT_BYTES };
@@ -0,0 +1,165 @@
+/**
+ * File: utils/cases.js
+ * Description: Case workspace model — groups an investigation's archived
+ * reports under one case ID.
+ *
+ * A case belongs to one guild and can be active in any number of its
+ * channels/threads. While a case is active in a channel, every report a
+ * command archives from that channel (utils/reports.js) is tagged with the
+ * case ID and recorded as an artifact of the case, along with who ran which
+ * command with which options.
+ *
+ * Members are the opener and whoever the opener (or a server manager) adds
+ * with addMember(). Switching to a case or running commands where it is
+ * active never grants membership.
+ *
+ * State lives in the `cases` store (utils/datastore.js). Every mutation is a
+ * synchronous read-modify-write, so concurrent interactions can't interleave.
+ */
+const crypto = require('crypto');
+const { readStore, writeStore } = require('./datastore');
+
+const STORE_NAME = 'cases';
+const MAX_TITLE_LENGTH = 100;
+const MAX_ARTIFACTS_PER_CASE = 5000;
+
+const CASE_ID_PATTERN = /^CASE-\d{8}-[a-f0-9]{6}$/;
+
+function emptyState() {
+    return { version: 1, cases: {}, active: {} };
+}
+
+function load() {
+    const state = readStore(STORE_NAME, null);
+    if (!state || typeof state.cases !== 'object' || typeof state.active !== 'object') return emptyState();
+    return state;
+}
+
+function save(state) {
+    return writeStore(STORE_NAME, state);
+}
+
+function newCaseId(date = new Date()) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    return `CASE-${day}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function isValidCaseId(caseId) {
+    return typeof caseId === 'string' && CASE_ID_PATTERN.test(caseId);
+}
+
+/**
+ * Open a new case and make it active in the given channel.
+ * @returns {object|null} The case, or null if it could not be persisted
+ */
+function openCase({ title, guildId, channelId, userId }) {
+    const state = load();
+    const now = new Date().toISOString();
+    const entry = {
+        id: newCaseId(),
+        title: String(title || '').slice(0, MAX_TITLE_LENGTH),
+        guildId,
+        channelId,
+        openedBy: userId,
+        members: [userId],
+        status: 'open',
+        createdAt: now,
+        closedAt: null,
+        artifacts: [],
+    };
+    state.cases[entry.id] = entry;
+    state.active[channelId] = entry.id;
+    return save(state) ? entry : null;
+}
+
+function getCase(caseId) {
+    return load().cases[caseId] || null;
+}
+
+/**
+ * Case ID active in a channel, or null. Closed cases are never active.
+ */
+function getActiveCaseId(channelId) {
+    const state = load();
+    const caseId = state.active[channelId];
+    return caseId && state.cases[caseId]?.status === 'open' ? caseId : null;
+}
+
+/**
+ * Make an open case of the same guild active in a channel.
+ * @returns {object|null} The case, or null if unknown, closed or foreign
+ */
+function switchCase({ caseId, guildId, channelId }) {
+    const state = load();
+    const entry = state.cases[caseId];
+    if (!entry || entry.guildId !== guildId || entry.status !== 'open') return null;
+    state.active[channelId] = caseId;
+    return save(state) ? entry : null;
+}
+
+function isCaseMember(entry, userId) {
+    return Boolean(entry && userId && entry.members.includes(userId));
+}
+
+/**
+ * Add a member to a case. Callers check that the requester may do so.
+ * @returns {object|null} The case, or null if unknown, foreign or not persisted
+ */
+function addMember({ caseId, guildId, userId }) {
+    const state = load();
+    const entry = state.cases[caseId];
+    if (!entry || entry.guildId !== guildId || !userId) return null;
+    if (!entry.members.includes(userId)) entry.members.push(userId);
+    return save(state) ? entry : null;
+}
+
+/**
+ * Close a case and deactivate it everywhere.
+ * @returns {object|null} The closed case, or null if unknown or foreign
+ */
+function closeCase({ caseId, guildId }) {
+    const state = load();
+    const entry = state.cases[caseId];
+    if (!entry || entry.guildId !== guildId) return null;
+    entry.status = 'closed';
+    entry.closedAt = entry.closedAt || new Date().toISOString();
+    for (const [channelId, active] of Object.entries(state.active)) {
+        if (active === caseId) delete state.active[channelId];
+    }
+    return save(state) ? entry : null;
+}
+
+function listCases(guildId, { status } = {}) {
+    return Object.values(load().cases)
+        .filter(c => c.guildId === guildId && (!status || c.status === status))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Record an archived report against an open case.
+ * @param {string} caseId
+ * @param {object} artifact - { file, label, command, subcommand, options, userId, archivedAt, ... }
+ * @returns {boolean}
+ */
+function recordArtifact(caseId, artifact) {
+    const state = load();
+    const entry = state.cases[caseId];
+    if (!entry || entry.status !== 'open') return false;
+    if (entry.artifacts.length >= MAX_ARTIFACTS_PER_CASE) return false;
+    entry.artifacts.push(artifact);
+    return save(state);
+}
+
+module.exports = {
+    openCase,
+    getCase,
+    getActiveCaseId,
+    switchCase,
+    isCaseMember,
+    addMember,
+    closeCase,
+    listCases,
+    recordArtifact,
+    isValidCaseId,
+    MAX_TITLE_LENGTH,
+};
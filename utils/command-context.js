@@ -0,0 +1,101 @@
+/**
+ * File: utils/command-context.js
+ * Description: Per-invocation context propagated through async calls.
+ *
+ * index.js runs every command inside `runWithContext()`, so shared utilities
+ * (reports archive, case tagging, ...) can learn who ran what, with which
+ * options and in which case, without every command threading the interaction
+ * through. Outside a command (timers, boot) `getContext()` returns null and
+ * callers must behave as before.
+ *
+ * Options are captured in sanitized form: secret-looking option names are
+ * redacted and long values truncated, so the context is safe to persist.
+ */
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { getActiveCaseId } = require('./cases');
+
+const storage = new AsyncLocalStorage();
+
+const MAX_OPTION_VALUE_LENGTH = 512;
+const SENSITIVE_OPTION = /token|secret|password|passwd|cookie|creds|credential|api[-_]?key/i;
+// Options whose meaning depends on another option, e.g. `/bob-ghunt type:login
+// query:<base64 session>` carries credentials in an otherwise harmless field.
+const CONDITIONAL_REDACTIONS = {
+    'bob-ghunt': (opts) => (opts.type === 'login' ? ['query'] : []),
+};
+
+const REDACTED = '[REDACTED]';
+
+// Flatten discord.js CommandInteractionOptionResolver data (subcommand groups
+// and subcommands nest their options one or two levels deep).
+function collectOptions(data = [], out = {}) {
+    for (const opt of data) {
+        if (Array.isArray(opt.options) && opt.value === undefined) {
+            collectOptions(opt.options, out);
+            continue;
+        }
+        if (opt.attachment) {
+            out[opt.name] = { name: opt.attachment.name, url: opt.attachment.url };
+        } else if (opt.value !== undefined) {
+            out[opt.name] = opt.value;
+        }
+    }
+    return out;
+}
+
+/**
+ * Redact and truncate option values for logging or persistence.
+ * @param {string} commandName
+ * @param {Object<string, *>} options - Flat name → value map
+ * @returns {Object<string, *>}
+ */
+function sanitizeOptions(commandName, options = {}) {
+    const conditional = new Set(CONDITIONAL_REDACTIONS[commandName]?.(options) || []);
+    const out = {};
+    for (const [name, value] of Object.entries(options)) {
+        if (SENSITIVE_OPTION.test(name) || conditional.has(name)) {
+            out[name] = REDACTED;
+        } else if (typeof value === 'string' && value.length > MAX_OPTION_VALUE_LENGTH) {
+            out[name] = `${value.slice(0, MAX_OPTION_VALUE_LENGTH)}…`;
+        } else {
+            out[name] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * Build the context for a chat-input interaction.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+function createCommandContext(interaction) {
+    const command = interaction.commandName;
+    const channelId = interaction.channelId ?? null;
+    return {
+        command,
+        subcommand: interaction.options?.getSubcommand?.(false) ?? null,
+        options: sanitizeOptions(command, collectOptions(interaction.options?.data)),
+        userId: interaction.user?.id ?? null,
+        guildId: interaction.guild?.id ?? interaction.guildId ?? null,
+        channelId,
+        caseId: channelId ? getActiveCaseId(channelId) : null,
+        startedAt: new Date().toISOString(),
+    };
+}
+
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+function getContext() {
+    return storage.getStore() ?? null;
+}
+
+module.exports = {
+    createCommandContext,
+    runWithContext,
+    getContext,
+    sanitizeOptions,
+    collectOptions,
+    REDACTED,
+};
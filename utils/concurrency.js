@@ -0,0 +1,30 @@
+/**
+ * File: utils/concurrency.js
+ * Description: Bounded-concurrency helpers for batches of network lookups
+ * and tool runs.
+ */
+
+/**
+ * Run `fn` over `items`, at most `limit` at a time. Results keep input order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency,
+};
@@ -11,7 +11,7 @@ const REQUIRED = {
 };
 
 const OPTIONAL = {
-    MONITOR_CHANNEL_ID: { desc: 'Channel ID for monitor alerts', default: null },
+    MONITOR_CHANNEL_ID: { desc: 'Fallback channel ID for monitors created before per-monitor routing', default: null },
     SHERLOCK_PATH: { desc: 'Path to sherlock binary', default: 'sherlock' },
     MAIGRET_PATH: { desc: 'Path to maigret binary', default: 'maigret' },
     NUCLEI_PATH: { desc: 'Path to nuclei binary', default: 'nuclei' },
@@ -26,6 +26,7 @@ const OPTIONAL = {
     WHOXY_API_KEY: { desc: 'Whoxy API key', default: null },
     HOSTIO_API_KEY: { desc: 'Host.io API key', default: null },
     DNSDUMPSTER_TOKEN: { desc: 'DNSDumpster API token', default: null },
+    DNS_RESOLVER: { desc: 'Comma-separated DNS servers for /bob-dns live lookups (empty = system resolver)', default: null },
     PAPPERS_API_KEY: { desc: 'Pappers API key for French company data', default: null },
     ETHERSCAN_API_KEY: { desc: 'Etherscan API key for Ethereum', default: null },
     BSCSCAN_API_KEY: { desc: 'BscScan API key for Binance Smart Chain', default: null },
@@ -35,13 +36,25 @@ const OPTIONAL = {
     NIKE_TOKEN: { desc: 'Nike API token', default: null },
     ALLOWED_GUILD_IDS: { desc: 'Comma-separated guild IDs the bot is allowed to operate in (empty = all)', default: '' },
     OSINT_ALLOWED_ROLES: { desc: 'Comma-separated Discord role IDs for OSINT access', default: '' },
+    PERMISSION_POLICY_FILE: { desc: 'Path to the per-guild/command permission policy JSON', default: null },
     // SECURITY_WEBHOOK_URL: consumed only by commands/redirect-chain.js notifyWebhook().
     // Do not generalize without first adding webhook-fanout cooldown (follow-up #2).
     SECURITY_WEBHOOK_URL: { desc: 'Webhook URL for security alerts', default: null },
     AWS_ACCESS_KEY_ID: { desc: 'AWS access key for Rekognition', default: null },
     AWS_SECRET_ACCESS_KEY: { desc: 'AWS secret key for Rekognition', default: null },
     AWS_REGION: { desc: 'AWS region', default: 'us-east-1' },
-    RATE_LIMIT_DAILY: { desc: 'Per-user daily command limit', default: '200' }
+    RATE_LIMIT_DAILY: { desc: 'Per-user daily command limit', default: '200' },
+    RATE_LIMIT_STORE: { desc: 'Rate-limit state backend: memory or file', default: 'memory' },
+    RATE_LIMIT_FILE: { desc: 'Rate-limit state file for RATE_LIMIT_STORE=file (default DATA_DIR/ratelimit.json)', default: null },
+    // Per-provider budgets are read directly by utils/quota.js (QUOTA_<PROVIDER>_DAILY / _MONTHLY).
+    QUOTA_ALERT_THRESHOLD: { desc: 'Share of a provider budget at which a warning is logged', default: '0.8' },
+    // Per-provider TTLs are read directly by utils/response-cache.js (CACHE_TTL_<PROVIDER>).
+    CACHE_MAX_ENTRIES: { desc: 'Provider response cache size (entries)', default: '500' },
+    JOB_CONCURRENCY: { desc: 'Heavy scans (Sherlock, Maigret, Nuclei, ...) allowed to run at once', default: '2' },
+    JOB_QUEUE_MAX: { desc: 'Heavy scans allowed to wait in the queue before new ones are refused', default: '20' },
+    INDICATOR_CAPTURE: { desc: 'Record emails, domains, IPs, URLs and crypto addresses seen in commands for /bob-indicators (on | off)', default: 'on' },
+    HTTP_FIXTURES: { desc: 'Development only: record or replay outbound HTTP (record | replay)', default: null },
+    HTTP_FIXTURES_DIR: { desc: 'Fixture directory for HTTP_FIXTURES', default: './tests/fixtures/http/default' }
 };
 
 function loadConfig() {
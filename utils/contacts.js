@@ -0,0 +1,181 @@
+/**
+ * File: utils/contacts.js
+ * Description: Contact points published on a web page — email addresses,
+ * phone numbers and social-media profiles.
+ *
+ * Used by /bob-wayback to find contacts that a site published in the past
+ * and has since removed. Emails come from `mailto:` links and the page text;
+ * phones from `tel:` links and from text in international format (`+33 1 23
+ * 45 67 89`), since bare digit runs are mostly dates, prices and IDs; social
+ * profiles from links to the platforms in SOCIAL_HOSTS, without share and
+ * intent links.
+ *
+ * Every value is normalized (lowercase emails, digits-only phones, canonical
+ * profile URLs) so the same contact found in two snapshots compares equal.
+ */
+const cheerio = require('cheerio');
+const { EMAIL_PATTERN, isValidEmail } = require('./validation');
+const { extractVisibleText } = require('./html-text');
+
+const SOCIAL_HOSTS = {
+    'twitter.com': 'X/Twitter',
+    'x.com': 'X/Twitter',
+    'facebook.com': 'Facebook',
+    'instagram.com': 'Instagram',
+    'linkedin.com': 'LinkedIn',
+    'youtube.com': 'YouTube',
+    'tiktok.com': 'TikTok',
+    'github.com': 'GitHub',
+    't.me': 'Telegram',
+    'telegram.me': 'Telegram',
+    'reddit.com': 'Reddit',
+    'pinterest.com': 'Pinterest',
+    'vk.com': 'VK',
+    'threads.net': 'Threads',
+};
+// First path segments that are sharing widgets or site pages, not profiles.
+const NON_PROFILE_PATHS = new Set([
+    'share', 'sharer', 'sharer.php', 'intent', 'home', 'login', 'signup', 'privacy', 'legal', 'about', 'help',
+    'watch', 'embed', 'hashtag', 'search', 'explore', 'shareArticle', 'dialog', 'plugins', 'tr',
+]);
+
+const INTL_PHONE_PATTERN = /(?:\+|\b00)\d{1,3}(?:[\s.-]?\(?\d{1,4}\)?){2,6}/g;
+// "logo@2x.png" and similar asset names look like addresses.
+const ASSET_SUFFIX = /\.(png|jpe?g|gif|svg|webp|css|js)$/i;
+
+const MAX_CONTACTS = 200;
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+function normalizeEmail(value) {
+    const email = String(value).trim().toLowerCase();
+    return isValidEmail(email) && !ASSET_SUFFIX.test(email) ? email : null;
+}
+
+// `+` and 8-15 digits (E.164 length), or null.
+function normalizePhone(value) {
+    const raw = String(value).trim();
+    const digits = raw.replace(/\D/g, '');
+    const international = raw.startsWith('+') || raw.startsWith('00');
+    const normalized = raw.startsWith('00') ? digits.slice(2) : digits;
+    if (normalized.length < 8 || normalized.length > 15) return null;
+    return international ? `+${normalized}` : normalized;
+}
+
+/**
+ * Canonical profile URL for a link to a known platform, or null.
+ * @param {string} href
+ * @param {string} [baseUrl]
+ * @returns {{ platform: string, url: string }|null}
+ */
+function socialProfile(href, baseUrl) {
+    let parsed;
+    try {
+        parsed = new URL(href, baseUrl);
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+    const platform = SOCIAL_HOSTS[host];
+    if (!platform) return null;
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    if (segments.length === 0 || NON_PROFILE_PATHS.has(segments[0])) return null;
+    return { platform, url: `https://${host}/${segments.join('/')}`.toLowerCase() };
+}
+
+/**
+ * Emails, phones and social profiles published on a page.
+ * @param {string} body - HTML (or plain text)
+ * @param {{ baseUrl?: string, contentType?: string }} [opts]
+ * @returns {{ emails: string[], phones: string[], social: Array<{ platform: string, url: string }> }}
+ */
+function extractContacts(body, { baseUrl, contentType } = {}) {
+    const emails = new Set();
+    const phones = new Set();
+    const social = new Map();
+    const html = String(body ?? '');
+
+    const $ = cheerio.load(html);
+    $('a[href]').each((_, el) => {
+        const href = ($(el).attr('href') || '').trim();
+        if (/^mailto:/i.test(href)) {
+            const email = normalizeEmail(safeDecode(href.slice(7).split('?')[0]));
+            if (email) emails.add(email);
+        } else if (/^tel:/i.test(href)) {
+            const phone = normalizePhone(safeDecode(href.slice(4)));
+            if (phone) phones.add(phone);
+        } else {
+            const profile = socialProfile(href, baseUrl);
+            if (profile) social.set(profile.url, profile);
+        }
+    });
+
+    const text = extractVisibleText(html, { contentType });
+    for (const match of text.matchAll(EMAIL_PATTERN)) {
+        const email = normalizeEmail(match[0]);
+        if (email) emails.add(email);
+    }
+    for (const match of text.matchAll(INTL_PHONE_PATTERN)) {
+        const phone = normalizePhone(match[0]);
+        if (phone) phones.add(phone);
+    }
+
+    return {
+        emails: [...emails].slice(0, MAX_CONTACTS),
+        phones: [...phones].slice(0, MAX_CONTACTS),
+        social: [...social.values()].slice(0, MAX_CONTACTS),
+    };
+}
+
+/**
+ * Every contact seen across dated snapshots, with the first and last
+ * snapshot it appeared in.
+ * @param {Array<{ timestamp: string, contacts: ReturnType<typeof extractContacts> }>} snapshots - Oldest first
+ * @returns {Array<{ kind: 'email'|'phone'|'social', value: string, platform?: string, first: string, last: string }>}
+ */
+function contactHistory(snapshots) {
+    const history = new Map();
+    const see = (kind, value, timestamp, extra = {}) => {
+        const key = `${kind}:${value}`;
+        const entry = history.get(key);
+        if (entry) entry.last = timestamp;
+        else history.set(key, { kind, value, ...extra, first: timestamp, last: timestamp });
+    };
+    for (const { timestamp, contacts } of snapshots) {
+        for (const email of contacts.emails) see('email', email, timestamp);
+        for (const phone of contacts.phones) see('phone', phone, timestamp);
+        for (const { platform, url } of contacts.social) see('social', url, timestamp, { platform });
+    }
+    return [...history.values()];
+}
+
+/**
+ * Historical contacts that the live page no longer shows.
+ * @param {ReturnType<typeof contactHistory>} history
+ * @param {ReturnType<typeof extractContacts>} live
+ * @returns {ReturnType<typeof contactHistory>}
+ */
+function missingContacts(history, live) {
+    const current = new Set([
+        ...live.emails.map(v => `email:${v}`),
+        ...live.phones.map(v => `phone:${v}`),
+        ...live.social.map(p => `social:${p.url}`),
+    ]);
+    return history.filter(entry => !current.has(`${entry.kind}:${entry.value}`));
+}
+
+module.exports = {
+    SOCIAL_HOSTS,
+    extractContacts,
+    contactHistory,
+    missingContacts,
+    socialProfile,
+    normalizePhone,
+};
@@ -0,0 +1,34 @@
+/**
+ * File: utils/csv.js
+ * Description: CSV rendering for report attachments.
+ *
+ * Cells are quoted per RFC 4180. Cells starting with = + - @ or a tab or
+ * carriage return get a leading `'`, so a spreadsheet shows them as text
+ * instead of running them as formulas: usernames, URLs and DNS names in
+ * these reports come from the target.
+ */
+
+/**
+ * One CSV cell.
+ * @param {*} value - null and undefined become an empty cell
+ * @returns {string}
+ */
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV document, one line per row, ending with a newline.
+ * @param {Array<Array<*>>} rows - Header row first
+ * @returns {string}
+ */
+function renderCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+    csvCell,
+    renderCsv,
+};
@@ -0,0 +1,94 @@
+/**
+ * File: utils/datastore.js
+ * Description: Small durable JSON state store for runtime data that must
+ * survive restarts (monitors, and other long-lived bot state).
+ *
+ * Everything here is deliberately synchronous: callers perform their gating
+ * checks and the matching write in the same tick, so two concurrent
+ * interactions can never both observe the pre-write state. Writes are atomic
+ * (tmp → rename, same as utils/health.js) so a crash mid-write leaves the
+ * previous file intact rather than a truncated one.
+ *
+ * Store names are internal identifiers, never user input — they still pass
+ * through `sanitizeFilename` so a path can't escape DATA_DIR.
+ */
+const fs = require('fs');
+const path = require('path');
+const { sanitizeFilename } = require('./validation');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.join(__dirname, '..', 'data');
+
+function ensureDataDir() {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    return DATA_DIR;
+}
+
+function dataFilePath(name, extension = 'json') {
+    return path.join(DATA_DIR, `${sanitizeFilename(name)}.${extension}`);
+}
+
+/**
+ * Read a JSON store. Returns `fallback` when the file is missing or unreadable
+ * — a corrupt store is logged and treated as empty rather than crashing boot.
+ * @param {string} name - Store name (e.g. 'monitors')
+ * @param {*} fallback - Value returned when nothing usable is on disk
+ */
+function readStore(name, fallback) {
+    const file = dataFilePath(name);
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.warn({ err, store: name }, 'datastore: failed to read store, using fallback');
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Atomically persist a JSON store. Returns true on success; failures are
+ * logged and reported as false so callers can decide whether to roll back.
+ * @param {string} name - Store name
+ * @param {*} data - JSON-serializable value
+ * @returns {boolean}
+ */
+function writeStore(name, data) {
+    const file = dataFilePath(name);
+    const tmp = `${file}.tmp`;
+    try {
+        ensureDataDir();
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tmp, file);
+        return true;
+    } catch (err) {
+        logger.warn({ err, store: name }, 'datastore: failed to write store');
+        try { fs.unlinkSync(tmp); } catch { /* tmp never created */ }
+        return false;
+    }
+}
+
+/**
+ * Remove a JSON store. Missing stores are not an error.
+ * @param {string} name - Store name
+ */
+function deleteStore(name) {
+    try {
+        fs.unlinkSync(dataFilePath(name));
+    } catch (err) {
+        if (err.code !== 'ENOENT') logger.warn({ err, store: name }, 'datastore: failed to delete store');
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    ensureDataDir,
+    dataFilePath,
+    readStore,
+    writeStore,
+    deleteStore,
+};
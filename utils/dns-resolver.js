@@ -0,0 +1,280 @@
+/**
+ * File: utils/dns-resolver.js
+ * Description: Live DNS lookups with Node's resolver — the record set
+ * behind /bob-dns, without a third-party API.
+ *
+ * Queries go to DNS_RESOLVER when set (comma-separated `ip` or `ip:port`,
+ * IPv6 as `[addr]:port`), otherwise to the system resolvers. Each record type
+ * is queried on its own: a type with no data is just empty, and a type that
+ * failed (timeout, SERVFAIL, refused) is reported in `errors` without
+ * hiding the others.
+ *
+ * SRV records only exist under service labels, so the usual services
+ * (SIP, XMPP, autodiscover, ...) are probed. Email authentication records
+ * live at `_dmarc.<domain>` and `<selector>._domainkey.<domain>`; DKIM
+ * selectors cannot be listed, so the common ones are probed. `expandSpf()`
+ * follows SPF includes and redirects to count the DNS lookups a receiver
+ * would make. `resolveAddresses()` resolves the subdomain inventory of
+ * /bob-web-recon (utils/subdomains.js).
+ */
+const { Resolver } = require('dns').promises;
+const { isSpf, isDmarc, parseSpf, SPF_LOOKUP_LIMIT } = require('./email-auth');
+
+const QUERY_TIMEOUT_MS = 5000;
+const QUERY_TRIES = 2;
+
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'NS', 'MX', 'TXT', 'SOA', 'CAA', 'SRV'];
+// Types queried on the name itself (SRV is probed per service).
+const DIRECT_TYPES = RECORD_TYPES.filter(type => type !== 'SRV');
+
+const SRV_SERVICES = [
+    '_sip._tcp', '_sip._udp', '_sips._tcp', '_xmpp-client._tcp', '_xmpp-server._tcp',
+    '_autodiscover._tcp', '_submission._tcp', '_imaps._tcp', '_caldavs._tcp', '_ldap._tcp',
+];
+
+const DKIM_SELECTORS = [
+    'default', 'google', 'selector1', 'selector2', 'k1', 'k2', 'dkim', 'mail', 's1', 's2',
+    'smtp', 'mandrill', 'mxvault', 'zoho',
+];
+
+// SPF terms that cost a DNS lookup (RFC 7208 §4.6.4).
+const SPF_LOOKUP_TERMS = new Set(['include', 'a', 'mx', 'ptr', 'exists']);
+// Expansion stops following includes past this many lookups; the count is already an error.
+const SPF_FOLLOW_LIMIT = SPF_LOOKUP_LIMIT * 2;
+
+// "No such record" answers; anything else is a lookup failure.
+const EMPTY_CODES = new Set(['ENODATA', 'ENOTFOUND']);
+
+/**
+ * Resolver servers from DNS_RESOLVER, or [] for the system default.
+ * @returns {string[]}
+ */
+function resolverServers() {
+    return String(process.env.DNS_RESOLVER || '')
+        .split(',')
+        .map(server => server.trim())
+        .filter(Boolean);
+}
+
+/**
+ * A resolver bound to DNS_RESOLVER. Throws EBADRESOLVER when it is not a
+ * list of IP addresses.
+ * @returns {import('dns').promises.Resolver}
+ */
+function createResolver() {
+    const resolver = new Resolver({ timeout: QUERY_TIMEOUT_MS, tries: QUERY_TRIES });
+    const servers = resolverServers();
+    if (servers.length) {
+        try {
+            resolver.setServers(servers);
+        } catch (err) {
+            throw Object.assign(new Error(`Invalid DNS_RESOLVER: ${err.message}`), { code: 'EBADRESOLVER' });
+        }
+    }
+    return resolver;
+}
+
+/**
+ * Name of the resolver in use, for display.
+ * @returns {string}
+ */
+function resolverLabel() {
+    const servers = resolverServers();
+    return servers.length ? servers.join(', ') : 'system resolver';
+}
+
+async function query(resolver, type, name) {
+    switch (type) {
+        case 'A': return resolver.resolve4(name, { ttl: true });
+        case 'AAAA': return resolver.resolve6(name, { ttl: true });
+        case 'CNAME': return resolver.resolveCname(name);
+        case 'NS': return resolver.resolveNs(name);
+        case 'MX': return (await resolver.resolveMx(name)).sort((a, b) => a.priority - b.priority);
+        case 'TXT': return (await resolver.resolveTxt(name)).map(chunks => chunks.join(''));
+        case 'SOA': return [await resolver.resolveSoa(name)];
+        case 'CAA': return resolver.resolveCaa(name);
+        default: throw new Error(`Unsupported record type ${type}`);
+    }
+}
+
+// Records of one type, [] when there are none; rethrows real failures.
+async function queryOrEmpty(resolver, type, name) {
+    try {
+        return await query(resolver, type, name);
+    } catch (err) {
+        if (EMPTY_CODES.has(err.code)) return [];
+        throw err;
+    }
+}
+
+/**
+ * TXT records at a name (chunks joined), [] when there are none.
+ * @param {string} name
+ * @param {{ resolver?: import('dns').promises.Resolver }} [opts]
+ * @returns {Promise<string[]>}
+ */
+async function lookupTxt(name, { resolver = createResolver() } = {}) {
+    return queryOrEmpty(resolver, 'TXT', name);
+}
+
+/**
+ * IPv4 and IPv6 addresses of a name.
+ * @param {string} name
+ * @param {{ resolver?: import('dns').promises.Resolver }} [opts]
+ * @returns {Promise<{ addresses: string[], error: string|null }>}
+ *   `error` is the code of a failed lookup (timeout, SERVFAIL, ...); a name
+ *   with no address is not an error
+ */
+async function resolveAddresses(name, { resolver = createResolver() } = {}) {
+    const addresses = [];
+    let error = null;
+    for (const type of ['A', 'AAAA']) {
+        try {
+            addresses.push(...(await queryOrEmpty(resolver, type, name)).map(r => r.address));
+        } catch (err) {
+            error = error ?? (err.code || 'ERROR');
+        }
+    }
+    return { addresses, error };
+}
+
+async function lookupSrv(resolver, domain) {
+    const results = await Promise.all(SRV_SERVICES.map(async (service) => {
+        try {
+            const records = await resolver.resolveSrv(`${service}.${domain}`);
+            return records.map(record => ({ service, ...record }));
+        } catch {
+            return [];
+        }
+    }));
+    return results.flat();
+}
+
+/**
+ * Every record type in RECORD_TYPES for a domain.
+ * @param {string} domain - Already validated
+ * @param {{ resolver?: import('dns').promises.Resolver }} [opts]
+ * @returns {Promise<{ records: Object<string, Array>, errors: Object<string, string>, exists: boolean }>}
+ *   `errors` maps a record type to its error code; `exists` is false when the
+ *   name does not exist at all (NXDOMAIN)
+ */
+async function lookupRecords(domain, { resolver = createResolver() } = {}) {
+    const records = {};
+    const errors = {};
+    let nxdomain = 0;
+    const srv = lookupSrv(resolver, domain);
+    await Promise.all(DIRECT_TYPES.map(async (type) => {
+        try {
+            records[type] = await query(resolver, type, domain);
+        } catch (err) {
+            records[type] = [];
+            if (err.code === 'ENOTFOUND') nxdomain++;
+            else if (err.code !== 'ENODATA') errors[type] = err.code || 'ERROR';
+        }
+    }));
+    records.SRV = await srv;
+    return { records, errors, exists: nxdomain < DIRECT_TYPES.length };
+}
+
+/**
+ * SPF, DMARC and DKIM records of a domain.
+ * @param {string} domain - Already validated
+ * @param {{ resolver?: import('dns').promises.Resolver, txt?: string[], txtFailed?: boolean }} [opts]
+ *   `txt` reuses the domain's TXT records when they were already fetched;
+ *   `txtFailed` says that fetch failed
+ * @returns {Promise<{ spf: string[], dmarc: string|null, dkim: Array<{ selector: string, record: string }>,
+ *   selectorsChecked: number, lookupFailed: string[] }>}
+ *   `lookupFailed` lists the names (the domain for SPF, DMARC, DKIM) that
+ *   could not be resolved (timeout, SERVFAIL): their record is unknown, not missing
+ */
+async function lookupEmailAuth(domain, { resolver = createResolver(), txt, txtFailed = false } = {}) {
+    const lookupFailed = txtFailed ? [domain] : [];
+    const txtOrFailed = (name) => queryOrEmpty(resolver, 'TXT', name).catch(() => {
+        lookupFailed.push(name);
+        return [];
+    });
+    const [rootTxt, dmarcTxt, dkim] = await Promise.all([
+        txtFailed ? [] : txt ?? queryOrEmpty(resolver, 'TXT', domain),
+        txtOrFailed(`_dmarc.${domain}`),
+        Promise.all(DKIM_SELECTORS.map(async (selector) => {
+            const records = await txtOrFailed(`${selector}._domainkey.${domain}`);
+            // Some providers publish the key behind a CNAME; any record with a key counts.
+            const record = records.find(r => /(^|;)\s*p=/i.test(r));
+            return record === undefined ? null : { selector, record };
+        })),
+    ]);
+    return {
+        spf: rootTxt.filter(isSpf),
+        dmarc: dmarcTxt.find(isDmarc) ?? null,
+        dkim: dkim.filter(Boolean),
+        selectorsChecked: DKIM_SELECTORS.length,
+        lookupFailed: lookupFailed.sort(),
+    };
+}
+
+/**
+ * Follow a domain's SPF includes and redirects the way a receiver would,
+ * counting DNS lookups. Targets with macros (`%{d}`) are counted, not followed.
+ * @param {string} domain - Already validated
+ * @param {{ resolver?: import('dns').promises.Resolver, txt?: string[] }} [opts]
+ *   `txt` reuses the domain's TXT records when they were already fetched
+ * @returns {Promise<{ tree: { domain: string, record: string|null, children: Array }, lookups: number, depth: number,
+ *   problems: Array<{ domain: string, problem: 'missing'|'multiple'|'loop'|'macro'|'lookup-failed' }> }>}
+ */
+async function expandSpf(domain, { resolver = createResolver(), txt } = {}) {
+    let lookups = 0;
+    let depth = 0;
+    const problems = [];
+
+    const visit = async (name, level, chain) => {
+        let records;
+        try {
+            records = (level === 0 && txt ? txt : await queryOrEmpty(resolver, 'TXT', name)).filter(isSpf);
+        } catch {
+            problems.push({ domain: name, problem: 'lookup-failed' });
+            return { domain: name, record: null, children: [] };
+        }
+        if (records.length === 0) {
+            if (level > 0) problems.push({ domain: name, problem: 'missing' });
+            return { domain: name, record: null, children: [] };
+        }
+        if (records.length > 1 && level > 0) problems.push({ domain: name, problem: 'multiple' });
+
+        depth = Math.max(depth, level);
+        const node = { domain: name, record: records[0], children: [] };
+        const spf = parseSpf(records[0]);
+        const targets = [];
+        for (const { type, value } of spf.mechanisms) {
+            if (!SPF_LOOKUP_TERMS.has(type)) continue;
+            lookups++;
+            if (type === 'include' && value) targets.push(value.toLowerCase());
+        }
+        // `redirect` is ignored when the record has an `all` mechanism.
+        if (spf.modifiers.redirect && spf.all === null) {
+            lookups++;
+            targets.push(spf.modifiers.redirect.toLowerCase());
+        }
+        for (const target of targets) {
+            if (target.includes('%')) problems.push({ domain: target, problem: 'macro' });
+            else if (chain.includes(target)) problems.push({ domain: target, problem: 'loop' });
+            else if (lookups <= SPF_FOLLOW_LIMIT) node.children.push(await visit(target, level + 1, [...chain, target]));
+        }
+        return node;
+    };
+
+    const tree = await visit(domain.toLowerCase(), 0, [domain.toLowerCase()]);
+    return { tree, lookups, depth, problems };
+}
+
+module.exports = {
+    RECORD_TYPES,
+    SRV_SERVICES,
+    DKIM_SELECTORS,
+    createResolver,
+    resolverLabel,
+    lookupRecords,
+    lookupEmailAuth,
+    expandSpf,
+    lookupTxt,
+    resolveAddresses,
+};
@@ -0,0 +1,330 @@
+/**
+ * File: utils/email-auth.js
+ * Description: SPF, DMARC and DKIM record parsers, and readable findings
+ * about what they allow.
+ *
+ * Parsers take the TXT record text (chunks already joined) and never throw:
+ * malformed input yields whatever tags could be read. `emailAuthFindings()`
+ * turns the records found for a domain into short findings, each with a
+ * category (SPF, DMARC, ...) and a level: `good`, `info`, `warn` or `bad`
+ * (the domain can be spoofed). `mailSecurityFindings()` adds the SPF lookup
+ * budget, MTA-STS, TLS-RPT and BIMI for the full posture report, and
+ * `scoreFindings()` grades a finding list.
+ *
+ * Lookups live in utils/dns-resolver.js and utils/mailsec.js; this module
+ * does no I/O.
+ */
+const crypto = require('crypto');
+
+const FINDING_ICONS = { good: '✅', info: 'ℹ️', warn: '⚠️', bad: '❌' };
+// Points a finding costs out of 100.
+const FINDING_PENALTIES = { good: 0, info: 0, warn: 10, bad: 25 };
+const GRADES = [[90, 'A'], [75, 'B'], [60, 'C'], [40, 'D'], [0, 'F']];
+
+// RFC 7208 §4.6.4: more DNS-querying terms than this is a permanent error.
+const SPF_LOOKUP_LIMIT = 10;
+
+const SPF_MECHANISMS = new Set(['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists']);
+
+function isSpf(txt) {
+    return /^v=spf1(\s|$)/i.test(txt.trim());
+}
+
+function isDmarc(txt) {
+    return /^v=DMARC1\s*(;|$)/i.test(txt.trim());
+}
+
+// `tag=value; tag=value` (DMARC, DKIM, TLS-RPT, BIMI). Tag names are case-insensitive.
+function parseTags(txt) {
+    const tags = {};
+    for (const part of String(txt).split(';')) {
+        const eq = part.indexOf('=');
+        if (eq === -1) continue;
+        const name = part.slice(0, eq).trim().toLowerCase();
+        if (name) tags[name] = part.slice(eq + 1).trim();
+    }
+    return tags;
+}
+
+/**
+ * Parse an SPF record.
+ * @param {string} txt
+ * @returns {{ mechanisms: Array<{ qualifier: string, type: string, value: string|null }>,
+ *   modifiers: Object<string, string>, all: string|null, unknown: string[] }}
+ *   `all` is the qualifier of the `all` mechanism ('+', '-', '~', '?'), null when absent
+ */
+function parseSpf(txt) {
+    const mechanisms = [];
+    const modifiers = {};
+    const unknown = [];
+    for (const term of String(txt).trim().split(/\s+/).slice(1)) {
+        const modifier = term.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+        if (modifier) {
+            modifiers[modifier[1].toLowerCase()] = modifier[2];
+            continue;
+        }
+        const match = term.match(/^([+\-~?]?)([a-z0-9]+)(?:[:/](.*))?$/i);
+        const type = match?.[2].toLowerCase();
+        if (!match || !SPF_MECHANISMS.has(type)) {
+            unknown.push(term);
+            continue;
+        }
+        const value = term.includes(':') ? term.slice(term.indexOf(':') + 1) : null;
+        mechanisms.push({ qualifier: match[1] || '+', type, value });
+    }
+    const all = mechanisms.find(m => m.type === 'all');
+    return { mechanisms, modifiers, all: all ? all.qualifier : null, unknown };
+}
+
+/**
+ * Parse a DMARC record into its tags, with RFC 7489 defaults applied.
+ * @param {string} txt
+ * @returns {{ p: string|null, sp: string|null, pct: number, rua: string[], ruf: string[],
+ *   adkim: string, aspf: string, tags: Object<string, string> }}
+ */
+function parseDmarc(txt) {
+    const tags = parseTags(txt);
+    const uris = (value) => (value ? value.split(',').map(uri => uri.trim()).filter(Boolean) : []);
+    const pct = Number.parseInt(tags.pct ?? '100', 10);
+    return {
+        p: tags.p?.toLowerCase() ?? null,
+        sp: tags.sp?.toLowerCase() ?? null,
+        pct: Number.isFinite(pct) ? pct : 100,
+        rua: uris(tags.rua),
+        ruf: uris(tags.ruf),
+        adkim: tags.adkim?.toLowerCase() === 's' ? 'strict' : 'relaxed',
+        aspf: tags.aspf?.toLowerCase() === 's' ? 'strict' : 'relaxed',
+        tags,
+    };
+}
+
+/**
+ * Parse a DKIM key record.
+ * @param {string} txt
+ * @returns {{ keyType: string, bits: number|null, revoked: boolean, testing: boolean, tags: Object<string, string> }}
+ *   `bits` is the RSA modulus length, null when the key cannot be read
+ */
+function parseDkim(txt) {
+    const tags = parseTags(txt);
+    const keyType = (tags.k || 'rsa').toLowerCase();
+    const key = (tags.p ?? '').replace(/\s+/g, '');
+    let bits = null;
+    if (key && keyType === 'rsa') {
+        try {
+            const der = Buffer.from(key, 'base64');
+            bits = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' }).asymmetricKeyDetails?.modulusLength ?? null;
+        } catch { /* not a readable SPKI key */ }
+    }
+    const flags = (tags.t ?? '').toLowerCase().split(':').map(flag => flag.trim());
+    return { keyType, bits, revoked: tags.p !== undefined && key === '', testing: flags.includes('y'), tags };
+}
+
+function spfFindings(records, failed) {
+    if (records.length === 0 && failed) {
+        return [{ category: 'SPF', level: 'warn', text: `\`${failed}\` TXT records could not be resolved (temporary error): SPF policy unknown` }];
+    }
+    if (records.length === 0) {
+        return [{ category: 'SPF', level: 'bad', text: 'No SPF record: any server can send mail as this domain' }];
+    }
+    if (records.length > 1) {
+        return [{ category: 'SPF', level: 'bad', text: `${records.length} SPF records: receivers treat this as a permanent error (no SPF)` }];
+    }
+    const spf = parseSpf(records[0]);
+    const findings = [];
+    const includes = spf.mechanisms.filter(m => m.type === 'include').map(m => m.value);
+    if (spf.all === '+') findings.push({ category: 'SPF', level: 'bad', text: 'SPF ends in `+all`: every server on the internet is authorized' });
+    else if (spf.all === '?') findings.push({ category: 'SPF', level: 'warn', text: 'SPF ends in `?all` (neutral): unlisted servers are neither allowed nor refused' });
+    else if (spf.all === '~') findings.push({ category: 'SPF', level: 'info', text: 'SPF ends in `~all` (softfail): unlisted servers are flagged, not refused' });
+    else if (spf.all === '-') findings.push({ category: 'SPF', level: 'good', text: 'SPF ends in `-all`: unlisted servers fail' });
+    else if (spf.modifiers.redirect) findings.push({ category: 'SPF', level: 'info', text: `SPF policy delegated with \`redirect=${spf.modifiers.redirect}\`` });
+    else findings.push({ category: 'SPF', level: 'warn', text: 'SPF has no `all` mechanism: unlisted servers get a neutral result' });
+    if (includes.length) findings.push({ category: 'SPF', level: 'info', text: `SPF includes: ${includes.map(i => `\`${i}\``).join(', ')}` });
+    if (spf.mechanisms.some(m => m.type === 'ptr')) findings.push({ category: 'SPF', level: 'warn', text: 'SPF uses the deprecated `ptr` mechanism' });
+    if (spf.unknown.length) findings.push({ category: 'SPF', level: 'warn', text: `SPF has unrecognized terms: ${spf.unknown.map(t => `\`${t}\``).join(', ')}` });
+    return findings;
+}
+
+function dmarcFindings(record, failed) {
+    if (!record && failed) {
+        return [{ category: 'DMARC', level: 'warn', text: `\`${failed}\` could not be resolved (temporary error): DMARC policy unknown` }];
+    }
+    if (!record) {
+        return [{ category: 'DMARC', level: 'bad', text: 'No DMARC record: receivers get no policy for mail that fails SPF/DKIM' }];
+    }
+    const dmarc = parseDmarc(record);
+    const findings = [];
+    if (dmarc.p === 'reject') findings.push({ category: 'DMARC', level: 'good', text: 'DMARC `p=reject`: failing mail is refused' });
+    else if (dmarc.p === 'quarantine') findings.push({ category: 'DMARC', level: 'good', text: 'DMARC `p=quarantine`: failing mail goes to spam' });
+    else if (dmarc.p === 'none') findings.push({ category: 'DMARC', level: 'warn', text: 'DMARC `p=none`: monitoring only, spoofed mail is still delivered' });
+    else findings.push({ category: 'DMARC', level: 'bad', text: 'DMARC record has no valid `p=` policy and is ignored' });
+    if (dmarc.sp && dmarc.sp !== dmarc.p) findings.push({ category: 'DMARC', level: dmarc.sp === 'none' ? 'warn' : 'info', text: `Subdomain policy \`sp=${dmarc.sp}\`` });
+    if (dmarc.pct < 100) findings.push({ category: 'DMARC', level: 'warn', text: `DMARC applies to ${dmarc.pct}% of failing mail only` });
+    if (dmarc.rua.length) findings.push({ category: 'DMARC', level: 'info', text: `Aggregate reports (rua) to ${dmarc.rua.map(u => `\`${u}\``).join(', ')}` });
+    if (dmarc.ruf.length) findings.push({ category: 'DMARC', level: 'info', text: `Forensic reports (ruf) to ${dmarc.ruf.map(u => `\`${u}\``).join(', ')}` });
+    return findings;
+}
+
+function dkimFindings(keys, selectorsChecked, failed) {
+    const unresolved = failed.length
+        ? [{ category: 'DKIM', level: 'info', text: `${failed.length} DKIM selector${failed.length === 1 ? '' : 's'} could not be resolved (temporary error)` }]
+        : [];
+    if (keys.length === 0) {
+        const checked = selectorsChecked - failed.length;
+        return [{ category: 'DKIM', level: 'info', text: `No DKIM key at ${checked} common selectors (the domain may use others)` }, ...unresolved];
+    }
+    return [...keys.map(({ selector, record }) => {
+        const dkim = parseDkim(record);
+        if (dkim.revoked) return { category: 'DKIM', level: 'info', text: `DKIM \`${selector}\`: key revoked (empty \`p=\`)` };
+        const size = dkim.bits ? ` ${dkim.bits}-bit` : '';
+        const testing = dkim.testing ? ', test mode (`t=y`)' : '';
+        const level = dkim.bits && dkim.bits < 1024 ? 'bad' : dkim.testing || (dkim.bits && dkim.bits < 2048) ? 'warn' : 'good';
+        return { category: 'DKIM', level, text: `DKIM \`${selector}\`: ${dkim.keyType}${size} key${testing}` };
+    }), ...unresolved];
+}
+
+/**
+ * Findings for a domain's SPF, DMARC and DKIM records.
+ * @param {{ spf: string[], dmarc: string|null, dkim: Array<{ selector: string, record: string }>, selectorsChecked?: number,
+ *   lookupFailed?: string[] }} records
+ *   As returned by lookupEmailAuth() in utils/dns-resolver.js; a domain, DMARC
+ *   or DKIM name in `lookupFailed` is reported as a temporary error, not as missing
+ * @returns {Array<{ category: string, level: 'good'|'info'|'warn'|'bad', text: string }>}
+ */
+function emailAuthFindings({ spf = [], dmarc = null, dkim = [], selectorsChecked = 0, lookupFailed = [] }) {
+    const dmarcFailed = lookupFailed.find(name => name.startsWith('_dmarc.')) ?? null;
+    const dkimFailed = lookupFailed.filter(name => name.includes('._domainkey.'));
+    const spfFailed = lookupFailed.find(name => !name.startsWith('_dmarc.') && !name.includes('._domainkey.')) ?? null;
+    return [...spfFindings(spf, spfFailed), ...dmarcFindings(dmarc, dmarcFailed), ...dkimFindings(dkim, selectorsChecked, dkimFailed)];
+}
+
+/**
+ * Parse an MTA-STS policy file (`key: value` lines).
+ * @param {string} text
+ * @returns {{ version: string|null, mode: string|null, mx: string[], maxAge: number|null }}
+ */
+function parseMtaStsPolicy(text) {
+    const policy = { version: null, mode: null, mx: [], maxAge: null };
+    for (const line of String(text).split(/\r?\n/)) {
+        const colon = line.indexOf(':');
+        if (colon === -1) continue;
+        const key = line.slice(0, colon).trim().toLowerCase();
+        const value = line.slice(colon + 1).trim();
+        if (key === 'version') policy.version = value;
+        else if (key === 'mode') policy.mode = value.toLowerCase();
+        else if (key === 'mx') policy.mx.push(value);
+        else if (key === 'max_age') policy.maxAge = Number.parseInt(value, 10) || null;
+    }
+    return policy;
+}
+
+function spfLookupFindings({ lookups, depth, problems = [] }) {
+    const findings = [];
+    if (lookups > SPF_LOOKUP_LIMIT) {
+        findings.push({ category: 'SPF', level: 'bad', text: `SPF needs ${lookups} DNS lookups (limit ${SPF_LOOKUP_LIMIT}): receivers return a permanent error` });
+    } else if (lookups >= SPF_LOOKUP_LIMIT - 1) {
+        findings.push({ category: 'SPF', level: 'warn', text: `SPF needs ${lookups}/${SPF_LOOKUP_LIMIT} DNS lookups: one more include breaks it` });
+    } else {
+        findings.push({ category: 'SPF', level: 'info', text: `SPF needs ${lookups}/${SPF_LOOKUP_LIMIT} DNS lookups, include depth ${depth}` });
+    }
+    for (const { domain, problem } of problems) {
+        if (problem === 'missing') findings.push({ category: 'SPF', level: 'bad', text: `Included \`${domain}\` has no SPF record (permanent error)` });
+        else if (problem === 'multiple') findings.push({ category: 'SPF', level: 'bad', text: `Included \`${domain}\` has several SPF records (permanent error)` });
+        else if (problem === 'loop') findings.push({ category: 'SPF', level: 'bad', text: `SPF include loop through \`${domain}\`` });
+        else if (problem === 'macro') findings.push({ category: 'SPF', level: 'info', text: `\`${domain}\` uses SPF macros and was not followed` });
+        else if (problem === 'lookup-failed') findings.push({ category: 'SPF', level: 'warn', text: `\`${domain}\` could not be resolved (temporary error)` });
+    }
+    return findings;
+}
+
+function mtaStsFindings({ record = null, policy = null, policyError = null } = {}) {
+    if (!record) {
+        return [{ category: 'MTA-STS', level: 'warn', text: 'No MTA-STS: mail to this domain can be downgraded to plaintext' }];
+    }
+    if (!policy) {
+        return [{ category: 'MTA-STS', level: 'bad', text: `MTA-STS record published but the policy file ${policyError ? `could not be fetched (${policyError})` : 'is missing'}` }];
+    }
+    const parsed = parseMtaStsPolicy(policy);
+    const mx = parsed.mx.length ? `, MX ${parsed.mx.map(m => `\`${m}\``).join(', ')}` : '';
+    if (parsed.version !== 'STSv1' || !parsed.mode) {
+        return [{ category: 'MTA-STS', level: 'bad', text: 'MTA-STS policy file is malformed (needs `version: STSv1` and `mode`)' }];
+    }
+    if (parsed.mode === 'enforce') return [{ category: 'MTA-STS', level: 'good', text: `MTA-STS \`mode: enforce\`${mx}` }];
+    if (parsed.mode === 'testing') return [{ category: 'MTA-STS', level: 'info', text: `MTA-STS \`mode: testing\`: failures are reported, not blocked${mx}` }];
+    return [{ category: 'MTA-STS', level: 'warn', text: `MTA-STS \`mode: ${parsed.mode}\`: policy disabled` }];
+}
+
+function tlsRptFindings(record) {
+    if (!record) return [{ category: 'TLS-RPT', level: 'info', text: 'No TLS-RPT record: TLS delivery failures are not reported' }];
+    const rua = (parseTags(record).rua ?? '').split(',').map(uri => uri.trim()).filter(Boolean);
+    if (rua.length === 0) return [{ category: 'TLS-RPT', level: 'warn', text: 'TLS-RPT record has no `rua=` destination' }];
+    return [{ category: 'TLS-RPT', level: 'good', text: `TLS reports to ${rua.map(u => `\`${u}\``).join(', ')}` }];
+}
+
+function bimiFindings(record, dmarc, dmarcUnknown) {
+    if (!record) return [{ category: 'BIMI', level: 'info', text: 'No BIMI record' }];
+    const tags = parseTags(record);
+    const policy = dmarc ? parseDmarc(dmarc).p : null;
+    const logo = tags.l ? ` logo \`${tags.l}\`` : ' no logo';
+    const certificate = tags.a ? ', with certificate' : '';
+    if (!dmarc && dmarcUnknown) return [{ category: 'BIMI', level: 'info', text: `BIMI:${logo}${certificate} (DMARC policy unknown)` }];
+    if (policy !== 'reject' && policy !== 'quarantine') {
+        return [{ category: 'BIMI', level: 'warn', text: `BIMI published (${logo.trim()}) but ignored without an enforced DMARC policy` }];
+    }
+    return [{ category: 'BIMI', level: 'info', text: `BIMI:${logo}${certificate}` }];
+}
+
+/**
+ * Findings for the full posture report: SPF (with its lookup budget), DMARC,
+ * DKIM, MTA-STS, TLS-RPT and BIMI.
+ * @param {object} report - As returned by lookupMailSecurity() in utils/mailsec.js
+ * @returns {Array<{ category: string, level: 'good'|'info'|'warn'|'bad', text: string }>}
+ */
+function mailSecurityFindings(report) {
+    const findings = emailAuthFindings(report);
+    const lastSpf = findings.map(f => f.category).lastIndexOf('SPF');
+    if (report.spf?.length === 1 && report.spfExpansion) {
+        findings.splice(lastSpf + 1, 0, ...spfLookupFindings(report.spfExpansion));
+    }
+    return [
+        ...findings,
+        ...mtaStsFindings(report.mtaSts),
+        ...tlsRptFindings(report.tlsRpt),
+        ...bimiFindings(report.bimi, report.dmarc, report.lookupFailed?.some(name => name.startsWith('_dmarc.'))),
+    ];
+}
+
+/**
+ * Score out of 100 and letter grade: each warning costs 10 points, each
+ * spoofing-relevant problem 25.
+ * @param {Array<{ level: string }>} findings
+ * @returns {{ score: number, grade: string }}
+ */
+function scoreFindings(findings) {
+    const penalty = findings.reduce((sum, { level }) => sum + (FINDING_PENALTIES[level] ?? 0), 0);
+    const score = Math.max(0, 100 - penalty);
+    return { score, grade: GRADES.find(([min]) => score >= min)[1] };
+}
+
+/**
+ * One line per finding, prefixed with its level icon.
+ * @param {Array<{ level: string, text: string }>} findings
+ * @returns {string}
+ */
+function formatFindings(findings) {
+    return findings.map(({ level, text }) => `${FINDING_ICONS[level] ?? '•'} ${text}`).join('\n');
+}
+
+module.exports = {
+    isSpf,
+    isDmarc,
+    parseSpf,
+    parseDmarc,
+    parseDkim,
+    parseMtaStsPolicy,
+    emailAuthFindings,
+    mailSecurityFindings,
+    scoreFindings,
+    formatFindings,
+    FINDING_PENALTIES,
+    SPF_LOOKUP_LIMIT,
+};
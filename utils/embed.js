@@ -27,6 +27,28 @@ function safeAscii(value, limit = FIELD_VALUE_LIMIT) {
     return String(value ?? '').replace(/[^\x20-\x7E]/g, '?').slice(0, limit);
 }
 
+/**
+ * As many whole lines as fit in `limit`, noting how many were left out —
+ * for list fields where a line cut in half would be misleading.
+ * @param {string[]} lines
+ * @param {number} [limit]
+ * @returns {string}
+ */
+function fitLines(lines, limit = FIELD_VALUE_LIMIT) {
+    const out = [];
+    let length = 0;
+    for (const [index, line] of lines.entries()) {
+        const more = `… and ${lines.length - index} more`;
+        if (length + line.length + 1 + more.length + 1 > limit) {
+            out.push(more);
+            break;
+        }
+        out.push(line);
+        length += line.length + 1;
+    }
+    return out.join('\n');
+}
+
 function escapeHtml(value) {
     return String(value ?? '')
         .replace(/&/g, '&amp;')
@@ -39,6 +61,7 @@ function escapeHtml(value) {
 module.exports = {
     capField,
     safeAscii,
+    fitLines,
     escapeHtml,
     FIELD_VALUE_LIMIT,
     TITLE_LIMIT,
@@ -0,0 +1,248 @@
+/**
+ * File: utils/html-text.js
+ * Description: Visible-text extraction for change detection and comparisons.
+ *
+ * Raw HTML changes on every request (CSRF tokens, nonces, inline timestamps),
+ * so comparing bodies byte-for-byte is useless. This module reduces a page to
+ * the text a reader would see, one block per line, with optional "noise"
+ * filters: a CSS selector whose elements are dropped before extraction and a
+ * regex whose matches are blanked from each line afterwards.
+ *
+ * Security: noise patterns come from Discord users and run against page text
+ * the page author controls. They are length-capped and rejected when a
+ * repeated group (`*`, `+`, `{n,m}`) contains a quantifier, an alternation or
+ * a backreference — `(a+)+`, `(a|a)*`, `(\w|\d)+` — when two adjacent
+ * repeated atoms can match the same character — `a*a*`, `\w+\d+` — or when
+ * they have more than MAX_QUANTIFIERS quantifiers: the shapes that make a
+ * backtracking engine take exponential or high-polynomial time. They only run
+ * against single, length-capped lines, and in a vm with a time budget per
+ * page, so a shape the checks miss fails with EPATTERNTIMEOUT instead of
+ * blocking the event loop.
+ */
+const vm = require('vm');
+const cheerio = require('cheerio');
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_SELECTOR_LENGTH = 200;
+const MAX_LINE_LENGTH = 2000;
+const MAX_QUANTIFIERS = 6;
+const IGNORE_PATTERN_BUDGET_MS = 500;
+
+const BLANK_SCRIPT = new vm.Script(`lines.map(line => {
+    pattern.lastIndex = 0;
+    return line.replace(pattern, '').trim();
+})`);
+
+const NON_VISIBLE = 'script, style, noscript, template, svg, iframe, head';
+const BLOCK_ELEMENTS = 'p, div, li, tr, dt, dd, h1, h2, h3, h4, h5, h6, section, article, header, footer, aside, nav, main, blockquote, pre, table, ul, ol, form, td, th';
+
+/**
+ * Compile a user-supplied noise pattern.
+ * @param {string|null} source
+ * @returns {RegExp|null} Global regex, or null when no pattern was given
+ * @throws {Error} When the pattern is too long, unsafe or invalid
+ */
+function compileIgnorePattern(source) {
+    if (source == null || source === '') return null;
+    const str = String(source);
+    if (str.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Ignore pattern exceeds ${MAX_PATTERN_LENGTH} characters`);
+    }
+    const unsafe = findBacktrackingRisk(str);
+    if (unsafe) throw new Error(`Ignore pattern contains ${unsafe}`);
+    return new RegExp(str, 'g');
+}
+
+// Length of the quantifier starting at `i` (`*`, `+`, `{n}`, `{n,}`, `{n,m}`),
+// 0 when there is none. `?` only allows one repetition and is not counted.
+function quantifierLength(str, i) {
+    if (str[i] === '*' || str[i] === '+') return 1;
+    const brace = /^\{\d+(?:,\d*)?\}/.exec(str.slice(i));
+    return brace ? brace[0].length : 0;
+}
+
+// Whether the quantifier at `i` repeats without a fixed count (`*`, `+`, `{n,}`, `{n,m}`).
+function isOpenQuantifier(str, i) {
+    return quantifierLength(str, i) > 0 && !/^\{\d+\}/.test(str.slice(i));
+}
+
+// Characters probed to decide whether two atoms can match the same character.
+const OVERLAP_PROBES = [...Array.from({ length: 128 }, (_, code) => String.fromCharCode(code)), 'é', ' ', ' ', '中'];
+// Groups and backreferences are not analysed: they may match anything.
+const ANY_ATOM = Symbol('any');
+
+function atomsOverlap(a, b) {
+    if (a === ANY_ATOM || b === ANY_ATOM) return true;
+    try {
+        const [x, y] = [a, b].map(atom => new RegExp(`^(?:${atom})$`, 's'));
+        return OVERLAP_PROBES.some(ch => x.test(ch) && y.test(ch));
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * Walk a pattern's groups and report the first shape that lets a
+ * backtracking engine split the same text in many ways: a repeated group
+ * whose body has a quantifier, an alternation or a backreference, two
+ * adjacent repeated atoms that can match the same character (`a*a*`,
+ * `\w+\d+`), or too many quantifiers overall.
+ * @param {string} str
+ * @returns {string|null} What was found, or null when the pattern is safe
+ */
+function findBacktrackingRisk(str) {
+    // `trailing`: repeated atoms since the last mandatory one; `atoms`: every
+    // atom in the group, standing for the group when it is repeated.
+    const frame = (trailing = []) => ({ quantifier: false, alternation: false, backreference: false, trailing, atoms: [] });
+    const stack = [frame()];
+    let quantifiers = 0;
+    let atom = null;
+    for (let i = 0; i < str.length; i++) {
+        const top = stack[stack.length - 1];
+        const c = str[i];
+        atom = null;
+        if (c === '\\') {
+            if (/[1-9k]/.test(str[i + 1] ?? '')) {
+                top.backreference = true;
+                atom = ANY_ATOM;
+            } else {
+                atom = str.slice(i, i + 2);
+            }
+            i++;
+        } else if (c === '[') {
+            // Character class: `(`, `)` and `|` are literals inside.
+            const start = i;
+            for (i++; i < str.length && str[i] !== ']'; i++) {
+                if (str[i] === '\\') i++;
+            }
+            atom = str.slice(start, i + 1);
+        } else if (c === '(') {
+            stack.push(frame([...top.trailing]));
+            const prefix = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(str.slice(i + 1));
+            if (prefix) i += prefix[0].length;
+        } else if (c === ')' && stack.length > 1) {
+            const group = stack.pop();
+            const parent = stack[stack.length - 1];
+            const repeated = quantifierLength(str, i + 1) > 0;
+            if (repeated && group.quantifier) return 'nested quantifiers';
+            if (repeated && group.alternation) return 'a repeated alternation';
+            if (repeated && group.backreference) return 'a repeated backreference';
+            parent.quantifier ||= group.quantifier || repeated;
+            parent.alternation ||= group.alternation;
+            parent.backreference ||= group.backreference;
+            parent.atoms.push(...group.atoms);
+            if (!repeated) {
+                parent.trailing = str[i + 1] === '?' ? [...parent.trailing, ...group.trailing] : group.trailing;
+                continue;
+            }
+            if (group.atoms.length === 0) continue;
+            atom = group.atoms.includes(ANY_ATOM) ? ANY_ATOM : `(?:${group.atoms.join('|')})`;
+        } else if (c === '|') {
+            top.alternation = true;
+            top.trailing = [];
+        } else if (quantifierLength(str, i) > 0 || c === '?') {
+            // Quantifiers are consumed with their atom below.
+        } else {
+            atom = c;
+        }
+        if (atom === null) continue;
+
+        const current = stack[stack.length - 1];
+        if (c !== ')') current.atoms.push(atom);
+        const next = i + 1;
+        const length = quantifierLength(str, next);
+        if (length === 0) {
+            // A `?` atom is optional: it neither separates nor repeats.
+            if (str[next] !== '?') current.trailing = [];
+            continue;
+        }
+        if (++quantifiers > MAX_QUANTIFIERS) return `more than ${MAX_QUANTIFIERS} quantifiers`;
+        current.quantifier = true;
+        if (isOpenQuantifier(str, next)) {
+            if (current.trailing.some(previous => atomsOverlap(previous, atom))) return 'adjacent overlapping quantifiers';
+            // `*` and `{0,…}` may match nothing, so earlier repeated atoms stay adjacent to the next one.
+            const optional = str[next] === '*' || /^\{0,/.test(str.slice(next));
+            current.trailing = optional ? [...current.trailing, atom] : [atom];
+        } else if (!/^\{0/.test(str.slice(next))) {
+            current.trailing = [];
+        }
+        i = next + length - 1;
+        if (str[i + 1] === '?') i++;
+    }
+    return null;
+}
+
+/**
+ * Validate a user-supplied CSS selector by letting cheerio parse it.
+ * @param {string|null} selector
+ * @returns {string|null}
+ * @throws {Error} When the selector is too long or does not parse
+ */
+function validateIgnoreSelector(selector) {
+    if (selector == null || selector === '') return null;
+    const str = String(selector);
+    if (str.length > MAX_SELECTOR_LENGTH) {
+        throw new Error(`Ignore selector exceeds ${MAX_SELECTOR_LENGTH} characters`);
+    }
+    cheerio.load('<html></html>')(str);
+    return str;
+}
+
+function looksLikeHtml(body, contentType = '') {
+    if (/html|xml/i.test(contentType)) return true;
+    return /^\s*</.test(String(body).slice(0, 512));
+}
+
+/**
+ * Reduce a document to normalized visible text, one block per line.
+ * @param {string} body - HTML (or plain text) body
+ * @param {object} [options]
+ * @param {string} [options.contentType] - Response content-type, used to skip parsing non-HTML
+ * @param {string|null} [options.ignoreSelector] - CSS selector of regions to drop
+ * @param {RegExp|null} [options.ignorePattern] - Regex blanked from each line
+ * @returns {string}
+ */
+function extractVisibleText(body, { contentType, ignoreSelector = null, ignorePattern = null } = {}) {
+    let text;
+    if (looksLikeHtml(body, contentType)) {
+        const $ = cheerio.load(String(body));
+        const title = $('title').first().text().trim();
+        $(NON_VISIBLE).remove();
+        if (ignoreSelector) $(ignoreSelector).remove();
+        $('br').replaceWith('\n');
+        $(BLOCK_ELEMENTS).each((_, el) => { $(el).append('\n'); });
+        text = (title ? `${title}\n` : '') + ($('body').length ? $('body').text() : $.root().text());
+    } else {
+        text = String(body);
+    }
+
+    let lines = text.split(/\r?\n/).map(raw => raw.replace(/\s+/g, ' ').trim().slice(0, MAX_LINE_LENGTH));
+    if (ignorePattern) lines = blankPattern(lines, ignorePattern);
+    return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Blank a noise pattern from each line, within IGNORE_PATTERN_BUDGET_MS for
+ * the whole page. The vm timeout interrupts a regex that backtracks despite
+ * the checks in compileIgnorePattern().
+ * @param {string[]} lines
+ * @param {RegExp} pattern - Global
+ * @returns {string[]}
+ * @throws {Error} code EPATTERNTIMEOUT when the budget runs out
+ */
+function blankPattern(lines, pattern) {
+    try {
+        return [...BLANK_SCRIPT.runInNewContext({ lines, pattern }, { timeout: IGNORE_PATTERN_BUDGET_MS })];
+    } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+        throw Object.assign(new Error(`Ignore pattern took more than ${IGNORE_PATTERN_BUDGET_MS} ms`), { code: 'EPATTERNTIMEOUT' });
+    }
+}
+
+module.exports = {
+    compileIgnorePattern,
+    validateIgnoreSelector,
+    extractVisibleText,
+    MAX_PATTERN_LENGTH,
+    MAX_SELECTOR_LENGTH
+};
@@ -0,0 +1,235 @@
+/**
+ * File: utils/http-fixtures.js
+ * Description: Record/replay layer for outbound HTTP, so commands can run
+ * end-to-end without live providers.
+ *
+ * Installed as the default adapter of the shared axios instance, which every
+ * command uses, so no command needs to know about it:
+ *
+ *   HTTP_FIXTURES=record  pass requests through and save each exchange
+ *   HTTP_FIXTURES=replay  answer from fixtures only; an unknown request fails
+ *                         (code EFIXTURE) instead of touching the network
+ *   unset / off           not installed
+ *
+ * Fixtures live under HTTP_FIXTURES_DIR (default tests/fixtures/http/default),
+ * one JSON file per exchange, and are matched on method + URL (+ body hash
+ * when the fixture has one). File names are free-form, so error cases (401,
+ * 429, malformed JSON) can be written by hand next to recorded ones:
+ *
+ *   { "request":  { "method": "GET", "url": "https://api.whoxy.com/?history=example.com" },
+ *     "response": { "status": 429, "headers": {...}, "body": "..." } }
+ *
+ * Credentials never reach disk or the match key: query parameters whose name
+ * looks like a secret are removed from the URL, request headers are not
+ * stored, request bodies are kept only as a SHA-256, and Set-Cookie is
+ * dropped from responses. Bodies are stored raw, before axios parses them, so
+ * a replayed malformed JSON body reaches the command exactly as it would live.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { URLSearchParams } = require('url');
+const logger = require('./logger');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'http', 'default');
+const MODES = ['record', 'replay'];
+// key, token, apikey, api_token, apiToken, access_key, auth, ... — but not `keyword`.
+const SECRET_PARAM = /^(api[-_]?)?(key|token|secret|password|signature|sig)$|[-_](key|token|secret)$|^(access|auth)[-_]?(key|token)$|^auth$/i;
+const DROPPED_RESPONSE_HEADERS = ['set-cookie', 'set-cookie2'];
+
+function fixturesDir(dir) {
+    return path.resolve(dir ?? process.env.HTTP_FIXTURES_DIR ?? DEFAULT_DIR);
+}
+
+/**
+ * URL with secret-looking query parameters removed and the rest sorted, so a
+ * fixture matches whatever key the replaying environment holds.
+ * @param {string} url - Absolute URL
+ * @returns {string}
+ */
+function scrubUrl(url) {
+    const parsed = new URL(url);
+    const kept = [...parsed.searchParams].filter(([name]) => !SECRET_PARAM.test(name));
+    kept.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    parsed.search = new URLSearchParams(kept).toString();
+    parsed.hash = '';
+    return parsed.toString();
+}
+
+function bodyHash(data) {
+    if (data === undefined || data === null || data === '') return null;
+    if (typeof data === 'string' || Buffer.isBuffer(data)) {
+        return crypto.createHash('sha256').update(data).digest('hex');
+    }
+    return null; // streams / FormData: match on method + URL only
+}
+
+/**
+ * Match key and body hash for a (merged) axios request config.
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @param {object} config
+ * @returns {{ key: string, method: string, url: string, bodySha256: string|null }}
+ */
+function describeRequest(axiosInstance, config) {
+    const method = (config.method || 'get').toUpperCase();
+    const url = scrubUrl(axiosInstance.getUri(config));
+    return { key: `${method} ${url}`, method, url, bodySha256: bodyHash(config.data) };
+}
+
+function walkJson(dir) {
+    let out = [];
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return out;
+    }
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) out = out.concat(walkJson(full));
+        else if (entry.name.endsWith('.json')) out.push(full);
+    }
+    return out;
+}
+
+/**
+ * Index every fixture under `dir` by method + scrubbed URL.
+ * @param {string} dir
+ * @returns {Map<string, Array<{ file: string, request: object, response: object }>>}
+ */
+function loadFixtures(dir) {
+    const index = new Map();
+    for (const file of walkJson(dir)) {
+        let fixture;
+        try {
+            fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            logger.warn({ err, file }, 'http-fixtures: unreadable fixture skipped');
+            continue;
+        }
+        if (!fixture?.request?.url || !fixture?.response?.status) {
+            logger.warn({ file }, 'http-fixtures: fixture without request.url / response.status skipped');
+            continue;
+        }
+        const key = `${(fixture.request.method || 'GET').toUpperCase()} ${scrubUrl(fixture.request.url)}`;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push({ file, ...fixture });
+    }
+    return index;
+}
+
+function decodeBody(response) {
+    if (response.encoding === 'base64') return Buffer.from(response.body ?? '', 'base64');
+    if (response.body !== undefined && typeof response.body !== 'string') return JSON.stringify(response.body);
+    return response.body ?? '';
+}
+
+function encodeBody(data) {
+    if (Buffer.isBuffer(data)) return { body: data.toString('base64'), encoding: 'base64' };
+    if (data instanceof ArrayBuffer) return { body: Buffer.from(data).toString('base64'), encoding: 'base64' };
+    if (typeof data === 'string') return { body: data };
+    if (data === undefined || data === null) return { body: '' };
+    return { body: JSON.stringify(data) };
+}
+
+// Resolve or reject exactly as axios' own adapters do (validateStatus → AxiosError).
+function settle(config, response) {
+    const ok = !config.validateStatus || config.validateStatus(response.status);
+    if (ok) return response;
+    const { AxiosError } = require('axios');
+    const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+    throw new AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+}
+
+function replayAdapter(axiosInstance, dir) {
+    let index = null;
+    return async (config) => {
+        index ??= loadFixtures(dir);
+        const req = describeRequest(axiosInstance, config);
+        const candidates = index.get(req.key) ?? [];
+        const fixture = candidates.find(f => f.request.bodySha256 && f.request.bodySha256 === req.bodySha256)
+            ?? candidates.find(f => !f.request.bodySha256);
+        if (!fixture) {
+            logger.warn({ request: req.key }, 'http-fixtures: no fixture for request');
+            throw Object.assign(new Error(`No HTTP fixture for ${req.key}`), { code: 'EFIXTURE', config });
+        }
+        const { response } = fixture;
+        const responseType = config.responseType;
+        let data = decodeBody(response);
+        if (responseType === 'arraybuffer' && !Buffer.isBuffer(data)) data = Buffer.from(data);
+        if (responseType !== 'arraybuffer' && Buffer.isBuffer(data)) data = data.toString('utf8');
+        return settle(config, {
+            data,
+            status: response.status,
+            statusText: response.statusText ?? '',
+            headers: response.headers ?? {},
+            config,
+            request: { fixture: fixture.file },
+        });
+    };
+}
+
+function recordAdapter(axiosInstance, dir, realAdapter) {
+    const save = (config, response) => {
+        if (!response || config.responseType === 'stream') return;
+        const req = describeRequest(axiosInstance, config);
+        const headers = Object.fromEntries(Object.entries(
+            typeof response.headers?.toJSON === 'function' ? response.headers.toJSON() : response.headers ?? {}
+        ).filter(([name]) => !DROPPED_RESPONSE_HEADERS.includes(name.toLowerCase())));
+        const fixture = {
+            request: { method: req.method, url: req.url, ...(req.bodySha256 ? { bodySha256: req.bodySha256 } : {}) },
+            response: { status: response.status, statusText: response.statusText, headers, ...encodeBody(response.data) },
+            recordedAt: new Date().toISOString(),
+        };
+        const host = new URL(req.url).hostname;
+        const name = `${req.method.toLowerCase()}-${crypto.createHash('sha256').update(req.key + (req.bodySha256 ?? '')).digest('hex').slice(0, 12)}.json`;
+        try {
+            fs.mkdirSync(path.join(dir, host), { recursive: true });
+            fs.writeFileSync(path.join(dir, host, name), JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+        } catch (err) {
+            logger.warn({ err, request: req.key }, 'http-fixtures: could not save fixture');
+        }
+    };
+
+    return async (config) => {
+        try {
+            const response = await realAdapter(config);
+            save(config, response);
+            return response;
+        } catch (err) {
+            save(config, err.response); // 4xx/5xx are worth keeping too
+            throw err;
+        }
+    };
+}
+
+/**
+ * Route an axios instance's requests through fixtures.
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @param {object} [opts]
+ * @param {'record'|'replay'|'off'} [opts.mode] - Defaults to HTTP_FIXTURES
+ * @param {string} [opts.dir] - Defaults to HTTP_FIXTURES_DIR
+ * @returns {Function|null} A function that restores the previous adapter, or null when not installed
+ */
+function installHttpFixtures(axiosInstance, { mode = process.env.HTTP_FIXTURES, dir } = {}) {
+    if (!mode || mode === 'off') return null;
+    if (!MODES.includes(mode)) {
+        logger.warn({ mode }, 'http-fixtures: unknown HTTP_FIXTURES mode, not installed');
+        return null;
+    }
+    const target = fixturesDir(dir);
+    const previous = axiosInstance.defaults.adapter;
+    axiosInstance.defaults.adapter = mode === 'replay'
+        ? replayAdapter(axiosInstance, target)
+        : recordAdapter(axiosInstance, target, require('axios').getAdapter(previous));
+    logger.info({ mode, dir: target }, 'http-fixtures: installed');
+    return () => { axiosInstance.defaults.adapter = previous; };
+}
+
+module.exports = {
+    installHttpFixtures,
+    loadFixtures,
+    scrubUrl,
+    describeRequest,
+    DEFAULT_DIR,
+};
@@ -0,0 +1,326 @@
+/**
+ * File: utils/indicators.js
+ * Description: Indicator store — every email, domain, IP, URL and crypto
+ * address a command was given or produced, with where and when it was seen.
+ *
+ * index.js calls `captureIndicators()` for each routed command. It records
+ * the indicators in the command's options (role `input`) and wraps the
+ * interaction's reply / editReply / followUp so that message content, embeds
+ * and text attachments are scanned before they are sent (role `output`).
+ * Each indicator is recorded at most once per role per invocation, so a
+ * progress message edited twenty times counts once.
+ *
+ * `/bob-indicators` is open to every guild member, so each sighting stores
+ * the permission its invocation needed (restricted commands, subcommands and
+ * option values, built in or from the policy file) and searches only return
+ * the sightings the searcher could have produced. Ephemeral replies are never
+ * scanned: they were only meant for the caller.
+ *
+ * Candidates are found with loose patterns and then confirmed with the
+ * validators in utils/validation.js. Bare domains additionally need a known
+ * generic TLD or a two-letter country code, so `john.doe` or `report.txt`
+ * are not recorded as domains.
+ *
+ * Sightings are appended as JSON lines to `DATA_DIR/indicators.jsonl`
+ * (synchronous appends, like the audit log). `searchIndicators()` streams the
+ * file and groups sightings per indicator; search is scoped to one guild.
+ * Set INDICATOR_CAPTURE=off to stop recording.
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { MessageFlags, MessageFlagsBitField } = require('discord.js');
+const {
+    EMAIL_PATTERN, isValidEmail, isValidDomain, isValidIpAddress, isValidCryptoAddress, isValidUrl
+} = require('./validation');
+const { dataFilePath, ensureDataDir } = require('./datastore');
+const { resolveRule } = require('./permissions');
+const { policyTarget } = require('./policy');
+const logger = require('./logger');
+
+const INDICATOR_TYPES = ['email', 'domain', 'ip', 'url', 'crypto'];
+
+// Operational commands whose output is about the bot, not a target.
+const IGNORED_COMMANDS = new Set([
+    'bob-indicators', 'bob-audit', 'bob-admin', 'bob-jobs', 'bob-health', 'bob-case', 'bob-chat', 'Pivot',
+]);
+
+const MAX_TEXT_LENGTH = 2 * 1024 * 1024;
+const MAX_VALUE_LENGTH = 512;
+const TEXT_ATTACHMENT = /\.(txt|csv|json|html?|md|log|xml)$/i;
+
+// Generic TLDs accepted for bare domains; every two-letter ccTLD is accepted
+// too, except ones that are mostly seen as file extensions.
+const GENERIC_TLDS = new Set([
+    'com', 'net', 'org', 'info', 'biz', 'edu', 'gov', 'mil', 'int', 'name', 'pro', 'mobi', 'asia',
+    'app', 'dev', 'xyz', 'online', 'site', 'tech', 'store', 'shop', 'cloud', 'blog', 'live', 'news',
+    'top', 'club', 'space', 'website', 'link', 'click', 'email', 'digital', 'network', 'services',
+    'agency', 'media', 'world', 'life', 'today', 'group', 'company', 'solutions', 'onion', 'crypto',
+]);
+const FILE_EXTENSION_TLDS = new Set(['md', 'py', 'js', 'sh', 'ts', 'rs', 'pl', 'cs', 'ps', 'rb', 'cc']);
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`|)\]]+/gi;
+// Starts only at the beginning of a dotted run, at most 127 labels: a long
+// run such as `a.a.a.…` is scanned once instead of once per label.
+const DOMAIN_PATTERN = /(?<![\w.-])(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.){1,126}[a-z]{2,24}\b/gi;
+const IPV4_PATTERN = /\b(?:\d{1,3}\.){3}\d{1,3}\b/g;
+const IPV6_PATTERN = /(?<![0-9a-f:])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?![0-9a-f:])/gi;
+const CRYPTO_PATTERN = /\b(?:0x[a-fA-F0-9]{40}|bc1[a-z0-9]{39,59}|[13LM][a-km-zA-HJ-NP-Z1-9]{25,34})\b/g;
+
+function indicatorsFilePath() {
+    return dataFilePath('indicators', 'jsonl');
+}
+
+function captureEnabled() {
+    return (process.env.INDICATOR_CAPTURE || 'on').toLowerCase() !== 'off';
+}
+
+function trimTrailing(value) {
+    return value.replace(/[.,;:!?'"*_~]+$/, '');
+}
+
+function isDomainCandidate(domain) {
+    if (!isValidDomain(domain)) return false;
+    const tld = domain.slice(domain.lastIndexOf('.') + 1);
+    return tld.length === 2 ? !FILE_EXTENSION_TLDS.has(tld) : GENERIC_TLDS.has(tld);
+}
+
+/**
+ * Find indicators in free text.
+ * @param {string} text
+ * @returns {Array<{ type: string, value: string }>} Deduplicated, normalized
+ *   (emails, domains and Ethereum addresses lowercased)
+ */
+function extractIndicators(text) {
+    const source = String(text ?? '').slice(0, MAX_TEXT_LENGTH);
+    const found = new Map();
+    const add = (type, value) => {
+        if (!value || value.length > MAX_VALUE_LENGTH) return;
+        found.set(`${type}:${value}`, { type, value });
+    };
+
+    for (const [raw] of source.matchAll(URL_PATTERN)) {
+        const url = trimTrailing(raw);
+        if (!isValidUrl(url)) continue;
+        add('url', url);
+        const host = new URL(url).hostname.toLowerCase();
+        if (isValidIpAddress(host)) add('ip', host);
+        else if (isValidDomain(host)) add('domain', host);
+    }
+    for (const [raw] of source.matchAll(EMAIL_PATTERN)) {
+        const email = trimTrailing(raw).toLowerCase();
+        if (!isValidEmail(email)) continue;
+        add('email', email);
+        const domain = email.slice(email.indexOf('@') + 1);
+        if (isValidDomain(domain)) add('domain', domain);
+    }
+    for (const [raw] of source.matchAll(DOMAIN_PATTERN)) {
+        const domain = raw.toLowerCase();
+        if (isDomainCandidate(domain)) add('domain', domain);
+    }
+    for (const [ip] of source.matchAll(IPV4_PATTERN)) {
+        if (isValidIpAddress(ip)) add('ip', ip);
+    }
+    for (const [ip] of source.matchAll(IPV6_PATTERN)) {
+        // Require a real address, not "::" or a clock time.
+        if (/[0-9a-f]{1,4}:[0-9a-f]{0,4}:/i.test(ip) && isValidIpAddress(ip)) add('ip', ip.toLowerCase());
+    }
+    for (const [raw] of source.matchAll(CRYPTO_PATTERN)) {
+        if (!isValidCryptoAddress(raw)) continue;
+        add('crypto', raw.startsWith('0x') ? raw.toLowerCase() : raw);
+    }
+    return [...found.values()];
+}
+
+/**
+ * Text parts of a reply payload or message: content, embeds and text attachments.
+ * @param {string|object} payload
+ * @returns {string[]}
+ */
+function payloadTexts(payload) {
+    if (typeof payload === 'string') return [payload];
+    if (!payload || typeof payload !== 'object') return [];
+    const texts = [];
+    if (typeof payload.content === 'string') texts.push(payload.content);
+    for (const embed of payload.embeds ?? []) {
+        const data = embed?.data ?? embed;
+        texts.push(data?.title, data?.description, data?.url, data?.author?.name, data?.footer?.text);
+        for (const field of data?.fields ?? []) texts.push(field.name, field.value);
+    }
+    for (const file of payload.files ?? []) {
+        const name = file?.name ?? file?.data?.name ?? (typeof file?.attachment === 'string' ? path.basename(file.attachment) : '');
+        if (!TEXT_ATTACHMENT.test(String(name))) continue;
+        const body = file?.attachment ?? file;
+        if (Buffer.isBuffer(body)) {
+            texts.push(body.subarray(0, MAX_TEXT_LENGTH).toString('utf8'));
+        } else if (typeof body === 'string') {
+            try {
+                if (fs.statSync(body).size <= MAX_TEXT_LENGTH) texts.push(fs.readFileSync(body, 'utf8'));
+            } catch { /* already cleaned up */ }
+        }
+    }
+    return texts.filter(text => typeof text === 'string' && text.length > 0);
+}
+
+function isEphemeral(payload) {
+    if (!payload || typeof payload !== 'object') return false;
+    if (payload.ephemeral === true) return true;
+    try {
+        return payload.flags !== undefined && new MessageFlagsBitField(payload.flags).has(MessageFlags.Ephemeral);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Append sightings for one command invocation.
+ * @param {Array<{ type: string, value: string }>} indicators
+ * @param {object} context - From createCommandContext()
+ * @param {'input'|'output'} role
+ * @returns {number} Sightings written
+ */
+function recordIndicators(indicators, context, role) {
+    if (indicators.length === 0) return 0;
+    const ts = new Date().toISOString();
+    const lines = indicators.map(({ type, value }) => JSON.stringify({
+        ts,
+        type,
+        value,
+        role,
+        command: context.command,
+        subcommand: context.subcommand ?? null,
+        guildId: context.guildId ?? null,
+        channelId: context.channelId ?? null,
+        userId: context.userId ?? null,
+        caseId: context.caseId ?? null,
+        permission: context.permission ?? null,
+    }));
+    try {
+        ensureDataDir();
+        fs.appendFileSync(indicatorsFilePath(), lines.join('\n') + '\n', 'utf8');
+        return lines.length;
+    } catch (err) {
+        logger.error({ err }, 'indicators: failed to append sightings');
+        return 0;
+    }
+}
+
+/**
+ * Record the indicators a command is given and produces.
+ * Wraps reply / editReply / followUp on this interaction only; capture
+ * failures are logged and never affect the reply.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {object} context - From createCommandContext()
+ */
+function captureIndicators(interaction, context) {
+    if (!captureEnabled() || IGNORED_COMMANDS.has(context.command)) return;
+    const { permission } = resolveRule({ ...policyTarget(interaction), command: context.command });
+    const sightingContext = { ...context, permission };
+    const seen = new Set();
+    const observe = (texts, role) => {
+        try {
+            const fresh = texts.flatMap(extractIndicators).filter(({ type, value }) => {
+                const key = `${role}:${type}:${value}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+            recordIndicators(fresh, sightingContext, role);
+        } catch (err) {
+            logger.warn({ err, command: context.command }, 'indicators: capture failed');
+        }
+    };
+
+    observe(Object.values(context.options ?? {}).filter(value => typeof value === 'string'), 'input');
+
+    // editReply targets the first reply, so it inherits that reply's visibility.
+    let firstEphemeral = null;
+    for (const method of ['deferReply', 'reply', 'editReply', 'followUp']) {
+        const original = interaction[method];
+        if (typeof original !== 'function') continue;
+        interaction[method] = function (payload, ...rest) {
+            let ephemeral = isEphemeral(payload);
+            if (method === 'deferReply' || method === 'reply') firstEphemeral ??= ephemeral;
+            if (method === 'editReply') ephemeral = firstEphemeral === true;
+            if (method !== 'deferReply' && !ephemeral) observe(payloadTexts(payload), 'output');
+            return original.call(this, payload, ...rest);
+        };
+    }
+}
+
+async function* readSightings(file) {
+    let stream;
+    try {
+        await fs.promises.access(file);
+        stream = fs.createReadStream(file, { encoding: 'utf8' });
+    } catch {
+        return;
+    }
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    try {
+        for await (const text of rl) {
+            if (!text) continue;
+            try { yield JSON.parse(text); } catch { /* partial line from a crash */ }
+        }
+    } finally {
+        rl.close();
+        stream.destroy();
+    }
+}
+
+/**
+ * Where has an indicator been seen? Matches the query as a case-insensitive
+ * substring of the value, so `example.com` also finds `john@example.com`.
+ * Exact matches sort first, then by most recent sighting.
+ * @param {string} query
+ * @param {object} scope
+ * @param {string|null} scope.guildId - Only sightings from this guild (null: DMs)
+ * @param {string} [scope.userId] - In DMs, only this user's sightings
+ * @param {string} [scope.type] - One of INDICATOR_TYPES
+ * @param {number} [scope.limit=10] - Indicators returned
+ * @param {number} [scope.sightings=5] - Most recent sightings kept per indicator
+ * @param {(entry: object) => boolean} [scope.canSee] - Whether the searcher may see a sighting
+ *   that needed a permission (`entry.permission`); by default none are shown
+ * @returns {Promise<{ results: object[], total: number }>} `total` counts matching indicators
+ */
+async function searchIndicators(query, { guildId, userId, type, limit = 10, sightings = 5, canSee = () => false }) {
+    const needle = String(query).trim().toLowerCase();
+    const groups = new Map();
+
+    for await (const entry of readSightings(indicatorsFilePath())) {
+        if ((entry.guildId ?? null) !== (guildId ?? null)) continue;
+        if (!guildId && userId && entry.userId !== userId) continue;
+        if (type && entry.type !== type) continue;
+        if (typeof entry.value !== 'string' || !entry.value.toLowerCase().includes(needle)) continue;
+        if (entry.permission && !canSee(entry)) continue;
+
+        const key = `${entry.type}:${entry.value}`;
+        let group = groups.get(key);
+        if (!group) {
+            group = { type: entry.type, value: entry.value, count: 0, firstSeen: entry.ts, lastSeen: entry.ts, commands: {}, recent: [] };
+            groups.set(key, group);
+        }
+        group.count++;
+        group.lastSeen = entry.ts;
+        group.commands[entry.command] = (group.commands[entry.command] ?? 0) + 1;
+        group.recent.push(entry);
+        if (group.recent.length > sightings) group.recent.shift();
+    }
+
+    const results = [...groups.values()]
+        .map(group => ({ ...group, recent: group.recent.reverse() }))
+        .sort((a, b) => Number(b.value.toLowerCase() === needle) - Number(a.value.toLowerCase() === needle)
+            || b.lastSeen.localeCompare(a.lastSeen));
+    return { results: results.slice(0, limit), total: results.length };
+}
+
+module.exports = {
+    extractIndicators,
+    payloadTexts,
+    recordIndicators,
+    captureIndicators,
+    searchIndicators,
+    indicatorsFilePath,
+    INDICATOR_TYPES,
+    IGNORED_COMMANDS,
+};
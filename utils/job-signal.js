@@ -0,0 +1,33 @@
+/**
+ * File: utils/job-signal.js
+ * Description: The abort signal of the queued job the caller runs in.
+ *
+ * utils/jobs.js runs each job inside `runWithJobSignal()`; utils/process.js
+ * reads `currentJobSignal()` so a process spawned inside a job is killed when
+ * the job is cancelled. This module has no dependencies, so the low-level
+ * spawn wrapper does not pull in discord.js or the rate limiter.
+ */
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+const JOB_CANCELLED = 'ECANCELLED';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with `signal` as the current job signal for everything it awaits.
+ * @param {AbortSignal} signal
+ * @param {Function} fn
+ */
+function runWithJobSignal(signal, fn) {
+    return storage.run(signal, fn);
+}
+
+/**
+ * Signal of the job the caller runs in, or null outside a job.
+ * @returns {AbortSignal|null}
+ */
+function currentJobSignal() {
+    return storage.getStore() ?? null;
+}
+
+module.exports = { runWithJobSignal, currentJobSignal, JOB_CANCELLED };
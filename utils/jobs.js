@@ -0,0 +1,323 @@
+/**
+ * File: utils/jobs.js
+ * Description: Bounded worker queue for heavy commands (CLI scans).
+ *
+ * Commands in the `heavy` category of utils/ratelimit.js wrap their external
+ * tool run in `runJob()`. At most JOB_CONCURRENCY jobs run at once; the rest
+ * wait in FIFO order while their reply shows the queue position and an ETA
+ * (from the moving average of recent runs of the same command). Commands in
+ * other categories run immediately, unless the call marks the job heavy (an
+ * option that turns a light command into a scan, e.g. generate-usernames `scan`).
+ *
+ * Each job owns an AbortController. `cancelJob()` removes a queued job or
+ * aborts a running one; utils/process.js kills any process spawned inside a
+ * job when its signal aborts (the signal is found through AsyncLocalStorage in
+ * utils/job-signal.js, so the spawn call sites need no extra argument). A cancelled job rejects with
+ * an error whose `code` is JOB_CANCELLED.
+ *
+ * `runJob()` also puts a Cancel button on the command's progress message for
+ * as long as the job is queued or running. Only the invoking user can use it;
+ * anyone else gets an ephemeral refusal.
+ */
+const crypto = require('crypto');
+const { AsyncResource } = require('node:async_hooks');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { COMMAND_CATEGORIES } = require('./ratelimit');
+const { runWithJobSignal, currentJobSignal, JOB_CANCELLED } = require('./job-signal');
+const logger = require('./logger');
+
+const DEFAULT_ESTIMATE_MS = 120000;
+const POSITION_EDIT_INTERVAL_MS = 5000;
+const CANCEL_BUTTON_PREFIX = 'job-cancel:';
+// Interaction tokens expire after 15 minutes; the reply cannot be edited past that.
+const CANCEL_BUTTON_TTL_MS = 15 * 60 * 1000;
+
+function concurrency() {
+    const n = parseInt(process.env.JOB_CONCURRENCY, 10);
+    return n > 0 ? n : 2;
+}
+
+function maxQueued() {
+    const n = parseInt(process.env.JOB_QUEUE_MAX, 10);
+    return n > 0 ? n : 20;
+}
+
+const running = new Map();
+const queued = [];
+const averageMs = new Map();
+
+function newJobId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+function cancelledError() {
+    return Object.assign(new Error('Job cancelled'), { code: JOB_CANCELLED });
+}
+
+/**
+ * Estimated wait before a queued job starts.
+ * @param {number} position - 1-based queue position
+ */
+function estimateWaitMs(position) {
+    const durations = [...running.values(), ...queued.slice(0, position - 1)]
+        .map(job => averageMs.get(job.command) ?? DEFAULT_ESTIMATE_MS);
+    if (durations.length === 0) return 0;
+    const mean = durations.reduce((a, b) => a + b, 0) / durations.length;
+    return Math.ceil(position / concurrency()) * mean;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.max(1, Math.round(ms / 1000));
+    if (seconds < 90) return `${seconds}s`;
+    return `${Math.round(seconds / 60)} min`;
+}
+
+function record(job) {
+    const elapsed = Date.now() - job.startedAt;
+    const prev = averageMs.get(job.command);
+    averageMs.set(job.command, prev === undefined ? elapsed : Math.round(prev * 0.7 + elapsed * 0.3));
+}
+
+function notifyPositions() {
+    queued.forEach((job, i) => job.onPosition?.(i + 1, estimateWaitMs(i + 1)));
+}
+
+function start(job) {
+    job.state = 'running';
+    job.startedAt = Date.now();
+    running.set(job.id, job);
+    job.onStart?.();
+    Promise.resolve().then(job.run)
+        .then(job.resolve, err => job.reject(job.controller.signal.aborted ? cancelledError() : err))
+        .finally(() => {
+            running.delete(job.id);
+            if (!job.controller.signal.aborted) record(job);
+            drain();
+        });
+}
+
+function drain() {
+    while (running.size < concurrency() && queued.length > 0) start(queued.shift());
+    notifyPositions();
+}
+
+/**
+ * Run `fn` as a job: immediately for non-heavy commands, otherwise through the queue.
+ * @param {object} spec
+ * @param {string} [spec.id] - Job id (generated when omitted)
+ * @param {string} spec.command - Command name (decides whether the job is queued)
+ * @param {boolean} [spec.heavy] - Queue even though the command is not in the heavy category
+ * @param {string} spec.userId - Owner; only the owner can cancel
+ * @param {string|null} [spec.guildId]
+ * @param {string} spec.label - Short description shown in /bob-jobs
+ * @param {() => Promise<*>} fn - The work; spawns inside it are cancellable
+ * @param {object} [hooks]
+ * @param {(position: number, etaMs: number) => void} [hooks.onPosition] - Called while queued
+ * @param {() => void} [hooks.onStart]
+ * @returns {Promise<*>} Resolves with fn's result; rejects with code JOB_CANCELLED when cancelled
+ */
+function enqueue({ id, command, userId, guildId = null, label, heavy = false }, fn, { onPosition, onStart } = {}) {
+    if (!heavy && COMMAND_CATEGORIES[command] !== 'heavy') return Promise.resolve().then(fn);
+    if (queued.length >= maxQueued()) {
+        return Promise.reject(Object.assign(new Error('Job queue is full'), { code: 'EQUEUEFULL' }));
+    }
+    return new Promise((resolve, reject) => {
+        const job = {
+            id: id ?? newJobId(),
+            command, userId, guildId, label,
+            state: 'queued',
+            enqueuedAt: Date.now(),
+            startedAt: null,
+            controller: new AbortController(),
+            resolve, reject, onPosition, onStart,
+        };
+        // A job may be started from another job's completion; bind it to the
+        // caller's async context so getContext() (command-context) stays right.
+        job.run = AsyncResource.bind(() => runWithJobSignal(job.controller.signal, fn));
+        queued.push(job);
+        logger.debug({ jobId: job.id, command, userId, queued: queued.length, running: running.size }, 'jobs: enqueued');
+        drain();
+    });
+}
+
+/**
+ * Cancel button on an interaction's reply, bound to one job.
+ * `show()` is idempotent; `remove()` takes the button off again and stops listening.
+ */
+function cancelButton(interaction, jobId) {
+    const customId = `${CANCEL_BUTTON_PREFIX}${jobId}`;
+    let shown = null;
+    let collector = null;
+
+    const onPress = (press) => {
+        if (press.user.id !== interaction.user?.id) {
+            press.reply({ content: '❌ Only the user who started this scan can cancel it.', flags: MessageFlags.Ephemeral })
+                .catch(() => { /* interaction expired */ });
+            return;
+        }
+        cancelJob(press.user.id, jobId);
+        press.update({ components: [] }).catch(() => { /* interaction expired */ });
+    };
+
+    return {
+        show() {
+            const row = new ActionRowBuilder().addComponents(
+                new ButtonBuilder().setCustomId(customId).setLabel('Cancel').setEmoji('🛑').setStyle(ButtonStyle.Danger)
+            );
+            shown ??= interaction.editReply({ components: [row] })
+                .then((message) => {
+                    if (typeof message?.createMessageComponentCollector !== 'function') return;
+                    collector = message.createMessageComponentCollector({
+                        filter: (press) => press.customId === customId,
+                        time: CANCEL_BUTTON_TTL_MS,
+                    });
+                    collector.on('collect', onPress);
+                })
+                .catch(() => { /* token expired */ });
+        },
+        async remove() {
+            if (!shown) return;
+            await shown;
+            collector?.stop();
+            await interaction.editReply({ components: [] }).catch(() => { /* token expired */ });
+        },
+    };
+}
+
+/**
+ * Queue a heavy scan on behalf of an interaction, keeping its reply updated
+ * with the queue position and ETA while it waits, and showing a Cancel
+ * button until the scan ends.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Already deferred
+ * @param {string} label - e.g. `sherlock johndoe`
+ * @param {() => Promise<*>} fn
+ * @param {{ heavy?: boolean }} [opts] - `heavy` queues a command outside the heavy category
+ */
+async function runJob(interaction, label, fn, { heavy = false } = {}) {
+    let lastEdit = 0;
+    let wasQueued = false;
+    const id = newJobId();
+    const button = cancelButton(interaction, id);
+    const edit = (content) => interaction.editReply({ content }).catch(() => { /* token expired */ });
+    try {
+        return await enqueue({
+            id,
+            command: interaction.commandName,
+            userId: interaction.user?.id,
+            guildId: interaction.guild?.id ?? interaction.guildId ?? null,
+            label,
+            heavy,
+        }, fn, {
+            onPosition: (position, etaMs) => {
+                button.show();
+                // Edits are rate-limited by Discord; skip intermediate updates.
+                const now = Date.now();
+                if (wasQueued && now - lastEdit < POSITION_EDIT_INTERVAL_MS && position > 1) return;
+                wasQueued = true;
+                lastEdit = now;
+                edit(`⏳ **Queued:** ${label}\n` +
+                    `Position **${position}** — estimated start in ~${formatDuration(etaMs)}.\n` +
+                    'Press **Cancel** or use `/bob-jobs cancel` to remove it from the queue.');
+            },
+            onStart: () => {
+                button.show();
+                if (wasQueued) edit(`▶️ **Started:** ${label}\nThis may take several minutes.`);
+            },
+        });
+    } finally {
+        // Before the command renders its result, so the button never outlives the scan.
+        await button.remove();
+    }
+}
+
+/**
+ * User-facing reply for queue errors (cancelled, queue full), or null for
+ * any other error so the command's own handler deals with it.
+ * @param {Error} error
+ * @returns {string|null}
+ */
+function jobErrorMessage(error) {
+    if (error?.code === JOB_CANCELLED) return '🛑 **Scan cancelled.** No results were produced.';
+    if (error?.code === 'EQUEUEFULL') {
+        return '⏳ **Scan queue is full.** Too many scans are waiting — please try again in a few minutes.';
+    }
+    return null;
+}
+
+function describe(job, position = null) {
+    return {
+        id: job.id,
+        command: job.command,
+        label: job.label,
+        userId: job.userId,
+        guildId: job.guildId,
+        state: job.state,
+        position,
+        enqueuedAt: job.enqueuedAt,
+        startedAt: job.startedAt,
+    };
+}
+
+/**
+ * Running and queued jobs, optionally limited to one guild.
+ * @param {{ guildId?: string|null }} [filter]
+ */
+function listJobs({ guildId } = {}) {
+    const all = [
+        ...[...running.values()].map(job => describe(job)),
+        ...queued.map((job, i) => describe(job, i + 1)),
+    ];
+    return guildId === undefined ? all : all.filter(job => job.guildId === guildId);
+}
+
+/**
+ * Cancel a job owned by `userId`. Without `jobId`, the user's most recent job.
+ * @returns {{ ok: boolean, job?: object, reason?: string }}
+ */
+function cancelJob(userId, jobId = null) {
+    const mine = [...running.values(), ...queued].filter(job => job.userId === userId);
+    const job = jobId
+        ? mine.find(j => j.id === jobId)
+        : mine.sort((a, b) => b.enqueuedAt - a.enqueuedAt)[0];
+    if (!job) {
+        const exists = jobId && [...running.values(), ...queued].some(j => j.id === jobId);
+        return { ok: false, reason: exists ? 'not_owner' : 'not_found' };
+    }
+    const snapshot = describe(job);
+    job.controller.abort();
+    // The caller hears about it now; a running job keeps its slot until its work settles.
+    job.reject(cancelledError());
+    const index = queued.indexOf(job);
+    if (index !== -1) {
+        queued.splice(index, 1);
+        notifyPositions();
+    }
+    logger.info({ jobId: job.id, command: job.command, userId, state: snapshot.state }, 'jobs: cancelled');
+    return { ok: true, job: snapshot };
+}
+
+/**
+ * Abort everything (shutdown).
+ */
+function cancelAllJobs() {
+    for (const job of queued.splice(0)) {
+        job.controller.abort();
+        job.reject(cancelledError());
+    }
+    for (const job of running.values()) {
+        job.controller.abort();
+        job.reject(cancelledError());
+    }
+}
+
+module.exports = {
+    enqueue,
+    runJob,
+    currentJobSignal,
+    jobErrorMessage,
+    listJobs,
+    cancelJob,
+    cancelAllJobs,
+    formatDuration,
+    JOB_CANCELLED,
+};
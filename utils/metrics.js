@@ -41,6 +41,53 @@ const ratelimitBlocks = new promClient.Counter({
     registers: [registry]
 });
 
+// Read from the quota ledger at scrape time. Unlimited windows report no
+// remaining value; required lazily so loading metrics never touches the ledger.
+const providerQuotaUsed = new promClient.Gauge({
+    name: 'provider_quota_used',
+    help: 'Paid API calls recorded in the current window',
+    labelNames: ['provider', 'window'],
+    registers: [registry],
+    collect() {
+        this.reset();
+        for (const row of require('./quota').getQuotaStatus()) {
+            this.set({ provider: row.provider, window: row.window }, row.used);
+        }
+    }
+});
+
+const providerQuotaRemaining = new promClient.Gauge({
+    name: 'provider_quota_remaining',
+    help: 'Paid API calls left in the current window (budgeted providers only)',
+    labelNames: ['provider', 'window'],
+    registers: [registry],
+    collect() {
+        this.reset();
+        for (const row of require('./quota').getQuotaStatus()) {
+            if (row.remaining !== null) this.set({ provider: row.provider, window: row.window }, row.remaining);
+        }
+    }
+});
+
+// Mirrors the process-local counters kept by utils/response-cache.js.
+function cacheCounter(name, help, field) {
+    return new promClient.Counter({
+        name,
+        help,
+        labelNames: ['provider'],
+        registers: [registry],
+        collect() {
+            this.reset();
+            for (const [provider, counts] of Object.entries(require('./response-cache').getCacheStats())) {
+                this.inc({ provider }, counts[field]);
+            }
+        }
+    });
+}
+
+const providerCacheHits = cacheCounter('provider_cache_hits_total', 'Provider lookups answered from the response cache', 'hits');
+const providerCacheMisses = cacheCounter('provider_cache_misses_total', 'Provider lookups that went to the provider', 'misses');
+
 let _server = null;
 
 /**
@@ -102,6 +149,10 @@ module.exports = {
     commandErrors,
     discordEvents,
     ratelimitBlocks,
+    providerQuotaUsed,
+    providerQuotaRemaining,
+    providerCacheHits,
+    providerCacheMisses,
     startMetricsServer,
     stopMetricsServer
 };
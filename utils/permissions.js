@@ -1,7 +1,26 @@
+/**
+ * File: utils/permissions.js
+ * Description: Command authorization — built-in defaults plus the optional,
+ * hot-reloaded policy file (see utils/policy.js for its format).
+ *
+ * Rules can target a command, a subcommand (`/bob-jwt analyze`) or an option
+ * value (`/bob-ghunt type:login`), so read-only parts of a command can be
+ * opened up without granting the invasive ones. Matching rules are folded
+ * least to most specific: the most specific `permission` wins, allow/deny
+ * lists accumulate. A deny match always blocks; an allow match (or
+ * OSINT_ALLOWED_ROLES) bypasses `permission`.
+ *
+ * ADMIN_ONLY_COMMANDS are the exception: they read the audit trail or change
+ * the policy itself, so they always require Administrator. Neither the policy
+ * file nor OSINT_ALLOWED_ROLES can lower or bypass that; deny lists still apply.
+ */
 const { PermissionFlagsBits } = require('discord.js');
+const { matchRules, policyTarget } = require('./policy');
 
 const RESTRICTED_COMMANDS = {
     'bob-nuclei': PermissionFlagsBits.Administrator,
+    'bob-audit': PermissionFlagsBits.Administrator,
+    'bob-admin': PermissionFlagsBits.Administrator,
     'bob-monitor': PermissionFlagsBits.ManageGuild,
     'bob-rekognition': PermissionFlagsBits.ManageGuild,
     'bob-jwt': PermissionFlagsBits.ManageGuild,
@@ -9,29 +28,137 @@ const RESTRICTED_COMMANDS = {
     'bob-sherlock': PermissionFlagsBits.ManageGuild,
     'bob-maigret': PermissionFlagsBits.ManageGuild,
     'bob-linkook': PermissionFlagsBits.ManageGuild,
+    'bob-username-sweep': PermissionFlagsBits.ManageGuild,
     'bob-xeuledoc': PermissionFlagsBits.ManageGuild
 };
 
+const ADMIN_ONLY_COMMANDS = new Set(['bob-audit', 'bob-admin']);
+
+// Subcommand / option-value refinements of RESTRICTED_COMMANDS.
+const BUILTIN_RULES = {
+    // Decoding a token is harmless; forging and cracking stay restricted.
+    'bob-jwt': { subcommands: { analyze: { permission: null } } },
+    // `login` replaces the bot-wide Google session; checking it reveals nothing.
+    'bob-ghunt': { options: { type: { login: { permission: 'Administrator' }, 'check-login': { permission: null } } } },
+    // Generating is public; scanning the candidates needs the scanner's own permission.
+    'bob-generate-usernames': { options: { scan: { sherlock: { permission: 'ManageGuild' }, maigret: { permission: 'ManageGuild' } } } },
+};
+
+const DENIED = 'You do not have permission to use this command.';
+const LIST_KEYS = ['roles', 'users'];
+
 function getAllowedRoles() {
     const roleIds = process.env.OSINT_ALLOWED_ROLES;
-    return roleIds ? roleIds.split(',').map(id => id.trim()) : [];
+    return roleIds ? roleIds.split(',').map(id => id.trim()).filter(Boolean) : [];
+}
+
+function permissionName(flag) {
+    return Object.keys(PermissionFlagsBits).find(name => PermissionFlagsBits[name] === flag) ?? null;
+}
+
+/**
+ * Built-in rule tree for a command (RESTRICTED_COMMANDS + BUILTIN_RULES).
+ * @returns {object|undefined}
+ */
+function builtInRule(command) {
+    const flag = RESTRICTED_COMMANDS[command];
+    const refinements = BUILTIN_RULES[command];
+    if (!flag && !refinements) return undefined;
+    return { ...(flag ? { permission: permissionName(flag) } : {}), ...refinements };
+}
+
+/**
+ * Effective permission rule for a command invocation.
+ * @param {object} target
+ * @param {string|null} target.guildId
+ * @param {string} target.command
+ * @param {string|null} [target.subcommand] - `sub` or `group sub`
+ * @param {Object<string, *>} [target.options] - Option values, for option-targeted rules
+ * @returns {{ permission: string|null, allow: { roles: string[], users: string[] },
+ *   deny: { roles: string[], users: string[] }, sources: string[] }}
+ */
+function resolveRule(target) {
+    const effective = { permission: null, allow: { roles: [], users: [] }, deny: { roles: [], users: [] }, sources: [] };
+    for (const { source, rule } of matchRules(builtInRule(target.command), target)) {
+        if (rule.permission === undefined && !rule.allow && !rule.deny) continue;
+        effective.sources.push(source);
+        if (rule.permission !== undefined) effective.permission = rule.permission;
+        for (const kind of ['allow', 'deny']) {
+            for (const key of LIST_KEYS) {
+                for (const id of rule[kind]?.[key] ?? []) {
+                    if (!effective[kind][key].includes(id)) effective[kind][key].push(id);
+                }
+            }
+        }
+    }
+    if (ADMIN_ONLY_COMMANDS.has(target.command)) {
+        effective.permission = 'Administrator';
+        effective.allow = { roles: [], users: [] };
+    }
+    return effective;
+}
+
+function hasAnyRole(interaction, roleIds) {
+    return roleIds.length > 0 && interaction.member?.roles?.cache?.some(role => roleIds.includes(role.id)) === true;
 }
 
 function checkPermission(interaction) {
-    const commandName = interaction.commandName;
-    const requiredPerm = RESTRICTED_COMMANDS[commandName];
-    if (!requiredPerm) return { allowed: true };
+    const target = policyTarget(interaction);
+    const rule = resolveRule(target);
+    const userId = interaction.user?.id;
+
+    if ((userId && rule.deny.users.includes(userId)) || hasAnyRole(interaction, rule.deny.roles)) {
+        return { allowed: false, reason: DENIED };
+    }
+    if (!rule.permission) return { allowed: true };
     if (!interaction.guild) {
         return { allowed: false, reason: 'This command can only be used in a server.' };
     }
-    if (interaction.memberPermissions?.has(requiredPerm)) {
-        return { allowed: true };
-    }
-    const allowedRoles = getAllowedRoles();
-    if (allowedRoles.length > 0 && interaction.member?.roles?.cache?.some(role => allowedRoles.includes(role.id))) {
+    const bypassRoles = ADMIN_ONLY_COMMANDS.has(target.command) ? [] : getAllowedRoles();
+    if (userId && rule.allow.users.includes(userId)) return { allowed: true };
+    if (hasAnyRole(interaction, [...rule.allow.roles, ...bypassRoles])) return { allowed: true };
+    if (interaction.memberPermissions?.has(PermissionFlagsBits[rule.permission])) {
         return { allowed: true };
     }
-    return { allowed: false, reason: 'You do not have permission to use this command.' };
+    return { allowed: false, reason: DENIED };
 }
 
-module.exports = { checkPermission, RESTRICTED_COMMANDS };
+/**
+ * Whether the user holds a Discord permission by name, directly or through
+ * OSINT_ALLOWED_ROLES (never for Administrator).
+ * @param {object} interaction
+ * @param {string|null} permission - e.g. `ManageGuild`
+ * @returns {boolean}
+ */
+function holdsPermission(interaction, permission) {
+    if (!permission) return true;
+    if (permission !== 'Administrator' && hasAnyRole(interaction, getAllowedRoles())) return true;
+    return interaction.memberPermissions?.has(PermissionFlagsBits[permission]) === true;
+}
+
+/**
+ * Whether the user may run another command directly, with the same rules as
+ * invoking it (used when one command runs another's tool on its behalf).
+ * @param {object} interaction
+ * @param {string} command - e.g. `bob-sherlock`
+ * @returns {boolean}
+ */
+function toolAllowed(interaction, command) {
+    const asCommand = Object.create(interaction, {
+        commandName: { value: command },
+        options: { value: { getSubcommand: () => null, getSubcommandGroup: () => null, data: [] } },
+    });
+    return checkPermission(asCommand).allowed;
+}
+
+module.exports = {
+    checkPermission,
+    toolAllowed,
+    holdsPermission,
+    resolveRule,
+    builtInRule,
+    getAllowedRoles,
+    RESTRICTED_COMMANDS,
+    ADMIN_ONLY_COMMANDS,
+    BUILTIN_RULES
+};
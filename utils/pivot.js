@@ -0,0 +1,158 @@
+/**
+ * File: utils/pivot.js
+ * Description: One-click pivots from indicators in a bot result to the
+ * commands that investigate them.
+ *
+ * The `Pivot` message context-menu command (commands/pivot.js) finds the
+ * domains, emails and crypto addresses in a result and answers with a row of
+ * buttons per indicator. A button's custom ID carries the pivot itself
+ * (`pivot:<action>:<value>`), so buttons keep working after a restart and no
+ * state is kept. index.js turns a pressed button into a chat-input style
+ * interaction for the target command and routes it like a typed command:
+ * permission, rate limit, quota and audit all apply.
+ *
+ * Pivots:
+ * - domain → /bob-dns, /bob-hostio full, /bob-web-recon
+ * - email → /bob-ghunt type:email
+ * - crypto address → /bob-blockchain address
+ */
+const {
+    ActionRowBuilder, ButtonBuilder, ButtonStyle, ApplicationCommandOptionType,
+    ApplicationCommandType, CommandInteractionOptionResolver
+} = require('discord.js');
+const { extractIndicators, payloadTexts } = require('./indicators');
+
+const PIVOT_PREFIX = 'pivot:';
+const CUSTOM_ID_LIMIT = 100;
+const BUTTON_LABEL_LIMIT = 80;
+// One action row per indicator; Discord allows five rows per message.
+const MAX_PIVOT_INDICATORS = 5;
+
+const string = (name, value) => ({ name, type: ApplicationCommandOptionType.String, value });
+const subcommand = (name, options) => ({ name, type: ApplicationCommandOptionType.Subcommand, options });
+
+// Bitcoin and Litecoin address prefixes, as matched by utils/indicators.js.
+function chainOf(address) {
+    if (address.startsWith('0x')) return 'eth';
+    if (/^[LM]/.test(address)) return 'ltc';
+    return 'btc';
+}
+
+/**
+ * Pivot actions keyed by the short name used in custom IDs. `options` builds
+ * the option data the target command would receive from Discord.
+ */
+const PIVOTS = {
+    dns: {
+        type: 'domain', label: 'DNS', command: 'bob-dns',
+        options: (domain) => [string('domain', domain)],
+    },
+    hostio: {
+        type: 'domain', label: 'host.io', command: 'bob-hostio',
+        options: (domain) => [subcommand('full', [string('domain', domain)])],
+    },
+    recon: {
+        type: 'domain', label: 'Web recon', command: 'bob-web-recon',
+        options: (domain) => [string('domain', domain)],
+    },
+    ghunt: {
+        type: 'email', label: 'GHunt', command: 'bob-ghunt',
+        options: (email) => [string('type', 'email'), string('query', email)],
+    },
+    address: {
+        type: 'crypto', label: 'Address', command: 'bob-blockchain',
+        options: (address) => [subcommand('address', [string('blockchain', chainOf(address)), string('address', address)])],
+    },
+};
+
+const PIVOT_TYPES = [...new Set(Object.values(PIVOTS).map(pivot => pivot.type))];
+// Longest value that still fits a custom ID with any action.
+const MAX_VALUE_LENGTH = CUSTOM_ID_LIMIT - PIVOT_PREFIX.length - 1 - Math.max(...Object.keys(PIVOTS).map(action => action.length));
+
+function customIdFor(action, value) {
+    return `${PIVOT_PREFIX}${action}:${value}`;
+}
+
+/**
+ * Indicators in a message that have at least one pivot, in PIVOT_TYPES order.
+ * @param {import('discord.js').Message|object} message - Anything with content / embeds
+ * @returns {Array<{ type: string, value: string }>}
+ */
+function pivotTargets(message) {
+    const found = payloadTexts(message).flatMap(extractIndicators);
+    const seen = new Set();
+    return PIVOT_TYPES.flatMap(type => found.filter(indicator => {
+        const key = `${indicator.type}:${indicator.value}`;
+        if (indicator.type !== type || seen.has(key)) return false;
+        seen.add(key);
+        return indicator.value.length <= MAX_VALUE_LENGTH;
+    })).slice(0, MAX_PIVOT_INDICATORS);
+}
+
+/**
+ * One row of pivot buttons per indicator.
+ * @param {Array<{ type: string, value: string }>} indicators - From pivotTargets()
+ * @returns {ActionRowBuilder[]}
+ */
+function pivotComponents(indicators) {
+    return indicators.map(({ type, value }) => new ActionRowBuilder().addComponents(
+        Object.entries(PIVOTS)
+            .filter(([, pivot]) => pivot.type === type)
+            .map(([action, pivot]) => new ButtonBuilder()
+                .setCustomId(customIdFor(action, value))
+                .setLabel(`${pivot.label} · ${value}`.slice(0, BUTTON_LABEL_LIMIT))
+                .setStyle(ButtonStyle.Secondary))
+    ));
+}
+
+function isPivotButton(customId) {
+    return typeof customId === 'string' && customId.startsWith(PIVOT_PREFIX);
+}
+
+/**
+ * Decode a pivot button. The value is validated again, so a forged or stale
+ * custom ID cannot smuggle arbitrary input into a command.
+ * @param {string} customId
+ * @returns {{ action: string, value: string }|null} Null when not a valid pivot
+ */
+function parsePivotId(customId) {
+    if (!isPivotButton(customId)) return null;
+    const rest = customId.slice(PIVOT_PREFIX.length);
+    const separator = rest.indexOf(':');
+    if (separator === -1) return null;
+    const action = rest.slice(0, separator);
+    const value = rest.slice(separator + 1);
+    const pivot = Object.prototype.hasOwnProperty.call(PIVOTS, action) ? PIVOTS[action] : null;
+    if (!pivot) return null;
+    const valid = extractIndicators(value).some(indicator => indicator.type === pivot.type && indicator.value === value);
+    return valid ? { action, value } : null;
+}
+
+/**
+ * The button press, dressed as the target command's chat-input interaction.
+ * Replies go to the button interaction; everything else is inherited from it.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {{ action: string, value: string }} pivot - From parsePivotId()
+ * @returns {import('discord.js').ChatInputCommandInteraction}
+ */
+function pivotInteraction(interaction, { action, value }) {
+    const pivot = PIVOTS[action];
+    const options = new CommandInteractionOptionResolver(interaction.client, pivot.options(value));
+    return Object.create(interaction, {
+        commandName: { value: pivot.command },
+        commandType: { value: ApplicationCommandType.ChatInput },
+        options: { value: options },
+        isChatInputCommand: { value: () => true },
+        isButton: { value: () => false },
+    });
+}
+
+module.exports = {
+    PIVOTS,
+    PIVOT_PREFIX,
+    pivotTargets,
+    pivotComponents,
+    isPivotButton,
+    parsePivotId,
+    pivotInteraction,
+};
@@ -0,0 +1,311 @@
+/**
+ * File: utils/policy.js
+ * Description: Operator policy file — loading, validation and rule matching
+ * shared by utils/permissions.js and utils/ratelimit.js.
+ *
+ * The policy file (PERMISSION_POLICY_FILE, default ./permissions.json; see
+ * permissions.example.json) is a tree of rules:
+ *
+ *   {
+ *     "version": 1,
+ *     "commands": { "<command>": <rule> },                     // every guild
+ *     "guilds": { "<guildId>": { "commands": { "<command>": <rule> } } }
+ *   }
+ *
+ *   <rule> = {
+ *     "permission": "ManageGuild" | null,   // Discord permission flag, null = none
+ *     "allow": { "roles": [ids], "users": [ids] },
+ *     "deny":  { "roles": [ids], "users": [ids] },
+ *     "cooldown": "heavy" | "medium" | "light" | <seconds>,
+ *     "subcommands": { "<subcommand>" | "<group> <subcommand>": <rule> },
+ *     "options": { "<option>": { "<value>": <rule> } }
+ *   }
+ *
+ * Subcommand rules may carry `options` but not nested `subcommands`; option
+ * rules carry neither.
+ *
+ * `matchRules()` returns every rule that applies to an invocation, least
+ * specific first: built-in tree, then the policy's global tree, then the
+ * guild's tree — each expanded as command → command options → subcommand →
+ * subcommand options. Consumers decide how to fold the layers.
+ *
+ * The file is re-read whenever its mtime or size changes. A policy that fails
+ * validation is logged and ignored; the last good policy (or none) stays in
+ * effect.
+ */
+const fs = require('fs');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const { collectOptions } = require('./command-context');
+const logger = require('./logger');
+
+const SNOWFLAKE = /^\d{17,20}$/;
+const COOLDOWN_CATEGORIES = ['heavy', 'medium', 'light'];
+const MAX_COOLDOWN_SECONDS = 86400;
+const LIST_KEYS = ['roles', 'users'];
+
+function policyFilePath() {
+    return process.env.PERMISSION_POLICY_FILE
+        ? path.resolve(process.env.PERMISSION_POLICY_FILE)
+        : path.join(__dirname, '..', 'permissions.json');
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function validateList(list, where, errors) {
+    if (list === undefined) return;
+    if (!isPlainObject(list)) {
+        errors.push(`${where}: must be an object with "roles" and/or "users"`);
+        return;
+    }
+    for (const [key, ids] of Object.entries(list)) {
+        if (!LIST_KEYS.includes(key)) errors.push(`${where}.${key}: unknown key`);
+        else if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' && SNOWFLAKE.test(id))) {
+            errors.push(`${where}.${key}: must be an array of Discord ID strings`);
+        }
+    }
+}
+
+// depth 0 = command rule, 1 = subcommand rule, 2 = option-value rule
+function validateRule(rule, where, errors, depth = 0) {
+    if (!isPlainObject(rule)) {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+    const allowed = ['permission', 'allow', 'deny', 'cooldown'];
+    if (depth === 0) allowed.push('subcommands');
+    if (depth < 2) allowed.push('options');
+    for (const key of Object.keys(rule)) {
+        if (!allowed.includes(key)) errors.push(`${where}.${key}: unknown key`);
+    }
+    if (rule.permission !== undefined && rule.permission !== null && !Object.hasOwn(PermissionFlagsBits, rule.permission)) {
+        errors.push(`${where}.permission: unknown Discord permission "${rule.permission}"`);
+    }
+    if (rule.cooldown !== undefined && !COOLDOWN_CATEGORIES.includes(rule.cooldown)
+        && !(Number.isInteger(rule.cooldown) && rule.cooldown >= 0 && rule.cooldown <= MAX_COOLDOWN_SECONDS)) {
+        errors.push(`${where}.cooldown: must be ${COOLDOWN_CATEGORIES.join('/')} or whole seconds (0-${MAX_COOLDOWN_SECONDS})`);
+    }
+    validateList(rule.allow, `${where}.allow`, errors);
+    validateList(rule.deny, `${where}.deny`, errors);
+    if (depth === 0 && rule.subcommands !== undefined) {
+        if (!isPlainObject(rule.subcommands)) errors.push(`${where}.subcommands: must be an object`);
+        else {
+            for (const [name, sub] of Object.entries(rule.subcommands)) {
+                validateRule(sub, `${where}.subcommands.${name}`, errors, 1);
+            }
+        }
+    }
+    if (depth < 2 && rule.options !== undefined) {
+        if (!isPlainObject(rule.options)) errors.push(`${where}.options: must be an object`);
+        else {
+            for (const [name, values] of Object.entries(rule.options)) {
+                if (!isPlainObject(values)) {
+                    errors.push(`${where}.options.${name}: must map option values to rules`);
+                    continue;
+                }
+                for (const [value, valueRule] of Object.entries(values)) {
+                    validateRule(valueRule, `${where}.options.${name}.${value}`, errors, 2);
+                }
+            }
+        }
+    }
+}
+
+function validateCommands(commands, where, errors) {
+    if (commands === undefined) return;
+    if (!isPlainObject(commands)) {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+    for (const [name, rule] of Object.entries(commands)) {
+        validateRule(rule, `${where}.${name}`, errors);
+    }
+}
+
+/**
+ * Validate a parsed policy document.
+ * @param {*} policy
+ * @returns {string[]} Problems found; empty when the policy is usable
+ */
+function validatePolicy(policy) {
+    const errors = [];
+    if (!isPlainObject(policy)) return ['policy: must be a JSON object'];
+    for (const key of Object.keys(policy)) {
+        if (!['version', 'commands', 'guilds'].includes(key)) errors.push(`${key}: unknown key`);
+    }
+    if (policy.version !== undefined && policy.version !== 1) errors.push('version: only version 1 is supported');
+    validateCommands(policy.commands, 'commands', errors);
+    if (policy.guilds !== undefined) {
+        if (!isPlainObject(policy.guilds)) {
+            errors.push('guilds: must be an object');
+        } else {
+            for (const [guildId, guild] of Object.entries(policy.guilds)) {
+                if (!SNOWFLAKE.test(guildId)) errors.push(`guilds.${guildId}: key must be a guild ID`);
+                if (!isPlainObject(guild)) {
+                    errors.push(`guilds.${guildId}: must be an object`);
+                    continue;
+                }
+                for (const key of Object.keys(guild)) {
+                    if (key !== 'commands') errors.push(`guilds.${guildId}.${key}: unknown key`);
+                }
+                validateCommands(guild.commands, `guilds.${guildId}.commands`, errors);
+            }
+        }
+    }
+    return errors;
+}
+
+// ---------------------------------------------------------------------------
+// Loading (hot reload on change)
+// ---------------------------------------------------------------------------
+
+const state = {
+    policy: null,     // last good policy, or null when none is loaded
+    file: null,
+    signature: null,  // `${mtimeMs}:${size}` of the file last attempted
+    loadedAt: null,
+    error: false,     // true when the most recent load attempt failed
+};
+
+/**
+ * The current policy, reloaded if the file changed. Null when there is none.
+ */
+function currentPolicy() {
+    const file = policyFilePath();
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (err) {
+        if (err.code !== 'ENOENT') logger.warn({ err, file }, 'policy: cannot stat policy file');
+        if (state.file !== file || state.signature !== null) {
+            Object.assign(state, { policy: null, file, signature: null, loadedAt: null, error: false });
+        }
+        return null;
+    }
+
+    const signature = `${stat.mtimeMs}:${stat.size}`;
+    if (state.file === file && state.signature === signature) return state.policy;
+
+    if (state.file !== file) state.policy = null;
+    state.file = file;
+    state.signature = signature;
+    try {
+        const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const errors = validatePolicy(policy);
+        if (errors.length) {
+            logger.error({ file, errors }, 'policy: invalid policy file, keeping previous policy');
+            state.error = true;
+            return state.policy;
+        }
+        Object.assign(state, { policy, loadedAt: new Date().toISOString(), error: false });
+        logger.info({ file }, 'policy: policy loaded');
+    } catch (err) {
+        logger.error({ err, file }, 'policy: failed to read policy file, keeping previous policy');
+        state.error = true;
+    }
+    return state.policy;
+}
+
+/**
+ * Where the policy comes from and whether it loaded.
+ * @returns {{ file: string, loaded: boolean, loadedAt: string|null, error: boolean }}
+ */
+function getPolicyStatus() {
+    currentPolicy();
+    return { file: policyFilePath(), loaded: state.policy !== null, loadedAt: state.loadedAt, error: state.error };
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+/**
+ * What an interaction targets, in the shape rules are matched against.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {{ guildId: string|null, command: string, subcommand: string|null, options: Object<string, *> }}
+ */
+function policyTarget(interaction) {
+    const sub = interaction.options?.getSubcommand?.(false) ?? null;
+    const group = interaction.options?.getSubcommandGroup?.(false) ?? null;
+    return {
+        guildId: interaction.guild?.id ?? interaction.guildId ?? null,
+        command: interaction.commandName,
+        subcommand: sub && group ? `${group} ${sub}` : sub,
+        options: collectOptions(interaction.options?.data),
+    };
+}
+
+function optionLayers(node, source, scope, options, out) {
+    for (const [name, values] of Object.entries(node.options ?? {})) {
+        const value = options?.[name];
+        if (value === undefined || value === null || typeof value === 'object') continue;
+        const rule = values[String(value)];
+        if (rule) out.push({ source: `${source} option`, scope: `${scope} ${name}=${value}`, rule });
+    }
+}
+
+/**
+ * Every rule that applies to a target, least specific first.
+ * @param {object|undefined} builtIn - The consumer's built-in rule for the command
+ * @param {{ guildId?: string|null, command: string, subcommand?: string|null, options?: object }} target
+ * @returns {Array<{ source: string, scope: string, rule: object }>}
+ *   `source` names the tree and level (e.g. "guild subcommand"); `scope` is
+ *   the narrowest thing the rule targets (e.g. "bob-jwt crack", "bob-ghunt type=login").
+ */
+function matchRules(builtIn, { guildId = null, command, subcommand = null, options = {} }) {
+    const policy = currentPolicy();
+    const trees = [
+        ['built-in', builtIn],
+        ['policy', policy?.commands?.[command]],
+        ['guild', guildId ? policy?.guilds?.[guildId]?.commands?.[command] : undefined],
+    ];
+
+    const out = [];
+    for (const [source, node] of trees) {
+        if (!node) continue;
+        out.push({ source, scope: command, rule: node });
+        optionLayers(node, source, command, options, out);
+        const sub = subcommand ? node.subcommands?.[subcommand] : undefined;
+        if (sub) {
+            const scope = `${command} ${subcommand}`;
+            out.push({ source: `${source} subcommand`, scope, rule: sub });
+            optionLayers(sub, `${source} subcommand`, scope, options, out);
+        }
+    }
+    return out;
+}
+
+/**
+ * Option values that have rules of their own for a command (or one of its
+ * subcommands), across the built-in and policy trees. Used to display them.
+ * @returns {Array<{ option: string, value: string }>}
+ */
+function listOptionTargets(builtIn, { guildId = null, command, subcommand = null }) {
+    const policy = currentPolicy();
+    const nodes = [builtIn, policy?.commands?.[command], guildId ? policy?.guilds?.[guildId]?.commands?.[command] : undefined];
+    const seen = new Map();
+    for (const node of nodes) {
+        const level = subcommand ? node?.subcommands?.[subcommand] : node;
+        for (const [option, values] of Object.entries(level?.options ?? {})) {
+            for (const value of Object.keys(values)) seen.set(`${option}=${value}`, { option, value });
+        }
+    }
+    return [...seen.values()];
+}
+
+module.exports = {
+    currentPolicy,
+    validatePolicy,
+    getPolicyStatus,
+    policyFilePath,
+    policyTarget,
+    matchRules,
+    listOptionTargets,
+    COOLDOWN_CATEGORIES,
+};
@@ -5,10 +5,98 @@
  *
  * All external command execution MUST use these utilities instead of
  * string-interpolated shell calls to prevent command injection vulnerabilities.
+ *
+ * Both functions accept an AbortSignal (`options.signal`). Aborting it
+ * terminates the process with the same SIGTERM → SIGKILL escalation as a
+ * timeout, and the promise rejects with code ECANCELLED. A process started
+ * inside a queued job (utils/jobs.js) also listens to that job's signal, so
+ * `/bob-jobs cancel` and the Cancel button reach it without extra wiring.
+ *
+ * `options.onLine` is called with each complete stdout line as it arrives, so
+ * commands can report progress before the tool exits. It is a tap: output
+ * is still buffered (or written to file) and limited exactly as without it.
  */
 
 const { spawn } = require('child_process');
 const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { currentJobSignal, JOB_CANCELLED } = require('./job-signal');
+
+const KILL_GRACE_MS = 5000;
+const MAX_LINE_LENGTH = 64 * 1024;
+
+/**
+ * SIGTERM now, SIGKILL if the process is still around after the grace period.
+ */
+function terminate(proc) {
+    proc.kill('SIGTERM');
+    setTimeout(() => {
+        try { if (!proc.killed) proc.kill('SIGKILL'); } catch { /* process already exited */ }
+    }, KILL_GRACE_MS);
+}
+
+/**
+ * Split a stdout stream into lines for `onLine`. A line longer than
+ * MAX_LINE_LENGTH is delivered truncated; callback errors are swallowed so a
+ * progress bug cannot fail the scan.
+ * @param {((line: string) => void)|undefined} onLine
+ * @returns {{ push: (chunk: Buffer) => void, flush: () => void }}
+ */
+function lineSplitter(onLine) {
+    if (typeof onLine !== 'function') return { push: () => {}, flush: () => {} };
+    const decoder = new StringDecoder('utf8');
+    let partial = '';
+    const emit = (line) => {
+        try { onLine(line.replace(/\r$/, '')); } catch { /* progress callbacks are best-effort */ }
+    };
+    return {
+        push(chunk) {
+            const lines = (partial + decoder.write(chunk)).split('\n');
+            partial = lines.pop();
+            if (partial.length > MAX_LINE_LENGTH) {
+                emit(partial.slice(0, MAX_LINE_LENGTH));
+                partial = '';
+            }
+            lines.forEach(emit);
+        },
+        flush() {
+            partial += decoder.end();
+            if (partial) emit(partial);
+            partial = '';
+        },
+    };
+}
+
+function cancelledError() {
+    return Object.assign(new Error('Process cancelled'), { code: JOB_CANCELLED });
+}
+
+/**
+ * The caller's signal plus the enclosing job's, whichever are present.
+ * @param {AbortSignal} [signal]
+ * @returns {AbortSignal[]}
+ */
+function cancellationSignals(signal) {
+    return [signal, currentJobSignal()].filter(Boolean);
+}
+
+/**
+ * Kill `proc` when any of `signals` aborts.
+ * @param {ChildProcess} proc
+ * @param {AbortSignal[]} signals - None may be aborted yet (checked before spawning)
+ * @param {(err: Error) => void} onCancel - Called once, after termination starts
+ * @returns {() => void} Detaches the listeners
+ */
+function bindCancellation(proc, signals, onCancel) {
+    const abort = () => {
+        detach();
+        terminate(proc);
+        onCancel(cancelledError());
+    };
+    const detach = () => signals.forEach(s => s.removeEventListener('abort', abort));
+    signals.forEach(s => s.addEventListener('abort', abort, { once: true }));
+    return detach;
+}
 
 /**
  * Create a minimal environment for child processes.
@@ -27,7 +115,7 @@ function getSafeEnv() {
  * Safely run an external command using spawn (no shell).
  * @param {string} command - Path to binary
  * @param {string[]} args - Array of arguments (NOT interpolated into a shell string)
- * @param {object} options - { timeout, maxBuffer, cwd, env }
+ * @param {object} options - { timeout, maxBuffer, cwd, env, signal, onLine }
  * @returns {Promise<{ stdout: string, stderr: string, code: number }>}
  */
 function safeSpawn(command, args = [], options = {}) {
@@ -35,9 +123,14 @@ function safeSpawn(command, args = [], options = {}) {
         timeout = 300000,
         maxBuffer = 10 * 1024 * 1024,
         cwd,
-        env = getSafeEnv()
+        env = getSafeEnv(),
+        signal,
+        onLine
     } = options;
 
+    const signals = cancellationSignals(signal);
+    if (signals.some(s => s.aborted)) return Promise.reject(cancelledError());
+
     return new Promise((resolve, reject) => {
         const proc = spawn(command, args, {
             cwd,
@@ -49,13 +142,16 @@ function safeSpawn(command, args = [], options = {}) {
         let stdout = '';
         let stderr = '';
         let killed = false;
+        const lines = lineSplitter(onLine);
 
         proc.stdout.on('data', (data) => {
             stdout += data.toString();
             if (stdout.length > maxBuffer) {
                 proc.kill('SIGTERM');
                 reject(new Error('Output exceeded maximum buffer size'));
+                return;
             }
+            lines.push(data);
         });
 
         const MAX_STDERR = 1024 * 1024; // 1MB
@@ -67,15 +163,20 @@ function safeSpawn(command, args = [], options = {}) {
 
         const timeoutId = setTimeout(() => {
             killed = true;
-            proc.kill('SIGTERM');
-            setTimeout(() => {
-                try { if (!proc.killed) proc.kill('SIGKILL'); } catch { /* process already exited */ }
-            }, 5000);
+            terminate(proc);
             reject(new Error(`Process timed out after ${timeout / 1000} seconds`));
         }, timeout);
 
+        const detachCancel = bindCancellation(proc, signals, (err) => {
+            killed = true;
+            clearTimeout(timeoutId);
+            reject(err);
+        });
+
         proc.on('close', (code) => {
             clearTimeout(timeoutId);
+            detachCancel();
+            lines.flush();
             if (!killed) {
                 resolve({ stdout, stderr, code: code ?? 0 });
             }
@@ -83,6 +184,7 @@ function safeSpawn(command, args = [], options = {}) {
 
         proc.on('error', (error) => {
             clearTimeout(timeoutId);
+            detachCancel();
             reject(new Error(`Failed to start process: ${error.message}`));
         });
     });
@@ -102,9 +204,14 @@ function safeSpawnToFile(command, args = [], outputFilePath, options = {}) {
         cwd,
         env = getSafeEnv(),
         maxFileSize = 50 * 1024 * 1024, // 50MB default
-        input // optional string written to child stdin then closed
+        input, // optional string written to child stdin then closed
+        signal,
+        onLine
     } = options;
 
+    const signals = cancellationSignals(signal);
+    if (signals.some(s => s.aborted)) return Promise.reject(cancelledError());
+
     return new Promise((resolve, reject) => {
         const outStream = fs.createWriteStream(outputFilePath);
         const proc = spawn(command, args, {
@@ -123,6 +230,7 @@ function safeSpawnToFile(command, args = [], outputFilePath, options = {}) {
         let killed = false;
         let bytesWritten = 0;
         const MAX_STDERR = 1024 * 1024; // 1MB
+        const lines = lineSplitter(onLine);
 
         proc.stdout.on('data', (chunk) => {
             bytesWritten += chunk.length;
@@ -134,6 +242,7 @@ function safeSpawnToFile(command, args = [], outputFilePath, options = {}) {
                 return;
             }
             outStream.write(chunk);
+            lines.push(chunk);
         });
 
         proc.stderr.on('data', (data) => {
@@ -144,15 +253,20 @@ function safeSpawnToFile(command, args = [], outputFilePath, options = {}) {
 
         const timeoutId = setTimeout(() => {
             killed = true;
-            proc.kill('SIGTERM');
-            setTimeout(() => {
-                try { if (!proc.killed) proc.kill('SIGKILL'); } catch { /* process already exited */ }
-            }, 5000);
+            terminate(proc);
             reject(new Error(`Process timed out after ${timeout / 1000} seconds`));
         }, timeout);
 
+        const detachCancel = bindCancellation(proc, signals, (err) => {
+            killed = true;
+            clearTimeout(timeoutId);
+            reject(err);
+        });
+
         proc.on('close', (code) => {
             clearTimeout(timeoutId);
+            detachCancel();
+            lines.flush();
             outStream.end();
             if (!killed) {
                 resolve({ stderr, code: code ?? 0 });
@@ -161,6 +275,7 @@ function safeSpawnToFile(command, args = [], outputFilePath, options = {}) {
 
         proc.on('error', (error) => {
             clearTimeout(timeoutId);
+            detachCancel();
             outStream.end();
             reject(new Error(`Failed to start process: ${error.message}`));
         });
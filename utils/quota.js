@@ -0,0 +1,253 @@
+/**
+ * File: utils/quota.js
+ * Description: Per-provider API quota ledger with daily/monthly budgets.
+ *
+ * Every outbound request to a paid provider is counted here, centrally: index.js
+ * installs `installQuotaInterceptor()` on the shared axios instance, which maps
+ * the request host to a provider, records one call and rejects the request
+ * (error code EQUOTA) once a budget is exhausted. Commands never call the
+ * ledger themselves.
+ *
+ * Because commands turn request failures into their own generic messages, the
+ * router also runs `checkCommandQuota()` before a command starts, so a user
+ * whose command would hit an exhausted provider gets a clear refusal instead.
+ *
+ * Budgets come from env: QUOTA_<PROVIDER>_DAILY and QUOTA_<PROVIDER>_MONTHLY
+ * (e.g. QUOTA_WHOXY_MONTHLY=1000). Unset means unlimited — calls are still
+ * counted. Windows are UTC calendar days and months. Crossing
+ * QUOTA_ALERT_THRESHOLD (default 0.8) of a budget logs one warning per window;
+ * utils/metrics.js exports the ledger as Prometheus gauges.
+ *
+ * The ledger persists in the `quota-ledger` store (utils/datastore.js) so a
+ * restart does not forget what was spent this month.
+ */
+const { readStore, writeStore } = require('./datastore');
+const logger = require('./logger');
+
+const STORE_NAME = 'quota-ledger';
+
+const PROVIDERS = {
+    // Hosts match themselves and their subdomains (testnet APIs share the key).
+    whoxy: { label: 'Whoxy', hosts: ['api.whoxy.com'] },
+    hostio: { label: 'host.io', hosts: ['host.io'] },
+    pappers: { label: 'Pappers', hosts: ['api.pappers.in', 'api.pappers.fr'] },
+    aviationstack: { label: 'AviationStack', hosts: ['api.aviationstack.com'] },
+    airportdb: { label: 'AirportDB', hosts: ['airportdb.io'] },
+    etherscan: { label: 'Etherscan', hosts: ['etherscan.io'] },
+    bscscan: { label: 'BscScan', hosts: ['bscscan.com'] },
+    polygonscan: { label: 'PolygonScan', hosts: ['polygonscan.com'] },
+    dnsdumpster: { label: 'DNSDumpster', hosts: ['api.dnsdumpster.com'] },
+    virustotal: { label: 'VirusTotal', hosts: ['www.virustotal.com'] },
+    '1minai': { label: '1min.ai', hosts: ['api.1min.ai'] },
+};
+
+// Providers a command may call, for the pre-flight check in the router.
+// A function receives the invocation's options (for commands with a keyless mode).
+const COMMAND_PROVIDERS = {
+    'bob-whoxy': ['whoxy'],
+    'bob-hostio': ['hostio'],
+    'bob-pappers': ['pappers'],
+    'bob-flight': ['aviationstack'],
+    'bob-airport': ['airportdb'],
+    'bob-blockchain': ['etherscan', 'bscscan', 'polygonscan'],
+    'bob-dns': (opts) => (opts.mode === 'dnsdumpster' ? ['dnsdumpster'] : []),
+    'bob-chat': ['1minai'],
+    'bob-upload': ['1minai'],
+};
+
+const WINDOWS = ['daily', 'monthly'];
+
+function windowKeys(date = new Date()) {
+    const iso = date.toISOString();
+    return { daily: iso.slice(0, 10), monthly: iso.slice(0, 7) };
+}
+
+function nextReset(window, date = new Date()) {
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth();
+    const next = window === 'daily' ? new Date(Date.UTC(y, m, date.getUTCDate() + 1)) : new Date(Date.UTC(y, m + 1, 1));
+    return next.toISOString().slice(0, 10);
+}
+
+function envName(provider) {
+    return provider.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Configured budgets for a provider; null means unlimited.
+ * @returns {{ daily: number|null, monthly: number|null }}
+ */
+function getBudgets(provider) {
+    const out = {};
+    for (const window of WINDOWS) {
+        const raw = process.env[`QUOTA_${envName(provider)}_${window.toUpperCase()}`];
+        const n = raw === undefined || raw === '' ? NaN : Number(raw);
+        out[window] = Number.isInteger(n) && n >= 0 ? n : null;
+    }
+    return out;
+}
+
+function alertThreshold() {
+    const t = Number(process.env.QUOTA_ALERT_THRESHOLD);
+    return t > 0 && t <= 1 ? t : 0.8;
+}
+
+// ---------------------------------------------------------------------------
+// Ledger
+// ---------------------------------------------------------------------------
+
+let ledger = null;
+
+function load() {
+    if (ledger) return ledger;
+    const stored = readStore(STORE_NAME, null);
+    ledger = stored && typeof stored.providers === 'object' ? stored : { version: 1, providers: {} };
+    return ledger;
+}
+
+// Counters for the current windows, rolled over when a window changes.
+function countersFor(provider, keys) {
+    const providers = load().providers;
+    const entry = providers[provider] ?? (providers[provider] = {});
+    for (const window of WINDOWS) {
+        if (!entry[window] || entry[window].key !== keys[window]) {
+            entry[window] = { key: keys[window], used: 0, alerted: false };
+        }
+    }
+    return entry;
+}
+
+function exhaustedWindow(entry, budgets, units) {
+    return WINDOWS.find(w => budgets[w] !== null && entry[w].used + units > budgets[w]) ?? null;
+}
+
+function refusal(provider, window, budgets, date) {
+    const label = PROVIDERS[provider]?.label ?? provider;
+    const period = window === 'daily' ? 'daily' : 'monthly';
+    return `The ${period} ${label} budget (${budgets[window]} calls) is used up. It resets on ${nextReset(window, date)} (UTC).`;
+}
+
+/**
+ * Whether a provider has budget left, without recording anything.
+ * @param {string} provider
+ * @param {number} [units=1]
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function checkQuota(provider, units = 1, date = new Date()) {
+    const budgets = getBudgets(provider);
+    const entry = countersFor(provider, windowKeys(date));
+    const window = exhaustedWindow(entry, budgets, units);
+    return window ? { allowed: false, reason: refusal(provider, window, budgets, date) } : { allowed: true };
+}
+
+/**
+ * Atomically check a provider's budgets and record `units` calls if allowed.
+ * @param {string} provider - Key of PROVIDERS
+ * @param {number} [units=1]
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function consumeQuota(provider, units = 1, date = new Date()) {
+    const budgets = getBudgets(provider);
+    const entry = countersFor(provider, windowKeys(date));
+    const window = exhaustedWindow(entry, budgets, units);
+    if (window) return { allowed: false, reason: refusal(provider, window, budgets, date) };
+
+    const threshold = alertThreshold();
+    for (const w of WINDOWS) {
+        entry[w].used += units;
+        if (budgets[w] !== null && !entry[w].alerted && entry[w].used >= budgets[w] * threshold) {
+            entry[w].alerted = true;
+            logger.warn({ provider, window: w, used: entry[w].used, budget: budgets[w] }, 'quota: provider budget nearly exhausted');
+        }
+    }
+    writeStore(STORE_NAME, ledger);
+    return { allowed: true };
+}
+
+/**
+ * Pre-flight for the router: is every provider this command may call within budget?
+ * @param {string} commandName
+ * @param {Object<string, *>} [options] - Option values of the invocation
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function checkCommandQuota(commandName, options = {}) {
+    const entry = COMMAND_PROVIDERS[commandName] ?? [];
+    const providers = typeof entry === 'function' ? entry(options) : entry;
+    // A command that can use several providers is refused only if all are exhausted.
+    const results = providers.map(p => checkQuota(p));
+    if (results.length === 0 || results.some(r => r.allowed)) return { allowed: true };
+    return results[0];
+}
+
+/**
+ * Current usage and remaining budget of every known provider.
+ * @returns {Array<{ provider: string, window: string, used: number, budget: number|null, remaining: number|null }>}
+ */
+function getQuotaStatus(date = new Date()) {
+    const keys = windowKeys(date);
+    const rows = [];
+    for (const provider of Object.keys(PROVIDERS)) {
+        const budgets = getBudgets(provider);
+        const entry = countersFor(provider, keys);
+        for (const window of WINDOWS) {
+            const budget = budgets[window];
+            rows.push({ provider, window, used: entry[window].used, budget, remaining: budget === null ? null : Math.max(0, budget - entry[window].used) });
+        }
+    }
+    return rows;
+}
+
+// ---------------------------------------------------------------------------
+// axios integration
+// ---------------------------------------------------------------------------
+
+/**
+ * Provider for a request URL, or null for unmetered hosts.
+ * @param {string} url
+ * @param {string} [baseURL]
+ */
+function providerForUrl(url, baseURL) {
+    let host;
+    try {
+        host = new URL(url, baseURL).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+    for (const [provider, { hosts }] of Object.entries(PROVIDERS)) {
+        if (hosts.some(h => host === h || host.endsWith(`.${h}`))) return provider;
+    }
+    return null;
+}
+
+/**
+ * Count every request an axios instance makes to a metered provider.
+ * Requests over budget are rejected with an error whose `code` is 'EQUOTA'.
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @returns {number} Interceptor id
+ */
+function installQuotaInterceptor(axiosInstance) {
+    return axiosInstance.interceptors.request.use((config) => {
+        // HEAD probes (/bob-health) carry no API key and are not billed.
+        if (String(config.method).toLowerCase() === 'head') return config;
+        const provider = providerForUrl(config.url, config.baseURL);
+        if (!provider) return config;
+        const result = consumeQuota(provider);
+        if (!result.allowed) {
+            logger.warn({ provider }, 'quota: request refused, budget exhausted');
+            throw Object.assign(new Error(result.reason), { code: 'EQUOTA', provider });
+        }
+        return config;
+    });
+}
+
+module.exports = {
+    consumeQuota,
+    checkQuota,
+    checkCommandQuota,
+    getQuotaStatus,
+    getBudgets,
+    providerForUrl,
+    installQuotaInterceptor,
+    PROVIDERS,
+    COMMAND_PROVIDERS,
+};
@@ -0,0 +1,261 @@
+/**
+ * File: utils/ratelimit-store.js
+ * Description: Storage backends for utils/ratelimit.js.
+ *
+ * A store owns the per-user cooldown expiries and daily counters and exposes
+ * one operation, `take()`, which checks AND records a use in a single atomic
+ * step. That is what keeps checkRateLimit() free of TOCTOU races: no caller
+ * ever sees state between the check and the record.
+ *
+ *   take(userId, { scope, cooldownMs, dailyLimit, now, today })
+ *     → Promise<{ limited: false }
+ *     | { limited: true, kind: 'daily' }
+ *     | { limited: true, kind: 'cooldown', retryAfterMs }>
+ *   prune(now, today) → Promise — drop expired cooldowns and previous days' counters
+ *
+ * Backends:
+ * - memory: process-local Maps. Fast; resets on restart; one replica only.
+ * - file:   one JSON file, read-modify-written under an exclusive lock file.
+ *           Survives restarts and can be shared by replicas on the same
+ *           host or volume. The lock is held for one read and one write;
+ *           waiting for it uses timers, never blocks the event loop. The
+ *           lock file names its holder (host, PID, time taken): a lock whose
+ *           process died on this host is reclaimed at once, any other after
+ *           LOCK_STALE_MS, by an atomic rename so only one replica wins.
+ *
+ * Select with RATE_LIMIT_STORE=memory|file (default memory) and
+ * RATE_LIMIT_FILE (default DATA_DIR/ratelimit.json).
+ */
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { dataFilePath } = require('./datastore');
+const logger = require('./logger');
+
+const MAX_TRACKED_USERS = 10000;
+const LOCK_TIMEOUT_MS = 2000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+// Shared by both backends: apply one check-and-record to plain state.
+// `cooldowns` is Map<userId, Map<scope, expiry>>, `daily` Map<userId, {date, count}>.
+function takeFromState(cooldowns, daily, userId, { scope, cooldownMs, dailyLimit, now, today }) {
+    const counter = daily.get(userId);
+    if (counter && counter.date === today && counter.count >= dailyLimit) {
+        return { limited: true, kind: 'daily' };
+    }
+
+    const until = cooldowns.get(userId)?.get(scope);
+    if (until && now < until) {
+        return { limited: true, kind: 'cooldown', retryAfterMs: until - now };
+    }
+
+    if (!cooldowns.has(userId)) cooldowns.set(userId, new Map());
+    cooldowns.get(userId).set(scope, now + cooldownMs);
+
+    if (counter && counter.date === today) counter.count++;
+    else daily.set(userId, { date: today, count: 1 });
+
+    // Evict the oldest tracked users once over the cap (Map keeps insertion order).
+    if (cooldowns.size > MAX_TRACKED_USERS) cooldowns.delete(cooldowns.keys().next().value);
+    if (daily.size > MAX_TRACKED_USERS) daily.delete(daily.keys().next().value);
+
+    return { limited: false };
+}
+
+function pruneState(cooldowns, daily, now, today) {
+    for (const [userId, scopes] of cooldowns) {
+        for (const [scope, until] of scopes) {
+            if (now >= until) scopes.delete(scope);
+        }
+        if (scopes.size === 0) cooldowns.delete(userId);
+    }
+    for (const [userId, counter] of daily) {
+        if (counter.date !== today) daily.delete(userId);
+    }
+}
+
+function createMemoryStore() {
+    const cooldowns = new Map();
+    const daily = new Map();
+    return {
+        kind: 'memory',
+        take: async (userId, opts) => takeFromState(cooldowns, daily, userId, opts),
+        prune: async (now, today) => pruneState(cooldowns, daily, now, today),
+    };
+}
+
+// ---------------------------------------------------------------------------
+// File backend
+// ---------------------------------------------------------------------------
+
+const HOST = os.hostname();
+
+function processAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+// Current lock: raw content, mtime and parsed holder; null when there is none.
+async function inspectLock(lockFile) {
+    try {
+        const [raw, stat] = await Promise.all([fsp.readFile(lockFile, 'utf8'), fsp.stat(lockFile)]);
+        let holder = null;
+        try { holder = JSON.parse(raw); } catch { /* being written, or an old PID-only lock */ }
+        return { raw, mtimeMs: stat.mtimeMs, holder };
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+// A holder on this host whose process is gone crashed; any other holder is
+// stale once it has kept the lock far longer than one read and one write.
+function isStale({ holder, mtimeMs }, now = Date.now()) {
+    if (holder?.host === HOST && Number.isInteger(holder.pid) && holder.pid !== process.pid && !processAlive(holder.pid)) {
+        return true;
+    }
+    return now - (Number.isFinite(holder?.acquiredAt) ? holder.acquiredAt : mtimeMs) > LOCK_STALE_MS;
+}
+
+// Move the stale lock aside (only one replica's rename can succeed), then
+// check that what was moved is the lock that was judged stale. If another
+// replica reclaimed it and took a fresh lock in between, put that one back.
+async function reclaimLock(lockFile, stale) {
+    const aside = `${lockFile}.${process.pid}.${crypto.randomUUID()}.stale`;
+    try {
+        await fsp.rename(lockFile, aside);
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+    const moved = await inspectLock(aside);
+    if (moved && (moved.raw !== stale.raw || moved.mtimeMs !== stale.mtimeMs)) {
+        await fsp.link(aside, lockFile).catch(() => { /* a newer lock already took its place */ });
+    }
+    await fsp.unlink(aside).catch(() => { /* already gone */ });
+}
+
+/**
+ * Take the lock file, retrying until LOCK_TIMEOUT_MS.
+ * @returns {Promise<string|null>} The holder token, or null on timeout
+ */
+async function acquireLock(lockFile) {
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+        try {
+            const holder = { pid: process.pid, host: HOST, acquiredAt: Date.now(), token };
+            await fsp.writeFile(lockFile, JSON.stringify(holder), { flag: 'wx' });
+            return token;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+        const current = await inspectLock(lockFile);
+        if (current && isStale(current)) {
+            await reclaimLock(lockFile, current);
+            continue;
+        }
+        if (Date.now() >= deadline) return null;
+        await sleep(LOCK_RETRY_MS);
+    }
+}
+
+// Remove the lock only while it is still ours (it may have been reclaimed).
+async function releaseLock(lockFile, token) {
+    const current = await inspectLock(lockFile).catch(() => null);
+    if (current?.holder?.token === token) await fsp.unlink(lockFile).catch(() => { /* already reclaimed */ });
+}
+
+async function readFileState(file) {
+    let raw;
+    try {
+        raw = JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') logger.warn({ err, file }, 'ratelimit: unreadable store, starting empty');
+        raw = {};
+    }
+    const cooldowns = new Map(Object.entries(raw.cooldowns ?? {}).map(([u, s]) => [u, new Map(Object.entries(s))]));
+    const daily = new Map(Object.entries(raw.daily ?? {}));
+    return { cooldowns, daily };
+}
+
+async function writeFileState(file, { cooldowns, daily }) {
+    const data = {
+        version: 1,
+        cooldowns: Object.fromEntries([...cooldowns].map(([u, s]) => [u, Object.fromEntries(s)])),
+        daily: Object.fromEntries(daily),
+    };
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(data), 'utf8');
+    await fsp.rename(tmp, file);
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.file] - Defaults to RATE_LIMIT_FILE or DATA_DIR/ratelimit.json
+ */
+function createFileStore({ file } = {}) {
+    const target = file
+        ? path.resolve(file)
+        : process.env.RATE_LIMIT_FILE ? path.resolve(process.env.RATE_LIMIT_FILE) : dataFilePath('ratelimit');
+    const lockFile = `${target}.lock`;
+    // Calls from this process queue here instead of polling the lock file.
+    let queue = Promise.resolve();
+
+    // Run fn(state) under the lock; persist if it returns true-ish `dirty`.
+    async function locked(fn) {
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+        const token = await acquireLock(lockFile);
+        if (!token) throw new Error('rate-limit store lock timeout');
+        try {
+            const state = await readFileState(target);
+            const { result, dirty } = fn(state);
+            if (dirty) await writeFileState(target, state);
+            return result;
+        } finally {
+            await releaseLock(lockFile, token);
+        }
+    }
+
+    function withState(fn) {
+        const run = queue.then(() => locked(fn));
+        queue = run.catch(() => { /* reported to the caller */ });
+        return run;
+    }
+
+    return {
+        kind: 'file',
+        file: target,
+        take: (userId, opts) => withState(state => {
+            const result = takeFromState(state.cooldowns, state.daily, userId, opts);
+            return { result, dirty: !result.limited };
+        }),
+        prune: (now, today) => withState(state => {
+            pruneState(state.cooldowns, state.daily, now, today);
+            return { result: undefined, dirty: true };
+        }),
+    };
+}
+
+/**
+ * Store selected by RATE_LIMIT_STORE (memory | file).
+ */
+function createRateLimitStore(kind = process.env.RATE_LIMIT_STORE || 'memory') {
+    if (kind === 'file') return createFileStore();
+    if (kind !== 'memory') logger.warn({ kind }, 'ratelimit: unknown RATE_LIMIT_STORE, using memory');
+    return createMemoryStore();
+}
+
+module.exports = {
+    createMemoryStore,
+    createFileStore,
+    createRateLimitStore,
+    MAX_TRACKED_USERS,
+};
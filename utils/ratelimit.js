@@ -1,7 +1,20 @@
 /**
  * File: utils/ratelimit.js
  * Description: Per-user command rate limiting to prevent abuse
+ *
+ * Cooldowns come from COMMAND_CATEGORIES, refined per subcommand / option
+ * value by BUILTIN_COOLDOWN_RULES and the policy file's `cooldown` fields
+ * (utils/policy.js). The most specific matching rule wins, and its scope is
+ * the cooldown key — `/bob-jwt crack` and `/bob-jwt analyze` cool down
+ * independently when either has a rule of its own.
+ *
+ * State lives in a pluggable store (utils/ratelimit-store.js) that performs
+ * the check and the record in one atomic step; RATE_LIMIT_STORE=file makes
+ * budgets survive restarts and lets replicas share them.
  */
+const { matchRules } = require('./policy');
+const { createRateLimitStore } = require('./ratelimit-store');
+const logger = require('./logger');
 
 // Default cooldowns in milliseconds per command category
 const COOLDOWNS = {
@@ -21,9 +34,12 @@ const COMMAND_CATEGORIES = {
     'bob-ghunt': 'heavy',
     'bob-xeuledoc': 'heavy',
     'bob-linkook': 'heavy',
+    'bob-username-sweep': 'heavy',
     'bob-jwt': 'heavy',
     'bob-exif': 'medium',
     'bob-web-recon': 'heavy',
+    'bob-wayback': 'medium',
+    'bob-tech': 'medium',
     'bob-monitor': 'medium',
     'bob-redirect-check': 'medium',
     'bob-dns': 'medium',
@@ -40,15 +56,32 @@ const COMMAND_CATEGORIES = {
     'bob-upload': 'medium'
 };
 
+// Subcommand / option-value refinements of COMMAND_CATEGORIES.
+const BUILTIN_COOLDOWN_RULES = {
+    'bob-jwt': { subcommands: { analyze: { cooldown: 'light' } } },
+    'bob-ghunt': { options: { type: { 'check-login': { cooldown: 'light' } } } },
+    'bob-generate-usernames': { options: { scan: { sherlock: { cooldown: 'heavy' }, maigret: { cooldown: 'heavy' } } } }
+};
+
 // Global per-user daily limits
 const DAILY_LIMIT = parseInt(process.env.RATE_LIMIT_DAILY, 10) || 200;
 
-// Storage: userId -> { commandName -> lastUsed timestamp }
-const cooldowns = new Map();
-// Storage: userId -> { date: 'YYYY-MM-DD', count: number }
-const dailyCounts = new Map();
+const store = createRateLimitStore();
 
-const MAX_TRACKED_USERS = 10000;
+/**
+ * Cooldown that applies to an invocation.
+ * @param {{ command: string, guildId?: string|null, subcommand?: string|null, options?: object }} target
+ * @returns {{ scope: string, cooldownMs: number, source: string }}
+ */
+function resolveCooldown(target) {
+    const builtIn = { cooldown: COMMAND_CATEGORIES[target.command] || 'light', ...BUILTIN_COOLDOWN_RULES[target.command] };
+    let chosen = { scope: target.command, source: 'built-in', cooldown: builtIn.cooldown };
+    for (const { source, scope, rule } of matchRules(builtIn, target)) {
+        if (rule.cooldown !== undefined) chosen = { scope, source, cooldown: rule.cooldown };
+    }
+    const cooldownMs = typeof chosen.cooldown === 'number' ? chosen.cooldown * 1000 : COOLDOWNS[chosen.cooldown];
+    return { scope: chosen.scope, cooldownMs, source: chosen.source };
+}
 
 /**
  * Atomically check rate limit AND record usage if not limited.
@@ -56,74 +89,42 @@ const MAX_TRACKED_USERS = 10000;
  * This prevents TOCTOU races where concurrent requests all pass the check.
  * @param {string} userId
  * @param {string} commandName
- * @returns {{ limited: boolean, retryAfter?: number, reason?: string }}
+ * @param {object} [target] - From policyTarget(interaction); enables subcommand/option rules
+ * @returns {Promise<{ limited: boolean, retryAfter?: number, reason?: string }>}
  */
-function checkRateLimit(userId, commandName) {
+async function checkRateLimit(userId, commandName, target = { command: commandName }) {
     const now = Date.now();
     const today = new Date().toISOString().split('T')[0];
 
-    // Check daily limit
-    const daily = dailyCounts.get(userId);
-    if (daily && daily.date === today && daily.count >= DAILY_LIMIT) {
-        return { limited: true, reason: `Daily command limit (${DAILY_LIMIT}) reached. Try again tomorrow.` };
-    }
+    const { scope, cooldownMs } = resolveCooldown({ ...target, command: commandName });
 
-    // Check per-command cooldown
-    const category = COMMAND_CATEGORIES[commandName] || 'light';
-    const cooldown = COOLDOWNS[category];
-    const userCooldowns = cooldowns.get(userId);
-
-    if (userCooldowns) {
-        const lastUsed = userCooldowns.get(commandName);
-        if (lastUsed && now - lastUsed < cooldown) {
-            const retryAfter = Math.ceil((cooldown - (now - lastUsed)) / 1000);
-            return { limited: true, retryAfter, reason: `Please wait ${retryAfter}s before using this command again.` };
-        }
+    let result;
+    try {
+        result = await store.take(userId, { scope, cooldownMs, dailyLimit: DAILY_LIMIT, now, today });
+    } catch (err) {
+        // Fail closed: an unreachable shared store must not lift every limit.
+        logger.error({ err, store: store.kind }, 'ratelimit: store unavailable');
+        return { limited: true, reason: 'Rate limiting is temporarily unavailable. Please try again shortly.' };
     }
 
-    // Record usage atomically with the check to prevent concurrent bypass
-    if (!cooldowns.has(userId)) {
-        cooldowns.set(userId, new Map());
-    }
-    cooldowns.get(userId).set(commandName, now);
-
-    if (daily && daily.date === today) {
-        daily.count++;
-    } else {
-        dailyCounts.set(userId, { date: today, count: 1 });
-    }
-
-    // Prune if too many users tracked
-    if (cooldowns.size > MAX_TRACKED_USERS) {
-        const firstKey = cooldowns.keys().next().value;
-        cooldowns.delete(firstKey);
-    }
-    if (dailyCounts.size > MAX_TRACKED_USERS) {
-        const firstKey = dailyCounts.keys().next().value;
-        dailyCounts.delete(firstKey);
+    if (!result.limited) return { limited: false };
+    if (result.kind === 'daily') {
+        return { limited: true, reason: `Daily command limit (${DAILY_LIMIT}) reached. Try again tomorrow.` };
     }
-
-    return { limited: false };
+    const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+    return { limited: true, retryAfter, reason: `Please wait ${retryAfter}s before using this command again.` };
 }
 
 // Prune state — additive. Lives on a timer, NEVER invoked from inside checkRateLimit.
 let pruneTimer = null;
 
-function pruneNow() {
+async function pruneNow() {
     const now = Date.now();
     const today = new Date().toISOString().split('T')[0];
-    const cooldownMax = Math.max(...Object.values(COOLDOWNS)) + 1000;
-
-    for (const [userId, userMap] of cooldowns) {
-        let allStale = true;
-        for (const [, ts] of userMap) {
-            if (now - ts < cooldownMax) { allStale = false; break; }
-        }
-        if (allStale) cooldowns.delete(userId);
-    }
-
-    for (const [userId, daily] of dailyCounts) {
-        if (daily.date !== today) dailyCounts.delete(userId);
+    try {
+        await store.prune(now, today);
+    } catch (err) {
+        logger.warn({ err, store: store.kind }, 'ratelimit: prune failed');
     }
 }
 
@@ -141,4 +142,4 @@ function stopRateLimitPrune() {
     }
 }
 
-module.exports = { checkRateLimit, COOLDOWNS, COMMAND_CATEGORIES, startRateLimitPrune, stopRateLimitPrune, pruneNow };
+module.exports = { checkRateLimit, resolveCooldown, COOLDOWNS, COMMAND_CATEGORIES, BUILTIN_COOLDOWN_RULES, startRateLimitPrune, stopRateLimitPrune, pruneNow };
@@ -13,6 +13,10 @@
  * filesystem — NEVER build a report path from raw user input. Archiving is
  * best-effort: every entry point swallows its own errors and returns null so a
  * failed archive can never break the user-facing command.
+ *
+ * Case tagging: when the calling command runs while a case is active in its
+ * channel (see utils/cases.js, utils/command-context.js), the report filename
+ * is prefixed with the case ID and the file is recorded as a case artifact.
  */
 const fs = require('fs');
 const fsp = require('fs').promises;
@@ -21,6 +25,8 @@ const crypto = require('crypto');
 const { sanitizeFilename } = require('./validation');
 const bootstrap = require('./bootstrap');
 const logger = require('./logger');
+const { getContext } = require('./command-context');
+const { recordArtifact } = require('./cases');
 
 const REPORTS_DIR = process.env.REPORTS_DIR
     ? path.resolve(process.env.REPORTS_DIR)
@@ -45,15 +51,47 @@ function stamp(date = new Date()) {
 // Build a durable, filesystem-safe path inside REPORTS_DIR. Both label and
 // extension are sanitized; the result is always confined to REPORTS_DIR. A short
 // random suffix follows the (second-resolution) stamp so repeat runs of the same
-// label+extension within one second don't clobber each other.
+// label+extension within one second don't clobber each other. Reports archived
+// inside an active case are prefixed with the case ID.
 function reportFilePath(label, extension = 'txt') {
     ensureReportsDir();
-    const safeLabel = sanitizeFilename(label);
+    const caseId = getContext()?.caseId;
+    const safeLabel = sanitizeFilename(caseId ? `${caseId}_${label}` : label);
     const safeExt = sanitizeFilename(String(extension || 'txt')).replace(/^\.+/, '') || 'txt';
     const rand = crypto.randomBytes(3).toString('hex');
     return path.join(REPORTS_DIR, `${safeLabel}_${stamp()}_${rand}.${safeExt}`);
 }
 
+async function sha256File(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+// Record a freshly archived report against the active case, if any. The
+// SHA-256 taken here is the chain-of-custody reference checked again at
+// export. Never throws: case bookkeeping must not break archiving.
+async function tagCaseArtifact(dest, label) {
+    const ctx = getContext();
+    if (!ctx?.caseId) return;
+    try {
+        const recorded = recordArtifact(ctx.caseId, {
+            file: path.basename(dest),
+            sha256: await sha256File(dest),
+            label: String(label),
+            command: ctx.command,
+            subcommand: ctx.subcommand,
+            options: ctx.options,
+            userId: ctx.userId,
+            channelId: ctx.channelId,
+            archivedAt: new Date().toISOString(),
+        });
+        if (!recorded) logger.warn({ caseId: ctx.caseId, report: path.basename(dest) }, 'report not recorded against case');
+    } catch (err) {
+        logger.warn({ err, caseId: ctx.caseId }, 'failed to record case artifact');
+    }
+}
+
 // Persist string/Buffer content as a report. Returns the dest path, or null on
 // failure — archiving must never break the command that called it.
 async function saveReport(label, content, extension = 'txt') {
@@ -61,6 +99,7 @@ async function saveReport(label, content, extension = 'txt') {
         const dest = reportFilePath(label, extension);
         await fsp.writeFile(dest, content);
         logger.info({ report: path.basename(dest) }, 'report archived');
+        await tagCaseArtifact(dest, label);
         return dest;
     } catch (err) {
         logger.warn({ err }, 'failed to archive report');
@@ -76,6 +115,7 @@ async function archiveReport(srcPath, label, extension) {
         const dest = reportFilePath(label, ext);
         await fsp.copyFile(srcPath, dest);
         logger.info({ report: path.basename(dest) }, 'report archived');
+        await tagCaseArtifact(dest, label);
         return dest;
     } catch (err) {
         logger.warn({ err }, 'failed to archive report');
@@ -116,6 +156,8 @@ function stopReportsSweep() {
 module.exports = {
     REPORTS_DIR,
     REPORTS_MAX_AGE_MS,
+    stamp,
+    sha256File,
     ensureReportsDir,
     reportFilePath,
     saveReport,
@@ -0,0 +1,181 @@
+/**
+ * File: utils/response-cache.js
+ * Description: Shared TTL cache for provider lookups.
+ *
+ * The same domain is looked up by several analysts a day; every repeat costs
+ * provider credits and seconds of latency. Commands wrap their provider call
+ * in `cachedFetch(provider, query, fetcher)`: a fresh-enough entry for the same
+ * provider and normalized query is returned without calling out, otherwise the
+ * fetcher runs and its result is stored. Concurrent identical lookups share
+ * one in-flight request. Only successful results are cached — a fetcher that
+ * throws caches nothing.
+ *
+ * TTLs are per provider (CACHE_TTL_<PROVIDER>, seconds; 0 disables caching for
+ * that provider). The cache is process-local and bounded by CACHE_MAX_ENTRIES;
+ * results larger than MAX_ENTRY_BYTES are returned but never stored. Hit and
+ * miss counts are exported by utils/metrics.js.
+ *
+ * Queries must not contain API keys — they are part of the cache key. String
+ * values are lower-cased in the key unless the caller passes `caseSensitive`
+ * (URL paths and queries, where case changes the resource).
+ */
+const logger = require('./logger');
+
+const DEFAULT_TTL_SECONDS = {
+    whoxy: 24 * 3600,       // WHOIS history changes slowly and is the priciest lookup
+    hostio: 6 * 3600,
+    dnsdumpster: 3600,
+    crtsh: 3600,
+    wayback: 6 * 3600,
+    certspotter: 3600,
+    virustotal: 6 * 3600,
+};
+const FALLBACK_TTL_SECONDS = 3600;
+const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+
+// Map keeps insertion order, so the first key is always the oldest entry.
+const entries = new Map();
+const inFlight = new Map();
+const stats = {};
+
+function maxEntries() {
+    const n = parseInt(process.env.CACHE_MAX_ENTRIES, 10);
+    return n > 0 ? n : 500;
+}
+
+/**
+ * TTL for a provider in milliseconds (0 = caching disabled).
+ * @param {string} provider
+ */
+function ttlFor(provider) {
+    const raw = process.env[`CACHE_TTL_${provider.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+    const seconds = raw === undefined || raw === '' ? NaN : Number(raw);
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+    return (DEFAULT_TTL_SECONDS[provider] ?? FALLBACK_TTL_SECONDS) * 1000;
+}
+
+function normalizeValue(value, opts) {
+    if (typeof value === 'string') return opts.caseSensitive ? value.trim() : value.trim().toLowerCase();
+    if (Array.isArray(value)) return value.map(item => normalizeValue(item, opts));
+    if (value && typeof value === 'object') return normalizeQuery(value, opts);
+    return value;
+}
+
+/**
+ * Canonical form of a query: keys sorted, strings trimmed and lower-cased,
+ * undefined/null parameters dropped.
+ * @param {object|string} query
+ * @param {{ caseSensitive?: boolean }} [opts] - Keep the case of string values
+ * @returns {object|string}
+ */
+function normalizeQuery(query, opts = {}) {
+    if (!query || typeof query !== 'object') return normalizeValue(query, opts);
+    const out = {};
+    for (const key of Object.keys(query).sort()) {
+        if (query[key] === undefined || query[key] === null) continue;
+        out[key] = normalizeValue(query[key], opts);
+    }
+    return out;
+}
+
+function cacheKey(provider, query, opts = {}) {
+    return `${provider}:${JSON.stringify(normalizeQuery(query, opts))}`;
+}
+
+function count(provider, outcome) {
+    const s = stats[provider] ?? (stats[provider] = { hits: 0, misses: 0 });
+    s[outcome]++;
+}
+
+function store(key, value, ttlMs, now) {
+    let size;
+    try {
+        size = Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value) ?? '');
+    } catch {
+        return; // not serializable — don't cache what we can't size
+    }
+    if (size > MAX_ENTRY_BYTES) return;
+    entries.delete(key);
+    entries.set(key, { value, storedAt: now, expiresAt: now + ttlMs });
+    while (entries.size > maxEntries()) entries.delete(entries.keys().next().value);
+}
+
+/**
+ * Return a cached result for (provider, query), or run `fetcher` and cache it.
+ * @param {string} provider - Provider id, e.g. 'whoxy'
+ * @param {object|string} query - Everything that identifies the lookup, minus secrets
+ * @param {() => Promise<*>} fetcher - Performs the real request; resolves to the data to cache
+ * @param {object} [opts]
+ * @param {boolean} [opts.fresh=false] - Skip the cache lookup (the new result is still stored)
+ * @param {(value: *) => boolean} [opts.cacheable] - Reject results that must not be reused (e.g. API-level errors)
+ * @param {boolean} [opts.caseSensitive=false] - Keep the case of string values in the key
+ * @returns {Promise<{ value: *, cached: boolean, storedAt: number }>}
+ */
+async function cachedFetch(provider, query, fetcher, { fresh = false, cacheable = () => true, caseSensitive = false } = {}) {
+    const key = cacheKey(provider, query, { caseSensitive });
+    const ttlMs = ttlFor(provider);
+    const now = Date.now();
+
+    if (!fresh && ttlMs > 0) {
+        const hit = entries.get(key);
+        if (hit && hit.expiresAt > now) {
+            count(provider, 'hits');
+            return { value: hit.value, cached: true, storedAt: hit.storedAt };
+        }
+        if (hit) entries.delete(key);
+        if (inFlight.has(key)) {
+            count(provider, 'hits');
+            return inFlight.get(key);
+        }
+    }
+
+    count(provider, 'misses');
+    const pending = (async () => {
+        const value = await fetcher();
+        const storedAt = Date.now();
+        if (ttlMs > 0 && cacheable(value)) store(key, value, ttlMs, storedAt);
+        return { value, cached: false, storedAt };
+    })();
+
+    inFlight.set(key, pending);
+    try {
+        return await pending;
+    } finally {
+        if (inFlight.get(key) === pending) inFlight.delete(key);
+    }
+}
+
+/**
+ * Hit/miss counts per provider since start.
+ * @returns {Object<string, { hits: number, misses: number }>}
+ */
+function getCacheStats() {
+    return Object.fromEntries(Object.entries(stats).map(([p, s]) => [p, { ...s }]));
+}
+
+/**
+ * Short user-facing note for a cached result; empty string for live results.
+ * @param {{ cached: boolean, storedAt: number }} result
+ */
+function cacheNote(result) {
+    if (!result?.cached) return '';
+    return `Cached result from ${new Date(result.storedAt).toISOString()} — use \`fresh:true\` to refetch.`;
+}
+
+function clearCache() {
+    entries.clear();
+    inFlight.clear();
+    for (const provider of Object.keys(stats)) delete stats[provider];
+    logger.debug('response-cache: cleared');
+}
+
+module.exports = {
+    cachedFetch,
+    cacheKey,
+    normalizeQuery,
+    ttlFor,
+    getCacheStats,
+    cacheNote,
+    clearCache,
+    MAX_ENTRY_BYTES,
+};
@@ -0,0 +1,92 @@
+/**
+ * File: utils/scan-progress.js
+ * Description: Live hit counter for long CLI scans.
+ *
+ * Sherlock, Maigret and Nuclei print each hit on stdout as they find it.
+ * A command creates a progress reporter, passes `onLine` to safeSpawn /
+ * safeSpawnToFile, and the reporter edits the deferred reply with the number
+ * of hits so far and the latest platforms matched.
+ *
+ * Edits are leading-edge throttled (at most one per interval, no trailing
+ * timer), so nothing is left scheduled when the scan ends. `stop()` waits for
+ * an in-flight edit, so the command's final result always lands last.
+ */
+
+const { parsePlusHits, parseNucleiHits } = require('./username-scanners');
+
+const DEFAULT_INTERVAL_MS = 5000;
+const RECENT_HITS = 5;
+const MAX_PLATFORM_LENGTH = 40;
+
+/**
+ * Platform name from a `[+] Platform: https://...` line (Sherlock, Maigret).
+ * @param {string} line
+ * @returns {string|null}
+ */
+function parsePlusHit(line) {
+    return parsePlusHits(line)[0]?.platform ?? null;
+}
+
+/**
+ * Template id from a Nuclei result line: `[github] [http] [info] https://...`.
+ * @param {string} line
+ * @returns {string|null}
+ */
+function parseNucleiHit(line) {
+    return parseNucleiHits(line)[0]?.platform ?? null;
+}
+
+/**
+ * Create a progress reporter for one scan.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Already deferred
+ * @param {object} opts
+ * @param {string} opts.header - Status text shown above the live counter
+ * @param {(line: string) => string|null} opts.parseHit - Platform name for a hit line, null otherwise
+ * @param {number} [opts.intervalMs=5000] - Minimum time between edits
+ * @returns {{ onLine: (line: string) => void, stop: () => Promise<void>, hits: () => number }}
+ */
+function createScanProgress(interaction, { header, parseHit, intervalMs = DEFAULT_INTERVAL_MS }) {
+    let count = 0;
+    const recent = [];
+    let lastEdit = 0;
+    let pending = null;
+    let stopped = false;
+
+    const render = () => {
+        const latest = recent.map(name => `\`${name}\``).join(', ');
+        return `${header}\n\n` +
+            `🔎 **${count} hit${count === 1 ? '' : 's'} so far**` +
+            (latest ? ` — latest: ${latest}` : '');
+    };
+
+    const onLine = (line) => {
+        if (stopped) return;
+        const platform = parseHit(line);
+        if (!platform) return;
+        count++;
+        recent.unshift(platform.slice(0, MAX_PLATFORM_LENGTH));
+        recent.length = Math.min(recent.length, RECENT_HITS);
+
+        const now = Date.now();
+        if (pending || now - lastEdit < intervalMs) return;
+        lastEdit = now;
+        pending = interaction.editReply({ content: render() })
+            .catch(() => { /* token expired; the final reply reports the error */ })
+            .finally(() => { pending = null; });
+    };
+
+    return {
+        onLine,
+        async stop() {
+            stopped = true;
+            await pending;
+        },
+        hits: () => count,
+    };
+}
+
+module.exports = {
+    createScanProgress,
+    parsePlusHit,
+    parseNucleiHit,
+};
@@ -0,0 +1,247 @@
+/**
+ * File: utils/subdomains.js
+ * Description: Subdomain inventory for /bob-web-recon — one deduplicated list
+ * of names from every passive source, resolved live.
+ *
+ * Sources (each one failing on its own without hiding the others):
+ * - crt.sh: names on certificates in the CT logs
+ * - CertSpotter: names on recent certificate issuances (first page, no key needed)
+ * - VirusTotal: the domain's `subdomains` relationship (first 40; VIRUSTOTAL_API_KEY)
+ * - Wayback Machine: hosts of archived URLs
+ *
+ * Each source's extracted names are cached (utils/response-cache.js), not the
+ * raw answer, so even large crt.sh results are reused. Names are then resolved
+ * with the bot's resolver (utils/dns-resolver.js, DNS_RESOLVER). Two random
+ * labels are resolved first: when they answer, the zone has wildcard DNS and
+ * names pointing only at the wildcard addresses are flagged, since they
+ * "resolve" whether or not they really exist.
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const { getSafeAxiosConfig, SIZE_25MB } = require('./ssrf');
+const { cachedFetch } = require('./response-cache');
+const { createResolver, resolveAddresses } = require('./dns-resolver');
+const { mapWithConcurrency } = require('./concurrency');
+const { renderCsv } = require('./csv');
+
+const SOURCE_TIMEOUT_MS = 30000;
+// Names resolved per run; the rest are listed unresolved.
+const MAX_RESOLVED = 300;
+const RESOLVE_CONCURRENCY = 10;
+const WILDCARD_PROBES = 2;
+
+const LABEL = /^[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?$/;
+
+const SOURCES = {
+    crtsh: {
+        label: 'crt.sh',
+        fetch: async (domain) => {
+            const { data } = await axios.get(`https://crt.sh/json?q=${encodeURIComponent(`%.${domain}`)}`, httpOptions());
+            const certs = Array.isArray(data) ? data : [];
+            return {
+                names: certs.flatMap(cert => String(cert.name_value ?? '').split('\n')),
+                detail: `${certs.length} certificates`,
+            };
+        },
+    },
+    certspotter: {
+        label: 'CertSpotter',
+        fetch: async (domain) => {
+            const { data } = await axios.get(
+                `https://api.certspotter.com/v1/issuances?domain=${domain}&include_subdomains=true&expand=dns_names`,
+                httpOptions());
+            const issuances = Array.isArray(data) ? data : [];
+            return {
+                names: issuances.flatMap(issuance => issuance.dns_names ?? []),
+                detail: `${issuances.length} recent issuances`,
+            };
+        },
+    },
+    virustotal: {
+        label: 'VirusTotal',
+        needsKey: 'VIRUSTOTAL_API_KEY',
+        fetch: async (domain) => {
+            const { data } = await axios.get(`https://www.virustotal.com/api/v3/domains/${domain}/subdomains?limit=40`,
+                httpOptions({ 'x-apikey': process.env.VIRUSTOTAL_API_KEY }));
+            const items = Array.isArray(data?.data) ? data.data : [];
+            return { names: items.map(item => item.id), detail: data?.links?.next ? 'first 40' : null };
+        },
+    },
+    wayback: {
+        label: 'Wayback Machine',
+        fetch: async (domain) => {
+            const { data } = await axios.get(
+                `https://web.archive.org/cdx/search/cdx?fl=original&collapse=urlkey&url=*.${domain}`,
+                { ...httpOptions(), responseType: 'text' });
+            const urls = String(data).split('\n').map(line => line.trim()).filter(Boolean);
+            return { names: urls.map(hostOf), detail: `${urls.length} archived URLs` };
+        },
+    },
+};
+
+function httpOptions(headers = {}) {
+    return {
+        timeout: SOURCE_TIMEOUT_MS,
+        maxContentLength: SIZE_25MB,
+        headers: { 'User-Agent': 'Discord-OSINT-Assistant/2.0', ...headers },
+        ...getSafeAxiosConfig(),
+    };
+}
+
+// Host of an archived URL; CDX lines may lack a scheme.
+function hostOf(url) {
+    try {
+        return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `http://${url}`).hostname;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Normalize a reported name and keep it only if it is `domain` or below it.
+ * Wildcard certificate names (`*.dev.example.com`) count as their base name.
+ * @param {string} name
+ * @param {string} domain - Lowercase apex
+ * @returns {string|null}
+ */
+function normalizeName(name, domain) {
+    const host = String(name ?? '').trim().toLowerCase().replace(/^\*\./, '').replace(/\.$/, '');
+    if (host !== domain && !host.endsWith(`.${domain}`)) return null;
+    return host.length <= 253 && host.split('.').every(label => LABEL.test(label)) ? host : null;
+}
+
+// Short, user-facing reason a source failed.
+function sourceErrorReason(error) {
+    if (error.code === 'EQUOTA') return 'quota exhausted';
+    const status = error.response?.status;
+    if (status === 429) return 'rate limited';
+    if (status === 401 || status === 403) return 'API key rejected';
+    if (status) return `HTTP ${status}`;
+    if (error.code === 'ECONNABORTED') return 'timed out';
+    return 'request failed';
+}
+
+/**
+ * Names reported by one source, normalized and deduplicated.
+ * @param {string} source - Key of SOURCES
+ * @param {string} domain - Lowercase apex
+ * @param {{ fresh?: boolean }} [opts]
+ * @returns {Promise<{ source: string, label: string, names: string[], detail: string|null, cached: boolean, error: string|null }>}
+ *   `error` is a short reason, or 'no API key' for a keyed source that is not configured
+ */
+async function querySource(source, domain, { fresh = false } = {}) {
+    const { label, needsKey, fetch } = SOURCES[source];
+    const base = { source, label, names: [], detail: null, cached: false, error: null };
+    if (needsKey && !process.env[needsKey]) return { ...base, error: 'no API key' };
+    try {
+        const result = await cachedFetch(source, { subdomains: domain }, async () => {
+            const { names, detail } = await fetch(domain);
+            const unique = [...new Set(names.map(name => normalizeName(name, domain)).filter(Boolean))];
+            return { names: unique, detail: detail ?? null };
+        }, { fresh });
+        return { ...base, ...result.value, cached: result.cached };
+    } catch (error) {
+        return { ...base, error: sourceErrorReason(error) };
+    }
+}
+
+/**
+ * Merge per-source name lists into one inventory, sorted by name.
+ * @param {Array<{ label: string, names: string[] }>} results - From querySource()
+ * @returns {Array<{ name: string, sources: string[] }>}
+ */
+function mergeInventory(results) {
+    const byName = new Map();
+    for (const { label, names } of results) {
+        for (const name of names) {
+            if (!byName.has(name)) byName.set(name, []);
+            byName.get(name).push(label);
+        }
+    }
+    return [...byName.entries()]
+        .map(([name, sources]) => ({ name, sources }))
+        .sort((a, b) => a.name.split('.').reverse().join('.').localeCompare(b.name.split('.').reverse().join('.')));
+}
+
+/**
+ * Addresses that random names under `domain` resolve to; empty without wildcard DNS.
+ * @param {string} domain
+ * @param {{ resolver?: import('dns').promises.Resolver }} [opts]
+ * @returns {Promise<string[]>}
+ */
+async function detectWildcard(domain, { resolver = createResolver() } = {}) {
+    const probes = Array.from({ length: WILDCARD_PROBES }, () => `${crypto.randomBytes(8).toString('hex')}.${domain}`);
+    const results = await Promise.all(probes.map(name => resolveAddresses(name, { resolver })));
+    return [...new Set(results.flatMap(r => r.addresses))];
+}
+
+/**
+ * Resolve inventory names (up to MAX_RESOLVED) and flag wildcard answers.
+ * @param {Array<{ name: string, sources: string[] }>} inventory - From mergeInventory()
+ * @param {string[]} wildcardAddresses - From detectWildcard()
+ * @param {{ resolver?: import('dns').promises.Resolver }} [opts]
+ * @returns {Promise<Array<{ name: string, sources: string[], resolved: boolean, addresses: string[], error: string|null, wildcard: boolean }>>}
+ *   `resolved` is false for names past MAX_RESOLVED
+ */
+async function resolveInventory(inventory, wildcardAddresses, { resolver = createResolver() } = {}) {
+    const wildcard = new Set(wildcardAddresses);
+    return mapWithConcurrency(inventory, RESOLVE_CONCURRENCY, async (entry, index) => {
+        if (index >= MAX_RESOLVED) return { ...entry, resolved: false, addresses: [], error: null, wildcard: false };
+        const { addresses, error } = await resolveAddresses(entry.name, { resolver });
+        const onlyWildcard = wildcard.size > 0 && addresses.length > 0 && addresses.every(a => wildcard.has(a));
+        return { ...entry, resolved: true, addresses, error, wildcard: onlyWildcard };
+    });
+}
+
+/**
+ * Query every source, merge and resolve.
+ * @param {string} domain - Already validated
+ * @param {{ sources?: string[], fresh?: boolean, resolver?: import('dns').promises.Resolver }} [opts]
+ * @returns {Promise<{ domain: string, sources: Array<object>, wildcard: string[], subdomains: Array<object>, resolveError: string|null }>}
+ *   `resolveError` is set (and nothing resolved) when DNS_RESOLVER is invalid
+ */
+async function enumerateSubdomains(domain, { sources = Object.keys(SOURCES), fresh = false, resolver } = {}) {
+    const apex = domain.toLowerCase();
+    const results = await Promise.all(sources.map(source => querySource(source, apex, { fresh })));
+    const inventory = mergeInventory(results);
+
+    let dns = resolver;
+    if (!dns) {
+        try {
+            dns = createResolver();
+        } catch (err) {
+            if (err.code !== 'EBADRESOLVER') throw err;
+            const subdomains = inventory.map(entry => ({ ...entry, resolved: false, addresses: [], error: null, wildcard: false }));
+            return { domain: apex, sources: results, wildcard: [], subdomains, resolveError: 'invalid DNS_RESOLVER' };
+        }
+    }
+    const wildcard = await detectWildcard(apex, { resolver: dns });
+    const subdomains = await resolveInventory(inventory, wildcard, { resolver: dns });
+    return { domain: apex, sources: results, wildcard, subdomains, resolveError: null };
+}
+
+/**
+ * CSV export: one row per subdomain.
+ * @param {Array<{ name: string, sources: string[], resolved: boolean, addresses: string[], error: string|null, wildcard: boolean }>} subdomains
+ * @returns {string}
+ */
+function renderInventoryCsv(subdomains) {
+    const rows = [['subdomain', 'sources', 'addresses', 'status', 'wildcard']];
+    for (const s of subdomains) {
+        const status = !s.resolved ? 'not resolved' : s.error ? `error ${s.error}` : s.addresses.length ? 'resolves' : 'no address';
+        rows.push([s.name, s.sources.join(';'), s.addresses.join(';'), status, s.wildcard ? 'yes' : 'no']);
+    }
+    return renderCsv(rows);
+}
+
+module.exports = {
+    SOURCES,
+    MAX_RESOLVED,
+    normalizeName,
+    querySource,
+    mergeInventory,
+    detectWildcard,
+    resolveInventory,
+    enumerateSubdomains,
+    renderInventoryCsv,
+};
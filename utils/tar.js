@@ -0,0 +1,100 @@
+/**
+ * File: utils/tar.js
+ * Description: Minimal dependency-free ustar writer with gzip output.
+ *
+ * Only what bundle exports need: regular files from Buffers, flat or nested
+ * names, deterministic headers (mode 0644, uid/gid 0). Names longer than the
+ * 100-byte ustar field are split across the 155-byte prefix field.
+ *
+ * Compressed archives are streamed to disk through zlib's async gzip stream,
+ * so a large export neither blocks the event loop nor exists twice in memory.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const BLOCK = 512;
+
+function writeString(buf, str, offset, length) {
+    buf.write(str, offset, Math.min(Buffer.byteLength(str), length), 'utf8');
+}
+
+function writeOctal(buf, value, offset, length) {
+    // length - 1 digits, NUL-terminated
+    writeString(buf, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function splitName(name) {
+    if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+    const idx = name.lastIndexOf('/', 155);
+    if (idx <= 0 || Buffer.byteLength(name.slice(idx + 1)) > 100) {
+        throw new Error(`tar entry name too long: ${name}`);
+    }
+    return { name: name.slice(idx + 1), prefix: name.slice(0, idx) };
+}
+
+function header(entryName, size, mtime) {
+    const buf = Buffer.alloc(BLOCK, 0);
+    const { name, prefix } = splitName(entryName);
+    writeString(buf, name, 0, 100);
+    writeOctal(buf, 0o644, 100, 8);
+    writeOctal(buf, 0, 108, 8);
+    writeOctal(buf, 0, 116, 8);
+    writeOctal(buf, size, 124, 12);
+    writeOctal(buf, Math.floor(mtime.getTime() / 1000), 136, 12);
+    buf.fill(0x20, 148, 156); // checksum is computed with its own field as spaces
+    buf[156] = 0x30; // '0' regular file
+    writeString(buf, 'ustar\0', 257, 6);
+    writeString(buf, '00', 263, 2);
+    writeString(buf, prefix, 345, 155);
+
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i++) sum += buf[i];
+    writeString(buf, sum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+    return buf;
+}
+
+// Header, data and padding blocks of each entry, then the end-of-archive marker.
+function* tarChunks(entries) {
+    for (const entry of entries) {
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        yield header(entry.name, data.length, entry.mtime || new Date());
+        yield data;
+        const pad = (BLOCK - (data.length % BLOCK)) % BLOCK;
+        if (pad) yield Buffer.alloc(pad, 0);
+    }
+    yield Buffer.alloc(BLOCK * 2, 0);
+}
+
+/**
+ * Build an uncompressed tar archive.
+ * @param {Array<{ name: string, data: Buffer|string, mtime?: Date }>} entries
+ * @returns {Buffer}
+ */
+function createTar(entries) {
+    return Buffer.concat([...tarChunks(entries)]);
+}
+
+/**
+ * Write a gzip-compressed tar archive (.tar.gz) to a file.
+ * @param {Array<{ name: string, data: Buffer|string, mtime?: Date }>} entries
+ * @param {string} dest - File path; overwritten
+ * @returns {Promise<{ sha256: string, size: number }>} Digest and size of the written file
+ */
+async function writeTarGz(entries, dest) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const measure = new Transform({
+        transform(chunk, _encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        },
+    });
+    await pipeline(Readable.from(tarChunks(entries)), zlib.createGzip(), measure, fs.createWriteStream(dest));
+    return { sha256: hash.digest('hex'), size };
+}
+
+module.exports = { createTar, writeTarGz };
@@ -0,0 +1,229 @@
+/**
+ * File: utils/tech.js
+ * Description: Technology fingerprinting of a web page — CMS, frameworks,
+ * analytics IDs, CDN and server — for /bob-tech.
+ *
+ * Signatures live in utils/tech-signatures.json, one entry per technology:
+ *
+ * - headers: header name → pattern on its value ("" means the header is enough)
+ * - cookies: patterns on the names of the cookies the page sets
+ * - meta: meta name (or property) → pattern on its content
+ * - scripts: patterns on `<script src>` URLs
+ * - html: patterns on the raw HTML
+ * - ids: case-sensitive patterns on the raw HTML whose first group is a
+ *   tracking ID (GA, GTM, Pixel, ...); a match also detects the technology
+ * - implies: technologies that come with this one (WooCommerce → WordPress)
+ *
+ * Every other pattern is case-insensitive, and its first capture group, when
+ * it has one and it matched, is the version.
+ */
+const cheerio = require('cheerio');
+const axios = require('axios');
+const { validateUrlNotInternal, getSafeAxiosConfig, SIZE_5MB } = require('./ssrf');
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+// Raw-HTML patterns only look at the start of very large pages.
+const MAX_HTML_SCAN = 1024 * 1024;
+const MAX_EVIDENCE_LENGTH = 120;
+
+/**
+ * Compile the JSON signatures into regular expressions.
+ * @param {{ categories: string[], technologies: object }} raw
+ * @returns {{ categories: string[], technologies: object[] }}
+ * @throws {SyntaxError} When a pattern is not a valid regular expression
+ */
+function compileSignatures(raw) {
+    const re = (pattern) => new RegExp(pattern, 'i');
+    const technologies = Object.entries(raw.technologies).map(([name, sig]) => ({
+        name,
+        category: sig.category,
+        headers: Object.entries(sig.headers ?? {}).map(([header, pattern]) => [header.toLowerCase(), re(pattern)]),
+        cookies: (sig.cookies ?? []).map(re),
+        meta: Object.entries(sig.meta ?? {}).map(([meta, pattern]) => [meta.toLowerCase(), re(pattern)]),
+        scripts: (sig.scripts ?? []).map(re),
+        html: (sig.html ?? []).map(re),
+        ids: (sig.ids ?? []).map(pattern => new RegExp(pattern, 'g')),
+        implies: sig.implies ?? [],
+    }));
+    return { categories: raw.categories, technologies };
+}
+
+const SIGNATURES = compileSignatures(require('./tech-signatures.json'));
+
+function clip(value) {
+    const text = String(value);
+    return text.length > MAX_EVIDENCE_LENGTH ? `${text.slice(0, MAX_EVIDENCE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Headers, cookie names, meta tags and script sources of a fetched page.
+ * @param {{ headers?: object, html?: string, url?: string }} page
+ * @returns {{ headers: Map<string, string>, cookies: string[], meta: Map<string, string[]>, scripts: string[], html: string }}
+ */
+function parsePage({ headers = {}, html = '', url } = {}) {
+    const headerMap = new Map();
+    const cookies = [];
+    for (const [name, value] of Object.entries(headers)) {
+        const key = name.toLowerCase();
+        const values = Array.isArray(value) ? value.map(String) : [String(value)];
+        if (key === 'set-cookie') {
+            for (const cookie of values) {
+                const cookieName = cookie.split('=')[0].trim();
+                if (cookieName) cookies.push(cookieName);
+            }
+        }
+        headerMap.set(key, values.join(', '));
+    }
+
+    const body = String(html ?? '');
+    const $ = cheerio.load(body);
+    const meta = new Map();
+    $('meta[content]').each((_, el) => {
+        const name = ($(el).attr('name') || $(el).attr('property') || $(el).attr('http-equiv') || '').toLowerCase();
+        if (!name) return;
+        if (!meta.has(name)) meta.set(name, []);
+        meta.get(name).push($(el).attr('content'));
+    });
+    const scripts = [];
+    $('script[src]').each((_, el) => {
+        const src = ($(el).attr('src') || '').trim();
+        if (!src) return;
+        try {
+            scripts.push(new URL(src, url).href);
+        } catch {
+            scripts.push(src);
+        }
+    });
+
+    return { headers: headerMap, cookies, meta, scripts, html: body.slice(0, MAX_HTML_SCAN) };
+}
+
+// Evidence strings and the first version seen for one signature.
+function matchSignature(sig, page) {
+    const evidence = [];
+    let version = null;
+    const check = (pattern, value, label) => {
+        const match = pattern.exec(value);
+        if (!match) return false;
+        if (!version && match[1]) version = match[1];
+        evidence.push(label);
+        return true;
+    };
+
+    for (const [header, pattern] of sig.headers) {
+        const value = page.headers.get(header);
+        if (value !== undefined) check(pattern, value, clip(`header ${header}: ${value}`));
+    }
+    for (const pattern of sig.cookies) {
+        const cookie = page.cookies.find(name => pattern.test(name));
+        if (cookie) evidence.push(`cookie ${cookie}`);
+    }
+    for (const [name, pattern] of sig.meta) {
+        for (const content of page.meta.get(name) ?? []) {
+            if (check(pattern, content, clip(`meta ${name}: ${content}`))) break;
+        }
+    }
+    for (const pattern of sig.scripts) {
+        for (const src of page.scripts) {
+            if (check(pattern, src, clip(`script ${src}`))) break;
+        }
+    }
+    for (const pattern of sig.html) {
+        const match = page.html.match(pattern);
+        if (match) check(pattern, match[0], clip(`html ${match[0]}`));
+    }
+
+    const ids = new Set();
+    for (const pattern of sig.ids) {
+        for (const match of page.html.matchAll(pattern)) ids.add(match[1]);
+    }
+    if (ids.size) evidence.push('tracking ID');
+
+    return { evidence, version, ids: [...ids] };
+}
+
+/**
+ * Technologies detected on a page, ordered by category then name.
+ * @param {{ headers?: object, html?: string, url?: string }} page - Response headers and body
+ * @param {ReturnType<typeof compileSignatures>} [signatures]
+ * @returns {Array<{ name: string, category: string, version: string|null, ids: string[], evidence: string[] }>}
+ */
+function fingerprint(page, signatures = SIGNATURES) {
+    const parsed = parsePage(page);
+    const byName = new Map(signatures.technologies.map(sig => [sig.name, sig]));
+    const found = new Map();
+
+    for (const sig of signatures.technologies) {
+        const { evidence, version, ids } = matchSignature(sig, parsed);
+        if (evidence.length) found.set(sig.name, { name: sig.name, category: sig.category, version, ids, evidence });
+    }
+
+    // Implications chain (WooCommerce → WordPress → PHP), so repeat until stable.
+    let added = true;
+    while (added) {
+        added = false;
+        for (const tech of [...found.values()]) {
+            for (const name of byName.get(tech.name)?.implies ?? []) {
+                const implied = byName.get(name);
+                if (!implied || found.has(name)) continue;
+                found.set(name, { name, category: implied.category, version: null, ids: [], evidence: [`implied by ${tech.name}`] });
+                added = true;
+            }
+        }
+    }
+
+    const rank = (category) => {
+        const index = signatures.categories.indexOf(category);
+        return index === -1 ? signatures.categories.length : index;
+    };
+    return [...found.values()].sort((a, b) => rank(a.category) - rank(b.category) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Fetch a page for fingerprinting. Any HTTP status is kept: a 403 from a
+ * CDN or WAF still says which one it is.
+ * @param {string} url
+ * @returns {Promise<{ url: string, status: number, headers: object, html: string, contentType: string }>}
+ * @throws {Error} code EBLOCKED when the URL points at an internal address;
+ *   axios errors when the page cannot be fetched
+ */
+async function fetchPage(url) {
+    try {
+        await validateUrlNotInternal(url);
+    } catch (error) {
+        throw Object.assign(new Error(`URL not allowed: ${error.message}`), { code: 'EBLOCKED' });
+    }
+    const response = await axios.get(url, {
+        ...getSafeAxiosConfig(),
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: MAX_REDIRECTS,
+        responseType: 'text',
+        transformResponse: [(data) => data],
+        validateStatus: () => true,
+        maxContentLength: SIZE_5MB,
+        maxBodyLength: SIZE_5MB,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+        },
+    });
+    const headers = typeof response.headers?.toJSON === 'function' ? response.headers.toJSON() : { ...response.headers };
+    const contentType = String(headers['content-type'] ?? '');
+    const isHtml = !contentType || /html|xml/i.test(contentType);
+    return {
+        url: response.request?.res?.responseUrl ?? url,
+        status: response.status,
+        headers,
+        html: isHtml ? String(response.data ?? '') : '',
+        contentType,
+    };
+}
+
+module.exports = {
+    SIGNATURES,
+    compileSignatures,
+    parsePage,
+    fingerprint,
+    fetchPage,
+};
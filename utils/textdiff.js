@@ -0,0 +1,130 @@
+/**
+ * File: utils/textdiff.js
+ * Description: Dependency-free line diff producing unified-diff output.
+ *
+ * Used to show *what* changed between two text snapshots (monitor alerts,
+ * archived page comparisons). Common leading/trailing lines are trimmed
+ * before the LCS pass, so the quadratic table only covers the changed middle
+ * of a page. If that middle is still too large, the region is reported as a
+ * single replace block instead of burning memory on an exact diff.
+ */
+
+// Upper bound on LCS table cells (old lines × new lines) — ~16 MB of Uint32.
+const MAX_LCS_CELLS = 4_000_000;
+
+function splitLines(text) {
+    if (!text) return [];
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Compute an edit script between two line arrays.
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{ op: ' '|'-'|'+', line: string }>}
+ */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ op: ' ', line: a[i] });
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+
+    if (n * m > MAX_LCS_CELLS) {
+        for (const line of midA) ops.push({ op: '-', line });
+        for (const line of midB) ops.push({ op: '+', line });
+    } else {
+        // lcs[i * (m + 1) + j] = LCS length of midA[i:] and midB[j:]
+        const width = m + 1;
+        const lcs = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * width + j] = midA[i] === midB[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                ops.push({ op: ' ', line: midA[i] }); i++; j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                ops.push({ op: '-', line: midA[i] }); i++;
+            } else {
+                ops.push({ op: '+', line: midB[j] }); j++;
+            }
+        }
+        while (i < n) ops.push({ op: '-', line: midA[i++] });
+        while (j < m) ops.push({ op: '+', line: midB[j++] });
+    }
+
+    for (let i = endA; i < a.length; i++) ops.push({ op: ' ', line: a[i] });
+    return ops;
+}
+
+/**
+ * Render a unified diff between two texts.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} [options]
+ * @param {number} [options.context=3] - Unchanged lines kept around each change
+ * @param {string} [options.oldLabel='previous']
+ * @param {string} [options.newLabel='current']
+ * @returns {{ text: string, added: number, removed: number }} `text` is '' when identical
+ */
+function createUnifiedDiff(oldText, newText, { context = 3, oldLabel = 'previous', newLabel = 'current' } = {}) {
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    const added = ops.filter(o => o.op === '+').length;
+    const removed = ops.filter(o => o.op === '-').length;
+    if (added === 0 && removed === 0) return { text: '', added, removed };
+
+    // Tag each op with its 1-based line number on both sides.
+    let oldNo = 1;
+    let newNo = 1;
+    const tagged = ops.map(o => {
+        const t = { ...o, oldNo, newNo };
+        if (o.op !== '+') oldNo++;
+        if (o.op !== '-') newNo++;
+        return t;
+    });
+
+    // Group change indexes into hunks whose gaps fit inside 2×context.
+    const hunks = [];
+    let current = null;
+    tagged.forEach((t, idx) => {
+        if (t.op === ' ') return;
+        const from = Math.max(0, idx - context);
+        const to = Math.min(tagged.length - 1, idx + context);
+        if (current && from <= current.to + 1) {
+            current.to = to;
+        } else {
+            current = { from, to };
+            hunks.push(current);
+        }
+    });
+
+    const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    for (const { from, to } of hunks) {
+        const slice = tagged.slice(from, to + 1);
+        const oldCount = slice.filter(t => t.op !== '+').length;
+        const newCount = slice.filter(t => t.op !== '-').length;
+        const oldStart = oldCount ? slice.find(t => t.op !== '+').oldNo : slice[0].oldNo - 1;
+        const newStart = newCount ? slice.find(t => t.op !== '-').newNo : slice[0].newNo - 1;
+        out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const t of slice) out.push(`${t.op}${t.line}`);
+    }
+    return { text: out.join('\n') + '\n', added, removed };
+}
+
+module.exports = { splitLines, diffLines, createUnifiedDiff, MAX_LCS_CELLS };
@@ -0,0 +1,189 @@
+/**
+ * File: utils/username-rules.js
+ * Description: Optional permutation rule packs for /bob-generate-usernames.
+ *
+ * The generator always combines first/last name with separators, prefix,
+ * suffix, numbers and case. Rule packs widen that:
+ *
+ * - transliterate: accented and Cyrillic names also generate ASCII handles
+ *   (José → jose, Дмитрий → dmitriy), since most platforms only accept ASCII
+ * - nicknames: common short forms of the first name (William → bill, will)
+ * - initials: login-style truncations (jsmit, josmith, smithj)
+ * - leetspeak: letter → digit substitution (john → j0hn)
+ * - birthdate: year / day-month suffixes from a birth year or date
+ *
+ * Packs that change the names (transliterate, nicknames) produce extra name
+ * pairs that go through every pattern; the others add patterns or transform
+ * the generated bases. RULE_PACKS holds the one-line descriptions that are
+ * written into the attachment header.
+ */
+
+const RULE_PACKS = {
+    transliterate: 'accented/Cyrillic letters → ASCII (José → jose, Дмитрий → dmitriy)',
+    nicknames: 'common short forms of the first name (William → bill, will)',
+    initials: 'initials + surname truncations (jsmit, josmith, smithj)',
+    leetspeak: 'a→4 e→3 i→1 o→0 s→5 t→7 on each pattern',
+    birthdate: 'birth year / date suffixes (1990, 90, 3105, 310590, ...)',
+};
+
+// Letters NFD does not split into base + combining mark.
+const LATIN_SPECIAL = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i',
+};
+
+// Russian / Ukrainian, simplified BGN/PCGN (what people use for handles).
+const CYRILLIC = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'ґ': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'є': 'ye',
+    'ж': 'zh', 'з': 'z', 'и': 'i', 'і': 'i', 'ї': 'yi', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm',
+    'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh',
+    'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu',
+    'я': 'ya',
+};
+
+// First name → common short forms. Keys and values lowercase.
+const NICKNAMES = {
+    alexander: ['alex', 'alec', 'sasha'], alexandra: ['alex', 'sasha', 'lexi'],
+    andrew: ['andy', 'drew'], anthony: ['tony'], benjamin: ['ben', 'benji'],
+    catherine: ['cathy', 'kate', 'cat'], christopher: ['chris', 'topher'], daniel: ['dan', 'danny'],
+    david: ['dave', 'davey'], deborah: ['deb', 'debbie'], dmitriy: ['dima'], dmitry: ['dima'],
+    edward: ['ed', 'eddie', 'ted'], elizabeth: ['liz', 'beth', 'lizzie', 'betty'],
+    francis: ['frank'], francisco: ['paco', 'pancho'], frederick: ['fred', 'freddie'],
+    gregory: ['greg'], jacqueline: ['jackie'], james: ['jim', 'jimmy', 'jamie'],
+    jennifer: ['jen', 'jenny'], jonathan: ['jon', 'jonny'], joseph: ['joe', 'joey'],
+    jose: ['pepe'], katherine: ['kate', 'kathy', 'katie'], kimberly: ['kim'],
+    margaret: ['maggie', 'meg', 'peggy'], matthew: ['matt'], michael: ['mike', 'mikey'],
+    nicholas: ['nick', 'nicky'], patricia: ['pat', 'patty', 'trish'], patrick: ['pat', 'paddy'],
+    rebecca: ['becky', 'becca'], richard: ['rick', 'rich', 'dick'], robert: ['rob', 'bob', 'bobby'],
+    samantha: ['sam'], samuel: ['sam', 'sammy'], stephen: ['steve'], steven: ['steve'],
+    susan: ['sue', 'suzy'], theodore: ['ted', 'theo'], thomas: ['tom', 'tommy'],
+    timothy: ['tim'], victoria: ['vicky', 'tori'], william: ['bill', 'will', 'billy', 'liam'],
+    aleksandr: ['sasha'], ekaterina: ['katya'], mikhail: ['misha'], nikolai: ['kolya'],
+    vladimir: ['vova', 'volodya'], yekaterina: ['katya'],
+};
+
+const LEET = { a: '4', e: '3', i: '1', o: '0', s: '5', t: '7' };
+
+/**
+ * ASCII form of a name: diacritics stripped, Cyrillic romanized, lowercase.
+ * Characters with no mapping are dropped.
+ * @param {string} name
+ * @returns {string}
+ */
+function transliterate(name) {
+    return String(name)
+        .toLowerCase()
+        .normalize('NFC')
+        // Before NFD, which would split й into и + breve
+        .split('')
+        .map(ch => LATIN_SPECIAL[ch] ?? CYRILLIC[ch] ?? ch)
+        .join('')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Name pairs to generate patterns for: the names as given, plus the
+ * transliterated and nickname forms selected by the rules.
+ * @param {string} firstName
+ * @param {string} lastName
+ * @param {{ transliterate?: boolean, nicknames?: boolean }} [rules]
+ * @returns {Array<{ first: string, last: string, kind: 'original'|'transliterated'|'nickname' }>}
+ */
+function namePairs(firstName, lastName, rules = {}) {
+    const pairs = [{ first: firstName, last: lastName, kind: 'original' }];
+    const seen = new Set([`${firstName.toLowerCase()} ${lastName.toLowerCase()}`]);
+    const add = (first, last, kind) => {
+        const key = `${first} ${last}`;
+        if (!first || !last || seen.has(key)) return;
+        seen.add(key);
+        pairs.push({ first, last, kind });
+    };
+
+    const asciiFirst = rules.transliterate ? transliterate(firstName) : firstName.toLowerCase();
+    const asciiLast = rules.transliterate ? transliterate(lastName) : lastName.toLowerCase();
+    if (rules.transliterate) add(asciiFirst, asciiLast, 'transliterated');
+    if (rules.nicknames) {
+        for (const nickname of NICKNAMES[asciiFirst] ?? []) add(nickname, asciiLast, 'nickname');
+    }
+    return pairs;
+}
+
+/**
+ * Login-style initials + surname truncations.
+ * @param {string} first
+ * @param {string} last
+ * @returns {string[]}
+ */
+function initialsPatterns(first, last) {
+    const f = first.charAt(0);
+    const patterns = [
+        `${f}${last.slice(0, 7)}`,          // 8-character logins
+        `${first.slice(0, 2)}${last}`,
+        `${last.slice(0, 5)}${f}`,
+        `${last}${first.slice(0, 2)}`,
+    ];
+    for (let n = 3; n < last.length && n <= 5; n++) patterns.push(`${f}${last.slice(0, n)}`);
+    return patterns;
+}
+
+/**
+ * Full leetspeak form of a pattern, or null when nothing changes.
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+function leetspeak(pattern) {
+    const out = pattern.replace(/[aeiost]/gi, ch => LEET[ch.toLowerCase()]);
+    return out === pattern ? null : out;
+}
+
+/**
+ * Parse a birth year (YYYY) or date (YYYY-MM-DD).
+ * @param {string} value
+ * @returns {{ year: string, month?: string, day?: string }|null} Null when invalid
+ */
+function parseBirthdate(value) {
+    const match = String(value ?? '').trim().match(/^(\d{4})(?:-(\d{2})-(\d{2}))?$/);
+    if (!match) return null;
+    const [, year, month, day] = match;
+    if (Number(year) < 1900 || Number(year) > new Date().getUTCFullYear()) return null;
+    if (!month) return { year };
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+    return { year, month, day };
+}
+
+/**
+ * Suffixes people build from a birthdate.
+ * @param {{ year: string, month?: string, day?: string }} birthdate - From parseBirthdate()
+ * @returns {string[]}
+ */
+function birthdateSuffixes({ year, month, day }) {
+    const yy = year.slice(2);
+    const out = [year, yy];
+    if (month) out.push(`${day}${month}`, `${month}${day}`, `${day}${month}${yy}`, `${month}${day}${yy}`, `${day}${month}${year}`);
+    return [...new Set(out)];
+}
+
+/**
+ * Active rule packs, for the attachment header.
+ * @param {object} rules
+ * @returns {Array<{ name: string, description: string }>}
+ */
+function describeRules(rules = {}) {
+    return Object.keys(RULE_PACKS)
+        .filter(name => rules[name])
+        .map(name => ({ name, description: RULE_PACKS[name] }));
+}
+
+module.exports = {
+    RULE_PACKS,
+    NICKNAMES,
+    transliterate,
+    namePairs,
+    initialsPatterns,
+    leetspeak,
+    parseBirthdate,
+    birthdateSuffixes,
+    describeRules,
+};
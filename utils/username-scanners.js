@@ -0,0 +1,273 @@
+/**
+ * File: utils/username-scanners.js
+ * Description: Spawn wrappers and hit parsers for the username enumeration
+ * CLIs (Sherlock, Maigret, Nuclei OSINT templates, Linkook).
+ *
+ * The single-tool commands and /bob-username-sweep share these, so the
+ * arguments each tool is run with stay in one place. Every wrapper goes
+ * through utils/process.js (no shell) and accepts `onLine` for live progress;
+ * a call made inside a queued job is cancelled with that job.
+ *
+ * The parsers reduce tool output to `{ platform, url }` pairs. Lines without
+ * an http(s) URL are ignored — a hit that cannot be opened cannot be verified.
+ * `scanUsername()` runs one tool end to end (temp output, parse, cleanup) for
+ * the commands that scan many handles or many tools in one go.
+ */
+const fs = require('fs').promises;
+const { safeSpawn, safeSpawnToFile, getSafeEnv } = require('./process');
+const { reportFilePath, reportDirPath, cleanupFile, cleanupDir } = require('./temp');
+
+const DEFAULT_NUCLEI_TEMPLATES = '/opt/nuclei-templates/http/osint/user-enumeration';
+const LINKOOK_TIMEOUT_MS = 180000;
+
+// Colour codes some tools emit even when stdout is not a TTY.
+const ANSI = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, 'g');
+const PLUS_LINE = /^\s*\[\+\]\s+(.+?):\s+(https?:\/\/\S+)/;
+const NUCLEI_LINE = /^\s*\[([^\]]+)\]\s+\[[^\]]+\]\s+\[[^\]]+\]\s+(https?:\/\/[^\s\]]+)/;
+const ANY_URL = /https?:\/\/[^\s\]"'<>]+/;
+
+/**
+ * Execute Sherlock with timeout using safe spawn
+ * @param {string} sherlockPath - Path to Sherlock binary
+ * @param {string} username - Username to search for
+ * @param {string} outputFile - Path to write output
+ * @param {number} timeout - Timeout in seconds
+ * @param {boolean} verbose - Whether to enable verbose mode
+ * @param {boolean} includeNsfw - Whether to include NSFW sites
+ * @param {(line: string) => void} [onLine] - Called with each stdout line as it arrives
+ * @returns {Promise<{ stderr: string, code: number }>}
+ */
+async function executeSherlockScan(sherlockPath, username, outputFile, timeout, verbose, includeNsfw, onLine) {
+    const args = [username];
+    if (verbose) args.push('--verbose');
+    if (!includeNsfw) args.push('--nsfw');
+
+    return safeSpawnToFile(sherlockPath, args, outputFile, {
+        timeout: timeout * 1000,
+        env: { ...getSafeEnv(), PYTHONUNBUFFERED: '1' },
+        onLine
+    });
+}
+
+/**
+ * Run Maigret against all sites, stdout to `outputFile`.
+ * @param {string} username
+ * @param {string} outputFile
+ * @param {{ timeout: number, verbose?: boolean, onLine?: (line: string) => void }} opts - timeout in seconds
+ * @returns {Promise<{ stderr: string, code: number }>}
+ */
+async function executeMaigretScan(username, outputFile, { timeout, verbose = false, onLine }) {
+    const maigretPath = process.env.MAIGRET_PATH || 'maigret';
+    const args = [username, '-a', '--no-progressbar', '--txt'];
+    if (verbose) args.push('--verbose');
+
+    return safeSpawnToFile(maigretPath, args, outputFile, {
+        timeout: timeout * 1000,
+        env: { ...getSafeEnv(), PYTHONUNBUFFERED: '1' },
+        onLine
+    });
+}
+
+/**
+ * Directory holding the Nuclei OSINT user-enumeration templates.
+ */
+function nucleiTemplatesPath() {
+    return process.env.NUCLEI_TEMPLATE_PATH || DEFAULT_NUCLEI_TEMPLATES;
+}
+
+/**
+ * Run the Nuclei OSINT templates for a username, results to `outputFile`.
+ * @param {string} username
+ * @param {string} outputFile
+ * @param {{ timeout: number, tags?: string[], verbose?: boolean, onLine?: (line: string) => void }} opts - timeout in seconds
+ * @returns {Promise<{ stdout: string, stderr: string, code: number }>}
+ */
+async function executeNucleiScan(username, outputFile, { timeout, tags = ['osint'], verbose = false, onLine }) {
+    const nucleiBinary = process.env.NUCLEI_PATH || 'nuclei';
+    const args = [
+        '-t', nucleiTemplatesPath(),
+        '-tags', tags.join(','),
+        '-var', `user=${username}`,
+        '-o', outputFile,
+        '-disable-update-check',
+        verbose ? '-v' : '-silent'
+    ];
+
+    return safeSpawn(nucleiBinary, args, { timeout: timeout * 1000, onLine });
+}
+
+/**
+ * Run Linkook, result files to `outputDir`.
+ * @param {string} username
+ * @param {string} outputDir
+ * @param {{ timeout?: number }} [opts] - timeout in seconds (default 180)
+ * @returns {Promise<{ stdout: string, stderr: string, code: number }>}
+ */
+async function executeLinkookScan(username, outputDir, { timeout = LINKOOK_TIMEOUT_MS / 1000 } = {}) {
+    return safeSpawn('linkook', [username, '--scan-all', '--output', outputDir], {
+        timeout: timeout * 1000
+    });
+}
+
+function trimUrl(url) {
+    return url.replace(/[.,;:!?)]+$/, '');
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Hits from `[+] Platform: https://...` output (Sherlock, Maigret).
+ * @param {string} content
+ * @returns {Array<{ platform: string, url: string }>}
+ */
+function parsePlusHits(content) {
+    const hits = [];
+    for (const line of String(content).split('\n')) {
+        const match = line.replace(ANSI, '').match(PLUS_LINE);
+        if (match) hits.push({ platform: match[1].trim(), url: trimUrl(match[2]) });
+    }
+    return hits;
+}
+
+/**
+ * Hits from Nuclei result lines: `[template-id] [http] [info] https://...`.
+ * @param {string} content
+ * @returns {Array<{ platform: string, url: string }>}
+ */
+function parseNucleiHits(content) {
+    const hits = [];
+    for (const line of String(content).split('\n')) {
+        const match = line.replace(ANSI, '').match(NUCLEI_LINE);
+        if (match) hits.push({ platform: match[1].trim(), url: trimUrl(match[2]) });
+    }
+    return hits;
+}
+
+/**
+ * Hits from Linkook stdout: `[+] [Platform] https://...` or `FOUND: Platform https://...`.
+ * @param {string} content
+ * @returns {Array<{ platform: string, url: string }>}
+ */
+function parseLinkookHits(content) {
+    const hits = [];
+    for (const raw of String(content).split('\n')) {
+        const line = raw.replace(ANSI, '');
+        if (!line.includes('[+]') && !line.includes('FOUND:')) continue;
+        const url = line.match(ANY_URL);
+        if (!url) continue;
+        const name = line.replace(/\[\+\]/, '').match(/\[([^\]]+)\]/) || line.match(/FOUND:\s*([^\s:]+):?\s+https?:/) || line.match(/\]\s*([^\s:]+):/);
+        const platform = name ? name[1].trim() : hostOf(url[0]);
+        if (platform) hits.push({ platform, url: trimUrl(url[0]) });
+    }
+    return hits;
+}
+
+async function readOutput(file) {
+    try {
+        return await fs.readFile(file, 'utf8');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Tool runners keyed by tool name, with the standalone command whose
+ * permission gates them. Each resolves to the tool's raw hits; temp output is removed.
+ */
+const SCANNERS = {
+    sherlock: {
+        command: 'bob-sherlock',
+        async run(username, timeout) {
+            const file = reportFilePath('scan_sherlock', 'txt');
+            try {
+                await executeSherlockScan(process.env.SHERLOCK_PATH || 'sherlock', username, file, timeout, false, false);
+                return parsePlusHits(await readOutput(file));
+            } finally {
+                await cleanupFile(file);
+            }
+        },
+    },
+    maigret: {
+        command: 'bob-maigret',
+        async run(username, timeout) {
+            const file = reportFilePath('scan_maigret', 'txt');
+            try {
+                await executeMaigretScan(username, file, { timeout });
+                return parsePlusHits(await readOutput(file));
+            } finally {
+                await cleanupFile(file);
+            }
+        },
+    },
+    nuclei: {
+        command: 'bob-nuclei',
+        async run(username, timeout) {
+            // Missing templates make nuclei scan nothing and exit 0; report it instead.
+            await fs.access(nucleiTemplatesPath()).catch(() => {
+                throw Object.assign(new Error('Nuclei templates not found'), { code: 'ENOTEMPLATES' });
+            });
+            const file = reportFilePath('scan_nuclei', 'txt');
+            try {
+                await executeNucleiScan(username, file, { timeout });
+                return parseNucleiHits(await readOutput(file));
+            } finally {
+                await cleanupFile(file);
+            }
+        },
+    },
+    linkook: {
+        command: 'bob-linkook',
+        async run(username, timeout) {
+            const dir = reportDirPath('scan_linkook');
+            try {
+                const { stdout } = await executeLinkookScan(username, dir, { timeout });
+                return parseLinkookHits(stdout);
+            } finally {
+                await cleanupDir(dir);
+            }
+        },
+    },
+};
+
+/**
+ * Run one tool for one username and return its hits.
+ * @param {'sherlock'|'maigret'|'nuclei'|'linkook'} tool
+ * @param {string} username
+ * @param {{ timeout: number }} opts - timeout in seconds
+ * @returns {Promise<Array<{ platform: string, url: string }>>}
+ */
+async function scanUsername(tool, username, { timeout }) {
+    return SCANNERS[tool].run(username, timeout);
+}
+
+/**
+ * User-facing reason a scan produced nothing. Never the raw error message.
+ * @param {Error} error
+ * @returns {string}
+ */
+function scanFailureReason(error) {
+    if (error.code === 'ENOTEMPLATES') return 'templates not installed';
+    if (/ENOENT|Failed to start process/.test(error.message)) return 'not installed';
+    if (error.message.includes('timed out')) return 'timed out';
+    return 'failed';
+}
+
+module.exports = {
+    SCANNERS,
+    scanUsername,
+    scanFailureReason,
+    executeSherlockScan,
+    executeMaigretScan,
+    executeNucleiScan,
+    executeLinkookScan,
+    nucleiTemplatesPath,
+    parsePlusHits,
+    parseNucleiHits,
+    parseLinkookHits,
+};
@@ -0,0 +1,220 @@
+/**
+ * File: utils/username-sweep.js
+ * Description: Merge username hits from several enumeration tools into one
+ * deduplicated result set, and render it as CSV and HTML.
+ *
+ * Each tool reports `{ platform, url }` pairs. Hits are keyed on the profile
+ * URL with scheme, `www.`, query, fragment, trailing slash and case removed,
+ * so `https://GitHub.com/JohnDoe/` from Sherlock and `http://github.com/johndoe`
+ * from Nuclei are one profile found by two tools.
+ *
+ * Confidence: every tool has a base confidence reflecting how it decides a
+ * profile exists (status code only vs. page content). A profile found by
+ * several tools combines them as independent signals, 1 − Π(1 − cᵢ), so
+ * agreement raises confidence but never reaches 1.
+ */
+const { escapeHtml } = require('./embed');
+const { renderCsv } = require('./csv');
+
+const TOOL_CONFIDENCE = {
+    sherlock: 0.6,  // HTTP status / redirect checks — most false positives
+    linkook: 0.7,
+    maigret: 0.8,   // page-content checks, extracts profile ids
+    nuclei: 0.85,   // template matchers on page content
+};
+const DEFAULT_CONFIDENCE = 0.5;
+
+/**
+ * Dedup key for a profile URL, or null when it is not an http(s) URL.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function profileKey(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = decodeURIComponentSafe(parsed.pathname).replace(/\/+$/, '').toLowerCase();
+    return `${host}${pathname}`;
+}
+
+function decodeURIComponentSafe(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Normalize one tool's raw hit.
+ * @param {{ platform: string, url: string }} hit
+ * @param {string} source - Tool name
+ * @returns {{ platform: string, url: string, source: string, confidence: number }|null}
+ */
+function normalizeHit(hit, source) {
+    if (!hit?.url || !profileKey(hit.url)) return null;
+    return {
+        platform: String(hit.platform || new URL(hit.url).hostname).trim().slice(0, 100),
+        url: hit.url,
+        source,
+        confidence: TOOL_CONFIDENCE[source] ?? DEFAULT_CONFIDENCE,
+    };
+}
+
+/**
+ * Merge per-tool hits into unique profiles.
+ * @param {Object<string, Array<{ platform: string, url: string }>>} hitsByTool
+ * @returns {Array<{ platform: string, url: string, sources: string[], confidence: number }>}
+ *   Sorted by number of agreeing tools, then confidence, then platform
+ */
+function mergeHits(hitsByTool) {
+    const profiles = new Map();
+    for (const [tool, hits] of Object.entries(hitsByTool)) {
+        for (const raw of hits ?? []) {
+            const hit = normalizeHit(raw, tool);
+            if (!hit) continue;
+            const key = profileKey(hit.url);
+            const existing = profiles.get(key);
+            if (!existing) {
+                profiles.set(key, { platform: hit.platform, url: hit.url, sources: [tool], confidences: [hit.confidence] });
+                continue;
+            }
+            if (existing.sources.includes(tool)) continue;
+            existing.sources.push(tool);
+            existing.confidences.push(hit.confidence);
+            // Prefer the name and https URL from the most reliable tool.
+            if (hit.confidence > Math.max(...existing.confidences.slice(0, -1))) existing.platform = hit.platform;
+            if (!existing.url.startsWith('https:') && hit.url.startsWith('https:')) existing.url = hit.url;
+        }
+    }
+    return [...profiles.values()]
+        .map(({ confidences, ...profile }) => ({
+            ...profile,
+            confidence: Math.round((1 - confidences.reduce((miss, c) => miss * (1 - c), 1)) * 100) / 100,
+        }))
+        .sort((a, b) => b.sources.length - a.sources.length
+            || b.confidence - a.confidence
+            || a.platform.localeCompare(b.platform));
+}
+
+/**
+ * Per-tool agreement: how many of a tool's profiles another tool also found.
+ * @param {Array<{ sources: string[] }>} profiles - From mergeHits
+ * @param {string[]} tools - Tools that ran
+ * @returns {Object<string, { hits: number, confirmed: number, unique: number }>}
+ */
+function toolAgreement(profiles, tools) {
+    const out = Object.fromEntries(tools.map(tool => [tool, { hits: 0, confirmed: 0, unique: 0 }]));
+    for (const profile of profiles) {
+        for (const tool of profile.sources) {
+            const row = out[tool] ?? (out[tool] = { hits: 0, confirmed: 0, unique: 0 });
+            row.hits++;
+            if (profile.sources.length > 1) row.confirmed++;
+            else row.unique++;
+        }
+    }
+    return out;
+}
+
+/**
+ * CSV report: one row per unique profile.
+ * @param {Array<{ platform: string, url: string, sources: string[], confidence: number }>} profiles
+ * @returns {string}
+ */
+function renderSweepCsv(profiles) {
+    const rows = [['platform', 'url', 'sources', 'agreement', 'confidence']];
+    for (const p of profiles) rows.push([p.platform, p.url, p.sources.join(';'), p.sources.length, p.confidence.toFixed(2)]);
+    return renderCsv(rows);
+}
+
+/**
+ * CSV report for a batch of candidate handles scanned with one tool: one row
+ * per (handle, platform), or a single row with the status when nothing was found.
+ * @param {Array<{ username: string, score: number, hits: Array<{ platform: string, url: string }>, error?: string }>} results
+ * @returns {string}
+ */
+function renderCandidateScanCsv(results) {
+    const rows = [['username', 'rank_score', 'status', 'platform', 'url']];
+    for (const r of results) {
+        if (r.hits.length === 0) {
+            rows.push([r.username, r.score, r.error ?? 'not found', '', '']);
+            continue;
+        }
+        for (const hit of r.hits) rows.push([r.username, r.score, 'found', hit.platform, hit.url]);
+    }
+    return renderCsv(rows);
+}
+
+/**
+ * Standalone HTML report.
+ * @param {object} sweep
+ * @param {string} sweep.username
+ * @param {Array<{ platform: string, url: string, sources: string[], confidence: number }>} sweep.profiles
+ * @param {Object<string, { hits: number, confirmed: number, unique: number }>} sweep.agreement
+ * @param {Object<string, string>} [sweep.failures] - Tool → reason it produced no results
+ * @param {Date} [sweep.date]
+ * @returns {string}
+ */
+function renderSweepHtml({ username, profiles, agreement, failures = {}, date = new Date() }) {
+    const toolRows = Object.entries(agreement).map(([tool, row]) => `
+      <tr><td>${escapeHtml(tool)}</td><td>${row.hits}</td><td>${row.confirmed}</td><td>${row.unique}</td>` +
+        `<td>${escapeHtml(failures[tool] ?? '')}</td></tr>`).join('');
+    const profileRows = profiles.map(p => {
+        const safeUrl = /^https?:\/\//i.test(p.url) ? escapeHtml(p.url) : '#';
+        return `
+      <tr class="a${Math.min(p.sources.length, 3)}"><td>${escapeHtml(p.platform)}</td>` +
+            `<td><a href="${safeUrl}" rel="noopener noreferrer" target="_blank">${escapeHtml(p.url)}</a></td>` +
+            `<td>${escapeHtml(p.sources.join(', '))}</td><td>${p.sources.length}</td><td>${p.confidence.toFixed(2)}</td></tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Username sweep: ${escapeHtml(username)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 20px; color: #333; background: #f5f5f5; }
+    .container { max-width: 1100px; margin: 0 auto; background: #fff; padding: 20px; border-radius: 8px; }
+    table { border-collapse: collapse; width: 100%; margin: 12px 0 24px; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; font-size: 14px; }
+    th { background: #2c3e50; color: #fff; }
+    tr.a2 td { background: #eafaf1; }
+    tr.a3 td { background: #d5f5e3; }
+    a { color: #2471a3; word-break: break-all; }
+    .meta { color: #777; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Username sweep: ${escapeHtml(username)}</h1>
+    <p class="meta">Generated ${escapeHtml(date.toISOString())} — ${profiles.length} unique profiles</p>
+    <h2>Tool agreement</h2>
+    <table>
+      <tr><th>Tool</th><th>Profiles</th><th>Confirmed by another tool</th><th>Only this tool</th><th>Notes</th></tr>${toolRows}
+    </table>
+    <h2>Profiles</h2>
+    <table>
+      <tr><th>Platform</th><th>URL</th><th>Found by</th><th>Agreement</th><th>Confidence</th></tr>${profileRows}
+    </table>
+  </div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    profileKey,
+    normalizeHit,
+    mergeHits,
+    toolAgreement,
+    renderSweepCsv,
+    renderCandidateScanCsv,
+    renderSweepHtml,
+    TOOL_CONFIDENCE,
+};
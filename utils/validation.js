@@ -43,6 +43,12 @@ function isValidUrl(url) {
     }
 }
 
+// Email addresses in free text. A match only starts where a run of address
+// characters starts, and both parts are length-capped (RFC 5321), so a long
+// token with no `@` (hex, base64, a JWT) is scanned once, not once per
+// character. Global: use with matchAll() or String#match.
+const EMAIL_PATTERN = /(?<![a-z0-9._%+-])[a-z0-9._%+-]{1,64}@[a-z0-9.-]{1,253}\.[a-z]{2,24}/gi;
+
 /**
  * Validates an email address format
  * @param {string} email - Email to validate
@@ -203,6 +209,7 @@ function containsMaliciousPatterns(input) {
 }
 
 module.exports = {
+    EMAIL_PATTERN,
     isValidDomain,
     isValidUrl,
     isValidEmail,
@@ -0,0 +1,224 @@
+/**
+ * File: utils/wayback.js
+ * Description: Wayback Machine captures of one URL — the timeline behind
+ * /bob-wayback and the archived bodies it compares.
+ *
+ * Captures come from the CDX API (timestamp, HTTP status, content digest),
+ * cached under the `wayback` provider (utils/response-cache.js). Very busy
+ * URLs are cut at MAX_CAPTURES; the last capture is then fetched on its own
+ * so "last seen" stays right. Archived bodies are fetched with the `id_`
+ * flag, which returns the page as it was crawled, without the Wayback
+ * toolbar or rewritten links.
+ *
+ * Timestamps are the archive's 14-digit `YYYYMMDDhhmmss` strings; users may
+ * give any prefix (`2019`, `201906`, `2019-06-01`).
+ */
+const { URLSearchParams } = require('url');
+const axios = require('axios');
+const { getSafeAxiosConfig, SIZE_5MB } = require('./ssrf');
+const { cachedFetch } = require('./response-cache');
+
+const CDX_URL = 'https://web.archive.org/cdx/search/cdx';
+const MAX_CAPTURES = 50000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+function httpOptions(extra = {}) {
+    return {
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: { 'User-Agent': 'Discord-OSINT-Assistant/2.0' },
+        ...getSafeAxiosConfig(),
+        ...extra,
+    };
+}
+
+/**
+ * Captures from a CDX JSON answer (first row is the header).
+ * @param {Array<string[]>} rows
+ * @returns {Array<{ timestamp: string, status: number|null, digest: string }>}
+ */
+function parseCaptures(rows) {
+    if (!Array.isArray(rows) || rows.length < 2) return [];
+    const [header, ...data] = rows;
+    const col = (name) => header.indexOf(name);
+    const [ts, status, digest] = [col('timestamp'), col('statuscode'), col('digest')];
+    return data
+        .filter(row => /^\d{14}$/.test(row[ts]))
+        .map(row => ({
+            timestamp: row[ts],
+            status: /^\d{3}$/.test(row[status]) ? Number(row[status]) : null,
+            digest: row[digest] ?? '',
+        }));
+}
+
+async function queryCdx(url, limit) {
+    const params = new URLSearchParams({ url, output: 'json', fl: 'timestamp,statuscode,digest', limit: String(limit) });
+    const { data } = await axios.get(`${CDX_URL}?${params}`, httpOptions({ maxContentLength: SIZE_5MB * 2 }));
+    return parseCaptures(data);
+}
+
+function timelineKey(url) {
+    try {
+        return new URL(url).href;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Every capture of a URL, oldest first.
+ * @param {string} url
+ * @param {{ fresh?: boolean }} [opts]
+ * @returns {Promise<{ captures: Array<{ timestamp: string, status: number|null, digest: string }>, truncated: boolean, cached: boolean, storedAt: number }>}
+ *   `truncated` means the middle of the history was cut at MAX_CAPTURES
+ */
+async function fetchCaptures(url, { fresh = false } = {}) {
+    // Paths and queries are case-sensitive; only the scheme and host are folded.
+    const result = await cachedFetch('wayback', { timeline: timelineKey(url) }, async () => {
+        const captures = await queryCdx(url, MAX_CAPTURES);
+        if (captures.length < MAX_CAPTURES) return { captures, truncated: false };
+        const [latest] = await queryCdx(url, -1);
+        if (latest && latest.timestamp > captures[captures.length - 1].timestamp) captures.push(latest);
+        return { captures, truncated: true };
+    }, { fresh, caseSensitive: true });
+    return { ...result.value, cached: result.cached, storedAt: result.storedAt };
+}
+
+/**
+ * First/last seen, capture density per year and status codes.
+ * @param {Array<{ timestamp: string, status: number|null, digest: string }>} captures - Oldest first
+ * @returns {{ first: string|null, last: string|null, total: number, versions: number,
+ *   years: Array<{ year: string, count: number }>, statuses: Array<{ status: string, count: number }> }}
+ */
+function buildTimeline(captures) {
+    const years = new Map();
+    const statuses = new Map();
+    for (const { timestamp, status } of captures) {
+        const year = timestamp.slice(0, 4);
+        years.set(year, (years.get(year) ?? 0) + 1);
+        const key = status === null ? 'other' : String(status);
+        statuses.set(key, (statuses.get(key) ?? 0) + 1);
+    }
+    // Empty years inside the range are shown too: a gap is part of the story.
+    const yearList = [];
+    if (captures.length) {
+        for (let y = Number(captures[0].timestamp.slice(0, 4)); y <= Number(captures[captures.length - 1].timestamp.slice(0, 4)); y++) {
+            yearList.push({ year: String(y), count: years.get(String(y)) ?? 0 });
+        }
+    }
+    return {
+        first: captures[0]?.timestamp ?? null,
+        last: captures[captures.length - 1]?.timestamp ?? null,
+        total: captures.length,
+        versions: new Set(captures.map(c => c.digest).filter(Boolean)).size,
+        years: yearList,
+        statuses: [...statuses.entries()].map(([status, count]) => ({ status, count })).sort((a, b) => b.count - a.count),
+    };
+}
+
+/**
+ * Normalize a user-given date to a timestamp prefix.
+ * @param {string|null} value - `2019`, `201906`, `2019-06-01`, up to 14 digits
+ * @returns {string|null} Digits only, null when no value was given
+ * @throws {Error} code EBADTIMESTAMP when the value is not a date prefix
+ */
+function parseTimestampOption(value) {
+    if (value == null || value === '') return null;
+    const digits = String(value).trim().replace(/[-:T\s]/g, '');
+    if (!/^\d{4,14}$/.test(digits) || Number(digits.slice(0, 4)) < 1990) {
+        throw Object.assign(new Error(`Invalid timestamp: ${value}`), { code: 'EBADTIMESTAMP' });
+    }
+    return digits;
+}
+
+// Milliseconds for a timestamp or prefix; a missing month or day is the first.
+function timestampToMs(timestamp) {
+    const full = `${timestamp}${'0101000000'.slice(Math.max(0, timestamp.length - 4))}`.slice(0, 14);
+    const part = (from, to) => Number(full.slice(from, to));
+    return Date.UTC(part(0, 4), part(4, 6) - 1, part(6, 8), part(8, 10), part(10, 12), part(12, 14));
+}
+
+/**
+ * Successful capture closest to a timestamp prefix (earliest match wins ties).
+ * @param {Array<{ timestamp: string, status: number|null }>} captures
+ * @param {string} target - From parseTimestampOption()
+ * @returns {object|null}
+ */
+function closestCapture(captures, target) {
+    const want = timestampToMs(target);
+    let best = null;
+    for (const capture of captures) {
+        if (capture.status !== 200) continue;
+        const distance = Math.abs(timestampToMs(capture.timestamp) - want);
+        if (!best || distance < best.distance) best = { capture, distance };
+    }
+    return best?.capture ?? null;
+}
+
+/**
+ * Up to `count` successful captures with distinct content, spread evenly over
+ * the history, always including the `keep` captures.
+ * @param {Array<{ timestamp: string, status: number|null, digest: string }>} captures - Oldest first
+ * @param {object[]} keep
+ * @param {number} count
+ * @returns {object[]} Oldest first
+ */
+function sampleCaptures(captures, keep, count) {
+    const byDigest = new Map();
+    for (const capture of captures) {
+        if (capture.status === 200 && !byDigest.has(capture.digest)) byDigest.set(capture.digest, capture);
+    }
+    const picked = new Map(keep.filter(Boolean).map(c => [c.timestamp, c]));
+    const candidates = [...byDigest.values()].filter(c => !picked.has(c.timestamp) && !keep.some(k => k?.digest === c.digest));
+    const slots = Math.min(candidates.length, Math.max(0, count - picked.size));
+    for (let i = 0; i < slots; i++) {
+        const capture = candidates[Math.round((i * (candidates.length - 1)) / Math.max(1, slots - 1))];
+        picked.set(capture.timestamp, capture);
+    }
+    return [...picked.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Browser link to a capture.
+ * @param {string} url
+ * @param {string} timestamp
+ */
+function snapshotUrl(url, timestamp) {
+    return `https://web.archive.org/web/${timestamp}/${url}`;
+}
+
+/**
+ * The archived body of a capture, as crawled.
+ * @param {string} url
+ * @param {string} timestamp
+ * @returns {Promise<{ body: string, contentType: string }>}
+ */
+async function fetchSnapshot(url, timestamp) {
+    const response = await axios.get(`https://web.archive.org/web/${timestamp}id_/${url}`, httpOptions({
+        responseType: 'text',
+        transformResponse: [(data) => data],
+        maxContentLength: SIZE_5MB,
+        maxBodyLength: SIZE_5MB,
+    }));
+    return { body: String(response.data ?? ''), contentType: response.headers?.['content-type'] ?? '' };
+}
+
+/**
+ * `YYYY-MM-DD` for a timestamp.
+ * @param {string} timestamp
+ */
+function formatTimestamp(timestamp) {
+    return `${timestamp.slice(0, 4)}-${timestamp.slice(4, 6)}-${timestamp.slice(6, 8)}`;
+}
+
+module.exports = {
+    MAX_CAPTURES,
+    parseCaptures,
+    fetchCaptures,
+    buildTimeline,
+    parseTimestampOption,
+    closestCapture,
+    sampleCaptures,
+    snapshotUrl,
+    fetchSnapshot,
+    formatTimestamp,
+};